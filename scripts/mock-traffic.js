@@ -0,0 +1,250 @@
+// Mock live traffic feed for testing the traffic layer
+//
+//   npm run mock-traffic [-- <port>]        (default port 8090)
+//
+// Serves a handful of simulated aircraft around RKPU in both feed formats
+// the viewer reads (src/data/adsb.js):
+//   GET /data/aircraft.json   dump1090-style aircraft list
+//   ws://.../sbs              SBS-1 (BaseStation) lines over a WebSocket
+// The aerodrome and runway 36 come from public/aviation_data.json. Each
+// aircraft flies a fixed pattern on a loop: an ILS arrival to runway 36, a
+// departure off it, a VFR orbit inside the control zone, an overflight above
+// it and a taxiing aircraft.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { destination, distanceM } from '../src/geo/geodesy.js';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8090);
+const SBS_INTERVAL_MS = 1000;
+// Callsign and squawk are repeated this often on the SBS feed, s
+const SBS_IDENT_EVERY_S = 10;
+
+const data = JSON.parse(readFileSync(new URL('../public/aviation_data.json', import.meta.url)));
+const { airport } = data;
+const runway = airport.runways.flatMap((item) => item.ends).find((end) => end.designator === '36');
+const opposite = airport.runways.flatMap((item) => item.ends).find((end) => end.designator === '18');
+const elevationFt = airport.elevation / 0.3048;
+const NM = 1852;
+
+// Position after flying `distanceNm` from a point on a true bearing
+const fly = (lon, lat, bearing, distanceNm) => destination(lon, lat, bearing, distanceNm * NM);
+
+// Each scenario gives the state `t` seconds into its loop, or null while the
+// aircraft is out of the picture
+const scenarios = [
+  {
+    hex: '71BE12',
+    callsign: 'KAL1402',
+    squawk: '2341',
+    period: 360,
+    // Straight in on the runway 36 localizer from 12 NM, 3° glide path
+    state(t) {
+      const gsKt = 140;
+      const remainingNm = 12 - (gsKt * t) / 3600;
+      if (remainingNm < 0) return null;
+      const [lon, lat] = fly(runway.lon, runway.lat, runway.true_bearing + 180, remainingNm);
+      const altFt = Math.min(4000, elevationFt + 50 + 318 * remainingNm);
+      return { lon, lat, altFt, gsKt, trackDeg: runway.true_bearing, vrateFpm: altFt < 4000 ? -740 : 0 };
+    },
+  },
+  {
+    hex: '71C3A8',
+    callsign: 'ABL8802',
+    squawk: '3012',
+    period: 420,
+    // Take-off roll on runway 36, then a climb straight ahead
+    state(t) {
+      const rollS = 35;
+      if (t < rollS) {
+        const gsKt = (150 * t) / rollS;
+        const [lon, lat] = fly(runway.lon, runway.lat, runway.true_bearing, ((gsKt / 2) * t) / 3600);
+        return { lon, lat, altFt: elevationFt, gsKt, trackDeg: runway.true_bearing, vrateFpm: 0, onGround: true };
+      }
+      const gsKt = 180;
+      const airborneS = t - rollS;
+      const distanceNm = (150 / 2) * (rollS / 3600) + (gsKt * airborneS) / 3600;
+      const [lon, lat] = fly(runway.lon, runway.lat, runway.true_bearing, distanceNm);
+      const altFt = Math.min(12000, elevationFt + 2000 * (airborneS / 60));
+      return { lon, lat, altFt, gsKt, trackDeg: runway.true_bearing, vrateFpm: altFt < 12000 ? 2000 : 0 };
+    },
+  },
+  {
+    hex: '71D021',
+    callsign: 'HL1234',
+    squawk: '1200',
+    // One lap of the orbit at 90 kt
+    period: ((2 * Math.PI * 3) / 90) * 3600,
+    // Clockwise orbit 3 NM from the aerodrome at 1500 ft
+    state(t) {
+      const gsKt = 90;
+      const radiusNm = 3;
+      const bearing = (((gsKt * t) / 3600 / (2 * Math.PI * radiusNm)) * 360) % 360;
+      const [lon, lat] = fly(airport.lon, airport.lat, bearing, radiusNm);
+      return { lon, lat, altFt: 1500, gsKt, trackDeg: (bearing + 90) % 360, vrateFpm: 0 };
+    },
+  },
+  {
+    hex: '71A7F0',
+    callsign: 'JJA105',
+    squawk: '4417',
+    period: 480,
+    // Westbound overflight 8 NM north of the aerodrome at 11,000 ft
+    state(t) {
+      const gsKt = 300;
+      const [startLon, startLat] = fly(...fly(airport.lon, airport.lat, 0, 8), 90, 20);
+      const [lon, lat] = fly(startLon, startLat, 270, (gsKt * t) / 3600);
+      return { lon, lat, altFt: 11000, gsKt, trackDeg: 270, vrateFpm: 0 };
+    },
+  },
+  {
+    hex: '71B455',
+    callsign: 'KAL1601',
+    squawk: '2000',
+    period: 3600,
+    // Taxiing up and down alongside the runway
+    state(t) {
+      const gsKt = 15;
+      const lengthNm = distanceM(runway.lon, runway.lat, opposite.lon, opposite.lat) / NM;
+      const legS = (lengthNm / gsKt) * 3600;
+      const phase = t % (2 * legS);
+      const outbound = phase < legS;
+      const alongNm = ((outbound ? phase : 2 * legS - phase) * gsKt) / 3600;
+      const [taxiLon, taxiLat] = fly(runway.lon, runway.lat, runway.true_bearing + 90, 0.1);
+      const [lon, lat] = fly(taxiLon, taxiLat, runway.true_bearing, alongNm);
+      const trackDeg = outbound ? runway.true_bearing : opposite.true_bearing;
+      return { lon, lat, altFt: elevationFt, gsKt, trackDeg, vrateFpm: 0, onGround: true };
+    },
+  },
+];
+
+function traffic(now) {
+  return scenarios
+    .map((scenario) => {
+      const state = scenario.state((now / 1000) % scenario.period);
+      return state && { ...scenario, ...state };
+    })
+    .filter(Boolean);
+}
+
+function aircraftJson(now) {
+  return {
+    now: now / 1000,
+    messages: Math.floor(now / 100),
+    aircraft: traffic(now).map((ac) => ({
+      hex: ac.hex.toLowerCase(),
+      flight: ac.callsign.padEnd(8, ' '),
+      squawk: ac.squawk,
+      lat: Number(ac.lat.toFixed(6)),
+      lon: Number(ac.lon.toFixed(6)),
+      alt_baro: ac.onGround ? 'ground' : Math.round(ac.altFt),
+      gs: Math.round(ac.gsKt * 10) / 10,
+      track: Math.round(ac.trackDeg * 10) / 10,
+      baro_rate: Math.round(ac.vrateFpm),
+      seen: 0.1,
+      seen_pos: 0.1,
+      rssi: -20,
+    })),
+  };
+}
+
+// SBS-1 line: MSG, type, session, aircraft, hex, flight, generated and
+// logged date/time, then the message fields 11-22
+function sbsLine(type, ac, date, fields) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '/');
+  const time = date.toISOString().slice(11, 23);
+  return ['MSG', type, 1, 1, ac.hex, 1, day, time, day, time, ...fields].join(',');
+}
+
+function sbsMessages(now, tick) {
+  const date = new Date(now);
+  const onGround = (ac) => (ac.onGround ? -1 : 0);
+  return traffic(now).flatMap((ac) => {
+    const lines = [
+      sbsLine(3, ac, date, ['', Math.round(ac.altFt), '', '', ac.lat.toFixed(5), ac.lon.toFixed(5), '', '', 0, 0, 0, onGround(ac)]),
+      sbsLine(4, ac, date, ['', '', Math.round(ac.gsKt), ac.trackDeg.toFixed(1), '', '', Math.round(ac.vrateFpm), '', 0, 0, 0, onGround(ac)]),
+    ];
+    if (tick % SBS_IDENT_EVERY_S === 0) {
+      lines.push(sbsLine(1, ac, date, [ac.callsign, '', '', '', '', '', '', '', 0, 0, 0, onGround(ac)]));
+      lines.push(sbsLine(6, ac, date, ['', '', '', '', '', '', '', ac.squawk, 0, 0, 0, onGround(ac)]));
+    }
+    return lines;
+  });
+}
+
+// Unmasked server-to-client WebSocket frame (RFC 6455)
+function wsFrame(opcode, payload) {
+  const body = Buffer.from(payload);
+  let header;
+  if (body.length < 126) {
+    header = Buffer.from([0x80 | opcode, body.length]);
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  return Buffer.concat([header, body]);
+}
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method === 'GET' && pathname === '/data/aircraft.json') {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(aircraftJson(Date.now())));
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const key = req.headers['sec-websocket-key'];
+  if (pathname !== '/sbs' || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  let tick = 0;
+  const send = () => {
+    socket.write(wsFrame(0x1, `${sbsMessages(Date.now(), tick++).join('\r\n')}\r\n`));
+  };
+  send();
+  const timer = setInterval(send, SBS_INTERVAL_MS);
+  const stop = () => clearInterval(timer);
+  // The client only ever sends control frames here: answer a close, ignore
+  // the rest
+  socket.on('data', (chunk) => {
+    if ((chunk[0] & 0x0f) === 0x8) {
+      stop();
+      socket.end(wsFrame(0x8, ''));
+    }
+  });
+  socket.on('close', stop);
+  socket.on('error', stop);
+  console.log(`SBS client connected from ${req.socket.remoteAddress}`);
+});
+
+server.listen(PORT, () => {
+  const origin = `${airport.icao} ${airport.lat.toFixed(4)}, ${airport.lon.toFixed(4)}`;
+  console.log(`Mock traffic around ${origin}: ${scenarios.length} aircraft`);
+  console.log(`  dump1090  http://localhost:${PORT}/data/aircraft.json`);
+  console.log(`  SBS-1     ws://localhost:${PORT}/sbs`);
+});
@@ -1,6 +1,96 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as Cesium from 'cesium';
 import 'cesium/Build/Cesium/Widgets/widgets.css';
+import { loadAviationData } from './data/loader';
+import { airportFromUrl, loadCatalogue, writeAirportToUrl } from './data/catalogue';
+import {
+  enabledKeys,
+  loadBookmarks,
+  parseBookmarks,
+  saveBookmarks,
+  toFlags,
+  viewStateFromUrl,
+  writeViewStateToUrl,
+} from './data/viewState';
+import { downloadFile } from './data/download';
+import { EXPORT_FORMATS, exportScene } from './data/sceneExport';
+import { buildRunways } from './data/aerodrome';
+import { airspaceContains, buildAirspaceModel, formatLimit, limitHeight } from './data/airspace';
+import { resolveObstacle } from './data/obstacles';
+import { summariseSources } from './data/waypoints';
+import {
+  buildProcedureModel,
+  formatConstraint,
+  normalizeConstraint,
+  procedureFixes,
+  procedurePath,
+} from './data/procedures';
+import {
+  buildProcedureTree,
+  legTransitions,
+  procedureLegRows,
+  procedureRoutes,
+  routeChoices,
+  selectRoutes,
+} from './data/procedureBrowser';
+import { approachSegments } from './data/approachSegments';
+import { buildNavaids } from './data/navaids';
+import { mergeTraffic, positionedAircraft } from './data/traffic';
+import { connectTrafficFeed, loadTrafficFeed, saveTrafficFeed } from './data/trafficFeed';
+import { altitudeLevels, analyseCoverage, coveragePlan, DEFAULT_COVERAGE_GRID, procedureFixTargets } from './data/coverage';
+import { importArinc424, mergeImport } from './data/arinc424';
+import { validateDataset } from './data/validate';
+import { parseTrackFile } from './data/tracks';
+import { createOverlayLayer, OVERLAY_COLORS, OVERLAY_EXTENSIONS, readOverlayFile } from './data/overlays';
+import { deleteOverlay, loadOverlays, saveOverlay } from './data/overlayStore';
+import { buildVerticalPath } from './geo/verticalProfile';
+import { distanceM } from './geo/geodesy';
+import { buildOls, findPenetrations, OLS_SURFACES } from './geo/ols';
+import { ftToM, mToFt, nmToM } from './geo/units';
+import { clearanceAt, measureBetween } from './geo/measure';
+import { trackTimeRange } from './geo/kinematics';
+import { legProfile } from './geo/legs';
+import { analyseConformance, DEFAULT_TOLERANCE } from './geo/conformance';
+import { buildFlightPath, flightStateAt } from './geo/flythrough';
+import { approachOca, assessSegment, buildProtectionArea } from './geo/pansOps';
+import { alongPath, obstaclesAlong, profileSamples } from './geo/profile';
+import { addRunwayEntities } from './render/runway';
+import { addAirspaceEntity, airspaceStyle, setAirspaceOccupied } from './render/airspace';
+import { addObstacleEntities, obstaclePoint } from './render/obstacles';
+import { createPointLayer } from './render/pointLayer';
+import { featureKey, featureOf, featureSphere, tagFeature } from './render/features';
+import { addClearanceEntities, addMeasureEntities, pickMeasurePoint } from './render/measure';
+import { loadBasemapConfig, resolveImagery, resolveTerrain, sampleHeights, sourceLabel } from './render/basemap';
+import { flyByIcon, flyOverIcon } from './render/symbols';
+import { addTrackEntity, TRACK_COLORS } from './render/tracks';
+import { addConformanceEntities } from './render/conformance';
+import { addOverlayEntities } from './render/overlays';
+import { addFlythroughAircraft, releaseFlythroughCamera, setFlythroughCamera } from './render/flythrough';
+import { addProtectionEntities } from './render/protection';
+import { addProfileCursor, addRouteEntities } from './render/profile';
+import { addNavaidEntities } from './render/navaids';
+import { addCoverageEntities } from './render/coverage';
+import { createTrafficLayer } from './render/traffic';
+import DataQualityPanel from './components/DataQualityPanel';
+import OlsPanel from './components/OlsPanel';
+import TrackPanel from './components/TrackPanel';
+import ConformancePanel from './components/ConformancePanel';
+import WaypointSourcePanel from './components/WaypointSourcePanel';
+import WaypointProvenance from './components/WaypointProvenance';
+import EntityInspector from './components/EntityInspector';
+import MeasurePanel from './components/MeasurePanel';
+import BookmarkPanel from './components/BookmarkPanel';
+import ExportPanel from './components/ExportPanel';
+import OverlayPanel from './components/OverlayPanel';
+import FlythroughPanel from './components/FlythroughPanel';
+import FlythroughHud from './components/FlythroughHud';
+import ProcedureTree from './components/ProcedureTree';
+import ProcedureLegTable from './components/ProcedureLegTable';
+import ProtectionPanel from './components/ProtectionPanel';
+import ProfilePanel from './components/ProfilePanel';
+import ProfileChart from './components/ProfileChart';
+import CoveragePanel from './components/CoveragePanel';
+import TrafficPanel from './components/TrafficPanel';
 
 // Use default Cesium terrain without Ion token
 window.CESIUM_BASE_URL = '/cesium/';
@@ -16,8 +106,24 @@ const COLORS = {
   obstacle_tree: Cesium.Color.fromCssColorString('#8BC34A'),
   obstacle_navaid: Cesium.Color.fromCssColorString('#9C27B0'),
   obstacle_etc: Cesium.Color.fromCssColorString('#607D8B'),
-  airspace: Cesium.Color.fromCssColorString('#E91E63').withAlpha(0.2),
-  runway: Cesium.Color.fromCssColorString('#FFFFFF'),
+  penetration: Cesium.Color.fromCssColorString('#FF1744'),
+};
+
+// Procedures get their own colour in this order (SID, STAR, then approaches)
+// so ones sharing a runway can be told apart
+const PROCEDURE_COLORS = [
+  '#2979FF', '#00C853', '#FF6D00', '#D500F9', '#00B8D4', '#FFD600',
+  '#FF1744', '#76FF03', '#F50057', '#1DE9B6', '#FF9100', '#651FFF',
+];
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const OLS_COLORS = {
+  approach: Cesium.Color.fromCssColorString('#00BCD4'),
+  transitional: Cesium.Color.fromCssColorString('#FFC107'),
+  innerHorizontal: Cesium.Color.fromCssColorString('#9C27B0'),
+  conical: Cesium.Color.fromCssColorString('#3F51B5'),
+  takeoff: Cesium.Color.fromCssColorString('#8BC34A'),
 };
 
 const OBSTACLE_COLORS = {
@@ -29,58 +135,482 @@ const OBSTACLE_COLORS = {
   ETC: COLORS.obstacle_etc,
 };
 
+const DEFAULT_LAYERS = {
+  waypoints: true,
+  obstacles: true,
+  airspace: true,
+  navaids: true,
+  ols: false,
+  SID: false,
+  STAR: false,
+  APPROACH: true,
+};
+
+const DEFAULT_OBSTACLE_TYPES = {
+  Building: true,
+  Tower: true,
+  Natural: true,
+  Tree: true,
+  Navaid: true,
+  ETC: true,
+};
+
+const DEFAULT_EXPANDED = {
+  waypoints: true,
+  obstacles: true,
+  procedures: true,
+  quality: false,
+  ols: false,
+  conformance: false,
+  measure: false,
+  bookmarks: false,
+  export: false,
+  overlays: false,
+  flythrough: false,
+  profile: false,
+  protection: false,
+  coverage: false,
+  traffic: false,
+};
+
+// Feed updates are merged into the traffic this often, ms
+const TRAFFIC_FLUSH_MS = 1000;
+
+// Picks in the 3D view within this distance of the profiled path (or the
+// obstacle buffer, if wider) are marked on the profile
+const PROFILE_PICK_RANGE_NM = 1;
+
+// Flags from a link or bookmark, or the defaults when it has none
+const flagsFrom = (defaults, enabled) => (enabled ? toFlags(defaults, enabled) : defaults);
+
+// Camera position and orientation in degrees, as kept in links
+function cameraState(camera) {
+  const carto = camera.positionCartographic;
+  return {
+    lon: Cesium.Math.toDegrees(carto.longitude),
+    lat: Cesium.Math.toDegrees(carto.latitude),
+    height: carto.height,
+    heading: Cesium.Math.toDegrees(camera.heading),
+    pitch: Cesium.Math.toDegrees(camera.pitch),
+    roll: Cesium.Math.toDegrees(camera.roll),
+  };
+}
+
+function setCameraState(viewer, state) {
+  viewer.camera.setView({
+    destination: Cesium.Cartesian3.fromDegrees(state.lon, state.lat, state.height),
+    orientation: {
+      heading: Cesium.Math.toRadians(state.heading),
+      pitch: Cesium.Math.toRadians(state.pitch),
+      roll: Cesium.Math.toRadians(state.roll),
+    },
+  });
+}
+
+// Oblique view from above the aerodrome reference point
+function flyToAirportView(viewer, airport, height, duration) {
+  viewer.camera.flyTo({
+    destination: Cesium.Cartesian3.fromDegrees(airport.lon, airport.lat, height),
+    orientation: {
+      heading: Cesium.Math.toRadians(0),
+      pitch: Cesium.Math.toRadians(-45),
+      roll: 0,
+    },
+    duration,
+  });
+}
+
 function App() {
   const cesiumContainer = useRef(null);
   const viewerRef = useRef(null);
+  const [catalogue, setCatalogue] = useState([]);
+  const [airportIcao, setAirportIcao] = useState(airportFromUrl);
   const [data, setData] = useState(null);
+  const [qualityReport, setQualityReport] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [airportError, setAirportError] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [layers, setLayers] = useState({
-    waypoints: true,
-    obstacles: true,
-    airspace: true,
-    SID: false,
-    STAR: false,
-    APPROACH: true,
-  });
+  // View shared through the URL hash (see data/viewState.js). Parts that need
+  // the data or the viewer (camera, sources, selection) stay pending in
+  // pendingViewRef until they can be applied.
+  const [initialView] = useState(viewStateFromUrl);
+  const pendingViewRef = useRef(initialView);
+  const [layers, setLayers] = useState(() => flagsFrom(DEFAULT_LAYERS, initialView.layers));
   const [waypointSources, setWaypointSources] = useState({});
-  const [obstacleTypes, setObstacleTypes] = useState({
-    Building: true,
-    Tower: true,
-    Natural: true,
-    Tree: true,
-    Navaid: true,
-    ETC: true,
+  const [obstacleTypes, setObstacleTypes] = useState(() =>
+    flagsFrom(DEFAULT_OBSTACLE_TYPES, initialView.obstacleTypes)
+  );
+  const [searchTerm, setSearchTerm] = useState(initialView.search || '');
+  const [expandedCategories, setExpandedCategories] = useState(() =>
+    flagsFrom(DEFAULT_EXPANDED, initialView.expanded)
+  );
+  const [cameraView, setCameraView] = useState(initialView.camera || null);
+  const [bookmarks, setBookmarks] = useState(loadBookmarks);
+  const [bookmarkStatus, setBookmarkStatus] = useState(null);
+  const [exportStatus, setExportStatus] = useState(null);
+  const [importStatus, setImportStatus] = useState(null);
+  const [tracks, setTracks] = useState([]);
+  const [trackStatus, setTrackStatus] = useState(null);
+  const [overlays, setOverlays] = useState([]);
+  const [overlayStatus, setOverlayStatus] = useState(null);
+  const [dropActive, setDropActive] = useState(false);
+  const [clockTime, setClockTime] = useState(null);
+  const [terrainProvider, setTerrainProvider] = useState(null);
+  const [basemap, setBasemap] = useState(null);
+  const [obstacleGround, setObstacleGround] = useState({});
+  const [waypointGround, setWaypointGround] = useState({});
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [selectedFeature, setSelectedFeature] = useState(null);
+  const [inspectorUnits, setInspectorUnits] = useState({ height: 'm', coords: 'DD' });
+  const [measure, setMeasure] = useState({
+    mode: null,
+    points: [],
+    probe: null,
+    bufferNm: 1,
+    message: null,
   });
-  const [searchTerm, setSearchTerm] = useState('');
-  const [expandedCategories, setExpandedCategories] = useState({
-    waypoints: true,
-    obstacles: true,
-    procedures: true,
+  const [flythrough, setFlythrough] = useState({
+    procedureKey: null,
+    // Route flown in each phase with a choice, by phase
+    transitions: {},
+    view: 'chase',
+    speedKt: 160,
+    playing: false,
+  });
+  const [flightState, setFlightState] = useState(null);
+  // Vertical profile of a procedure (its key) or of a route drawn in the 3D
+  // view ('route'), with the terrain sampled under it, the position under
+  // the mouse on the chart and the position last picked in 3D
+  const [profile, setProfile] = useState({
+    source: null,
+    bufferNm: 1,
+    route: [],
+    drawing: false,
+    routeAltFt: 3000,
+  });
+  const [profileTerrain, setProfileTerrain] = useState(null);
+  const [profileCursor, setProfileCursor] = useState(null);
+  const [profilePick, setProfilePick] = useState(null);
+  // Per-procedure colour overrides, hidden procedures and hidden transitions,
+  // all keyed `${procType}:${index}`
+  const [procedureColors, setProcedureColors] = useState({});
+  const [hiddenProcedures, setHiddenProcedures] = useState({});
+  const [hiddenTransitions, setHiddenTransitions] = useState({});
+  const [legTable, setLegTable] = useState({ procedureKey: null, row: null });
+  // Approach whose protection areas are drawn and assessed
+  const [protectionKey, setProtectionKey] = useState(null);
+  // Navaid whose line-of-sight coverage is analysed, over an altitude grid
+  const [coverage, setCoverage] = useState({ navaidId: null, ...DEFAULT_COVERAGE_GRID, show: 'shadow' });
+  const [coverageResult, setCoverageResult] = useState(null);
+  const [coverageStatus, setCoverageStatus] = useState(null);
+  // Live traffic feed, whether it is switched on, and the aircraft heard
+  const [trafficFeed, setTrafficFeed] = useState(loadTrafficFeed);
+  const [trafficActive, setTrafficActive] = useState(false);
+  const [trafficStatus, setTrafficStatus] = useState({ connected: false, error: null });
+  const [traffic, setTraffic] = useState({});
+  const [conformance, setConformance] = useState({
+    trackId: null,
+    procedureKey: null,
+    ...DEFAULT_TOLERANCE,
+  });
+  const layerSourcesRef = useRef({});
+  const pointLayersRef = useRef({});
+  const obstacleSymbolsRef = useRef({});
+  const rawDataRef = useRef(null);
+  // Airport whose data is on screen; a failed switch falls back to it
+  const loadedIcaoRef = useRef(null);
+  const tracksSourceRef = useRef(null);
+  const conformanceSourceRef = useRef(null);
+  const protectionSourceRef = useRef(null);
+  const coverageSourceRef = useRef(null);
+  const trafficLayerRef = useRef(null);
+  // Airspace entities, in data.airspace order, for the traffic highlight
+  const airspaceEntitiesRef = useRef([]);
+  const profileSourceRef = useRef(null);
+  const measureSourceRef = useRef(null);
+  // One data source per user overlay, keyed by layer id, with the style its
+  // entities were built with
+  const overlaySourcesRef = useRef({});
+  const flythroughSourceRef = useRef(null);
+  // Distance flown along the flythrough path, advanced every frame
+  const flightProgressRef = useRef(0);
+  const flightStateRef = useRef(null);
+  // Entities drawn for each procedure, with the transition each belongs to
+  const procedureEntitiesRef = useRef({});
+  const legHighlightSourceRef = useRef(null);
+
+  const runways = useMemo(() => (data ? buildRunways(data.airport) : []), [data]);
+  const sourceSummary = useMemo(() => (data ? summariseSources(data.waypoints) : []), [data]);
+
+  // Obstacles with ground, height and top resolved against the terrain
+  const obstacles = useMemo(
+    () => (data ? data.obstacles.map((obs) => resolveObstacle(obs, obstacleGround[obs.id])) : []),
+    [data, obstacleGround]
+  );
+
+  const airspaceModels = useMemo(() => (data ? data.airspace.map(buildAirspaceModel) : []), [data]);
+
+  const trafficAircraft = useMemo(() => positionedAircraft(traffic), [traffic]);
+
+  // Which airspaces each aircraft is inside, and the aircraft inside each
+  // airspace (in data.airspace order), by barometric altitude. Ground-relative
+  // limits are taken from the aerodrome elevation.
+  const trafficOccupancy = useMemo(() => {
+    const byAircraft = {};
+    const byAirspace = airspaceModels.map((model) =>
+      trafficAircraft.filter((aircraft) => {
+        const altM = aircraft.onGround || aircraft.altFt === undefined ? data.airport.elevation : ftToM(aircraft.altFt);
+        if (!airspaceContains(model, aircraft.lon, aircraft.lat, altM, data.airport.elevation)) return false;
+        byAircraft[aircraft.hex] = [...(byAircraft[aircraft.hex] || []), model.name];
+        return true;
+      })
+    );
+    return { byAircraft, byAirspace };
+  }, [airspaceModels, trafficAircraft, data]);
+
+  const navaids = useMemo(
+    () => (data ? buildNavaids(data.navaids, runways, data.airport.magnetic_variation) : []),
+    [data, runways]
+  );
+
+  // Obstacle limitation surfaces and the obstacles penetrating them
+  const olsList = useMemo(() => runways.map(buildOls), [runways]);
+  const penetrations = useMemo(
+    () => olsList.flatMap((ols) => findPenetrations(ols, obstacles)),
+    [olsList, obstacles]
+  );
+  const penetrationDepth = useMemo(() => {
+    const depths = {};
+    penetrations.forEach(({ obstacle, depth }) => {
+      depths[obstacle.id] = Math.max(depths[obstacle.id] || 0, depth);
+    });
+    return depths;
+  }, [penetrations]);
+
+  // Procedures selectable for conformance analysis, keyed by type and index
+  const procedureOptions = useMemo(() => {
+    if (!data) return [];
+    return ['SID', 'STAR', 'APPROACH'].flatMap((procType) =>
+      (data.procedures[procType] || []).map((proc, idx) => ({
+        key: `${procType}:${idx}`,
+        label: `${procType} ${proc.name}`,
+        procType,
+        proc,
+      }))
+    );
+  }, [data]);
+
+  const conformanceAnalysis = useMemo(() => {
+    const track = tracks.find((item) => item.id === conformance.trackId);
+    const option = procedureOptions.find((item) => item.key === conformance.procedureKey);
+    if (!track || !option) return null;
+    const routes = procedureRoutes(option.proc, option.procType, {
+      waypoints: data.waypoints,
+      runways,
+      airportElevation: data.airport.elevation,
+    });
+    return analyseConformance(track, routes, {
+      lateralNm: conformance.lateralNm,
+      verticalFt: conformance.verticalFt,
+    });
+  }, [tracks, procedureOptions, conformance, data, runways]);
+
+  // PANS-OPS protection areas of the selected approach, each segment with its
+  // obstacle assessment
+  const protection = useMemo(() => {
+    const option = procedureOptions.find((item) => item.key === protectionKey);
+    if (!option) return null;
+    const areas = approachSegments(option.proc, {
+      waypoints: data.waypoints,
+      runways,
+      airportElevation: data.airport.elevation,
+    })
+      .map(buildProtectionArea)
+      .filter(Boolean);
+    const reports = areas.map((area) => assessSegment(area, obstacles));
+    return { areas, reports, oca: approachOca(reports) };
+  }, [procedureOptions, protectionKey, data, runways, obstacles]);
+
+  // Routes of the flythrough procedure, one transition per phase flown
+  const flythroughRoutes = useMemo(() => {
+    const option = procedureOptions.find((item) => item.key === flythrough.procedureKey);
+    if (!option) return [];
+    return procedureRoutes(option.proc, option.procType, {
+      waypoints: data.waypoints,
+      runways,
+      airportElevation: data.airport.elevation,
+    });
+  }, [procedureOptions, flythrough.procedureKey, data, runways]);
+
+  // Path for the procedure flythrough, with its fixes and landing threshold
+  const flightPath = useMemo(() => {
+    const option = procedureOptions.find((item) => item.key === flythrough.procedureKey);
+    if (!option || !flythroughRoutes.length) return null;
+    const { proc, procType } = option;
+    const model = buildProcedureModel(proc, procType, data.waypoints, runways);
+    const routes = selectRoutes(flythroughRoutes, flythrough.transitions);
+    return buildFlightPath(routes.flatMap((route) => route.pieces.map((piece) => piece.points)), {
+      fixes: routes.flatMap((route) => route.fixes),
+      threshold: model.threshold,
+      glidepath: procType === 'APPROACH' ? { angle: model.glidepathAngle, tchFt: model.tchFt } : null,
+    });
+  }, [procedureOptions, flythrough.procedureKey, flythrough.transitions, flythroughRoutes, data, runways]);
+
+  // Path of the vertical profile, with its fixes and their constraints
+  const profilePath = useMemo(() => {
+    if (profile.source === 'route') {
+      const points = profile.route.map(({ lon, lat, altM }) => ({ lon, lat, altM: altM ?? ftToM(profile.routeAltFt) }));
+      return buildFlightPath([points], {
+        fixes: points.map(({ lon, lat }, idx) => ({ name: `P${idx + 1}`, lon, lat, constraint: null })),
+      });
+    }
+    const option = procedureOptions.find((item) => item.key === profile.source);
+    if (!option) return null;
+    const context = { waypoints: data.waypoints, runways, includeMissed: true };
+    const pieces = procedurePath(option.proc, option.procType, { ...context, airportElevation: data.airport.elevation });
+    return buildFlightPath(pieces, { fixes: procedureFixes(option.proc, option.procType, context) });
+  }, [procedureOptions, profile.source, profile.route, profile.routeAltFt, data, runways]);
+
+  const profileObstacles = useMemo(
+    () => (profilePath ? obstaclesAlong(profilePath, obstacles, nmToM(profile.bufferNm)) : []),
+    [profilePath, obstacles, profile.bufferNm]
+  );
+
+  const procedureTree = useMemo(
+    () => (data ? buildProcedureTree(data.procedures, data.waypoints, runways) : []),
+    [data, runways]
+  );
+
+  const procedureColor = (key) =>
+    procedureColors[key] ||
+    PROCEDURE_COLORS[Math.max(0, procedureOptions.findIndex((item) => item.key === key)) % PROCEDURE_COLORS.length];
+
+  const procedureStyle = (key) => ({
+    visible: !hiddenProcedures[key],
+    color: procedureColor(key),
+    hiddenTransitions: hiddenTransitions[key] || [],
   });
-  const entitiesRef = useRef({});
 
-  // Load data
+  const legTableOption = procedureOptions.find((item) => item.key === legTable.procedureKey);
+  const legTableNode = procedureTree
+    .flatMap((node) => node.runways.flatMap((group) => group.procedures))
+    .find((item) => item.key === legTable.procedureKey);
+  const legRows = useMemo(() => {
+    if (!legTableOption) return [];
+    return procedureLegRows(legTableOption.proc, legTableOption.procType, {
+      waypoints: data.waypoints,
+      runways,
+      airportElevation: data.airport.elevation,
+      variation: data.airport.magnetic_variation,
+    });
+  }, [legTableOption, data, runways]);
+
+  const measureResult = useMemo(() => {
+    if (measure.points.length < 2) return null;
+    return measureBetween(measure.points[0], measure.points[1], data.airport.magnetic_variation);
+  }, [measure.points, data]);
+
+  const clearance = useMemo(
+    () => (measure.probe ? clearanceAt(measure.probe, obstacles, nmToM(measure.bufferNm)) : null),
+    [measure.probe, measure.bufferNm, obstacles]
+  );
+
+  // Load the airport catalogue; fall back to its first airport when the URL
+  // names none (or one it does not list)
+  useEffect(() => {
+    loadCatalogue()
+      .then((entries) => {
+        setCatalogue(entries);
+        setAirportIcao((current) =>
+          entries.some((entry) => entry.icao === current) ? current : entries[0].icao
+        );
+      })
+      .catch((err) => {
+        console.error('Failed to load airport catalogue:', err);
+        setLoadError(err.message);
+        setLoading(false);
+      });
+  }, []);
+
+  // User overlays saved in earlier sessions
+  useEffect(() => {
+    loadOverlays()
+      .then((stored) => {
+        setOverlays((prev) => [...stored, ...prev.filter((layer) => !stored.some((item) => item.id === layer.id))]);
+      })
+      .catch((err) => console.warn('Failed to load user overlays:', err));
+  }, []);
+
+  // Camera from a link or bookmark if one is pending, else the airport view
+  const showInitialView = (viewer, airport) => {
+    const { camera } = pendingViewRef.current;
+    if (camera) {
+      pendingViewRef.current = { ...pendingViewRef.current, camera: undefined };
+      setCameraState(viewer, camera);
+      setCameraView(camera);
+    } else {
+      flyToAirportView(viewer, airport, 25000, 2);
+    }
+  };
+
+  // Load the selected airport's data
   useEffect(() => {
-    fetch('/aviation_data.json')
-      .then((res) => res.json())
-      .then((json) => {
+    const entry = catalogue.find((item) => item.icao === airportIcao);
+    if (!entry || entry.icao === loadedIcaoRef.current) return;
+
+    let cancelled = false;
+    loadAviationData(entry.file)
+      .then(({ raw, data: json, report }) => {
+        if (cancelled) return;
+        // Only an airport that loaded goes into the link
+        writeAirportToUrl(entry.icao);
+        loadedIcaoRef.current = entry.icao;
+        rawDataRef.current = raw;
         setData(json);
+        setQualityReport(report);
+        setImportStatus(null);
+        setAirportError(null);
+        setFlythrough((prev) => ({ ...prev, procedureKey: null, playing: false }));
+        setProcedureColors({});
+        setHiddenProcedures({});
+        setHiddenTransitions({});
+        setLegTable({ procedureKey: null, row: null });
+        setConformance((prev) => ({ ...prev, trackId: null, procedureKey: null }));
+        setProtectionKey(null);
+        setCoverage((prev) => ({ ...prev, navaidId: null }));
+        setProfile((prev) => ({ ...prev, source: null, route: [], drawing: false }));
+        if (viewerRef.current) showInitialView(viewerRef.current, json.airport);
 
-        // Initialize waypoint sources
+        // Initialize waypoint sources, less any a link switched off
+        const hidden = pendingViewRef.current.hiddenSources || [];
+        pendingViewRef.current = { ...pendingViewRef.current, hiddenSources: undefined };
         const sources = {};
         Object.values(json.waypoints).forEach((wp) => {
           wp.sources.forEach((src) => {
-            if (!sources[src]) sources[src] = true;
+            if (!(src in sources)) sources[src] = !hidden.includes(src);
           });
         });
         setWaypointSources(sources);
         setLoading(false);
       })
       .catch((err) => {
+        if (cancelled) return;
         console.error('Failed to load data:', err);
+        // Once an airport is on screen, a failed switch keeps it and reports
+        // the error next to the picker instead of replacing the whole viewer
+        if (loadedIcaoRef.current) {
+          setAirportError(`${entry.icao}: ${err.message}`);
+          // The picker and link go back to the airport still displayed
+          setAirportIcao(loadedIcaoRef.current);
+          return;
+        }
+        setLoadError(err.message);
         setLoading(false);
       });
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [catalogue, airportIcao]);
 
   // Initialize Cesium
   useEffect(() => {
@@ -88,8 +618,10 @@ function App() {
 
     const viewer = new Cesium.Viewer(cesiumContainer.current, {
       terrainProvider: new Cesium.EllipsoidTerrainProvider(),
-      animation: false,
-      timeline: false,
+      // Clock widgets are shown once flight tracks are loaded
+      animation: true,
+      timeline: true,
+      shouldAnimate: false,
       baseLayerPicker: false,
       geocoder: false,
       homeButton: false,
@@ -98,253 +630,1112 @@ function App() {
       fullscreenButton: false,
       selectionIndicator: true,
       infoBox: true,
-      imageryProvider: new Cesium.OpenStreetMapImageryProvider({
-        url: 'https://tile.openstreetmap.org/'
-      }),
+      // Base layers come from public/basemap.json (see render/basemap.js)
+      baseLayer: false,
     });
 
     viewer.scene.globe.enableLighting = false;
+    viewer.animation.container.style.display = 'none';
+    viewer.timeline.container.style.display = 'none';
 
-    // Set initial camera position to Ulsan Airport
-    viewer.camera.flyTo({
-      destination: Cesium.Cartesian3.fromDegrees(129.3518, 35.5934, 25000),
-      orientation: {
-        heading: Cesium.Math.toRadians(0),
-        pitch: Cesium.Math.toRadians(-45),
-        roll: 0,
-      },
-      duration: 2,
+    // One data source per layer so toggling a layer is a show flag
+    const layerSources = {};
+    ['runways', 'obstacles', 'airspace', 'navaids', 'ols', 'SID', 'STAR', 'APPROACH'].forEach((key) => {
+      layerSources[key] = new Cesium.CustomDataSource(key);
+      viewer.dataSources.add(layerSources[key]);
+    });
+    layerSourcesRef.current = layerSources;
+    pointLayersRef.current = {
+      waypoints: createPointLayer(viewer.scene),
+      obstacles: createPointLayer(viewer.scene),
+    };
+
+    // Flight tracks live in their own data source so layer re-renders keep them
+    const tracksSource = new Cesium.CustomDataSource('tracks');
+    viewer.dataSources.add(tracksSource);
+    tracksSourceRef.current = tracksSource;
+    const conformanceSource = new Cesium.CustomDataSource('conformance');
+    viewer.dataSources.add(conformanceSource);
+    conformanceSourceRef.current = conformanceSource;
+    const protectionSource = new Cesium.CustomDataSource('protection');
+    viewer.dataSources.add(protectionSource);
+    protectionSourceRef.current = protectionSource;
+    const coverageSource = new Cesium.CustomDataSource('coverage');
+    viewer.dataSources.add(coverageSource);
+    coverageSourceRef.current = coverageSource;
+    const trafficSource = new Cesium.CustomDataSource('traffic');
+    viewer.dataSources.add(trafficSource);
+    trafficLayerRef.current = createTrafficLayer(trafficSource.entities);
+    const profileSource = new Cesium.CustomDataSource('profile');
+    viewer.dataSources.add(profileSource);
+    profileSourceRef.current = profileSource;
+    const measureSource = new Cesium.CustomDataSource('measure');
+    viewer.dataSources.add(measureSource);
+    measureSourceRef.current = measureSource;
+    const flythroughSource = new Cesium.CustomDataSource('flythrough');
+    viewer.dataSources.add(flythroughSource);
+    flythroughSourceRef.current = flythroughSource;
+    const legHighlightSource = new Cesium.CustomDataSource('legHighlight');
+    viewer.dataSources.add(legHighlightSource);
+    legHighlightSourceRef.current = legHighlightSource;
+
+    // Tagged entities open the inspector panel; the rest (runways, surfaces,
+    // tracks) keep Cesium's info box
+    viewer.selectedEntityChanged.addEventListener((entity) => {
+      const feature = featureOf(entity);
+      viewer.infoBox.container.style.display = feature ? 'none' : '';
+      setSelectedFeature(feature || null);
+    });
+
+    // Mirror the clock into React a few times a second for the track readouts
+    let lastClockUpdate = 0;
+    viewer.clock.onTick.addEventListener((clock) => {
+      const now = Date.now();
+      if (now - lastClockUpdate < 250) return;
+      lastClockUpdate = now;
+      setClockTime(Cesium.JulianDate.toDate(clock.currentTime).getTime());
     });
 
+    // Set initial camera position to the selected airport
+    if (data) showInitialView(viewer, data.airport);
+
+    // Keep the camera in the shared view once it settles
+    viewer.camera.moveEnd.addEventListener(() => setCameraView(cameraState(viewer.camera)));
+
     viewerRef.current = viewer;
 
+    // Resolve terrain and imagery through their configured fallbacks
+    let disposed = false;
+    loadBasemapConfig().then(async (config) => {
+      const terrain = await resolveTerrain(config.terrain);
+      if (disposed) return;
+      viewer.terrainProvider = terrain.provider;
+      setTerrainProvider(terrain.provider);
+      const imagery = await resolveImagery(config.imagery, data ? data.airport : { lon: 0, lat: 0 });
+      if (disposed) return;
+      if (imagery.provider) viewer.imageryLayers.addImageryProvider(imagery.provider, 0);
+      setBasemap({
+        terrain: sourceLabel(terrain.source),
+        imagery: imagery.source ? sourceLabel(imagery.source) : '영상 없음',
+        skipped: [...terrain.skipped, ...imagery.skipped],
+      });
+    });
+
     return () => {
+      disposed = true;
       if (viewerRef.current) {
+        Object.values(pointLayersRef.current).forEach((layer) => layer.destroy());
         viewerRef.current.destroy();
         viewerRef.current = null;
+        layerSourcesRef.current = {};
+        pointLayersRef.current = {};
+        tracksSourceRef.current = null;
+        conformanceSourceRef.current = null;
+        protectionSourceRef.current = null;
+        coverageSourceRef.current = null;
+        trafficLayerRef.current = null;
+        airspaceEntitiesRef.current = [];
+        profileSourceRef.current = null;
+        measureSourceRef.current = null;
+        overlaySourcesRef.current = {};
+        flythroughSourceRef.current = null;
+        legHighlightSourceRef.current = null;
+        procedureEntitiesRef.current = {};
       }
     };
-  }, []);
+  }, [loading]);
 
-  // Render entities when data or layers change
+  // Terrain height under each obstacle, for heights it does not publish,
+  // and under each waypoint without a published altitude
   useEffect(() => {
-    if (!viewerRef.current || !data) return;
+    if (!terrainProvider || !data) return;
+    let cancelled = false;
+    const waypointEntries = Object.entries(data.waypoints).filter(([, wp]) => wp.altitude == null);
+    sampleHeights(terrainProvider, [...data.obstacles, ...waypointEntries.map(([, wp]) => wp)])
+      .then((heights) => {
+        if (cancelled) return;
+        const obstacleHeights = {};
+        data.obstacles.forEach((obs, idx) => {
+          obstacleHeights[obs.id] = heights[idx];
+        });
+        const waypointHeights = {};
+        waypointEntries.forEach(([name], idx) => {
+          waypointHeights[name] = heights[data.obstacles.length + idx];
+        });
+        setObstacleGround(obstacleHeights);
+        setWaypointGround(waypointHeights);
+      })
+      .catch((err) => console.warn(`지형 고도 샘플링 실패: ${err.message}`));
+    return () => {
+      cancelled = true;
+    };
+  }, [terrainProvider, data]);
 
-    const viewer = viewerRef.current;
+  // Debounce the search box so filtering does not run on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim().toLowerCase()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-    // Clear existing entities
-    viewer.entities.removeAll();
-    entitiesRef.current = {
-      waypoints: [],
-      obstacles: [],
-      airspace: [],
-      procedures: [],
-    };
+  // Each layer is built into its own data source (or point layer) only when
+  // its data changes; toggles and filters below just flip show flags.
+  useEffect(() => {
+    const source = layerSourcesRef.current.runways;
+    if (!source) return;
+    source.entities.removeAll();
+    runways.forEach((runway) => addRunwayEntities(source.entities, runway));
+  }, [runways, loading]);
 
-    // Add runway
-    addRunway(viewer);
+  useEffect(() => {
+    const layer = pointLayersRef.current.waypoints;
+    if (!layer || !data) return;
+    layer.setItems(Object.entries(data.waypoints).map(([name, wp]) => {
+      // Waypoints without a published altitude float above the terrain
+      const altitude = wp.altitude ?? (waypointGround[name] ?? 0) + 100;
+      const position = Cesium.Cartesian3.fromDegrees(wp.lon, wp.lat, altitude);
+      return {
+        id: tagFeature(new Cesium.Entity({
+          name,
+          position,
+        }), { kind: 'waypoint', name, wp }),
+        waypoint: { name, wp },
+        position,
+        color: COLORS.waypoint,
+        pixelSize: 8,
+        text: name,
+        font: '12px sans-serif',
+        labelOffset: new Cesium.Cartesian2(0, -12),
+        labelDistance: new Cesium.DistanceDisplayCondition(0, 50000),
+      };
+    }));
+  }, [data, waypointGround, loading]);
 
-    // Add waypoints
-    if (layers.waypoints) {
-      Object.entries(data.waypoints).forEach(([name, wp]) => {
-        // Filter by search term
-        if (searchTerm && !name.toLowerCase().includes(searchTerm.toLowerCase())) {
-          return;
-        }
+  useEffect(() => {
+    const source = layerSourcesRef.current.obstacles;
+    const layer = pointLayersRef.current.obstacles;
+    if (!source || !layer) return;
+    source.entities.removeAll();
+    const symbols = {};
+    layer.setItems(obstacles.map((obs) => {
+      const depth = penetrationDepth[obs.id];
+      const color = depth ? COLORS.penetration : OBSTACLE_COLORS[obs.type] || COLORS.obstacle_etc;
+      const added = addObstacleEntities(source.entities, obs, {
+        color,
+        depth,
+        hits: penetrations.filter((p) => p.obstacle === obs),
+      });
+      symbols[obs.id] = added;
+      return { ...obstaclePoint(obs, added[0], { color, depth }), obstacle: obs };
+    }));
+    obstacleSymbolsRef.current = symbols;
+  }, [obstacles, penetrations, penetrationDepth, loading]);
 
-        // Filter by selected sources
-        const hasActiveSource = wp.sources.some((src) => waypointSources[src]);
-        if (!hasActiveSource) return;
-
-        const altitude = wp.altitude || 100;
-        const entity = viewer.entities.add({
-          name: name,
-          position: Cesium.Cartesian3.fromDegrees(wp.lon, wp.lat, altitude),
-          point: {
-            pixelSize: 8,
-            color: COLORS.waypoint,
-            outlineColor: Cesium.Color.BLACK,
-            outlineWidth: 1,
-          },
-          label: {
-            text: name,
-            font: '12px sans-serif',
-            fillColor: Cesium.Color.WHITE,
-            outlineColor: Cesium.Color.BLACK,
-            outlineWidth: 2,
-            style: Cesium.LabelStyle.FILL_AND_OUTLINE,
-            verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
-            pixelOffset: new Cesium.Cartesian2(0, -12),
-            distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 50000),
+  useEffect(() => {
+    const source = layerSourcesRef.current.airspace;
+    if (!source || !data) return;
+    source.entities.removeAll();
+    airspaceEntitiesRef.current = airspaceModels.map((model) => addAirspaceEntity(source.entities, model));
+  }, [airspaceModels, loading]);
+
+  useEffect(() => {
+    const source = layerSourcesRef.current.navaids;
+    if (!source || !data) return;
+    source.entities.removeAll();
+    navaids.forEach((navaid) => addNavaidEntities(source.entities, navaid, data.airport.elevation));
+  }, [navaids, data, loading]);
+
+  useEffect(() => {
+    const source = layerSourcesRef.current.ols;
+    if (!source) return;
+    source.entities.removeAll();
+    olsList.flatMap((ols) => ols.surfaces).forEach((surface) => {
+      const color = OLS_COLORS[surface.key];
+      const toPositions = (points) =>
+        points.map(([lon, lat, height]) => Cesium.Cartesian3.fromDegrees(lon, lat, height));
+      surface.polygons.forEach((polygon) => {
+        source.entities.add({
+          name: `${OLS_SURFACES[surface.key]} ${surface.runway}`,
+          polygon: {
+            hierarchy: new Cesium.PolygonHierarchy(
+              toPositions(polygon.positions),
+              (polygon.holes || []).map((hole) => new Cesium.PolygonHierarchy(toPositions(hole)))
+            ),
+            perPositionHeight: true,
+            material: color.withAlpha(0.2),
+            outline: true,
+            outlineColor: color,
           },
           description: `
-            <h3>${name}</h3>
-            <p><strong>위치:</strong> ${wp.lat.toFixed(6)}, ${wp.lon.toFixed(6)}</p>
-            <p><strong>고도:</strong> ${altitude}m</p>
-            <p><strong>출처:</strong> ${wp.sources.join(', ')}</p>
+            <h3>${OLS_SURFACES[surface.key]}</h3>
+            <p><strong>활주로:</strong> ${surface.runway}</p>
+            <p><strong>침투 장애물:</strong> ${penetrations.filter((p) => p.key === surface.key && p.runway === surface.runway).length}개</p>
           `,
         });
-        entitiesRef.current.waypoints.push(entity);
       });
+    });
+  }, [olsList, penetrations, loading]);
+
+  useEffect(() => {
+    const sources = layerSourcesRef.current;
+    if (!sources.SID || !data) return;
+
+    const procedureEntities = {};
+    ['SID', 'STAR', 'APPROACH'].forEach((procType) => {
+      const source = sources[procType];
+      source.entities.removeAll();
+      if (!data.procedures[procType]) return;
+
+      data.procedures[procType].forEach((proc, procIdx) => {
+        const procKey = `${procType}:${procIdx}`;
+        const color = Cesium.Color.fromCssColorString(procedureColor(procKey));
+        const firstEntity = source.entities.values.length;
+
+        const model = buildProcedureModel(proc, procType, data.waypoints, runways);
+
+        if (model.fixes.length >= 2) {
+          const { fixes, path, finalSegment } = buildVerticalPath(model, {
+            airportElevation: data.airport.elevation,
+          });
+          const toPositions = (points) =>
+            points.map((p) => Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.altM));
+
+          const procedureFeature = {
+            kind: 'procedure',
+            procType,
+            proc,
+            model,
+            points: path.map((p) => [p.lon, p.lat]),
+            profile: path,
+          };
+          tagFeature(source.entities.add({
+            name: proc.name,
+            polyline: {
+              positions: toPositions(path),
+              width: 4,
+              material: new Cesium.PolylineGlowMaterialProperty({
+                glowPower: 0.3,
+                color: color,
+              }),
+            },
+          }), procedureFeature);
+
+          // Computed final approach segment down to the threshold
+          if (finalSegment.length >= 2) {
+            tagFeature(source.entities.add({
+              name: `${proc.name} - 최종접근`,
+              polyline: {
+                positions: toPositions(finalSegment),
+                width: 3,
+                material: new Cesium.PolylineDashMaterialProperty({
+                  color: color,
+                  dashLength: 16,
+                }),
+              },
+            }), { ...procedureFeature, profile: finalSegment });
+          }
+
+          // Fixes with their altitude constraints
+          fixes.filter((fix) => fix.name).forEach((fix) => {
+            const constraint = formatConstraint(fix.constraint);
+            tagFeature(source.entities.add({
+              name: `${proc.name} - ${fix.name}`,
+              position: Cesium.Cartesian3.fromDegrees(fix.lon, fix.lat, fix.altitudeM),
+              point: {
+                pixelSize: 7,
+                color: color,
+                outlineColor: Cesium.Color.WHITE,
+                outlineWidth: 1,
+              },
+              label: {
+                text: constraint ? `${fix.name}\n${constraint}` : fix.name,
+                font: '11px sans-serif',
+                fillColor: Cesium.Color.WHITE,
+                outlineColor: Cesium.Color.BLACK,
+                outlineWidth: 2,
+                style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                pixelOffset: new Cesium.Cartesian2(0, -10),
+                distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 60000),
+              },
+            }), {
+              kind: 'fix',
+              name: fix.name,
+              lon: fix.lon,
+              lat: fix.lat,
+              altM: fix.altitudeM,
+              constraint,
+              role: fix.role,
+              procName: proc.name,
+            });
+          });
+        }
+
+        // Add legs if available
+        if (proc.legs) {
+          proc.legs.forEach((leg, idx) => {
+            const legName = `${proc.name}${leg.transition ? ` (${leg.transition})` : ''} - Leg ${leg.seq || idx + 1}`;
+            const constraint = formatConstraint(normalizeConstraint(leg.altitude));
+
+            // Fix marker at the leg's termination
+            if (leg.fix && Number.isFinite(leg.fix_lon) && leg.path_terminator !== 'IF') {
+              // Chart symbol: fly-over fixes are circled, fly-by fixes are a bare star
+              const icon = leg.fly_over ? flyOverIcon(color.toCssColorString()) : flyByIcon(color.toCssColorString());
+              tagFeature(source.entities.add({
+                name: `${proc.name} - ${leg.fix}`,
+                position: Cesium.Cartesian3.fromDegrees(leg.fix_lon, leg.fix_lat, leg.end_alt ?? 0),
+                billboard: {
+                  image: icon,
+                  verticalOrigin: Cesium.VerticalOrigin.CENTER,
+                  disableDepthTestDistance: Number.POSITIVE_INFINITY,
+                },
+                label: {
+                  text: constraint ? `${leg.fix}\n${constraint}` : leg.fix,
+                  font: '11px sans-serif',
+                  fillColor: Cesium.Color.WHITE,
+                  outlineColor: Cesium.Color.BLACK,
+                  outlineWidth: 2,
+                  style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+                  verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                  pixelOffset: new Cesium.Cartesian2(0, -10),
+                  distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 60000),
+                },
+              }), {
+                kind: 'fix',
+                name: leg.fix,
+                lon: leg.fix_lon,
+                lat: leg.fix_lat,
+                altM: leg.end_alt,
+                constraint,
+                role: leg.roles && leg.roles.join(', '),
+                procName: proc.name,
+                flyOver: !!leg.fly_over,
+                legIndex: idx,
+              });
+            }
+
+            if (!leg.coordinates || leg.coordinates.length < 2) return;
+
+            const profile = legProfile(leg, data.airport.elevation);
+            const positions = profile.map(({ lon, lat, altM }) => Cesium.Cartesian3.fromDegrees(lon, lat, altM));
+
+            const legFeature = { kind: 'leg', procType, proc, leg, legName, points: leg.coordinates, profile };
+
+            // Short arrows along each turn show the direction it is flown
+            (leg.turns || []).forEach((turn) => {
+              let nearest = 0;
+              leg.coordinates.forEach((coord, i) => {
+                const best = leg.coordinates[nearest];
+                if (distanceM(coord[0], coord[1], turn.position[0], turn.position[1]) <
+                    distanceM(best[0], best[1], turn.position[0], turn.position[1])) {
+                  nearest = i;
+                }
+              });
+              const arrowPositions = positions.slice(Math.max(0, nearest - 2), nearest + 3);
+              if (arrowPositions.length < 2) return;
+              tagFeature(source.entities.add({
+                name: `${legName} - ${turn.direction === 'L' ? '좌선회' : '우선회'}`,
+                polyline: {
+                  positions: arrowPositions,
+                  width: 14,
+                  material: new Cesium.PolylineArrowMaterialProperty(color.brighten(0.3, new Cesium.Color())),
+                },
+              }), legFeature);
+            });
+
+            tagFeature(source.entities.add({
+              name: legName,
+              polyline: {
+                positions: positions,
+                width: 3,
+                material: leg.missed
+                  ? new Cesium.PolylineDashMaterialProperty({ color: color, dashLength: 12 })
+                  : color,
+              },
+            }), legFeature);
+          });
+        }
+
+        // Everything just drawn for this procedure, by transition, for the
+        // procedure and transition toggles
+        const transitions = proc.legs ? legTransitions(proc) : [];
+        procedureEntities[procKey] = source.entities.values.slice(firstEntity).map((entity) => {
+          const feature = featureOf(entity);
+          const legIndex = feature ? feature.legIndex ?? (feature.leg ? proc.legs.indexOf(feature.leg) : -1) : -1;
+          return { entity, transition: legIndex >= 0 ? transitions[legIndex] : null };
+        });
+      });
+    });
+    procedureEntitiesRef.current = procedureEntities;
+
+  }, [data, runways, procedureColors, loading]);
+
+  // Individual procedure and transition toggles, within the type layers
+  useEffect(() => {
+    Object.entries(procedureEntitiesRef.current).forEach(([key, entries]) => {
+      const hidden = hiddenTransitions[key] || [];
+      entries.forEach(({ entity, transition }) => {
+        entity.show = !hiddenProcedures[key] && !(transition !== null && hidden.includes(transition));
+      });
+    });
+  }, [hiddenProcedures, hiddenTransitions, data, runways, procedureColors, loading]);
+
+  // Leg picked in the table, drawn over the procedure
+  useEffect(() => {
+    const source = legHighlightSourceRef.current;
+    if (!source) return;
+    source.entities.removeAll();
+    const row = legRows[legTable.row];
+    if (!row || !row.profile.length) return;
+    const positions = row.profile.map(({ lon, lat, altM }) => Cesium.Cartesian3.fromDegrees(lon, lat, altM));
+    if (positions.length >= 2) {
+      source.entities.add({
+        polyline: {
+          positions,
+          width: 10,
+          material: new Cesium.PolylineGlowMaterialProperty({ glowPower: 0.25, color: Cesium.Color.YELLOW }),
+        },
+      });
+    }
+    source.entities.add({
+      position: positions[positions.length - 1],
+      point: {
+        pixelSize: 12,
+        color: Cesium.Color.YELLOW,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+  }, [legRows, legTable.row, loading]);
+
+  // A procedure, leg or fix picked in the 3D view opens its leg table at
+  // the matching row
+  useEffect(() => {
+    if (!selectedFeature || !['procedure', 'leg', 'fix'].includes(selectedFeature.kind)) return;
+    const option = selectedFeature.kind === 'fix'
+      ? procedureOptions.find((item) => item.proc.name === selectedFeature.procName)
+      : procedureOptions.find((item) => item.proc === selectedFeature.proc);
+    if (!option) return;
+    const rows = option.key === legTable.procedureKey ? legRows : procedureLegRows(option.proc, option.procType, {
+      waypoints: data.waypoints,
+      runways,
+      airportElevation: data.airport.elevation,
+      variation: data.airport.magnetic_variation,
+    });
+    let row = null;
+    if (selectedFeature.kind === 'leg') {
+      row = rows.findIndex((item) => item.legIndex === option.proc.legs.indexOf(selectedFeature.leg));
+    } else if (selectedFeature.legIndex !== undefined) {
+      row = rows.findIndex((item) => item.legIndex === selectedFeature.legIndex);
+    } else if (selectedFeature.kind === 'fix') {
+      // A fix the procedure passes more than once keeps the row already picked
+      const current = option.key === legTable.procedureKey ? rows[legTable.row] : null;
+      row = current && current.fix === selectedFeature.name
+        ? legTable.row
+        : rows.findIndex((item) => item.fix === selectedFeature.name);
+    }
+    setLegTable({ procedureKey: option.key, row: row !== null && row >= 0 ? row : null });
+    setExpandedCategories((prev) => (prev.procedures ? prev : { ...prev, procedures: true }));
+  }, [selectedFeature]);
+
+  // Restore the selection from a link or bookmark once the layers are built
+  useEffect(() => {
+    const { selected } = pendingViewRef.current;
+    if (!selected || !viewerRef.current || !data) return;
+    pendingViewRef.current = { ...pendingViewRef.current, selected: undefined };
+    selectByKey(selected);
+  }, [data, loading]);
+
+  // Mirror the view into the URL hash
+  useEffect(() => {
+    if (loading) return;
+    writeViewStateToUrl(currentView());
+  }, [layers, obstacleTypes, waypointSources, debouncedSearch, expandedCategories, selectedFeature, cameraView, loading]);
+
+  // Layer toggles
+  useEffect(() => {
+    const sources = layerSourcesRef.current;
+    if (!sources.runways) return;
+    ['airspace', 'navaids', 'ols', 'SID', 'STAR', 'APPROACH'].forEach((key) => {
+      sources[key].show = layers[key];
+    });
+    sources.obstacles.show = layers.obstacles;
+    pointLayersRef.current.obstacles.setVisible(layers.obstacles);
+    pointLayersRef.current.waypoints.setVisible(layers.waypoints);
+  }, [layers, loading]);
+
+  // Source, type and search filters, shared by the layers and the export
+  const waypointShown = (name, wp) =>
+    wp.sources.some((src) => waypointSources[src]) &&
+    (!debouncedSearch || name.toLowerCase().includes(debouncedSearch));
+  const obstacleShown = (obs) =>
+    obstacleTypes[obs.type] && (!debouncedSearch || obs.id.toLowerCase().includes(debouncedSearch));
+
+  // Waypoint source and search filters
+  useEffect(() => {
+    const layer = pointLayersRef.current.waypoints;
+    if (!layer) return;
+    layer.setFilter(({ waypoint: { name, wp } }) => waypointShown(name, wp));
+  }, [waypointSources, debouncedSearch, loading]);
+
+  // Obstacle type and search filters
+  useEffect(() => {
+    const layer = pointLayersRef.current.obstacles;
+    if (!layer) return;
+    layer.setFilter(({ obstacle }) => obstacleShown(obstacle));
+    obstacles.forEach((obs) => {
+      (obstacleSymbolsRef.current[obs.id] || []).forEach((entity) => {
+        entity.show = obstacleShown(obs);
+      });
+    });
+  }, [obstacles, obstacleTypes, debouncedSearch, loading]);
+
+  // Render flight tracks and show the clock widgets while any are loaded
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    const source = tracksSourceRef.current;
+    if (!viewer || !source) return;
+
+    source.entities.removeAll();
+    tracks
+      .filter((track) => track.visible)
+      .forEach((track) => addTrackEntity(source.entities, track, track.color));
+
+    const display = tracks.length ? '' : 'none';
+    viewer.animation.container.style.display = display;
+    viewer.timeline.container.style.display = display;
+    if (tracks.length) viewer.timeline.resize();
+  }, [tracks, loading]);
+
+  // User overlays: entities are rebuilt only when a layer's style changes,
+  // toggling one is a show flag
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    const sources = overlaySourcesRef.current;
+    Object.keys(sources).forEach((id) => {
+      if (overlays.some((layer) => layer.id === id)) return;
+      viewer.dataSources.remove(sources[id].source, true);
+      delete sources[id];
+    });
+    overlays.forEach((layer) => {
+      if (!sources[layer.id]) {
+        const source = new Cesium.CustomDataSource(layer.id);
+        viewer.dataSources.add(source);
+        sources[layer.id] = { source, style: null };
+      }
+      const entry = sources[layer.id];
+      const style = `${layer.color}|${layer.opacity}|${layer.extrusionM}`;
+      if (entry.style !== style) {
+        entry.source.entities.removeAll();
+        addOverlayEntities(entry.source.entities, layer);
+        entry.style = style;
+      }
+      entry.source.show = layer.visible;
+    });
+  }, [overlays, loading]);
+
+  // Procedure flythrough: every frame advances the aircraft at the selected
+  // ground speed while playing and puts the camera on it. Mouse camera
+  // control is off until the flythrough ends.
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    const source = flythroughSourceRef.current;
+    if (!viewer || !source || !flightPath) return;
+    const { camera, scene } = viewer;
+    scene.screenSpaceCameraController.enableInputs = false;
+    viewer.trackedEntity = undefined;
+    const aircraft = addFlythroughAircraft(source.entities, () => flightStateRef.current);
+    aircraft.show = flythrough.view === 'chase';
+
+    const speedMs = nmToM(flythrough.speedKt) / 3600;
+    let last = performance.now();
+    let lastUpdate = 0;
+    let ended = false;
+    const advance = () => {
+      const now = performance.now();
+      const dt = Math.min(0.25, (now - last) / 1000);
+      last = now;
+      if (flythrough.playing && !ended) {
+        flightProgressRef.current = Math.min(flightPath.length, flightProgressRef.current + speedMs * dt);
+        if (flightProgressRef.current >= flightPath.length) {
+          ended = true;
+          setFlythrough((prev) => ({ ...prev, playing: false }));
+        }
+      }
+      const state = flightStateAt(flightPath, flightProgressRef.current);
+      flightStateRef.current = state;
+      setFlythroughCamera(camera, state, flythrough.view);
+      // The HUD and scrub bar follow a few times a second
+      if (now - lastUpdate > 200) {
+        lastUpdate = now;
+        setFlightState(state);
+      }
+    };
+    scene.preRender.addEventListener(advance);
+
+    return () => {
+      scene.preRender.removeEventListener(advance);
+      source.entities.remove(aircraft);
+      scene.screenSpaceCameraController.enableInputs = true;
+      releaseFlythroughCamera(camera);
+    };
+  }, [flightPath, flythrough.view, flythrough.playing, flythrough.speedKt, loading]);
+
+  // Colour-graded conformance track
+  useEffect(() => {
+    const source = conformanceSourceRef.current;
+    if (!source) return;
+    source.entities.removeAll();
+    if (conformanceAnalysis) {
+      const track = tracks.find((item) => item.id === conformance.trackId);
+      addConformanceEntities(source.entities, conformanceAnalysis, track.name);
+    }
+  }, [conformanceAnalysis, loading]);
+
+  // Protection areas and controlling obstacles of the selected approach
+  useEffect(() => {
+    const source = protectionSourceRef.current;
+    if (!source) return;
+    source.entities.removeAll();
+    if (protection) {
+      protection.areas.forEach((area, idx) => addProtectionEntities(source.entities, area, protection.reports[idx]));
+    }
+  }, [protection, loading]);
+
+  // Line-of-sight coverage of the chosen navaid: terrain is sampled along
+  // every ray and sight line first, then the grid and fixes are evaluated.
+  // The grid is read field by field so switching the drawn volumes does not
+  // recompute.
+  useEffect(() => {
+    setCoverageResult(null);
+    setCoverageStatus(null);
+    const navaid = navaids.find((item) => item.id === coverage.navaidId);
+    if (!navaid || !terrainProvider) return;
+    let cancelled = false;
+    const fixes = procedureFixTargets(procedureOptions, { waypoints: data.waypoints, runways });
+    const plan = coveragePlan(navaid, fixes);
+    const levels = altitudeLevels(coverage);
+    setCoverageStatus('계산 중…');
+    sampleHeights(terrainProvider, plan.points)
+      .then((heights) => {
+        if (cancelled) return;
+        setCoverageResult(analyseCoverage(navaid, plan, heights, obstacles, levels));
+        setCoverageStatus(levels.length ? null : '고도 범위를 확인하세요');
+      })
+      .catch((err) => {
+        if (!cancelled) setCoverageStatus(`지형 고도 샘플링 실패: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [navaids, coverage.navaidId, coverage.minFt, coverage.maxFt, coverage.stepFt, procedureOptions, obstacles, terrainProvider, data, runways]);
+
+  // Coverage or shadow volumes and the analysed fixes
+  useEffect(() => {
+    const source = coverageSourceRef.current;
+    if (!source) return;
+    source.entities.removeAll();
+    const navaid = navaids.find((item) => item.id === coverage.navaidId);
+    if (navaid && coverageResult) {
+      addCoverageEntities(source.entities, navaid, coverageResult, coverage.show, coverage.stepFt);
     }
+  }, [coverageResult, coverage.show, loading]);
+
+  // Read the live traffic feed while it is switched on. Updates arrive in
+  // bursts (one per SBS-1 line), so they are merged once a second; the same
+  // pass drops aircraft that have gone quiet.
+  useEffect(() => {
+    if (!trafficActive) return;
+    const pending = [];
+    const close = connectTrafficFeed(trafficFeed, {
+      onUpdates: (updates) => pending.push(...updates),
+      onStatus: setTrafficStatus,
+    });
+    const timer = setInterval(() => {
+      const updates = pending.splice(0);
+      setTraffic((prev) => (updates.length || Object.keys(prev).length ? mergeTraffic(prev, updates) : prev));
+    }, TRAFFIC_FLUSH_MS);
+    return () => {
+      close();
+      clearInterval(timer);
+      setTraffic({});
+      setTrafficStatus({ connected: false, error: null });
+    };
+  }, [trafficActive, trafficFeed]);
 
-    // Add obstacles
-    if (layers.obstacles) {
-      data.obstacles.forEach((obs) => {
-        if (!obstacleTypes[obs.type]) return;
+  useEffect(() => {
+    const layer = trafficLayerRef.current;
+    if (!layer || !data) return;
+    layer.setGround(data.airport.elevation);
+    layer.update(trafficAircraft, trafficOccupancy.byAircraft);
+  }, [trafficAircraft, trafficOccupancy, data, loading]);
+
+  // Airspaces with aircraft inside are highlighted
+  useEffect(() => {
+    airspaceEntitiesRef.current.forEach((entity, idx) => {
+      setAirspaceOccupied(entity, airspaceModels[idx], trafficOccupancy.byAirspace[idx].length > 0);
+    });
+  }, [airspaceModels, trafficOccupancy, loading]);
+
+  // Terrain under the profiled path
+  useEffect(() => {
+    setProfileCursor(null);
+    setProfilePick(null);
+    setProfileTerrain(null);
+    if (!profilePath || !terrainProvider) return;
+    const samples = profileSamples(profilePath);
+    let cancelled = false;
+    sampleHeights(terrainProvider, samples)
+      .then((heights) => {
+        if (!cancelled) setProfileTerrain(samples.map(({ s }, idx) => ({ s, heightM: heights[idx] })));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [profilePath, terrainProvider]);
 
-        if (searchTerm && !obs.id.toLowerCase().includes(searchTerm.toLowerCase())) {
+  // While drawing a profile route, clicks add route points instead of
+  // selecting entities; otherwise a pick near the profiled path is marked on
+  // the profile and selection carries on as usual
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer || !(profile.drawing || profilePath)) return;
+    if (profile.drawing) {
+      const handler = viewer.screenSpaceEventHandler;
+      const select = handler.getInputAction(Cesium.ScreenSpaceEventType.LEFT_CLICK);
+      handler.setInputAction((click) => {
+        const point = pickMeasurePoint(viewer, click.position);
+        if (!point) return;
+        // Points on a procedure keep its altitude; others fly the route altitude
+        const altM = point.kind === 'procedure' ? point.altM : null;
+        setProfile((prev) => ({ ...prev, route: [...prev.route, { lon: point.lon, lat: point.lat, altM }] }));
+      }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+      return () => handler.setInputAction(select, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+    }
+    const handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+    handler.setInputAction((click) => {
+      const point = pickMeasurePoint(viewer, click.position);
+      const along = point && alongPath(profilePath, point.lon, point.lat);
+      const rangeM = nmToM(Math.max(profile.bufferNm, PROFILE_PICK_RANGE_NM));
+      setProfilePick(along && along.lateralM <= rangeM ? { s: along.s, label: point.label } : null);
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+    return () => handler.destroy();
+  }, [profile.drawing, profilePath, profile.bufferNm, loading]);
+
+  // Drawn route and the 3D marker following the profile cursor
+  useEffect(() => {
+    const source = profileSourceRef.current;
+    if (!source) return;
+    source.entities.removeAll();
+    if (profile.source === 'route') {
+      addRouteEntities(
+        source.entities,
+        profile.route.map((p) => ({ ...p, altM: p.altM ?? ftToM(profile.routeAltFt) }))
+      );
+    }
+    if (profilePath && profileCursor !== null) {
+      const ground = profileTerrain
+        ? profileTerrain.reduce((best, t) => (Math.abs(t.s - profileCursor) < Math.abs(best.s - profileCursor) ? t : best))
+        : null;
+      addProfileCursor(source.entities, flightStateAt(profilePath, profileCursor), ground ? ground.heightM : 0);
+    }
+  }, [profile.source, profile.route, profile.routeAltFt, profilePath, profileCursor, profileTerrain, loading]);
+
+  // While a measuring tool is active, clicks pick measurement points instead
+  // of selecting entities
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer || !measure.mode) return;
+    const handler = viewer.screenSpaceEventHandler;
+    const select = handler.getInputAction(Cesium.ScreenSpaceEventType.LEFT_CLICK);
+    handler.setInputAction((click) => {
+      const point = pickMeasurePoint(viewer, click.position);
+      if (!point) return;
+      if (measure.mode === 'distance') {
+        setMeasure((prev) => ({
+          ...prev,
+          points: prev.points.length >= 2 ? [point] : [...prev.points, point],
+        }));
+      } else if (point.kind === 'procedure') {
+        setMeasure((prev) => ({ ...prev, probe: point, message: null }));
+      } else {
+        setMeasure((prev) => ({ ...prev, message: '절차 경로를 정확히 클릭하세요' }));
+      }
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+    return () => handler.setInputAction(select, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+  }, [measure.mode, loading]);
+
+  useEffect(() => {
+    const source = measureSourceRef.current;
+    if (!source) return;
+    source.entities.removeAll();
+    if (measure.mode === 'distance') addMeasureEntities(source.entities, measure.points, measureResult);
+    if (measure.mode === 'clearance' && measure.probe) addClearanceEntities(source.entities, measure.probe, clearance);
+  }, [measure, measureResult, clearance, loading]);
+
+  const importArincFile = (file) => {
+    if (!file || !data) return;
+    file.text()
+      .then((text) => {
+        const imported = importArinc424(text, {
+          airport: data.airport.icao,
+          airportElevationFt: mToFt(data.airport.elevation),
+        });
+        const procCount = Object.values(imported.procedures).reduce((sum, list) => sum + list.length, 0);
+        if (!procCount && !Object.keys(imported.waypoints).length) {
+          setImportStatus({ error: true, text: `${file.name}: ${data.airport.icao} 레코드를 찾지 못했습니다` });
           return;
         }
 
-        const color = OBSTACLE_COLORS[obs.type] || COLORS.obstacle_etc;
-        const entity = viewer.entities.add({
-          name: `장애물 #${obs.id}`,
-          position: Cesium.Cartesian3.fromDegrees(obs.lon, obs.lat, obs.elevation / 2),
-          cylinder: {
-            length: obs.elevation,
-            topRadius: 20,
-            bottomRadius: 30,
-            material: color.withAlpha(0.8),
-            outline: true,
-            outlineColor: color,
-          },
-          label: {
-            text: `#${obs.id}`,
-            font: '10px sans-serif',
-            fillColor: Cesium.Color.WHITE,
-            outlineColor: Cesium.Color.BLACK,
-            outlineWidth: 1,
-            style: Cesium.LabelStyle.FILL_AND_OUTLINE,
-            verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
-            pixelOffset: new Cesium.Cartesian2(0, -10),
-            distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 20000),
-          },
-          description: `
-            <h3>장애물 #${obs.id}</h3>
-            <p><strong>유형:</strong> ${obs.type}</p>
-            <p><strong>위치:</strong> ${obs.lat.toFixed(6)}, ${obs.lon.toFixed(6)}</p>
-            <p><strong>표고:</strong> ${obs.elevation}m</p>
-          `,
+        // Re-validate the merged dataset so imported records get the same checks
+        const merged = mergeImport(rawDataRef.current, imported);
+        const { data: validated, report } = validateDataset(merged);
+        rawDataRef.current = merged;
+        setData(validated);
+        setQualityReport(report);
+        setWaypointSources((prev) => {
+          const next = { ...prev };
+          Object.values(validated.waypoints).forEach((wp) => {
+            wp.sources.forEach((src) => {
+              if (next[src] === undefined) next[src] = true;
+            });
+          });
+          return next;
+        });
+        setLayers((prev) => ({
+          ...prev,
+          SID: prev.SID || imported.procedures.SID.length > 0,
+          STAR: prev.STAR || imported.procedures.STAR.length > 0,
+          APPROACH: prev.APPROACH || imported.procedures.APPROACH.length > 0,
+        }));
+        setImportStatus({
+          error: false,
+          text: `${file.name}: 절차 ${procCount}개, 웨이포인트 ${Object.keys(imported.waypoints).length}개`,
+          warnings: imported.warnings,
+        });
+      })
+      .catch((err) => {
+        console.error('ARINC 424 import failed:', err);
+        setImportStatus({ error: true, text: `${file.name}: ${err.message}` });
+      });
+  };
+
+  const importTrackFiles = (files) => {
+    if (!files.length) return;
+    Promise.all(files.map((file) => file.text().then((text) => ({ file, text }))))
+      .then((loaded) => {
+        const added = [];
+        const messages = [];
+        loaded.forEach(({ file, text }) => {
+          try {
+            const result = parseTrackFile(file.name, text);
+            added.push(...result.tracks);
+            messages.push(`${file.name} (${result.format}): 궤적 ${result.tracks.length}개`);
+            result.warnings.forEach((warning) => messages.push(`${file.name}: ${warning}`));
+          } catch (err) {
+            messages.push(`${file.name}: ${err.message}`);
+          }
         });
-        entitiesRef.current.obstacles.push(entity);
+
+        if (!added.length) {
+          setTrackStatus({ error: true, text: '재생할 수 있는 궤적이 없습니다', warnings: messages });
+          return;
+        }
+
+        const colored = added.map((track, idx) => ({
+          ...track,
+          color: TRACK_COLORS[(tracks.length + idx) % TRACK_COLORS.length],
+          visible: true,
+        }));
+        const allTracks = [...tracks, ...colored];
+        setTracks(allTracks);
+        setTrackStatus({ error: false, text: `궤적 ${added.length}개 추가`, warnings: messages });
+
+        // Replay the full recorded period
+        const viewer = viewerRef.current;
+        const range = trackTimeRange(allTracks);
+        if (viewer && range) {
+          const start = Cesium.JulianDate.fromDate(new Date(range.start));
+          const stop = Cesium.JulianDate.fromDate(new Date(range.stop));
+          viewer.clock.startTime = start;
+          viewer.clock.stopTime = stop;
+          viewer.clock.currentTime = Cesium.JulianDate.clone(start);
+          viewer.clock.clockRange = Cesium.ClockRange.LOOP_STOP;
+          viewer.clock.multiplier = 10;
+          viewer.clock.shouldAnimate = true;
+          viewer.timeline.zoomTo(start, stop);
+        }
+      })
+      .catch((err) => {
+        console.error('Track import failed:', err);
+        setTrackStatus({ error: true, text: err.message });
+      });
+  };
+
+  const toggleProcedure = (key) => {
+    setHiddenProcedures((prev) => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const toggleTransition = (key, transition) => {
+    setHiddenTransitions((prev) => {
+      const hidden = prev[key] || [];
+      return {
+        ...prev,
+        [key]: hidden.includes(transition) ? hidden.filter((item) => item !== transition) : [...hidden, transition],
+      };
+    });
+  };
+
+  // Open a procedure's leg table, showing the procedure if it was off
+  const openLegTable = (key) => {
+    const option = procedureOptions.find((item) => item.key === key);
+    setLegTable({ procedureKey: key, row: null });
+    if (option) showProcedure(option.procType, option.proc);
+  };
+
+  // Highlight a leg from the table and select what the 3D view drew for it
+  const selectLegRow = (idx) => {
+    const row = legRows[idx];
+    if (!row || !legTableOption) return;
+    setLegTable((prev) => ({ ...prev, row: idx }));
+    const { proc } = legTableOption;
+    const entry = (procedureEntitiesRef.current[legTableOption.key] || []).find(({ entity }) => {
+      const feature = featureOf(entity);
+      if (!feature) return false;
+      if (row.legIndex !== undefined) return feature.kind === 'leg' && feature.leg === proc.legs[row.legIndex];
+      return feature.kind === 'fix' && feature.name === row.fix;
+    });
+    if (entry) selectEntity(entry.entity);
+    if (row.profile.length) flyToFeature({ points: row.profile.map(({ lon, lat }) => [lon, lat]) });
+  };
+
+  // Starting another procedure or route, or playing again at the end of
+  // one, flies it from the beginning
+  const updateFlythrough = (settings) => {
+    if (settings.procedureKey !== flythrough.procedureKey || settings.transitions !== flythrough.transitions) {
+      flightProgressRef.current = 0;
+      setFlightState(null);
+    } else if (settings.playing && !flythrough.playing && flightPath
+      && flightProgressRef.current >= flightPath.length) {
+      flightProgressRef.current = 0;
+    }
+    setFlythrough(settings);
+  };
+
+  const seekFlythrough = (s) => {
+    if (!flightPath) return;
+    flightProgressRef.current = s;
+    setFlightState(flightStateAt(flightPath, s));
+  };
+
+  const importOverlayFiles = (files) => {
+    if (!files.length) return;
+    Promise.all(files.map((file) =>
+      readOverlayFile(file).then((result) => ({ file, result }), (error) => ({ file, error }))
+    ))
+      .then((loaded) => {
+        const added = [];
+        const messages = [];
+        loaded.forEach(({ file, result, error }) => {
+          if (error) {
+            messages.push(`${file.name}: ${error.message}`);
+            return;
+          }
+          messages.push(`${file.name} (${result.format}): 객체 ${result.features.length}개`);
+          result.warnings.forEach((warning) => messages.push(`${file.name}: ${warning}`));
+          if (!result.features.length) return;
+          const color = OVERLAY_COLORS[(overlays.length + added.length) % OVERLAY_COLORS.length];
+          added.push(createOverlayLayer(file.name.replace(/\.[^.]+$/, ''), result.format, result.features, color));
+        });
+
+        if (!added.length) {
+          setOverlayStatus({ error: true, text: '표시할 수 있는 객체가 없습니다', warnings: messages });
+          return;
+        }
+        setOverlays((prev) => [...prev, ...added]);
+        setExpandedCategories((prev) => ({ ...prev, overlays: true }));
+        setOverlayStatus({ error: false, text: `사용자 레이어 ${added.length}개 추가`, warnings: messages });
+        return Promise.all(added.map(saveOverlay));
+      })
+      .catch((err) => {
+        console.error('Overlay import failed:', err);
+        setOverlayStatus({ error: true, text: `저장 실패: ${err.message}` });
       });
-    }
+  };
 
-    // Add airspace
-    if (layers.airspace && data.airspace) {
-      data.airspace.forEach((as) => {
-        if (!as.coordinates || !as.coordinates[0]) return;
+  const updateOverlay = (id, patch) => {
+    const layer = overlays.find((item) => item.id === id);
+    if (!layer) return;
+    const updated = { ...layer, ...patch };
+    setOverlays((prev) => prev.map((item) => (item.id === id ? updated : item)));
+    saveOverlay(updated).catch((err) => console.warn('Failed to save user overlay:', err));
+  };
 
-        const positions = as.coordinates[0].map((coord) =>
-          Cesium.Cartesian3.fromDegrees(coord[0], coord[1], as.top_alt || 3000)
-        );
+  const removeOverlay = (id) => {
+    setOverlays((prev) => prev.filter((item) => item.id !== id));
+    deleteOverlay(id).catch((err) => console.warn('Failed to delete user overlay:', err));
+  };
 
-        const entity = viewer.entities.add({
-          name: as.name || 'Airspace',
-          polygon: {
-            hierarchy: new Cesium.PolygonHierarchy(positions),
-            material: COLORS.airspace,
-            outline: true,
-            outlineColor: Cesium.Color.fromCssColorString('#E91E63'),
-            extrudedHeight: as.top_alt || 3000,
-            height: as.base_alt || 0,
-          },
-          description: `
-            <h3>${as.name || 'Airspace'}</h3>
-            <p><strong>하한:</strong> ${as.base_alt || 0}m</p>
-            <p><strong>상한:</strong> ${as.top_alt || 0}m</p>
-          `,
-        });
-        entitiesRef.current.airspace.push(entity);
-      });
+  const focusOverlay = (id) => {
+    const entry = overlaySourcesRef.current[id];
+    if (!viewerRef.current || !entry) return;
+    if (!entry.source.show) {
+      entry.source.show = true;
+      updateOverlay(id, { visible: true });
     }
+    viewerRef.current.flyTo(entry.source, { duration: 1.5 });
+  };
 
-    // Add procedures
-    ['SID', 'STAR', 'APPROACH'].forEach((procType) => {
-      if (!layers[procType] || !data.procedures[procType]) return;
+  // Files dropped anywhere on the viewer are imported as user overlays
+  const dragHasFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
 
-      data.procedures[procType].forEach((proc) => {
-        const color = COLORS[procType];
+  const handleDragOver = (e) => {
+    if (!dragHasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
 
-        if (proc.coordinates && proc.coordinates.length >= 2) {
-          // Convert 2D coordinates to 3D with altitude
-          const positions = proc.coordinates.map((coord, idx) => {
-            const altitude = 500 + (idx * 50); // Gradual altitude increase
-            return Cesium.Cartesian3.fromDegrees(coord[0], coord[1], altitude);
-          });
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false);
+  };
 
-          const entity = viewer.entities.add({
-            name: proc.name,
-            polyline: {
-              positions: positions,
-              width: 4,
-              material: new Cesium.PolylineGlowMaterialProperty({
-                glowPower: 0.3,
-                color: color,
-              }),
-            },
-            description: `
-              <h3>${proc.name}</h3>
-              <p><strong>유형:</strong> ${procType}</p>
-              <p><strong>테이블:</strong> ${proc.table}</p>
-            `,
-          });
-          entitiesRef.current.procedures.push(entity);
-        }
+  const handleDrop = (e) => {
+    if (!dragHasFiles(e)) return;
+    e.preventDefault();
+    setDropActive(false);
+    importOverlayFiles(Array.from(e.dataTransfer.files));
+  };
 
-        // Add legs if available
-        if (proc.legs) {
-          proc.legs.forEach((leg, idx) => {
-            if (!leg.coordinates || leg.coordinates.length < 2) return;
+  // Fly to an analysed sample and move the replay clock to it
+  const selectConformanceSample = (sample) => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    viewer.trackedEntity = undefined;
+    viewer.camera.flyToBoundingSphere(
+      new Cesium.BoundingSphere(Cesium.Cartesian3.fromDegrees(sample.lon, sample.lat, sample.altM), 500),
+      {
+        offset: new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-25), 4000),
+        duration: 1.5,
+      }
+    );
+    viewer.clock.currentTime = Cesium.JulianDate.fromDate(new Date(sample.t));
+  };
 
-            const positions = leg.coordinates.map((coord) => {
-              const altitude = leg.start_alt || leg.end_alt || 1000;
-              return Cesium.Cartesian3.fromDegrees(coord[0], coord[1], altitude);
-            });
+  const toggleTrack = (id) => {
+    setTracks((prev) => prev.map((track) => (track.id === id ? { ...track, visible: !track.visible } : track)));
+  };
 
-            const entity = viewer.entities.add({
-              name: `${proc.name} - Leg ${leg.seq || idx + 1}`,
-              polyline: {
-                positions: positions,
-                width: 3,
-                material: color,
-              },
-              description: `
-                <h3>${proc.name} - Leg ${leg.seq || idx + 1}</h3>
-                <p><strong>시작 고도:</strong> ${leg.start_alt || 'N/A'}m</p>
-                <p><strong>종료 고도:</strong> ${leg.end_alt || 'N/A'}m</p>
-              `,
-            });
-            entitiesRef.current.procedures.push(entity);
-          });
-        }
-      });
-    });
+  const removeTrack = (id) => {
+    setTracks((prev) => prev.filter((track) => track.id !== id));
+  };
 
-  }, [data, layers, waypointSources, obstacleTypes, searchTerm]);
-
-  const addRunway = (viewer) => {
-    // Runway 18/36 approximate coordinates
-    const runwayStart = [129.3505, 35.5890];
-    const runwayEnd = [129.3530, 35.5978];
-
-    viewer.entities.add({
-      name: 'Runway 18/36',
-      polyline: {
-        positions: Cesium.Cartesian3.fromDegreesArray([
-          runwayStart[0], runwayStart[1],
-          runwayEnd[0], runwayEnd[1],
-        ]),
-        width: 15,
-        material: COLORS.runway,
-        clampToGround: true,
-      },
-      description: `
-        <h3>Runway 18/36</h3>
-        <p>울산공항 활주로</p>
-      `,
-    });
+  const focusTrack = (id) => {
+    const viewer = viewerRef.current;
+    const entity = tracksSourceRef.current?.entities.getById(id);
+    if (viewer && entity) viewer.trackedEntity = entity;
   };
 
   const toggleLayer = (layer) => {
@@ -359,17 +1750,237 @@ function App() {
     setExpandedCategories((prev) => ({ ...prev, [category]: !prev[category] }));
   };
 
-  const flyToAirport = () => {
-    if (viewerRef.current) {
-      viewerRef.current.camera.flyTo({
-        destination: Cesium.Cartesian3.fromDegrees(129.3518, 35.5934, 15000),
-        orientation: {
-          heading: Cesium.Math.toRadians(0),
-          pitch: Cesium.Math.toRadians(-45),
-          roll: 0,
-        },
+  const flyToObstacle = (obs) => {
+    if (!viewerRef.current) return;
+    viewerRef.current.camera.flyToBoundingSphere(
+      new Cesium.BoundingSphere(Cesium.Cartesian3.fromDegrees(obs.lon, obs.lat, (obs.groundElevation + obs.elevation) / 2), 400),
+      {
+        offset: new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-30), 1500),
         duration: 1.5,
+      }
+    );
+  };
+
+  const selectAircraft = (hex) => {
+    const viewer = viewerRef.current;
+    const entity = trafficLayerRef.current && trafficLayerRef.current.entityOf(hex);
+    if (!viewer || !entity) return;
+    viewer.selectedEntity = entity;
+    viewer.camera.flyToBoundingSphere(new Cesium.BoundingSphere(entity.position.getValue(viewer.clock.currentTime), 500), {
+      offset: new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-30), 5000),
+      duration: 1.5,
+    });
+  };
+
+  const changeTrafficFeed = (feed) => {
+    setTrafficFeed(feed);
+    saveTrafficFeed(feed);
+  };
+
+  const flyToFeature = (feature) => {
+    if (!viewerRef.current) return;
+    const sphere = featureSphere(feature);
+    viewerRef.current.camera.flyToBoundingSphere(sphere, {
+      offset: new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-30), Math.max(1500, sphere.radius * 3)),
+      duration: 1.5,
+    });
+  };
+
+  const selectEntity = (entity) => {
+    if (viewerRef.current) viewerRef.current.selectedEntity = entity;
+  };
+
+  // Show a procedure's layer, then select and frame its path
+  const showProcedure = (procType, proc) => {
+    setLayers((prev) => ({ ...prev, [procType]: true }));
+    const option = procedureOptions.find((item) => item.proc === proc);
+    if (option) setHiddenProcedures((prev) => ({ ...prev, [option.key]: false }));
+    const entity = layerSourcesRef.current[procType]?.entities.values.find((e) => {
+      const feature = featureOf(e);
+      return feature && feature.kind === 'procedure' && feature.proc === proc;
+    });
+    if (!entity) return;
+    selectEntity(entity);
+    flyToFeature(featureOf(entity));
+  };
+
+  // Select the feature with this featureKey, wherever it is drawn
+  const selectByKey = (key) => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    const matches = (entity) => {
+      const feature = featureOf(entity);
+      return !!feature && featureKey(feature) === key;
+    };
+    const entity = key && (
+      Object.values(layerSourcesRef.current)
+        .map((source) => source.entities.values.find(matches))
+        .find(Boolean) ||
+      pointLayersRef.current.waypoints?.find((item) => matches(item.id))?.id
+    );
+    viewer.selectedEntity = entity || undefined;
+  };
+
+  const currentView = () => ({
+    camera: cameraView,
+    layers: enabledKeys(layers),
+    obstacleTypes: enabledKeys(obstacleTypes),
+    hiddenSources: Object.keys(waypointSources).filter((src) => !waypointSources[src]),
+    search: searchTerm.trim(),
+    selected: selectedFeature ? featureKey(selectedFeature) : pendingViewRef.current.selected,
+    expanded: enabledKeys(expandedCategories),
+  });
+
+  // Apply a bookmarked view, loading its airport first when it is another one
+  const applyView = (view, airport) => {
+    setLayers(flagsFrom(DEFAULT_LAYERS, view.layers));
+    setObstacleTypes(flagsFrom(DEFAULT_OBSTACLE_TYPES, view.obstacleTypes));
+    setExpandedCategories(flagsFrom(DEFAULT_EXPANDED, view.expanded));
+    setSearchTerm(view.search || '');
+    if (airport && airport !== airportIcao && catalogue.some((entry) => entry.icao === airport)) {
+      pendingViewRef.current = view;
+      setAirportIcao(airport);
+      return;
+    }
+    const hidden = view.hiddenSources || [];
+    setWaypointSources((prev) =>
+      Object.fromEntries(Object.keys(prev).map((src) => [src, !hidden.includes(src)]))
+    );
+    if (view.camera && viewerRef.current) setCameraState(viewerRef.current, view.camera);
+    selectByKey(view.selected);
+  };
+
+  // The list stays in the panel even when the browser will not store it;
+  // returns whether it was stored
+  const updateBookmarks = (list) => {
+    setBookmarks(list);
+    const err = saveBookmarks(list);
+    if (err) setBookmarkStatus({ error: true, text: `브라우저 저장 실패: ${err.message}` });
+    return !err;
+  };
+
+  // Saving under an existing name replaces that bookmark
+  const saveBookmark = (name) => {
+    const bookmark = { name, airport: airportIcao, view: currentView() };
+    if (updateBookmarks([...bookmarks.filter((item) => item.name !== name), bookmark])) {
+      setBookmarkStatus({ text: `'${name}' 저장됨` });
+    }
+  };
+
+  const importBookmarks = (file) => {
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const imported = parseBookmarks(text);
+        const names = new Set(imported.map((item) => item.name));
+        if (updateBookmarks([...bookmarks.filter((item) => !names.has(item.name)), ...imported])) {
+          setBookmarkStatus({ text: `북마크 ${imported.length}개 가져옴` });
+        }
+      })
+      .catch((err) => {
+        console.error('Bookmark import failed:', err);
+        setBookmarkStatus({ error: true, text: `가져오기 실패: ${err.message}` });
+      });
+  };
+
+  const exportBookmarks = () => {
+    downloadFile('bookmarks.json', JSON.stringify(bookmarks, null, 2), 'application/json');
+  };
+
+  // Everything currently shown, in the form the exporters take (see
+  // data/sceneExport.js)
+  const buildExportScene = () => ({
+    name: data.airport.icao,
+    waypoints: layers.waypoints
+      ? Object.entries(data.waypoints)
+        .filter(([name, wp]) => waypointShown(name, wp))
+        .map(([name, wp]) => ({
+          name,
+          lon: wp.lon,
+          lat: wp.lat,
+          altM: wp.altitude ?? null,
+          sources: wp.sources,
+          color: COLORS.waypoint.toCssHexString(),
+        }))
+      : [],
+    obstacles: layers.obstacles
+      ? obstacles.filter(obstacleShown).map((obs) => ({
+        id: obs.id,
+        type: obs.type,
+        lon: obs.lon,
+        lat: obs.lat,
+        groundM: obs.groundElevation,
+        topM: obs.elevation,
+        marked: obs.marked,
+        lighted: obs.lighted,
+        penetrationM: penetrationDepth[obs.id] || null,
+        color: (penetrationDepth[obs.id]
+          ? COLORS.penetration
+          : OBSTACLE_COLORS[obs.type] || COLORS.obstacle_etc).toCssHexString(),
+      }))
+      : [],
+    airspace: layers.airspace
+      ? airspaceModels.map((model) => ({
+        name: model.name,
+        cls: model.cls,
+        outer: model.outer,
+        holes: model.holes,
+        lower: limitHeight(model.lower),
+        upper: limitHeight(model.upper),
+        lowerLabel: formatLimit(model.lower),
+        upperLabel: formatLimit(model.upper),
+        color: airspaceStyle(model.cls).css,
+        alpha: airspaceStyle(model.cls).alpha,
+      }))
+      : [],
+    procedures: ['SID', 'STAR', 'APPROACH']
+      .filter((procType) => layers[procType])
+      .flatMap((procType) => (data.procedures[procType] || []).map((proc, idx) => ({
+        key: `${procType}:${idx}`,
+        name: proc.name,
+        procType,
+        pieces: procedurePath(proc, procType, {
+          waypoints: data.waypoints,
+          runways,
+          airportElevation: data.airport.elevation,
+          includeMissed: true,
+        }),
+        color: procedureColor(`${procType}:${idx}`),
+      })))
+      .filter((proc) => proc.pieces.length && !hiddenProcedures[proc.key])
+      .map(({ key, ...proc }) => proc),
+  });
+
+  const exportCurrentScene = (format) => {
+    const { extension, type } = EXPORT_FORMATS.find((item) => item.key === format);
+    try {
+      const scene = buildExportScene();
+      downloadFile(`${scene.name}_scene.${extension}`, exportScene(scene, format), type);
+      setExportStatus({
+        text: `웨이포인트 ${scene.waypoints.length}, 장애물 ${scene.obstacles.length}, `
+          + `공역 ${scene.airspace.length}, 절차 ${scene.procedures.length}개를 내보냈습니다`,
       });
+    } catch (err) {
+      console.error('Scene export failed:', err);
+      setExportStatus({ error: true, text: `내보내기 실패: ${err.message}` });
+    }
+  };
+
+  const copyViewLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => setBookmarkStatus({ text: '링크를 클립보드에 복사했습니다' }))
+      .catch((err) => setBookmarkStatus({ error: true, text: `복사 실패: ${err.message}` }));
+  };
+
+  const selectObstacle = (obs) => {
+    const symbols = obstacleSymbolsRef.current[obs.id];
+    if (symbols) selectEntity(symbols[0]);
+    flyToObstacle(obs);
+  };
+
+  const flyToAirport = () => {
+    if (viewerRef.current && data) {
+      flyToAirportView(viewerRef.current, data.airport, 15000, 1.5);
     }
   };
 
@@ -377,16 +1988,65 @@ function App() {
     return <div className="loading">데이터 로딩 중...</div>;
   }
 
+  if (loadError) {
+    return <div className="loading">데이터 로드 실패: {loadError}</div>;
+  }
+
   return (
-    <div className="app-container">
+    <div
+      className="app-container"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       <div ref={cesiumContainer} id="cesiumContainer" />
+      {flightPath && (
+        <FlythroughHud
+          name={procedureOptions.find((item) => item.key === flythrough.procedureKey).label}
+          state={flightState}
+          speedKt={flythrough.speedKt}
+          variation={data.airport.magnetic_variation}
+        />
+      )}
+      {profilePath && (
+        <ProfileChart
+          title={profile.source === 'route'
+            ? '직접 그린 경로'
+            : procedureOptions.find((item) => item.key === profile.source).label}
+          path={profilePath}
+          terrain={profileTerrain}
+          obstacles={profileObstacles}
+          cursorS={profileCursor}
+          pick={profilePick}
+          onHover={setProfileCursor}
+          onClose={() => setProfile((prev) => ({ ...prev, source: null, drawing: false }))}
+        />
+      )}
+      {dropActive && <div className="drop-hint">GeoJSON · KML/KMZ · CSV 파일을 놓으면 사용자 레이어로 추가합니다</div>}
 
       <div className="control-panel">
         <div className="panel-header">
-          <span>울산공항 3D 뷰어</span>
-          <span className="airport-code">RKPU</span>
+          <span>{data.airport.name_kr || data.airport.name || data.airport.icao} 3D 뷰어</span>
+          <span className="airport-code">{data.airport.icao}</span>
         </div>
 
+        {catalogue.length > 1 && (
+          <div className="airport-picker">
+            <select
+              className="airport-select"
+              value={airportIcao || ''}
+              onChange={(e) => setAirportIcao(e.target.value)}
+            >
+              {catalogue.map((entry) => (
+                <option key={entry.icao} value={entry.icao}>
+                  {entry.icao} {entry.name_kr || entry.name || ''}
+                </option>
+              ))}
+            </select>
+            {airportError && <div className="import-status error">{airportError}</div>}
+          </div>
+        )}
+
         <div className="stats-bar">
           <div className="stat-item">
             <span>웨이포인트:</span>
@@ -418,6 +2078,16 @@ function App() {
             />
           </div>
 
+          {selectedFeature && selectedFeature.kind === 'waypoint' && (
+            <div className="section">
+              <WaypointProvenance
+                name={selectedFeature.name}
+                waypoint={selectedFeature.wp}
+                onClose={() => selectEntity(undefined)}
+              />
+            </div>
+          )}
+
           <div className="section">
             <div className="section-title">기본 레이어</div>
             <div className="toggle-group">
@@ -460,6 +2130,32 @@ function App() {
                 <span className="toggle-label">공역</span>
                 <div className="toggle-color" style={{ background: '#E91E63' }} />
               </div>
+              <div
+                className={`toggle-item ${layers.navaids ? 'active' : ''}`}
+                onClick={() => toggleLayer('navaids')}
+              >
+                <input
+                  type="checkbox"
+                  className="toggle-checkbox"
+                  checked={layers.navaids}
+                  onChange={() => {}}
+                />
+                <span className="toggle-label">항행안전시설</span>
+                <div className="toggle-color" style={{ background: '#4FC3F7' }} />
+              </div>
+              <div
+                className={`toggle-item ${layers.ols ? 'active' : ''}`}
+                onClick={() => toggleLayer('ols')}
+              >
+                <input
+                  type="checkbox"
+                  className="toggle-checkbox"
+                  checked={layers.ols}
+                  onChange={() => {}}
+                />
+                <span className="toggle-label">장애물 제한표면</span>
+                <div className="toggle-color" style={{ background: '#00BCD4' }} />
+              </div>
             </div>
           </div>
 
@@ -506,6 +2202,354 @@ function App() {
                 <div className="toggle-color" style={{ background: '#2979FF' }} />
               </div>
             </div>
+            {procedureTree.length > 0 && (
+              <>
+                <div
+                  className="category-header"
+                  onClick={() => toggleCategory('procedures')}
+                >
+                  <span className="category-icon">🧭</span>
+                  <span className="category-name">절차 목록</span>
+                  <span className="category-count">{procedureOptions.length}</span>
+                  <span className="category-toggle">{expandedCategories.procedures ? '▼' : '▶'}</span>
+                </div>
+                {expandedCategories.procedures && (
+                  <>
+                    <ProcedureTree
+                      tree={procedureTree}
+                      styleOf={procedureStyle}
+                      selectedKey={legTable.procedureKey}
+                      onToggle={toggleProcedure}
+                      onToggleTransition={toggleTransition}
+                      onColor={(key, color) => setProcedureColors((prev) => ({ ...prev, [key]: color }))}
+                      onSelect={openLegTable}
+                    />
+                    {legTableOption && (
+                      <ProcedureLegTable
+                        name={legTableOption.label}
+                        rows={legRows}
+                        transitions={legTableNode ? legTableNode.transitions : []}
+                        activeIndex={legTable.row}
+                        onSelectRow={selectLegRow}
+                        onClose={() => setLegTable({ procedureKey: null, row: null })}
+                      />
+                    )}
+                  </>
+                )}
+              </>
+            )}
+            <label className="import-button">
+              ARINC 424 가져오기
+              <input
+                type="file"
+                accept=".pc,.dat,.txt,.424"
+                onChange={(e) => {
+                  importArincFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            {importStatus && (
+              <div className={`import-status ${importStatus.error ? 'error' : ''}`}>
+                <div>{importStatus.text}</div>
+                {importStatus.warnings && importStatus.warnings.map((warning) => (
+                  <div key={warning} className="import-warning">{warning}</div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="section">
+            <div className="section-title">비행 궤적</div>
+            <TrackPanel
+              tracks={tracks}
+              time={clockTime}
+              onToggle={toggleTrack}
+              onFocus={focusTrack}
+              onRemove={removeTrack}
+            />
+            <label className="import-button">
+              궤적 파일 불러오기 (CSV/GPX/KML/ADS-B)
+              <input
+                type="file"
+                multiple
+                accept=".csv,.txt,.gpx,.kml,.sbs,.json,.jsonl"
+                onChange={(e) => {
+                  importTrackFiles(Array.from(e.target.files));
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            {trackStatus && (
+              <div className={`import-status ${trackStatus.error ? 'error' : ''}`}>
+                <div>{trackStatus.text}</div>
+                {trackStatus.warnings && trackStatus.warnings.map((warning) => (
+                  <div key={warning} className="import-warning">{warning}</div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('overlays')}
+            >
+              <span className="category-icon">🗂️</span>
+              <span className="category-name">사용자 레이어</span>
+              <span className="category-count">{overlays.length}</span>
+              <span className="category-toggle">{expandedCategories.overlays ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.overlays && (
+              <>
+                <OverlayPanel
+                  layers={overlays}
+                  onChange={updateOverlay}
+                  onFocus={focusOverlay}
+                  onRemove={removeOverlay}
+                />
+                <label className="import-button">
+                  레이어 파일 불러오기 (GeoJSON/KML/KMZ/CSV)
+                  <input
+                    type="file"
+                    multiple
+                    accept={OVERLAY_EXTENSIONS.join(',')}
+                    onChange={(e) => {
+                      importOverlayFiles(Array.from(e.target.files));
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+              </>
+            )}
+            {overlayStatus && (
+              <div className={`import-status ${overlayStatus.error ? 'error' : ''}`}>
+                <div>{overlayStatus.text}</div>
+                {overlayStatus.warnings && overlayStatus.warnings.map((warning) => (
+                  <div key={warning} className="import-warning">{warning}</div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('bookmarks')}
+            >
+              <span className="category-icon">🔖</span>
+              <span className="category-name">보기 공유 · 북마크</span>
+              <span className="category-count">{bookmarks.length}</span>
+              <span className="category-toggle">{expandedCategories.bookmarks ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.bookmarks && (
+              <BookmarkPanel
+                bookmarks={bookmarks}
+                onSave={saveBookmark}
+                onApply={(bookmark) => applyView(bookmark.view, bookmark.airport)}
+                onRemove={(idx) => updateBookmarks(bookmarks.filter((_, i) => i !== idx))}
+                onImport={importBookmarks}
+                onExport={exportBookmarks}
+                onCopyLink={copyViewLink}
+                status={bookmarkStatus}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('export')}
+            >
+              <span className="category-icon">📤</span>
+              <span className="category-name">장면 내보내기</span>
+              <span className="category-toggle">{expandedCategories.export ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.export && (
+              <ExportPanel formats={EXPORT_FORMATS} onExport={exportCurrentScene} status={exportStatus} />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('flythrough')}
+            >
+              <span className="category-icon">🛩️</span>
+              <span className="category-name">절차 비행</span>
+              {flythrough.playing && <span className="category-count">비행 중</span>}
+              <span className="category-toggle">{expandedCategories.flythrough ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.flythrough && (
+              <FlythroughPanel
+                procedures={procedureOptions}
+                routeChoices={routeChoices(flythroughRoutes)}
+                settings={flythrough}
+                onChange={updateFlythrough}
+                progress={flightState ? flightState.s : 0}
+                length={flightPath ? flightPath.length : 0}
+                onSeek={seekFlythrough}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('profile')}
+            >
+              <span className="category-icon">📈</span>
+              <span className="category-name">수직 프로파일</span>
+              {profile.drawing && <span className="category-count">그리는 중</span>}
+              <span className="category-toggle">{expandedCategories.profile ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.profile && (
+              <ProfilePanel
+                procedures={procedureOptions}
+                settings={profile}
+                onChange={setProfile}
+                obstacleCount={profileObstacles.length}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('measure')}
+            >
+              <span className="category-icon">📏</span>
+              <span className="category-name">측정 도구</span>
+              {measure.mode && <span className="category-count">측정 중</span>}
+              <span className="category-toggle">{expandedCategories.measure ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.measure && (
+              <MeasurePanel
+                settings={measure}
+                onChange={setMeasure}
+                result={measureResult}
+                clearance={clearance}
+                variation={data.airport.magnetic_variation}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('conformance')}
+            >
+              <span className="category-icon">📐</span>
+              <span className="category-name">절차 적합성 분석</span>
+              {conformanceAnalysis && (
+                <span className="category-count">이탈 {conformanceAnalysis.excursions.length}</span>
+              )}
+              <span className="category-toggle">{expandedCategories.conformance ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.conformance && (
+              <ConformancePanel
+                tracks={tracks}
+                procedures={procedureOptions}
+                settings={conformance}
+                onChange={setConformance}
+                analysis={conformanceAnalysis}
+                onSelect={selectConformanceSample}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('protection')}
+            >
+              <span className="category-icon">🛡️</span>
+              <span className="category-name">장애물 보호구역</span>
+              {protection && protection.oca && <span className="category-count">OCA {protection.oca.altFt}ft</span>}
+              <span className="category-toggle">{expandedCategories.protection ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.protection && (
+              <ProtectionPanel
+                procedures={procedureOptions.filter((item) => item.procType === 'APPROACH')}
+                procedureKey={protectionKey}
+                onChange={setProtectionKey}
+                reports={protection ? protection.reports : []}
+                oca={protection ? protection.oca : null}
+                onSelectObstacle={flyToObstacle}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('coverage')}
+            >
+              <span className="category-icon">📡</span>
+              <span className="category-name">항행안전시설 커버리지</span>
+              <span className="category-count">{navaids.length}</span>
+              <span className="category-toggle">{expandedCategories.coverage ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.coverage && (
+              <CoveragePanel
+                navaids={navaids}
+                settings={coverage}
+                onChange={setCoverage}
+                result={coverageResult}
+                status={coverageStatus}
+                onSelectObstacle={flyToObstacle}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('traffic')}
+            >
+              <span className="category-icon">🛩️</span>
+              <span className="category-name">실시간 교통</span>
+              {trafficActive && <span className="category-count">{trafficAircraft.length}</span>}
+              <span className="category-toggle">{expandedCategories.traffic ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.traffic && (
+              <TrafficPanel
+                feed={trafficFeed}
+                onFeedChange={changeTrafficFeed}
+                active={trafficActive}
+                onToggle={() => setTrafficActive((prev) => !prev)}
+                status={trafficStatus}
+                aircraft={trafficAircraft}
+                occupancy={airspaceModels
+                  .map((model, idx) => ({
+                    name: model.name,
+                    callsigns: trafficOccupancy.byAirspace[idx].map((aircraft) => aircraft.callsign || aircraft.hex),
+                  }))
+                  .filter((item) => item.callsigns.length)}
+                onSelect={selectAircraft}
+              />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('waypoints')}
+            >
+              <span className="category-icon">📍</span>
+              <span className="category-name">웨이포인트 출처</span>
+              <span className="category-count">
+                {sourceSummary.filter(({ source }) => waypointSources[source]).length}/{sourceSummary.length}
+              </span>
+              <span className="category-toggle">{expandedCategories.waypoints ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.waypoints && (
+              <WaypointSourcePanel
+                summary={sourceSummary}
+                enabled={waypointSources}
+                onChange={setWaypointSources}
+              />
+            )}
           </div>
 
           <div className="section">
@@ -544,14 +2588,60 @@ function App() {
             )}
           </div>
 
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('ols')}
+            >
+              <span className="category-icon">⛰️</span>
+              <span className="category-name">제한표면 침투</span>
+              <span className="category-count">{Object.keys(penetrationDepth).length}</span>
+              <span className="category-toggle">{expandedCategories.ols ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.ols && (
+              <OlsPanel penetrations={penetrations} onSelect={flyToObstacle} />
+            )}
+          </div>
+
+          <div className="section">
+            <div
+              className="category-header"
+              onClick={() => toggleCategory('quality')}
+            >
+              <span className="category-icon">🩺</span>
+              <span className="category-name">데이터 품질</span>
+              {qualityReport && (
+                <span className="category-count">
+                  제외 {Object.values(qualityReport).reduce((sum, s) => sum + s.rejected.length, 0)}
+                </span>
+              )}
+              <span className="category-toggle">{expandedCategories.quality ? '▼' : '▶'}</span>
+            </div>
+            {expandedCategories.quality && <DataQualityPanel report={qualityReport} />}
+          </div>
+
           <div className="section">
             <div className="info-box">
               <div className="info-label">공항 정보</div>
-              <div className="info-value">{data?.airport?.name_kr || '울산공항'}</div>
+              <div className="info-value">{data.airport.name_kr || data.airport.name}</div>
               <div style={{ fontSize: '12px', color: '#9aa0a6', marginTop: '4px' }}>
-                ICAO: {data?.airport?.icao || 'RKPU'} |
-                표고: {data?.airport?.elevation || 14}m
+                ICAO: {data.airport.icao} |
+                표고: {data.airport.elevation}m
               </div>
+              {runways.map((runway) => (
+                <div key={runway.designator} style={{ fontSize: '12px', color: '#9aa0a6', marginTop: '2px' }}>
+                  RWY {runway.designator}: {Math.round(runway.length)}m × {runway.width}m
+                </div>
+              ))}
+              {basemap && (
+                <div
+                  style={{ fontSize: '12px', color: '#9aa0a6', marginTop: '4px' }}
+                  title={basemap.skipped.map(({ source, reason }) => `${sourceLabel(source)}: ${reason}`).join('\n')}
+                >
+                  지형: {basemap.terrain} | 영상: {basemap.imagery}
+                  {basemap.skipped.length > 0 && ` (대체 ${basemap.skipped.length})`}
+                </div>
+              )}
             </div>
           </div>
 
@@ -593,22 +2683,38 @@ function App() {
                 <div className="legend-color" style={{ background: '#4CAF50' }} />
                 <span>자연물</span>
               </div>
-              <div className="legend-item">
-                <div className="legend-color" style={{ background: '#00C853' }} />
-                <span>SID</span>
-              </div>
-              <div className="legend-item">
-                <div className="legend-color" style={{ background: '#FF6D00' }} />
-                <span>STAR</span>
-              </div>
-              <div className="legend-item">
-                <div className="legend-color" style={{ background: '#2979FF' }} />
-                <span>접근</span>
-              </div>
+              {procedureOptions
+                .filter(({ key, procType }) => layers[procType] && !hiddenProcedures[key])
+                .map(({ key, procType, proc }) => (
+                  <div key={key} className="legend-item">
+                    <div className="legend-color" style={{ background: procedureColor(key) }} />
+                    <span>{procType} {proc.name}</span>
+                  </div>
+                ))}
+              {[...new Set(data.airspace.map((as) => as.class || null))].map((cls) => (
+                <div key={cls || 'none'} className="legend-item">
+                  <div className="legend-color" style={{ background: airspaceStyle(cls).css }} />
+                  <span>공역 {airspaceStyle(cls).label}</span>
+                </div>
+              ))}
             </div>
           </div>
         </div>
       </div>
+
+      {selectedFeature && (
+        <EntityInspector
+          feature={selectedFeature}
+          units={inspectorUnits}
+          onUnitsChange={setInspectorUnits}
+          procedures={data.procedures}
+          obstacles={obstacles}
+          onFlyTo={() => flyToFeature(selectedFeature)}
+          onShowProcedure={showProcedure}
+          onSelectObstacle={selectObstacle}
+          onClose={() => selectEntity(undefined)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+
+// Named views saved in localStorage, plus the shareable link of the current
+// view and JSON import/export of the bookmark list
+function BookmarkPanel({ bookmarks, onSave, onApply, onRemove, onImport, onExport, onCopyLink, status }) {
+  const [name, setName] = useState('');
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  return (
+    <div className="bookmarks">
+      <div className="bookmark-save">
+        <input
+          type="text"
+          className="bookmark-input"
+          placeholder="북마크 이름"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+        />
+        <button onClick={save} disabled={!name.trim()}>저장</button>
+      </div>
+
+      {bookmarks.length ? (
+        <div className="bookmark-list">
+          {bookmarks.map((bookmark, idx) => (
+            <div key={bookmark.name} className="bookmark-item">
+              <span className="bookmark-name" onClick={() => onApply(bookmark)} title="이 보기로 이동">
+                {bookmark.name}
+              </span>
+              {bookmark.airport && <span className="bookmark-airport">{bookmark.airport}</span>}
+              <button className="track-remove" onClick={() => onRemove(idx)} title="삭제">×</button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="bookmark-empty">저장된 북마크가 없습니다</div>
+      )}
+
+      <div className="bookmark-actions">
+        <button onClick={onCopyLink}>현재 보기 링크 복사</button>
+        <button onClick={onExport} disabled={!bookmarks.length}>내보내기</button>
+        <label className="bookmark-import">
+          가져오기
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => {
+              onImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      {status && (
+        <div className={`import-status ${status.error ? 'error' : ''}`}>{status.text}</div>
+      )}
+    </div>
+  );
+}
+
+export default BookmarkPanel;
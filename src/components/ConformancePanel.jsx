@@ -0,0 +1,103 @@
+import React from 'react';
+import DeviationChart from './DeviationChart';
+
+const formatTime = (t) => new Date(t).toISOString().slice(11, 19);
+
+// Track-vs-procedure conformance: selection, tolerances, chart and the list
+// of out-of-tolerance excursions
+function ConformancePanel({ tracks, procedures, settings, onChange, analysis, onSelect }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  if (!tracks.length) {
+    return <div className="conformance-empty">비행 궤적을 먼저 불러오세요</div>;
+  }
+
+  return (
+    <div className="conformance">
+      <select
+        className="conformance-select"
+        value={settings.trackId || ''}
+        onChange={(e) => update({ trackId: e.target.value || null })}
+      >
+        <option value="">궤적 선택</option>
+        {tracks.map((track) => (
+          <option key={track.id} value={track.id}>{track.name}</option>
+        ))}
+      </select>
+      <select
+        className="conformance-select"
+        value={settings.procedureKey || ''}
+        onChange={(e) => update({ procedureKey: e.target.value || null })}
+      >
+        <option value="">절차 선택</option>
+        {procedures.map(({ key, label }) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <div className="conformance-tolerance">
+        <label>
+          횡방향 ±
+          <input
+            type="number"
+            min="0.05"
+            step="0.05"
+            value={settings.lateralNm}
+            onChange={(e) => update({ lateralNm: Number(e.target.value) || settings.lateralNm })}
+          />
+          NM
+        </label>
+        <label>
+          수직 ±
+          <input
+            type="number"
+            min="10"
+            step="25"
+            value={settings.verticalFt}
+            onChange={(e) => update({ verticalFt: Number(e.target.value) || settings.verticalFt })}
+          />
+          ft
+        </label>
+      </div>
+
+      {settings.trackId && settings.procedureKey && !analysis && (
+        <div className="conformance-empty">절차 경로를 만들 수 없습니다</div>
+      )}
+
+      {analysis && (
+        <>
+          <div className="conformance-summary">
+            <span>허용범위 내 {Math.round(analysis.withinRatio * 100)}%</span>
+            <span>최대 XTK {Math.round(analysis.maxXtkM)}m</span>
+            <span>최대 VDEV {Math.round(analysis.maxVdevFt)}ft</span>
+          </div>
+          <DeviationChart analysis={analysis} onSelect={onSelect} />
+          {analysis.excursions.length ? (
+            <div className="excursion-list">
+              {analysis.excursions.map((excursion) => (
+                <div
+                  key={excursion.start.index}
+                  className="excursion-item"
+                  onClick={() => onSelect(excursion.start)}
+                >
+                  <span className="excursion-time">
+                    {formatTime(excursion.start.t)}–{formatTime(excursion.end.t)}
+                  </span>
+                  <span className="excursion-kind">
+                    {[excursion.lateral && '횡', excursion.vertical && '수직'].filter(Boolean).join('/')}
+                  </span>
+                  <span className="excursion-values">
+                    {Math.round(excursion.maxXtkM)}m / {Math.round(excursion.maxVdevFt)}ft
+                  </span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="conformance-empty">허용범위를 벗어난 구간이 없습니다</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ConformancePanel;
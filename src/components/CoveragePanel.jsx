@@ -0,0 +1,132 @@
+import React from 'react';
+import { mToNm } from '../geo/units';
+
+const STATUS_LABELS = { covered: '수신', shadow: '음영', outside: '범위 밖' };
+
+const blockerLabel = (blocker) => (blocker.obstacle ? `#${blocker.obstacle.id}` : '지형');
+
+// Navaid coverage: the navaid and altitude grid to analyse, whether shadow or
+// coverage volumes are drawn, the share of each level in sight and the
+// coverage of every procedure fix at its published altitude. Clicking a fix
+// shadowed by an obstacle flies to the obstacle.
+function CoveragePanel({ navaids, settings, onChange, result, status, onSelectObstacle }) {
+  if (!navaids.length) {
+    return <div className="conformance-empty">항행안전시설 자료가 없습니다</div>;
+  }
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const gridInput = (key, label) => (
+    <label className="measure-buffer">
+      {label}
+      <input
+        type="number"
+        min="0"
+        step="100"
+        value={settings[key]}
+        onChange={(e) => update({ [key]: Math.max(0, Number(e.target.value) || 0) })}
+      />
+      ft
+    </label>
+  );
+
+  return (
+    <div className="coverage">
+      <select
+        className="conformance-select"
+        value={settings.navaidId || ''}
+        onChange={(e) => update({ navaidId: e.target.value || null })}
+      >
+        <option value="">항행안전시설 선택</option>
+        {navaids.map((navaid) => (
+          <option key={navaid.id} value={navaid.id}>
+            {navaid.kind} {navaid.ident}{navaid.frequency ? ` ${navaid.frequency}` : ''}
+          </option>
+        ))}
+      </select>
+
+      {gridInput('minFt', '최저 고도')}
+      {gridInput('maxFt', '최고 고도')}
+      {gridInput('stepFt', '고도 간격')}
+
+      <div className="measure-modes">
+        <button className={settings.show === 'shadow' ? 'active' : ''} onClick={() => update({ show: 'shadow' })}>
+          음영 구역
+        </button>
+        <button className={settings.show === 'covered' ? 'active' : ''} onClick={() => update({ show: 'covered' })}>
+          수신 구역
+        </button>
+      </div>
+
+      {status && <div className="measure-hint">{status}</div>}
+
+      {result && (
+        <>
+          <table className="ols-table">
+            <thead>
+              <tr>
+                <th>고도</th>
+                <th>수신</th>
+                <th>음영</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.levels.map((level) => {
+                const total = level.covered + level.shadow;
+                return (
+                  <tr key={level.altFt}>
+                    <td>{level.altFt}ft</td>
+                    <td>{total ? `${Math.round((level.covered / total) * 100)}%` : '—'}</td>
+                    <td className={level.shadow ? 'ols-depth' : ''}>
+                      {total ? `${Math.round((level.shadow / total) * 100)}%` : '—'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="coverage-note">
+            안테나 {Math.round(result.antennaM)}m AMSL · 서비스 범위 안, 지형 위 셀 기준 · 공시 고도가 없는 픽스 제외
+          </div>
+
+          {result.fixes.length > 0 ? (
+            <div className="ols-table-wrap">
+              <table className="ols-table">
+                <thead>
+                  <tr>
+                    <th>절차</th>
+                    <th>픽스</th>
+                    <th>고도</th>
+                    <th>거리</th>
+                    <th>상태</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.fixes.map((fix, idx) => (
+                    <tr
+                      key={idx}
+                      className={`coverage-${fix.status}`}
+                      onClick={() => fix.blocker && fix.blocker.obstacle && onSelectObstacle(fix.blocker.obstacle)}
+                    >
+                      <td>{fix.procedure}</td>
+                      <td>{fix.name}</td>
+                      <td>{fix.altFt}ft</td>
+                      <td>{mToNm(fix.distanceM).toFixed(1)}NM</td>
+                      <td>
+                        {STATUS_LABELS[fix.status]}
+                        {fix.blocker ? ` ${blockerLabel(fix.blocker)}` : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="conformance-empty">공시 고도가 있는 절차 픽스가 없습니다</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CoveragePanel;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { SECTION_LABELS } from '../data/schema';
+
+// Group warnings with the same reason so 257 identical lines collapse into one
+const groupByReason = (entries) => {
+  const groups = {};
+  entries.forEach(({ id, reasons }) => {
+    reasons.forEach((reason) => {
+      if (!groups[reason]) groups[reason] = [];
+      groups[reason].push(id);
+    });
+  });
+  return Object.entries(groups);
+};
+
+function DataQualityPanel({ report }) {
+  const [expanded, setExpanded] = useState({});
+
+  if (!report) return null;
+
+  const toggle = (key) => {
+    setExpanded((prev) => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  return (
+    <div className="quality-list">
+      {Object.entries(report).map(([key, section]) => {
+        const issueCount = section.rejected.length + section.warnings.length;
+        const status = section.rejected.length ? 'error' : section.warnings.length ? 'warning' : 'ok';
+        return (
+          <div key={key} className="quality-section">
+            <div
+              className={`quality-row ${status}`}
+              onClick={() => issueCount && toggle(key)}
+            >
+              <span className="quality-name">{SECTION_LABELS[key] || key}</span>
+              <span className="quality-counts">
+                {section.accepted}/{section.total}
+              </span>
+              {section.rejected.length > 0 && (
+                <span className="quality-badge error">제외 {section.rejected.length}</span>
+              )}
+              {section.warnings.length > 0 && (
+                <span className="quality-badge warning">경고 {section.warnings.length}</span>
+              )}
+              {issueCount > 0 && (
+                <span className="category-toggle">{expanded[key] ? '▼' : '▶'}</span>
+              )}
+            </div>
+
+            {expanded[key] && (
+              <div className="quality-details">
+                {section.rejected.map(({ id, reasons }) => (
+                  <div key={`r-${id}`} className="quality-issue error">
+                    <div className="quality-issue-id">{id}</div>
+                    {reasons.map((reason) => (
+                      <div key={reason} className="quality-issue-reason">{reason}</div>
+                    ))}
+                  </div>
+                ))}
+                {groupByReason(section.warnings).map(([reason, ids]) => (
+                  <div key={`w-${reason}`} className="quality-issue warning">
+                    <div className="quality-issue-id">
+                      {ids.length > 3 ? `${ids.slice(0, 3).join(', ')} 외 ${ids.length - 3}건` : ids.join(', ')}
+                    </div>
+                    <div className="quality-issue-reason">{reason}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DataQualityPanel;
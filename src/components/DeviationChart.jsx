@@ -0,0 +1,74 @@
+import React from 'react';
+import { mToNm } from '../geo/units';
+import { gradeColor } from '../render/conformance';
+
+const WIDTH = 290;
+const PANEL_HEIGHT = 90;
+const PAD = { left: 36, right: 6, top: 8, bottom: 18 };
+
+// Lateral (NM) and vertical (ft) deviation against distance remaining to the
+// end of the procedure, with the tolerance band dashed
+function DeviationChart({ analysis, onSelect }) {
+  const { samples, tolerance } = analysis;
+  const maxDist = Math.max(...samples.map((s) => mToNm(s.remainingM)), 0.1);
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  // Distance decreases to the right, towards the threshold
+  const x = (s) => PAD.left + plotWidth * (1 - mToNm(s.remainingM) / maxDist);
+
+  const panels = [
+    {
+      label: 'XTK (NM)',
+      value: (s) => mToNm(s.xtkM),
+      limit: tolerance.lateralNm,
+    },
+    {
+      label: 'VDEV (ft)',
+      value: (s) => s.vdevFt,
+      limit: tolerance.verticalFt,
+    },
+  ];
+
+  const height = panels.length * (PANEL_HEIGHT + PAD.top) + PAD.bottom;
+
+  return (
+    <svg className="deviation-chart" width={WIDTH} height={height}>
+      {panels.map((panel, idx) => {
+        const top = PAD.top + idx * (PANEL_HEIGHT + PAD.top);
+        const extent = Math.max(panel.limit * 2, ...samples.map((s) => Math.abs(panel.value(s))));
+        const y = (v) => top + PANEL_HEIGHT / 2 - (v / extent) * (PANEL_HEIGHT / 2);
+        const line = samples.map((s) => `${x(s).toFixed(1)},${y(panel.value(s)).toFixed(1)}`).join(' ');
+        return (
+          <g key={panel.label}>
+            <rect x={PAD.left} y={top} width={plotWidth} height={PANEL_HEIGHT} className="chart-frame" />
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(0)} y2={y(0)} className="chart-axis" />
+            {[panel.limit, -panel.limit].map((limit) => (
+              <line key={limit} x1={PAD.left} x2={WIDTH - PAD.right} y1={y(limit)} y2={y(limit)} className="chart-limit" />
+            ))}
+            <text x={PAD.left - 4} y={top + 10} className="chart-label" textAnchor="end">
+              {Number(extent.toPrecision(2))}
+            </text>
+            <text x={PAD.left - 4} y={top + PANEL_HEIGHT} className="chart-label" textAnchor="end">
+              {-Number(extent.toPrecision(2))}
+            </text>
+            <text x={PAD.left + 4} y={top + 10} className="chart-label">{panel.label}</text>
+            <polyline points={line} className="chart-line" />
+            {samples.map((s) => (
+              <circle
+                key={s.index}
+                cx={x(s)}
+                cy={y(panel.value(s))}
+                r={2.5}
+                fill={gradeColor(s.ratio)}
+                onClick={() => onSelect(s)}
+              />
+            ))}
+          </g>
+        );
+      })}
+      <text x={PAD.left} y={height - 4} className="chart-label">{maxDist.toFixed(1)} NM</text>
+      <text x={WIDTH - PAD.right} y={height - 4} className="chart-label" textAnchor="end">0 (종점)</text>
+    </svg>
+  );
+}
+
+export default DeviationChart;
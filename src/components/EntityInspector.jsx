@@ -0,0 +1,259 @@
+import React, { useEffect, useState } from 'react';
+import { formatLimit } from '../data/airspace';
+import { nearestObstacles } from '../data/obstacles';
+import { formatConstraint, normalizeConstraint, proceduresUsingFix } from '../data/procedures';
+import { OLS_SURFACES } from '../geo/ols';
+import { formatHeight, formatLatLon, mToNm } from '../geo/units';
+
+const KIND_LABELS = {
+  waypoint: '웨이포인트',
+  fix: '절차 픽스',
+  obstacle: '장애물',
+  airspace: '공역',
+  procedure: '비행 절차',
+  leg: '절차 레그',
+};
+
+const HEIGHT_SOURCES = {
+  data: '자료',
+  derived: '계산',
+  terrain: '지형',
+};
+
+const yesNo = (value) => (value === undefined ? '미상' : value ? '있음' : '없음');
+
+// Details of the selected feature (see render/features.js) with unit
+// switching, copy to clipboard and navigation to related features
+function EntityInspector({
+  feature,
+  units,
+  onUnitsChange,
+  procedures,
+  obstacles,
+  onFlyTo,
+  onShowProcedure,
+  onSelectObstacle,
+  onClose,
+}) {
+  // { key, error } of the last copy, shown briefly on its button
+  const [copied, setCopied] = useState(null);
+  const [showRelated, setShowRelated] = useState(false);
+  useEffect(() => setShowRelated(false), [feature]);
+  const height = (m) => (m === null || m === undefined ? '미상' : formatHeight(m, units.height));
+  const coords = (lat, lon) => formatLatLon(lat, lon, units.coords);
+
+  // The clipboard is missing outside secure contexts, and writes fail
+  // without permission or focus
+  const copy = (key, text) => {
+    const done = (error) => {
+      setCopied({ key, error });
+      setTimeout(() => setCopied(null), 1500);
+    };
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(text))
+      .then(() => done(null))
+      .catch((err) => {
+        console.warn('Copy failed:', err);
+        done(err.message || '복사할 수 없습니다');
+      });
+  };
+  const copyState = (key) => (copied && copied.key === key ? (copied.error ? 'failed' : 'done') : null);
+
+  // [label, value, copy?] rows per feature kind
+  let title;
+  let rows = [];
+  let fixPosition = null;
+  let fixName = null;
+  switch (feature.kind) {
+    case 'waypoint': {
+      const { name, wp } = feature;
+      title = name;
+      fixName = name;
+      fixPosition = wp;
+      rows = [
+        ['위치', coords(wp.lat, wp.lon), true],
+        ['고도', height(wp.altitude)],
+        ['출처', `${wp.sources.length}개 (${wp.sources.join(', ')})`],
+      ];
+      break;
+    }
+    case 'fix': {
+      title = feature.name;
+      fixName = feature.name;
+      fixPosition = feature;
+      rows = [
+        ['절차', feature.procName],
+        ['위치', coords(feature.lat, feature.lon), true],
+        ['역할', feature.role || '-'],
+        ['통과 방식', feature.flyOver === undefined ? '-' : feature.flyOver ? 'Fly-over' : 'Fly-by'],
+        ['고도 제한', feature.constraint ? `${feature.constraint}ft` : '없음'],
+        ['계산 고도', height(feature.altM)],
+      ];
+      break;
+    }
+    case 'obstacle': {
+      const { obstacle: obs, hits } = feature;
+      title = `장애물 #${obs.id}`;
+      rows = [
+        ['유형', obs.type],
+        ['위치', coords(obs.lat, obs.lon), true],
+        ['지반 표고', `${height(obs.groundElevation)} AMSL · ${HEIGHT_SOURCES[obs.sources.ground]}`],
+        ['높이', `${height(obs.heightAgl)} AGL · ${HEIGHT_SOURCES[obs.sources.height]}`],
+        ['최고 표고', `${height(obs.elevation)} AMSL · ${HEIGHT_SOURCES[obs.sources.top]}`],
+        ['표지 / 조명', `${yesNo(obs.marked)} / ${yesNo(obs.lighted)}`],
+        ['수평 정확도', obs.lateral_accuracy_m !== undefined ? `±${obs.lateral_accuracy_m}m` : '미상'],
+        ['수직 정확도', obs.vertical_accuracy_m !== undefined ? `±${obs.vertical_accuracy_m}m` : '미상'],
+        ...hits.map((p) => [
+          `${OLS_SURFACES[p.key]} ${p.runway}`,
+          `침투 ${height(p.depth)} (표면 ${height(p.surfaceElevation)})`,
+        ]),
+      ];
+      break;
+    }
+    case 'airspace': {
+      const { model } = feature;
+      title = model.name;
+      rows = [
+        ['등급', model.cls || '-'],
+        ['하한', formatLimit(model.lower)],
+        ['상한', formatLimit(model.upper)],
+        ['경계', model.circle
+          ? `원 ${model.circle.radius_nm}NM (${coords(model.circle.center[1], model.circle.center[0])})`
+          : `꼭짓점 ${model.outer.length - 1}개${model.holes.length ? `, 구멍 ${model.holes.length}개` : ''}`],
+        ...(model.lower.datum === 'FL' || model.upper.datum === 'FL'
+          ? [['참고', '비행고도(FL)는 표준대기 기준으로 표시']]
+          : []),
+      ];
+      break;
+    }
+    case 'procedure': {
+      const { procType, proc, model } = feature;
+      title = proc.name;
+      rows = [
+        ['유형', procType],
+        ['테이블', proc.table || '-'],
+        ['활주로', model.runway || '-'],
+        ...(model.glidepathAngle ? [['활공각', `${model.glidepathAngle}° / TCH ${model.tchFt}ft`]] : []),
+        ['픽스', model.fixes.filter((fix) => fix.name).map((fix) => fix.name).join(' → ') || '-'],
+        ...(proc.legs ? [['레그', `${proc.legs.length}개`]] : []),
+      ];
+      break;
+    }
+    case 'leg': {
+      const { leg, legName, proc } = feature;
+      const constraint = formatConstraint(normalizeConstraint(leg.altitude));
+      title = legName;
+      rows = [
+        ['절차', proc.name],
+        ['경로 종단', `${leg.path_terminator || '-'}${leg.missed ? ' (실패접근)' : ''}`],
+        ['픽스', leg.fix || '-'],
+        ['코스', leg.course != null ? `${leg.course}°${leg.course_is_true ? 'T' : 'M'}` : '-'],
+        ['선회 방향', leg.turn_direction ? (leg.turn_direction === 'L' ? '좌' : '우') : '-'],
+        ['고도 제한', constraint ? `${constraint}ft` : '없음'],
+        ['시작 고도', height(leg.start_alt)],
+        ['종료 고도', height(leg.end_alt)],
+      ];
+      break;
+    }
+    default:
+      return null;
+  }
+
+  const related = fixName && showRelated ? proceduresUsingFix(procedures, fixName) : [];
+  const nearest = fixPosition ? nearestObstacles(obstacles, fixPosition.lon, fixPosition.lat) : [];
+
+  return (
+    <div className="inspector">
+      <div className="inspector-header">
+        <span className="inspector-kind">{KIND_LABELS[feature.kind]}</span>
+        <span className="inspector-title">{title}</span>
+        <button className="track-remove" onClick={onClose} title="닫기">×</button>
+      </div>
+
+      <div className="inspector-units">
+        {[['m', 'ft'], ['DD', 'DMS']].map((options, idx) => (
+          <div key={options[0]} className="unit-switch">
+            {options.map((option) => {
+              const key = idx === 0 ? 'height' : 'coords';
+              return (
+                <button
+                  key={option}
+                  className={units[key] === option ? 'active' : ''}
+                  onClick={() => onUnitsChange({ ...units, [key]: option })}
+                >
+                  {option}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      <div className="inspector-rows">
+        {rows.map(([label, value, copyable]) => (
+          <div key={label} className="inspector-row">
+            <span className="inspector-label">{label}</span>
+            <span className="inspector-value">{value}</span>
+            {copyable && (
+              <button
+                className="inspector-copy"
+                onClick={() => copy(label, value)}
+                title={copyState(label) === 'failed' ? `복사 실패: ${copied.error}` : '복사'}
+              >
+                {{ done: '✓', failed: '✗' }[copyState(label)] || '⧉'}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="inspector-actions">
+        <button onClick={onFlyTo}>이동</button>
+        <button onClick={() => copy('all', [title, ...rows.map(([label, value]) => `${label}: ${value}`)].join('\n'))}>
+          {{ done: '복사됨', failed: '복사 실패' }[copyState('all')] || '전체 복사'}
+        </button>
+        {fixName && (
+          <button onClick={() => setShowRelated((prev) => !prev)}>
+            관련 절차 {showRelated ? '숨기기' : '보기'}
+          </button>
+        )}
+      </div>
+
+      {showRelated && (
+        <div className="inspector-list">
+          {related.length ? related.map(({ procType, proc }) => (
+            <div
+              key={`${procType}:${proc.name}`}
+              className="inspector-list-item"
+              onClick={() => onShowProcedure(procType, proc)}
+            >
+              <span className="inspector-list-tag">{procType}</span>
+              {proc.name}
+            </div>
+          )) : <div className="inspector-empty">이 픽스를 쓰는 절차가 없습니다</div>}
+        </div>
+      )}
+
+      {nearest.length > 0 && (
+        <>
+          <div className="inspector-subtitle">가까운 장애물</div>
+          <div className="inspector-list">
+            {nearest.map(({ obstacle, distanceM, bearing }) => (
+              <div
+                key={obstacle.id}
+                className="inspector-list-item"
+                onClick={() => onSelectObstacle(obstacle)}
+              >
+                <span className="inspector-list-tag">#{obstacle.id}</span>
+                {obstacle.type} · {mToNm(distanceM).toFixed(2)}NM {String(Math.round(bearing)).padStart(3, '0')}° ·
+                {' '}{height(obstacle.elevation)}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default EntityInspector;
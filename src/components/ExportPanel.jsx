@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Download of the currently shown layers in each export format
+function ExportPanel({ formats, onExport, status }) {
+  return (
+    <div className="export">
+      <div className="export-hint">켜진 레이어와 현재 필터·검색 결과를 내보냅니다</div>
+      <div className="export-formats">
+        {formats.map(({ key, label }) => (
+          <button key={key} onClick={() => onExport(key)}>{label}</button>
+        ))}
+      </div>
+      {status && (
+        <div className={`import-status ${status.error ? 'error' : ''}`}>{status.text}</div>
+      )}
+    </div>
+  );
+}
+
+export default ExportPanel;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { magneticBearing } from '../geo/measure';
+import { mToNm } from '../geo/units';
+import { formatBearing } from '../render/measure';
+
+// Dots either side of the glidepath shown on the deviation scale
+const SCALE_DOTS = 2;
+
+// Vertical position on the scale, which spans half a dot past the last marker
+const scaleTop = (dots) => `${50 + (dots / (SCALE_DOTS + 0.5)) * 50}%`;
+
+// Head-up readouts over the viewer during a procedure flythrough. The
+// glidepath diamond sits below the centre when the aircraft is above the
+// path, as on a glideslope indicator.
+function FlythroughHud({ name, state, speedKt, variation }) {
+  if (!state) return null;
+  const deviation = state.glidepathDeviation;
+  const dots = deviation ? Math.max(-SCALE_DOTS - 0.5, Math.min(SCALE_DOTS + 0.5, deviation.dots)) : 0;
+
+  return (
+    <div className="flythrough-hud">
+      <div className="hud-title">{name}</div>
+      <div className="hud-readouts">
+        <div><span>ALT</span>{Math.round(state.altFt)}ft</div>
+        <div><span>GS</span>{speedKt}kt</div>
+        <div><span>HDG</span>{formatBearing(magneticBearing(state.heading, variation))}°</div>
+        <div><span>THR</span>{state.thresholdM !== null ? `${mToNm(state.thresholdM).toFixed(1)}NM` : '—'}</div>
+        <div>
+          <span>NEXT</span>
+          {state.nextFix ? `${state.nextFix.name} ${mToNm(state.nextFix.distanceM).toFixed(1)}NM` : '—'}
+        </div>
+      </div>
+      <div className={`hud-glidepath ${deviation ? '' : 'inactive'}`} title="활공각 편차">
+        {Array.from({ length: SCALE_DOTS * 2 + 1 }, (_, idx) => (
+          <div
+            key={idx}
+            className={idx === SCALE_DOTS ? 'hud-gp-centre' : 'hud-gp-dot'}
+            style={{ top: scaleTop(idx - SCALE_DOTS) }}
+          />
+        ))}
+        {deviation && <div className="hud-gp-diamond" style={{ top: scaleTop(dots) }} />}
+      </div>
+    </div>
+  );
+}
+
+export default FlythroughHud;
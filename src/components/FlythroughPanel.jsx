@@ -0,0 +1,96 @@
+import React from 'react';
+import { mToNm } from '../geo/units';
+
+const VIEWS = [
+  { key: 'cockpit', label: '조종석' },
+  { key: 'chase', label: '추적' },
+];
+
+// Procedure flythrough: procedure, the transition flown where it has
+// several, camera view, ground speed and the play / pause / scrub transport
+function FlythroughPanel({ procedures, routeChoices, settings, onChange, progress, length, onSeek }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const active = settings.procedureKey && length;
+
+  return (
+    <div className="flythrough">
+      <select
+        className="conformance-select"
+        value={settings.procedureKey || ''}
+        onChange={(e) => update({ procedureKey: e.target.value || null, transitions: {}, playing: !!e.target.value })}
+      >
+        <option value="">절차 선택</option>
+        {procedures.map(({ key, label }) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+
+      {routeChoices.map(({ phase, label, routes }) => (
+        <label key={phase} className="flythrough-route">
+          {label}
+          <select
+            className="conformance-select"
+            value={settings.transitions[phase] ?? routes[0].key}
+            onChange={(e) => update({ transitions: { ...settings.transitions, [phase]: e.target.value } })}
+          >
+            {routes.map((route) => (
+              <option key={route.key} value={route.key}>{route.label}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <div className="flythrough-options">
+        <div className="measure-modes">
+          {VIEWS.map(({ key, label }) => (
+            <button
+              key={key}
+              className={settings.view === key ? 'active' : ''}
+              onClick={() => update({ view: key })}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className="measure-buffer">
+          GS
+          <input
+            type="number"
+            min="60"
+            max="600"
+            step="10"
+            value={settings.speedKt}
+            onChange={(e) => update({ speedKt: Number(e.target.value) || settings.speedKt })}
+          />
+          kt
+        </label>
+      </div>
+
+      {active ? (
+        <>
+          <input
+            type="range"
+            className="flythrough-scrub"
+            min="0"
+            max={length}
+            step="10"
+            value={progress}
+            onChange={(e) => onSeek(Number(e.target.value))}
+          />
+          <div className="flythrough-transport">
+            <button onClick={() => onSeek(0)} title="처음으로">⏮</button>
+            <button onClick={() => update({ playing: !settings.playing })}>
+              {settings.playing ? '⏸ 일시정지' : '▶ 재생'}
+            </button>
+            <span>{mToNm(progress).toFixed(1)} / {mToNm(length).toFixed(1)}NM</span>
+            <button onClick={() => update({ procedureKey: null, playing: false })}>종료</button>
+          </div>
+        </>
+      ) : (
+        settings.procedureKey && <div className="conformance-empty">경로를 만들 수 없는 절차입니다</div>
+      )}
+    </div>
+  );
+}
+
+export default FlythroughPanel;
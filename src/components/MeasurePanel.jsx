@@ -0,0 +1,104 @@
+import React from 'react';
+import { mToFt } from '../geo/units';
+import { formatBearing } from '../render/measure';
+
+const MODES = [
+  { key: 'distance', label: '거리/방위' },
+  { key: 'clearance', label: '장애물 간격' },
+];
+
+const HINTS = {
+  distance: ['첫 번째 지점을 클릭하세요', '두 번째 지점을 클릭하세요', '새 측정은 다시 클릭하세요'],
+  clearance: '비행 절차 경로 위의 지점을 클릭하세요',
+};
+
+const metresFeet = (m) => `${Math.round(m)}m (${Math.round(mToFt(m))}ft)`;
+
+// Measurement tool mode, picked points and results. Distance mode measures
+// between two clicked points; clearance mode probes a point on a procedure
+// against the highest obstacle within the lateral buffer.
+function MeasurePanel({ settings, onChange, result, clearance, variation }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const { mode, points, probe, message } = settings;
+
+  return (
+    <div className="measure">
+      <div className="measure-modes">
+        {MODES.map(({ key, label }) => (
+          <button
+            key={key}
+            className={mode === key ? 'active' : ''}
+            onClick={() => update({ mode: mode === key ? null : key, points: [], probe: null, message: null })}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode && (
+        <div className="measure-hint">
+          {message || (mode === 'distance' ? HINTS.distance[points.length] : HINTS.clearance)}
+        </div>
+      )}
+
+      {mode === 'distance' && points.map((point, idx) => (
+        <div key={idx} className="measure-point">
+          <span className="measure-tag">{idx ? 'B' : 'A'}</span>
+          <span className="measure-point-name">{point.label}</span>
+          <span>{metresFeet(point.altM)}</span>
+        </div>
+      ))}
+
+      {mode === 'distance' && result && (
+        <div className="measure-result">
+          <div><span>거리</span>{result.distanceNm.toFixed(2)}NM / {result.distanceKm.toFixed(2)}km</div>
+          <div>
+            <span>방위</span>
+            {formatBearing(result.trueBearing)}°T / {formatBearing(result.magneticBearing)}°M
+            {variation === undefined && <em> (편차 미상)</em>}
+          </div>
+          <div><span>고도차</span>{result.heightDiffM >= 0 ? '+' : '-'}{metresFeet(Math.abs(result.heightDiffM))}</div>
+          <div><span>경사 거리</span>{(result.slantM / 1000).toFixed(2)}km</div>
+        </div>
+      )}
+
+      {mode === 'clearance' && (
+        <>
+          <label className="measure-buffer">
+            횡방향 버퍼
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={settings.bufferNm}
+              onChange={(e) => update({ bufferNm: Number(e.target.value) || settings.bufferNm })}
+            />
+            NM
+          </label>
+          {probe && (
+            <div className="measure-result">
+              <div><span>절차</span>{probe.label}</div>
+              <div><span>지점 고도</span>{metresFeet(probe.altM)}</div>
+              {clearance ? (
+                <>
+                  <div>
+                    <span>최고 장애물</span>
+                    #{clearance.obstacle.id} {clearance.obstacle.type} · {metresFeet(clearance.obstacle.elevation)}
+                  </div>
+                  <div><span>횡방향 거리</span>{Math.round(clearance.lateralM)}m</div>
+                  <div className={clearance.clearanceM < 0 ? 'measure-warning' : ''}>
+                    <span>수직 간격</span>{clearance.clearanceM < 0 ? '-' : ''}{metresFeet(Math.abs(clearance.clearanceM))}
+                  </div>
+                </>
+              ) : (
+                <div>버퍼 안에 장애물이 없습니다</div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MeasurePanel;
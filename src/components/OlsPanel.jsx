@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { OLS_SURFACES } from '../geo/ols';
+
+const COLUMNS = [
+  { key: 'id', label: 'ID', value: (p) => Number(p.obstacle.id) || p.obstacle.id },
+  { key: 'type', label: '유형', value: (p) => p.obstacle.type },
+  { key: 'surface', label: '표면', value: (p) => `${OLS_SURFACES[p.key]} ${p.runway}` },
+  { key: 'elevation', label: '표고', value: (p) => p.obstacle.elevation },
+  { key: 'surfaceElevation', label: '표면고', value: (p) => p.surfaceElevation },
+  { key: 'depth', label: '침투', value: (p) => p.depth },
+];
+
+// Sortable table of obstacles penetrating the obstacle limitation surfaces
+function OlsPanel({ penetrations, onSelect }) {
+  const [sort, setSort] = useState({ column: 'depth', ascending: false });
+
+  if (!penetrations.length) {
+    return <div className="ols-empty">제한표면을 침투하는 장애물이 없습니다</div>;
+  }
+
+  const column = COLUMNS.find((c) => c.key === sort.column);
+  const rows = [...penetrations].sort((a, b) => {
+    const x = column.value(a);
+    const y = column.value(b);
+    const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+    return sort.ascending ? order : -order;
+  });
+
+  const toggleSort = (key) => {
+    setSort((prev) => ({
+      column: key,
+      ascending: prev.column === key ? !prev.ascending : key !== 'depth',
+    }));
+  };
+
+  return (
+    <div className="ols-table-wrap">
+      <table className="ols-table">
+        <thead>
+          <tr>
+            {COLUMNS.map(({ key, label }) => (
+              <th key={key} onClick={() => toggleSort(key)}>
+                {label}
+                {sort.column === key && (sort.ascending ? ' ▲' : ' ▼')}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((p) => (
+            <tr key={`${p.obstacle.id}-${p.key}-${p.runway}`} onClick={() => onSelect(p.obstacle)}>
+              <td>#{p.obstacle.id}</td>
+              <td>{p.obstacle.type}</td>
+              <td>{OLS_SURFACES[p.key]} {p.runway}</td>
+              <td>{p.obstacle.elevation.toFixed(1)}</td>
+              <td>{p.surfaceElevation.toFixed(1)}</td>
+              <td className="ols-depth">+{p.depth.toFixed(1)}m</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default OlsPanel;
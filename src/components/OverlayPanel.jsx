@@ -0,0 +1,76 @@
+import React from 'react';
+import { overlayCounts } from '../data/overlays';
+
+const COUNT_LABELS = { Point: '점', LineString: '선', Polygon: '면' };
+
+// Imported user layers, each with visibility, colour, opacity, extrusion
+// and remove controls
+function OverlayPanel({ layers, onChange, onFocus, onRemove }) {
+  if (!layers.length) {
+    return <div className="overlay-empty">파일을 지도 위로 끌어다 놓거나 아래에서 선택하세요</div>;
+  }
+
+  return (
+    <div className="overlay-list">
+      {layers.map((layer) => {
+        const counts = overlayCounts(layer);
+        return (
+          <div key={layer.id} className={`overlay-item ${layer.visible ? '' : 'hidden'}`}>
+            <div className="overlay-row">
+              <input
+                type="checkbox"
+                className="toggle-checkbox"
+                checked={layer.visible}
+                onChange={() => onChange(layer.id, { visible: !layer.visible })}
+              />
+              <input
+                type="color"
+                className="overlay-color"
+                value={layer.color}
+                onChange={(e) => onChange(layer.id, { color: e.target.value })}
+                title="색상"
+              />
+              <span className="overlay-name" onClick={() => onFocus(layer.id)} title="이동">
+                {layer.name}
+              </span>
+              <span className="track-source">{layer.format}</span>
+              <button className="track-remove" onClick={() => onRemove(layer.id)} title="제거">×</button>
+            </div>
+            <div className="overlay-counts">
+              {Object.entries(counts)
+                .filter(([, count]) => count)
+                .map(([geometry, count]) => `${COUNT_LABELS[geometry]} ${count}`)
+                .join(' · ')}
+            </div>
+            <div className="overlay-style">
+              <label>
+                불투명도
+                <input
+                  type="range"
+                  min="0.1"
+                  max="1"
+                  step="0.05"
+                  value={layer.opacity}
+                  onChange={(e) => onChange(layer.id, { opacity: Number(e.target.value) })}
+                />
+              </label>
+              <label>
+                돌출
+                <input
+                  type="number"
+                  min="0"
+                  step="10"
+                  value={layer.extrusionM}
+                  onChange={(e) => onChange(layer.id, { extrusionM: Math.max(0, Number(e.target.value) || 0) })}
+                />
+                m
+              </label>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default OverlayPanel;
@@ -0,0 +1,71 @@
+import React, { useEffect, useRef } from 'react';
+import { formatBearing } from '../render/measure';
+
+// Leg table of the selected procedure. The active row is the leg
+// highlighted in the 3D view; clicking a row highlights and flies to it.
+function ProcedureLegTable({ name, rows, transitions, activeIndex, onSelectRow, onClose }) {
+  const activeRef = useRef(null);
+
+  // Keep a leg picked in the 3D view in sight
+  useEffect(() => {
+    if (activeRef.current) activeRef.current.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const transitionLabel = (key) => {
+    const transition = transitions.find((item) => item.key === key);
+    return transition ? transition.label : null;
+  };
+
+  return (
+    <div className="leg-table">
+      <div className="leg-table-header">
+        <span>{name}</span>
+        <button className="track-remove" onClick={onClose} title="닫기">×</button>
+      </div>
+      <div className="leg-table-scroll">
+        <table className="ols-table">
+          <thead>
+            <tr>
+              <th>픽스</th>
+              <th>P/T</th>
+              <th>코스</th>
+              <th>거리</th>
+              <th>고도</th>
+              <th>속도</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, idx) => {
+              const label = transitionLabel(row.transition);
+              const startsTransition = label && (idx === 0 || rows[idx - 1].transition !== row.transition);
+              return (
+                <React.Fragment key={idx}>
+                  {startsTransition && (
+                    <tr className="leg-table-transition">
+                      <td colSpan="6">{label}</td>
+                    </tr>
+                  )}
+                  <tr
+                    ref={idx === activeIndex ? activeRef : null}
+                    className={`${idx === activeIndex ? 'active' : ''} ${row.missed ? 'missed' : ''}`}
+                    onClick={() => onSelectRow(idx)}
+                  >
+                    <td>{row.fix || '—'}</td>
+                    <td>{row.pathTerminator || ''}</td>
+                    <td>{row.course ? `${formatBearing(row.course.deg)}°${row.course.ref}` : ''}</td>
+                    <td>{row.distanceNm !== null ? row.distanceNm.toFixed(1) : ''}</td>
+                    <td>{row.altitude}</td>
+                    <td>{row.speedKt ? `${row.speedKt}kt` : ''}</td>
+                  </tr>
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {rows.some((row) => row.missed) && <div className="leg-table-note">기울임: 실패접근 구간</div>}
+    </div>
+  );
+}
+
+export default ProcedureLegTable;
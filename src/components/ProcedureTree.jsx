@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+
+// Procedures grouped by type and runway, each with its own visibility,
+// colour and transition toggles. Clicking a name opens its leg table.
+function ProcedureTree({ tree, styleOf, selectedKey, onToggle, onToggleTransition, onColor, onSelect }) {
+  const [collapsed, setCollapsed] = useState({});
+  const toggleNode = (key) => setCollapsed((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  return (
+    <div className="proc-tree">
+      {tree.map(({ procType, label, runways }) => (
+        <div key={procType} className="proc-tree-type">
+          <div className="proc-tree-node" onClick={() => toggleNode(procType)}>
+            <span className="category-toggle">{collapsed[procType] ? '▶' : '▼'}</span>
+            {label}
+          </div>
+          {!collapsed[procType] && runways.map(({ runway, procedures }) => {
+            const runwayKey = `${procType}/${runway}`;
+            return (
+              <div key={runwayKey} className="proc-tree-runway">
+                <div className="proc-tree-node" onClick={() => toggleNode(runwayKey)}>
+                  <span className="category-toggle">{collapsed[runwayKey] ? '▶' : '▼'}</span>
+                  {runway}
+                </div>
+                {!collapsed[runwayKey] && procedures.map((proc) => {
+                  const style = styleOf(proc.key);
+                  return (
+                    <div key={proc.key} className="proc-tree-proc">
+                      <div className={`proc-tree-row ${selectedKey === proc.key ? 'selected' : ''}`}>
+                        <input
+                          type="checkbox"
+                          className="toggle-checkbox"
+                          checked={style.visible}
+                          onChange={() => onToggle(proc.key)}
+                        />
+                        <input
+                          type="color"
+                          className="overlay-color"
+                          value={style.color}
+                          onChange={(e) => onColor(proc.key, e.target.value)}
+                          title="색상"
+                        />
+                        <span className="proc-tree-name" onClick={() => onSelect(proc.key)} title="구간 표 보기">
+                          {proc.name}
+                        </span>
+                      </div>
+                      {style.visible && proc.transitions.length > 1 && (
+                        <div className="proc-tree-transitions">
+                          {proc.transitions.map((transition) => (
+                            <label key={transition.key}>
+                              <input
+                                type="checkbox"
+                                checked={!style.hiddenTransitions.includes(transition.key)}
+                                onChange={() => onToggleTransition(proc.key, transition.key)}
+                              />
+                              {transition.label}
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ProcedureTree;
@@ -0,0 +1,163 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatConstraint } from '../data/procedures';
+import { flightStateAt } from '../geo/flythrough';
+import { mToFt, mToNm, nmToM } from '../geo/units';
+
+const HEIGHT = 200;
+const PAD = { left: 48, right: 12, top: 28, bottom: 20 };
+
+// Round grid step giving at most `lines` lines over `span`
+const gridStep = (span, lines, steps) => steps.find((step) => span / step <= lines) || steps[steps.length - 1];
+
+// Side view of a procedure or drawn route: the nominal path with the
+// constraint at each fix, the terrain under it and the obstacles within the
+// lateral buffer, by distance along the path. The cursor follows the mouse
+// (and the marker in the 3D view); `pick` marks the position picked in 3D.
+function ProfileChart({ title, path, terrain, obstacles, cursorS, pick, onHover, onClose }) {
+  const wrapRef = useRef(null);
+  const [width, setWidth] = useState(600);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.max(200, entry.contentRect.width)));
+    observer.observe(wrapRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const plotWidth = width - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const lengthNm = mToNm(path.length);
+
+  const heightsFt = [
+    ...path.points.map((p) => mToFt(p.altM)),
+    ...obstacles.map(({ obstacle }) => mToFt(obstacle.elevation)),
+    ...(terrain || []).map((t) => mToFt(t.heightM)),
+    ...path.fixes.flatMap((fix) => (fix.constraint ? [fix.constraint.lowerFt, fix.constraint.upperFt] : [])),
+  ].filter(Number.isFinite);
+  const minFt = Math.min(0, ...heightsFt);
+  const maxFt = Math.max(...heightsFt) * 1.1 + 200;
+
+  const x = (s) => PAD.left + (s / path.length) * plotWidth;
+  const y = (ft) => PAD.top + plotHeight * (1 - (ft - minFt) / (maxFt - minFt));
+  const polyline = (points) => points.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' ');
+
+  const altStep = gridStep(maxFt - minFt, 5, [100, 200, 500, 1000, 2000, 5000, 10000]);
+  const altLines = [];
+  for (let ft = Math.ceil(minFt / altStep) * altStep; ft <= maxFt; ft += altStep) altLines.push(ft);
+  const distStep = gridStep(lengthNm, 8, [0.5, 1, 2, 5, 10, 20, 50]);
+  const distLines = [];
+  for (let nm = 0; nm <= lengthNm; nm += distStep) distLines.push(nm);
+
+  const handleMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const f = (e.clientX - rect.left - PAD.left) / plotWidth;
+    onHover(f < 0 || f > 1 ? null : f * path.length);
+  };
+
+  const cursor = cursorS !== null ? flightStateAt(path, cursorS) : null;
+
+  return (
+    <div className="profile-dock">
+      <div className="leg-table-header">
+        <span>{title}</span>
+        <button className="track-remove" onClick={onClose} title="닫기">×</button>
+      </div>
+      <div ref={wrapRef} className="profile-chart-wrap">
+        <svg
+          className="profile-chart"
+          width={width}
+          height={HEIGHT}
+          onMouseMove={handleMove}
+          onMouseLeave={() => onHover(null)}
+        >
+          <rect x={PAD.left} y={PAD.top} width={plotWidth} height={plotHeight} className="chart-frame" />
+          {altLines.map((ft) => (
+            <g key={`alt${ft}`}>
+              <line x1={PAD.left} x2={width - PAD.right} y1={y(ft)} y2={y(ft)} className="chart-grid" />
+              <text x={PAD.left - 4} y={y(ft) + 3} className="chart-label" textAnchor="end">{ft}</text>
+            </g>
+          ))}
+          {distLines.map((nm) => (
+            <text key={`nm${nm}`} x={x(nmToM(nm))} y={HEIGHT - 6} className="chart-label" textAnchor="middle">
+              {nm}
+            </text>
+          ))}
+          <text x={PAD.left + 4} y={PAD.top + 12} className="chart-label">ft</text>
+          <text x={width - PAD.right} y={HEIGHT - 6} className="chart-label" textAnchor="end">NM</text>
+
+          {terrain && terrain.length > 1 && (
+            <polygon
+              className="profile-terrain"
+              points={polyline([
+                [x(terrain[0].s), y(minFt)],
+                ...terrain.map((t) => [x(t.s), y(mToFt(t.heightM))]),
+                [x(terrain[terrain.length - 1].s), y(minFt)],
+              ])}
+            />
+          )}
+
+          {obstacles.map(({ obstacle, s, lateralM }) => {
+            const above = obstacle.elevation >= flightStateAt(path, s).altM;
+            return (
+              <g key={obstacle.id} className={`profile-obstacle ${above ? 'above' : ''}`}>
+                <title>{`#${obstacle.id} ${obstacle.type} ${Math.round(mToFt(obstacle.elevation))}ft · 횡방향 ${mToNm(lateralM).toFixed(2)}NM`}</title>
+                <line x1={x(s)} x2={x(s)} y1={y(mToFt(obstacle.groundElevation))} y2={y(mToFt(obstacle.elevation))} />
+                <circle cx={x(s)} cy={y(mToFt(obstacle.elevation))} r={2.5} />
+              </g>
+            );
+          })}
+
+          <polyline
+            className="profile-path"
+            points={polyline(path.points.map((p) => [x(p.s), y(mToFt(p.altM))]))}
+          />
+
+          {path.fixes.map((fix, idx) => {
+            const { constraint } = fix;
+            return (
+              <g key={`${fix.name}${idx}`} className="profile-fix">
+                <line x1={x(fix.s)} x2={x(fix.s)} y1={PAD.top} y2={PAD.top + plotHeight} />
+                <text x={x(fix.s)} y={PAD.top - 14} textAnchor="middle">{fix.name}</text>
+                {constraint && (
+                  <>
+                    <text x={x(fix.s)} y={PAD.top - 4} textAnchor="middle" className="profile-constraint-label">
+                      {formatConstraint(constraint)}
+                    </text>
+                    {[constraint.lowerFt, constraint.upperFt].filter(Number.isFinite).map((ft, bar) => (
+                      <line
+                        key={bar}
+                        className="profile-constraint"
+                        x1={x(fix.s) - 6}
+                        x2={x(fix.s) + 6}
+                        y1={y(ft)}
+                        y2={y(ft)}
+                      />
+                    ))}
+                  </>
+                )}
+              </g>
+            );
+          })}
+
+          {pick && (
+            <g className="profile-pick">
+              <line x1={x(pick.s)} x2={x(pick.s)} y1={PAD.top} y2={PAD.top + plotHeight} />
+              <text x={x(pick.s) + 4} y={PAD.top + plotHeight - 4}>{pick.label}</text>
+            </g>
+          )}
+
+          {cursor && (
+            <g className="profile-cursor">
+              <line x1={x(cursor.s)} x2={x(cursor.s)} y1={PAD.top} y2={PAD.top + plotHeight} />
+              <circle cx={x(cursor.s)} cy={y(cursor.altFt)} r={3.5} />
+              <text x={x(cursor.s) + 6} y={y(cursor.altFt) - 6}>
+                {Math.round(cursor.altFt)}ft · {mToNm(cursor.s).toFixed(1)}NM
+              </text>
+            </g>
+          )}
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+export default ProfileChart;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+// Vertical profile source: a procedure or a route drawn by clicking points in
+// the 3D view, and the lateral buffer for obstacles shown on the profile
+function ProfilePanel({ procedures, settings, onChange, obstacleCount }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const { source, route, drawing } = settings;
+
+  return (
+    <div className="profile">
+      <select
+        className="conformance-select"
+        value={source || ''}
+        onChange={(e) => update({ source: e.target.value || null, drawing: e.target.value === 'route' && !route.length })}
+      >
+        <option value="">프로파일 대상 선택</option>
+        {procedures.map(({ key, label }) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+        <option value="route">직접 그린 경로</option>
+      </select>
+
+      <label className="measure-buffer">
+        횡방향 버퍼
+        <input
+          type="number"
+          min="0.1"
+          step="0.1"
+          value={settings.bufferNm}
+          onChange={(e) => update({ bufferNm: Number(e.target.value) || settings.bufferNm })}
+        />
+        NM
+      </label>
+
+      {source === 'route' && (
+        <>
+          <div className="measure-modes">
+            <button className={drawing ? 'active' : ''} onClick={() => update({ drawing: !drawing })}>
+              {drawing ? '그리기 끝내기' : '경로 그리기'}
+            </button>
+            <button onClick={() => update({ route: [], drawing: true })} disabled={!route.length}>지우기</button>
+          </div>
+          <label className="measure-buffer">
+            경로 고도
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={settings.routeAltFt}
+              onChange={(e) => update({ routeAltFt: Number(e.target.value) || 0 })}
+            />
+            ft
+          </label>
+          <div className="measure-hint">
+            {drawing
+              ? '지도를 클릭해 경로 지점을 추가하세요 (절차 위 지점은 그 고도를 사용)'
+              : `경로 지점 ${route.length}개`}
+          </div>
+        </>
+      )}
+
+      {source && (source !== 'route' || route.length >= 2) && (
+        <div className="profile-summary">
+          버퍼 내 장애물 {obstacleCount}개 · 프로파일에서 마우스를 움직이면 3D 표시가 따라갑니다
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProfilePanel;
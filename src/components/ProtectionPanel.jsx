@@ -0,0 +1,85 @@
+import React from 'react';
+
+const formatFt = (ft) => (ft === null ? '—' : `${Math.round(ft)}ft`);
+
+// Approach protection areas: procedure selection and the per-segment
+// obstacle assessment. Clicking a segment's controlling obstacle flies to it.
+function ProtectionPanel({ procedures, procedureKey, onChange, reports, oca, onSelectObstacle }) {
+  if (!procedures.length) {
+    return <div className="conformance-empty">접근 절차가 없습니다</div>;
+  }
+
+  return (
+    <div className="protection">
+      <select
+        className="conformance-select"
+        value={procedureKey || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+      >
+        <option value="">접근 절차 선택</option>
+        {procedures.map(({ key, proc }) => (
+          <option key={key} value={key}>{proc.name}</option>
+        ))}
+      </select>
+
+      {procedureKey && !reports.length && (
+        <div className="conformance-empty">보호구역을 만들 구간이 없습니다</div>
+      )}
+
+      {reports.length > 0 && (
+        <>
+          <table className="ols-table">
+            <thead>
+              <tr>
+                <th>구간</th>
+                <th>MOC</th>
+                <th>지배 장애물</th>
+                <th>최저 고도</th>
+                <th>여유</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reports.map((report, idx) => {
+                const { controlling } = report;
+                return (
+                  <tr
+                    key={idx}
+                    className={controlling ? '' : 'protection-clear'}
+                    onClick={() => controlling && onSelectObstacle(controlling.obstacle)}
+                    title={`구역 내 장애물 ${report.obstacles.length}개`}
+                  >
+                    <td>
+                      <span className="protection-swatch" style={{ background: report.color }} />
+                      {report.label}{report.name ? ` ${report.name}` : ''}{report.assumed ? '*' : ''}
+                    </td>
+                    <td>{report.mocM}m</td>
+                    <td>
+                      {controlling
+                        ? `#${controlling.obstacle.id} ${controlling.obstacle.elevation.toFixed(0)}m${controlling.primary ? '' : ' (2차)'}`
+                        : '없음'}
+                    </td>
+                    <td>{formatFt(report.minimumAltFt)}</td>
+                    <td className={report.marginFt !== null && report.marginFt < 0 ? 'ols-depth' : ''}>
+                      {report.marginFt === null ? '—' : `${report.marginFt >= 0 ? '+' : ''}${Math.round(report.marginFt)}ft`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {oca && (
+            <div className="protection-oca">
+              OCA {oca.altFt}ft ({oca.kind === 'missed' ? '실패 접근' : '최종 접근'} 지배)
+            </div>
+          )}
+          <div className="protection-note">
+            여유: 절차 고도 − 최저 고도 · 실패 접근 최저 고도는 MAPt 기준(상승 2.5%)
+            {reports.some((report) => report.assumed) && ' · *: IF/FAF 추정'}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ProtectionPanel;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { stateAt } from '../geo/kinematics';
+
+// Loaded flight tracks with live readouts at the current clock time
+function TrackPanel({ tracks, time, onToggle, onFocus, onRemove }) {
+  if (!tracks.length) return null;
+
+  return (
+    <div className="track-list">
+      {tracks.map((track) => {
+        const state = time !== null ? stateAt(track, time) : null;
+        return (
+          <div key={track.id} className={`track-item ${track.visible ? '' : 'hidden'}`}>
+            <div className="track-row">
+              <input
+                type="checkbox"
+                className="toggle-checkbox"
+                checked={track.visible}
+                onChange={() => onToggle(track.id)}
+              />
+              <div className="toggle-color" style={{ background: track.color }} />
+              <span className="track-name" onClick={() => onFocus(track.id)} title="추적">
+                {track.name}
+              </span>
+              <span className="track-source">{track.source}</span>
+              <button className="track-remove" onClick={() => onRemove(track.id)} title="제거">×</button>
+            </div>
+            {state ? (
+              <div className="track-readouts">
+                <span>ALT {Math.round(state.altFt)}ft ({Math.round(state.altM)}m)</span>
+                <span>GS {Math.round(state.groundSpeedKt)}kt</span>
+                <span>VS {state.verticalRateFpm > 0 ? '+' : ''}{Math.round(state.verticalRateFpm)}fpm</span>
+              </div>
+            ) : (
+              <div className="track-readouts idle">재생 시간 범위 밖</div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default TrackPanel;
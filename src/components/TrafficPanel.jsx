@@ -0,0 +1,79 @@
+import React from 'react';
+import { TRAFFIC_FEED_TYPES } from '../data/trafficFeed';
+import { altitudeTag } from '../data/traffic';
+
+// Live traffic: the feed to read and its connection state, the airspaces
+// with aircraft inside and the aircraft heard. Clicking an aircraft selects
+// it in the 3D view.
+function TrafficPanel({ feed, onFeedChange, active, onToggle, status, aircraft, occupancy, onSelect }) {
+  const statusText = !active
+    ? '연결 안 됨'
+    : status.connected ? `수신 중 · 항공기 ${aircraft.length}대` : status.error || '연결 중…';
+
+  return (
+    <div className="traffic">
+      <select
+        className="conformance-select"
+        value={feed.type}
+        disabled={active}
+        onChange={(e) => onFeedChange({ type: e.target.value, url: TRAFFIC_FEED_TYPES[e.target.value].defaultUrl })}
+      >
+        {Object.entries(TRAFFIC_FEED_TYPES).map(([type, { label }]) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        className="traffic-url"
+        value={feed.url}
+        disabled={active}
+        onChange={(e) => onFeedChange({ ...feed, url: e.target.value })}
+      />
+      <div className="measure-modes">
+        <button className={active ? 'active' : ''} onClick={onToggle} disabled={!feed.url.trim()}>
+          {active ? '연결 해제' : '연결'}
+        </button>
+      </div>
+      <div className={`traffic-status ${active && !status.connected ? 'traffic-error' : ''}`}>{statusText}</div>
+
+      {occupancy.length > 0 && (
+        <div className="traffic-occupancy">
+          {occupancy.map(({ name, callsigns }) => (
+            <div key={name}>
+              <strong>{name}</strong> {callsigns.join(', ')}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {aircraft.length > 0 && (
+        <div className="ols-table-wrap">
+          <table className="ols-table">
+            <thead>
+              <tr>
+                <th>편명</th>
+                <th>고도</th>
+                <th>속도</th>
+                <th>항적</th>
+                <th>스쿽</th>
+              </tr>
+            </thead>
+            <tbody>
+              {aircraft.map((item) => (
+                <tr key={item.hex} onClick={() => onSelect(item.hex)}>
+                  <td>{item.callsign || item.hex}</td>
+                  <td>{altitudeTag(item)}</td>
+                  <td>{item.gsKt !== undefined ? `${Math.round(item.gsKt)}kt` : '-'}</td>
+                  <td>{item.trackDeg !== undefined ? `${Math.round(item.trackDeg)}°` : '-'}</td>
+                  <td>{item.squawk || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrafficPanel;
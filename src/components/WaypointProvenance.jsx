@@ -0,0 +1,35 @@
+import React from 'react';
+import { compareSources, sourcePositions, WAYPOINT_CONFLICT_M } from '../data/waypoints';
+
+// Every source a selected waypoint appears in, with the coordinates each
+// published and how far they sit from the waypoint's position
+function WaypointProvenance({ name, waypoint, onClose }) {
+  const positions = sourcePositions(waypoint).sort((a, b) => compareSources(a.source, b.source));
+  const conflicts = positions.filter((p) => p.conflict).length;
+
+  return (
+    <div className="provenance">
+      <div className="provenance-header">
+        <span className="provenance-name">{name}</span>
+        <span className="provenance-count">출처 {positions.length}</span>
+        <button className="track-remove" onClick={onClose} title="닫기">×</button>
+      </div>
+      {conflicts > 0 && (
+        <div className="provenance-warning">
+          ⚠ {conflicts}개 출처의 좌표가 {WAYPOINT_CONFLICT_M}m 이상 다릅니다
+        </div>
+      )}
+      <div className="provenance-list">
+        {positions.map(({ source, lat, lon, offsetM, conflict }) => (
+          <div key={source} className={`provenance-item ${conflict ? 'conflict' : ''}`}>
+            <span className="provenance-source">{source}</span>
+            <span className="provenance-coord">{lat.toFixed(6)}, {lon.toFixed(6)}</span>
+            <span className="provenance-offset">{offsetM < 0.5 ? '—' : `${Math.round(offsetM)}m`}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default WaypointProvenance;
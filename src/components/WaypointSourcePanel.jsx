@@ -0,0 +1,57 @@
+import React from 'react';
+
+// AIP tables waypoints were published in, with show/hide, solo and
+// select-all controls. `summary` comes from summariseSources.
+function WaypointSourcePanel({ summary, enabled, onChange }) {
+  if (!summary.length) {
+    return <div className="source-empty">출처 정보가 없습니다</div>;
+  }
+
+  const setAll = (value) => {
+    onChange(Object.fromEntries(summary.map(({ source }) => [source, value])));
+  };
+
+  const solo = (source) => {
+    onChange(Object.fromEntries(summary.map((item) => [item.source, item.source === source])));
+  };
+
+  return (
+    <div className="source-panel">
+      <div className="source-actions">
+        <button onClick={() => setAll(true)}>전체 선택</button>
+        <button onClick={() => setAll(false)}>전체 해제</button>
+      </div>
+      {summary.map(({ source, count, conflicts }) => (
+        <div
+          key={source}
+          className={`toggle-item ${enabled[source] ? 'active' : ''}`}
+          onClick={() => onChange({ ...enabled, [source]: !enabled[source] })}
+        >
+          <input
+            type="checkbox"
+            className="toggle-checkbox"
+            checked={!!enabled[source]}
+            onChange={() => {}}
+          />
+          <span className="toggle-label">{source}</span>
+          {conflicts > 0 && (
+            <span className="source-conflicts" title="출처 간 좌표 불일치 웨이포인트">⚠ {conflicts}</span>
+          )}
+          <span className="source-count">{count}</span>
+          <button
+            className="source-solo"
+            title="이 출처만 표시"
+            onClick={(e) => {
+              e.stopPropagation();
+              solo(source);
+            }}
+          >
+            단독
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default WaypointSourcePanel;
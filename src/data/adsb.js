@@ -0,0 +1,90 @@
+// ADS-B receiver output
+//
+// Read both live (data/trafficFeed.js) and from recorded files
+// (data/tracks.js):
+//   aircraft.json   as served by dump1090-fa or readsb; the older dump1090
+//                   names (altitude, speed, vert_rate) are read too:
+//     { "now": 1714564800.1, "aircraft": [
+//       { "hex": "71be12", "flight": "KAL1402 ", "lat": 35.52, "lon": 129.35,
+//         "alt_baro": 3000, "alt_geom": 3150, "gs": 160, "track": 358.2,
+//         "baro_rate": -700, "squawk": "1234", "seen": 0.2, "seen_pos": 0.4 },
+//       { "hex": "71c0a4", "alt_baro": "ground", ... } ] }
+//   SBS-1           BaseStation CSV lines, as dump1090 serves on port 30003:
+//     MSG,3,1,1,71BE12,1,2024/05/01,12:00:00.000,2024/05/01,12:00:00.000,,3000,,,35.52,129.35,,,0,0,0,0
+//                   Fields 5 ICAO address, 7-8 generated date/time (UTC),
+//                   11 callsign, 12 barometric altitude (ft), 13 ground speed
+//                   (kt), 14 track, 15-16 lat/lon, 17 vertical rate (ft/min),
+//                   18 squawk and 22 on ground; each message type fills only
+//                   some.
+// Each aircraft or message decodes to the fields it carries:
+//   { hex, callsign, squawk, lon, lat, altFt, altGeomFt, onGround, gsKt,
+//     trackDeg, vrateFpm }
+// altFt is the barometric altitude (standard pressure), the one the viewer
+// uses everywhere. altGeomFt is the GNSS altitude above the WGS-84
+// ellipsoid, not mean sea level, and is kept apart rather than mixed in.
+
+const finite = (value) => (Number.isFinite(value) ? value : undefined);
+
+const numberField = (text) => (text === undefined || text.trim() === '' ? undefined : finite(Number(text)));
+
+const textField = (text) => (typeof text === 'string' && text.trim() ? text.trim() : undefined);
+
+// Drop fields the report does not carry, so merging keeps the last known ones
+const defined = (update) =>
+  Object.fromEntries(Object.entries(update).filter(([, value]) => value !== undefined));
+
+// One aircraft of an aircraft.json document taken at `now` (ms), with `at`
+// and `positionAt` the times of its last message and position; null for
+// entries without an ICAO address
+export function decodeAircraft(ac, now) {
+  if (typeof ac.hex !== 'string' || ac.hex.startsWith('~')) return null;
+  const baro = ac.alt_baro ?? ac.altitude;
+  const hasPosition = Number.isFinite(ac.lat) && Number.isFinite(ac.lon);
+  return defined({
+    hex: ac.hex.toUpperCase(),
+    at: now - (finite(ac.seen) ?? 0) * 1000,
+    callsign: textField(ac.flight),
+    squawk: textField(ac.squawk),
+    lon: hasPosition ? ac.lon : undefined,
+    lat: hasPosition ? ac.lat : undefined,
+    positionAt: hasPosition ? now - (finite(ac.seen_pos) ?? 0) * 1000 : undefined,
+    altFt: finite(baro),
+    altGeomFt: finite(ac.alt_geom),
+    onGround: baro === 'ground' ? true : finite(baro) !== undefined ? false : undefined,
+    gsKt: finite(ac.gs ?? ac.speed),
+    trackDeg: finite(ac.track),
+    vrateFpm: finite(ac.baro_rate ?? ac.vert_rate ?? ac.geom_rate),
+  });
+}
+
+// All aircraft of an aircraft.json document, their ages counted back from
+// `now` (ms): the time it was received for a live feed, whose receiver clock
+// need not agree with ours, or the document's own `now` for a recording
+export function decodeAircraftJson(json, now) {
+  if (!json || !Array.isArray(json.aircraft)) throw new Error('aircraft.json 형식이 아닙니다');
+  return json.aircraft.map((ac) => decodeAircraft(ac, now)).filter(Boolean);
+}
+
+// One SBS-1 line, with `time` the generated time of the message (ms), or
+// null for lines that are not aircraft messages
+export function decodeSbsMessage(line) {
+  const fields = line.trim().split(',');
+  if (fields[0] !== 'MSG' || fields.length < 11 || !fields[4]) return null;
+  const lat = numberField(fields[14]);
+  const lon = numberField(fields[15]);
+  const hasPosition = lat !== undefined && lon !== undefined;
+  const time = Date.parse(`${(fields[6] || '').replace(/\//g, '-')}T${fields[7] || ''}Z`);
+  return defined({
+    hex: fields[4].toUpperCase(),
+    time: finite(time),
+    callsign: textField(fields[10]),
+    altFt: numberField(fields[11]),
+    gsKt: numberField(fields[12]),
+    trackDeg: numberField(fields[13]),
+    lon: hasPosition ? lon : undefined,
+    lat: hasPosition ? lat : undefined,
+    vrateFpm: numberField(fields[16]),
+    squawk: textField(fields[17]),
+    onGround: fields[21] === undefined || fields[21] === '' ? undefined : fields[21] !== '0',
+  });
+}
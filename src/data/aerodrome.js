@@ -0,0 +1,99 @@
+import { bearingDeg, destination, distanceM } from '../geo/geodesy';
+
+// Runway model
+//
+// Runways live in the airport block of the dataset. Each runway lists its two
+// ends with the landing threshold position, elevation and declared distances
+// (all metres, bearings true):
+//   {
+//     "designator": "18/36", "width_m": 45, "surface": "ASPH",
+//     "classification": "PRECISION",
+//     "ends": [
+//       { "designator": "36", "lat": 35.5845, "lon": 129.352083, "elevation": 12.5,
+//         "true_bearing": 358.2, "displaced_threshold_m": 0,
+//         "tora_m": 1972, "toda_m": 1972, "asda_m": 1972, "lda_m": 1972 },
+//       { "designator": "18", ... }
+//     ]
+//   }
+// The physical runway end lies displaced_threshold_m behind the threshold.
+
+const reciprocal = (deg) => (deg + 180) % 360;
+
+// Derive positions and distances for one dataset runway
+export function buildRunwayModel(runway) {
+  const [a, b] = runway.ends;
+  const ends = runway.ends.map((end, idx) => {
+    const other = idx === 0 ? b : a;
+    const bearing = end.true_bearing ?? bearingDeg(end.lon, end.lat, other.lon, other.lat);
+    const displaced = end.displaced_threshold_m || 0;
+    // Runway end this direction starts from (behind a displaced threshold)
+    const start = displaced
+      ? destination(end.lon, end.lat, reciprocal(bearing), displaced)
+      : [end.lon, end.lat];
+    return {
+      designator: end.designator,
+      lon: end.lon,
+      lat: end.lat,
+      elevation: end.elevation,
+      bearing,
+      displaced,
+      start,
+      tora: end.tora_m ?? null,
+      toda: end.toda_m ?? null,
+      asda: end.asda_m ?? null,
+      lda: end.lda_m ?? null,
+    };
+  });
+
+  const [endA, endB] = ends;
+  const length = distanceM(endA.start[0], endA.start[1], endB.start[0], endB.start[1]);
+  const halfWidth = runway.width_m / 2;
+
+  // Pavement outline from one physical end to the other
+  const side = (point, bearing, offset) => destination(point[0], point[1], (bearing + offset + 360) % 360, halfWidth);
+  const outline = [
+    side(endA.start, endA.bearing, -90),
+    side(endB.start, endA.bearing, -90),
+    side(endB.start, endA.bearing, 90),
+    side(endA.start, endA.bearing, 90),
+  ];
+
+  // Threshold lookup used by procedures and the obstacle limitation surfaces;
+  // the clearway is what TODA adds beyond TORA for departures in that direction
+  const thresholds = {};
+  ends.forEach((end) => {
+    thresholds[end.designator] = {
+      lon: end.lon,
+      lat: end.lat,
+      elevation: end.elevation,
+      displaced: end.displaced,
+      clearway: end.toda !== null && end.tora !== null ? Math.max(0, end.toda - end.tora) : 0,
+    };
+  });
+
+  return {
+    designator: runway.designator,
+    width: runway.width_m,
+    surface: runway.surface || null,
+    classification: runway.classification || 'NON_INSTRUMENT',
+    length,
+    ends,
+    outline,
+    thresholds,
+  };
+}
+
+export function buildRunways(airport) {
+  return (airport?.runways || []).map(buildRunwayModel);
+}
+
+// Look up the threshold a procedure lands on, e.g. "36" or "RW36"
+export function findThreshold(runways, runway) {
+  if (!runway) return null;
+  const designator = String(runway).replace(/^RW/, '');
+  for (const model of runways || []) {
+    const threshold = model.thresholds[designator];
+    if (threshold) return { designator, ...threshold };
+  }
+  return null;
+}
@@ -0,0 +1,186 @@
+import { bearingDeg, distanceM, pointInRing } from '../geo/geodesy';
+import { arcPoints } from '../geo/legs';
+import { ftToM, nmToM } from '../geo/units';
+
+// Airspace model
+//
+// Dataset airspace records carry a class, lower and upper limits and a
+// boundary:
+//   {
+//     "name": "Ulsan CTR", "class": "D",
+//     "lower": "SFC", "upper": "3000 ft AMSL",
+//     "circle": { "center": [129.3517, 35.5935], "radius_nm": 5 }
+//   }
+// Limits are "SFC", "<ft> ft AMSL", "<ft> ft AGL" or "FL<nnn>", or the same as
+// an object ({ "datum": "FL", "value": 95 }). The boundary is either a circle
+// or a `boundary` ring whose items are [lon, lat] vertices or arcs from the
+// previous vertex ({ "arc": "CW", "center": [lon, lat], "to": [lon, lat] }).
+// `holes` lists further rings or circles cut out of it. Legacy records with a
+// `coordinates` ring list (outer ring first, then holes) and base_alt/top_alt
+// in ft AMSL are still read.
+
+export const ALTITUDE_DATUMS = ['SFC', 'AMSL', 'AGL', 'FL'];
+
+const LIMIT_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*(?:FT)?\s*(AMSL|MSL|AGL)\s*$/i;
+const FL_PATTERN = /^\s*FL\s*(\d{1,3})\s*$/i;
+
+// Normalise a dataset limit to { datum, value }; value is ft (AMSL/AGL) or a
+// flight level number. Returns null when it cannot be read.
+export function parseLimit(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw === 'object') {
+    const datum = String(raw.datum || '').toUpperCase();
+    if (datum === 'SFC') return { datum, value: 0 };
+    if (!ALTITUDE_DATUMS.includes(datum) || !Number.isFinite(raw.value)) return null;
+    return { datum, value: raw.value };
+  }
+  if (typeof raw === 'number') return { datum: 'AMSL', value: raw };
+  const text = String(raw);
+  if (/^\s*(SFC|GND)\s*$/i.test(text)) return { datum: 'SFC', value: 0 };
+  const fl = FL_PATTERN.exec(text);
+  if (fl) return { datum: 'FL', value: Number(fl[1]) };
+  const ft = LIMIT_PATTERN.exec(text);
+  if (ft) {
+    const datum = ft[2].toUpperCase() === 'AGL' ? 'AGL' : 'AMSL';
+    return { datum, value: Number(ft[1]) };
+  }
+  return null;
+}
+
+// Limit as a height in metres, either above the terrain or above mean sea
+// level. Flight levels use the standard atmosphere (FL100 = 10000 ft).
+export function limitHeight(limit) {
+  switch (limit.datum) {
+    case 'SFC':
+      return { heightM: 0, aboveGround: true };
+    case 'AGL':
+      return { heightM: ftToM(limit.value), aboveGround: true };
+    case 'FL':
+      return { heightM: ftToM(limit.value * 100), aboveGround: false };
+    default:
+      return { heightM: ftToM(limit.value), aboveGround: false };
+  }
+}
+
+// "3000 ft AMSL (914 m)", "FL095 (2896 m)", "SFC"
+export function formatLimit(limit) {
+  if (limit.datum === 'SFC') return 'SFC';
+  const metres = Math.round(limitHeight(limit).heightM);
+  if (limit.datum === 'FL') return `FL${String(limit.value).padStart(3, '0')} (${metres} m)`;
+  return `${limit.value} ft ${limit.datum} (${metres} m)`;
+}
+
+// Comparable height for checking lower < upper. Ground-relative limits are
+// only comparable with each other, so they are placed on the aerodrome.
+const comparableHeightM = (limit, airportElevation) => {
+  const { heightM, aboveGround } = limitHeight(limit);
+  return aboveGround ? heightM + airportElevation : heightM;
+};
+
+// Expand a boundary ring of vertices and arcs into a closed [lon, lat] ring
+export function expandRing(items) {
+  const ring = [];
+  items.forEach((item) => {
+    if (Array.isArray(item)) {
+      ring.push([item[0], item[1]]);
+      return;
+    }
+    const from = ring[ring.length - 1];
+    const radius = distanceM(item.center[0], item.center[1], from[0], from[1]);
+    const startBrg = bearingDeg(item.center[0], item.center[1], from[0], from[1]);
+    const endBrg = bearingDeg(item.center[0], item.center[1], item.to[0], item.to[1]);
+    const points = arcPoints(item.center, radius, startBrg, endBrg, item.arc === 'CCW' ? 'L' : 'R');
+    // The arc ends exactly on the published end point
+    ring.push(...points.slice(1, -1), [item.to[0], item.to[1]]);
+  });
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push([first[0], first[1]]);
+  return ring;
+}
+
+export function circleRing(circle) {
+  const points = arcPoints(circle.center, nmToM(circle.radius_nm), 0, 0, 'R');
+  points[points.length - 1] = points[0];
+  return points;
+}
+
+// A hole or boundary shape: a circle or a ring of vertices and arcs
+const shapeRing = (shape) => (Array.isArray(shape) ? expandRing(shape) : circleRing(shape.circle || shape));
+
+// Problems with a boundary item list (used by the validator)
+export function checkRing(items, checkPosition) {
+  if (!Array.isArray(items) || !items.length) return '경계가 비어 있음';
+  if (!Array.isArray(items[0])) return '경계는 꼭짓점으로 시작해야 함';
+  for (const item of items) {
+    if (Array.isArray(item)) {
+      const problem = checkPosition(item);
+      if (problem) return problem;
+    } else if (item && (item.arc === 'CW' || item.arc === 'CCW')) {
+      const problem = checkPosition(item.center) || checkPosition(item.to);
+      if (problem) return `호: ${problem}`;
+    } else {
+      return '알 수 없는 경계 요소';
+    }
+  }
+  return null;
+}
+
+export function checkCircle(circle, checkPosition) {
+  if (!circle || typeof circle !== 'object') return '원 정의 오류';
+  if (!Number.isFinite(circle.radius_nm) || circle.radius_nm <= 0) return '원 반경 오류';
+  return checkPosition(circle.center);
+}
+
+// Lower and upper limits of a dataset record, honouring the legacy fields
+export function recordLimits(as) {
+  const lower = as.lower !== undefined ? parseLimit(as.lower) : parseLimit(as.base_alt ?? 'SFC');
+  const upper = as.upper !== undefined ? parseLimit(as.upper) : parseLimit(as.top_alt);
+  return { lower, upper };
+}
+
+export function limitsInOrder(lower, upper, airportElevation) {
+  return comparableHeightM(lower, airportElevation) < comparableHeightM(upper, airportElevation);
+}
+
+// Build the render model of a validated airspace record
+export function buildAirspaceModel(as) {
+  const { lower, upper } = recordLimits(as);
+  let outer;
+  let circle = null;
+  let holes = (as.holes || []).map(shapeRing);
+  if (as.circle) {
+    circle = as.circle;
+    outer = circleRing(as.circle);
+  } else if (as.boundary) {
+    outer = expandRing(as.boundary);
+  } else {
+    const [first, ...rest] = as.coordinates;
+    outer = first;
+    holes = [...rest, ...holes];
+  }
+  return {
+    name: as.name,
+    cls: as.class || null,
+    lower,
+    upper,
+    circle: holes.length ? null : circle,
+    outer,
+    holes,
+  };
+}
+
+// Whether a position (altitude in m AMSL) is inside a built airspace model.
+// Ground-relative limits are taken from `groundM`, the terrain (or aerodrome)
+// elevation under it.
+export function airspaceContains(model, lon, lat, altM, groundM = 0) {
+  const height = (limit) => {
+    const { heightM, aboveGround } = limitHeight(limit);
+    return aboveGround ? heightM + groundM : heightM;
+  };
+  if (altM < height(model.lower) || altM > height(model.upper)) return false;
+  const inside = model.circle
+    ? distanceM(model.circle.center[0], model.circle.center[1], lon, lat) <= nmToM(model.circle.radius_nm)
+    : pointInRing(model.outer, lon, lat);
+  return inside && !model.holes.some((hole) => pointInRing(hole, lon, lat));
+}
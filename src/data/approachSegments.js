@@ -0,0 +1,87 @@
+import { buildProcedureModel, HOLD_TERMINATORS } from './procedures';
+import { legTransitions } from './procedureBrowser';
+import { legProfile } from '../geo/legs';
+import { buildVerticalPath } from '../geo/verticalProfile';
+
+// Split an approach into its initial, intermediate, final and missed
+// approach segments, each a 3D nominal track ([{ lon, lat, altM }]).
+//
+// Leg-coded procedures are split at the fix roles of their legs (IF, FAF,
+// MAP); every approach transition gives its own initial segment. Holding
+// legs are left out: a holding pattern has its own protection area.
+// Fix-based procedures use the fixes' roles, assuming the last fix is the
+// FAF and the one before it the IF when the procedure does not say;
+// segments built on such an assumption are flagged `assumed`.
+
+function legSegments(proc, airportElevation) {
+  const transitions = proc.transitions || [];
+  const transitionOf = legTransitions(proc);
+  const segments = [];
+  let kind = 'initial';
+  let current = null;
+  let previousTransition;
+
+  proc.legs.forEach((leg, idx) => {
+    const transitionKey = transitionOf[idx];
+    const transition = transitions[Number(transitionKey)];
+    // Each approach transition starts again from its own IAF
+    if (transitionKey !== previousTransition && transition && transition.phase === 'transition') kind = 'initial';
+    previousTransition = transitionKey;
+
+    const legKind = leg.missed ? 'missed' : kind;
+    const usable = legKind !== 'done' &&
+      !HOLD_TERMINATORS.includes(leg.path_terminator) &&
+      leg.coordinates && leg.coordinates.length >= 2;
+    if (usable) {
+      const name = legKind === 'initial' && transition && transition.ident ? transition.ident : null;
+      if (!current || current.kind !== legKind || current.name !== name) {
+        current = { kind: legKind, name, points: [], assumed: false };
+        segments.push(current);
+      }
+      current.points.push(...legProfile(leg, airportElevation));
+    }
+
+    if (leg.missed) return;
+    const roles = leg.roles || [];
+    if (roles.includes('MAP')) kind = 'done';
+    else if (roles.includes('FAF')) kind = 'final';
+    else if (roles.includes('IF') && kind === 'initial') kind = 'intermediate';
+  });
+  return segments;
+}
+
+function fixSegments(proc, waypoints, runways, airportElevation) {
+  const model = buildProcedureModel(proc, 'APPROACH', waypoints, runways);
+  const { fixes, finalSegment } = buildVerticalPath(model, { airportElevation });
+  if (!fixes.length) return [];
+
+  const roleIndex = (role) => fixes.findIndex((fix) => fix.role === role);
+  let fafIndex = roleIndex('FAF');
+  let ifIndex = roleIndex('IF');
+  const mapIndex = roleIndex('MAP');
+  const fafAssumed = fafIndex < 0;
+  if (fafAssumed) fafIndex = fixes.length - 1;
+  const ifAssumed = ifIndex < 0 || ifIndex > fafIndex;
+  if (ifAssumed) ifIndex = Math.max(0, fafIndex - 1);
+
+  const points = (from, to) => fixes
+    .slice(from, to + 1)
+    .map(({ lon, lat, altitudeM }) => ({ lon, lat, altM: altitudeM }));
+  const finalEnd = mapIndex > fafIndex ? mapIndex : fixes.length - 1;
+  const finalPoints = points(fafIndex, finalEnd);
+  // Without a MAPt the final segment runs down the glidepath to the threshold
+  if (mapIndex <= fafIndex) finalPoints.push(...finalSegment);
+
+  return [
+    { kind: 'initial', name: null, points: points(0, ifIndex), assumed: ifAssumed },
+    { kind: 'intermediate', name: null, points: points(ifIndex, fafIndex), assumed: ifAssumed || fafAssumed },
+    { kind: 'final', name: null, points: finalPoints, assumed: fafAssumed },
+  ];
+}
+
+export function approachSegments(proc, { waypoints, runways, airportElevation }) {
+  const segments = proc.legs && proc.legs.length
+    ? legSegments(proc, airportElevation)
+    : fixSegments(proc, waypoints, runways, airportElevation);
+  return segments.filter((segment) => segment.points.length >= 2);
+}
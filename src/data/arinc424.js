@@ -0,0 +1,501 @@
+import { buildRouteGeometry } from '../geo/legs';
+import { mToFt } from '../geo/units';
+
+// ARINC 424 importer
+//
+// Parses the fixed-width (132 column) records relevant to one aerodrome into
+// the `procedures` / `waypoints` structure the viewer uses:
+//   PD / PE / PF  SID, STAR and approach legs
+//   PC / EA       terminal and enroute waypoints
+//   D  / DB / PN  VHF navaids, enroute and terminal NDBs
+//   PI            ILS localizers and glide slopes
+//   PA / PG       airport reference (magnetic variation) and runways
+// Column numbers below are 1-based and inclusive, as in the specification.
+
+export const ARINC_SOURCE = 'ARINC 424';
+
+const field = (line, start, end) => line.slice(start - 1, end).trim();
+
+// "N35354000" / "E129210700" → decimal degrees
+export function parseLatitude(value) {
+  const m = /^([NS])(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value);
+  if (!m) return null;
+  const deg = Number(m[2]) + Number(m[3]) / 60 + (Number(m[4]) + Number(m[5]) / 100) / 3600;
+  return m[1] === 'S' ? -deg : deg;
+}
+
+export function parseLongitude(value) {
+  const m = /^([EW])(\d{3})(\d{2})(\d{2})(\d{2})$/.exec(value);
+  if (!m) return null;
+  const deg = Number(m[2]) + Number(m[3]) / 60 + (Number(m[4]) + Number(m[5]) / 100) / 3600;
+  return m[1] === 'W' ? -deg : deg;
+}
+
+// "W0080" → -8.0 (east positive)
+export function parseVariation(value) {
+  const m = /^([EWT])(\d{4})$/.exec(value);
+  if (!m || m[1] === 'T') return null;
+  const deg = Number(m[2]) / 10;
+  return m[1] === 'W' ? -deg : deg;
+}
+
+// "02000" → 2000 ft, "FL090" → 9000 ft
+export function parseAltitude(value) {
+  if (!value) return null;
+  if (value.startsWith('FL')) return Number(value.slice(2)) * 100;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+const parseNumber = (value, scale = 1) => {
+  if (!value) return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n * scale : null;
+};
+
+// Altitude description (col 83) plus the two altitude fields
+export function parseAltitudeConstraint(description, alt1, alt2) {
+  const a1 = parseAltitude(alt1);
+  const a2 = parseAltitude(alt2);
+  if (a1 === null) return null;
+  switch (description) {
+    case '+':
+      return { type: 'AT_OR_ABOVE', ft: a1 };
+    case '-':
+      return { type: 'AT_OR_BELOW', ft: a1 };
+    case 'B':
+      return a2 === null
+        ? { type: 'AT', ft: a1 }
+        : { type: 'WINDOW', lower_ft: Math.min(a1, a2), upper_ft: Math.max(a1, a2) };
+    case 'G':
+    case 'I':
+    case 'J':
+    case 'H':
+    case 'V':
+    case 'X':
+    case 'Y':
+      // Glide slope / step-down variants: the first altitude is the one flown
+      return { type: 'AT_OR_ABOVE', ft: a1 };
+    default:
+      return { type: 'AT', ft: a1 };
+  }
+}
+
+// Waypoint description code (cols 40-43)
+export function parseDescriptionCode(code) {
+  const padded = code.padEnd(4, ' ');
+  const roles = [];
+  const role = {
+    A: 'IAF', B: 'IF', C: 'IAF', D: 'IAF', E: 'FEP', F: 'FAF', H: 'HOLD', I: 'FACF', M: 'MAP',
+  }[padded[3]];
+  if (role) roles.push(role);
+  if (padded[3] === 'C') roles.push('HOLD');
+  if (padded[3] === 'D') roles.push('FACF');
+  return {
+    flyOver: padded[1] === 'Y' || padded[1] === 'B',
+    missedApproachStart: padded[2] === 'M',
+    roles,
+  };
+}
+
+const APPROACH_KINDS = {
+  I: 'ILS', L: 'LOC', R: 'RNP', H: 'RNP AR', V: 'VOR', D: 'VOR/DME', S: 'VOR', N: 'NDB',
+  Q: 'NDB/DME', P: 'GNSS', G: 'IGS', B: 'LOC BC', X: 'LDA', U: 'SDF', J: 'GLS', T: 'TACAN',
+};
+
+// Route types that are transitions rather than the procedure's main route
+const TRANSITION_ROUTE_TYPES = {
+  SID: { runway: ['1', '4', 'F', 'T'], common: ['2', '5', 'M'], enroute: ['3', '6', 'S', 'V'] },
+  STAR: { enroute: ['1', '4', '7', 'F'], common: ['2', '5', '8', 'M'], runway: ['3', '6', '9', 'S'] },
+  APPROACH: { transition: ['A'] },
+};
+
+const routePhase = (procType, routeType) => {
+  const phases = TRANSITION_ROUTE_TYPES[procType];
+  const phase = Object.keys(phases).find((key) => phases[key].includes(routeType));
+  return phase || (procType === 'APPROACH' ? 'final' : 'common');
+};
+
+// Order in which route phases are flown
+const PHASE_ORDER = {
+  SID: ['runway', 'common', 'enroute'],
+  STAR: ['enroute', 'common', 'runway'],
+  APPROACH: ['transition', 'final'],
+};
+
+// "I36-Z" → { name: "APCH ILS Z RWY 36", runway: "36" }
+export function describeApproach(ident) {
+  const m = /^([A-Z])(\d{2}[LRC]?)?-?([A-Z])?$/.exec(ident);
+  if (!m) return { name: `APCH ${ident}`, runway: null };
+  const kind = APPROACH_KINDS[m[1]] || m[1];
+  const parts = ['APCH', kind];
+  if (m[3]) parts.push(m[3]);
+  if (m[2]) parts.push(`RWY ${m[2]}`);
+  return { name: parts.join(' '), runway: m[2] || null };
+}
+
+function parseLeg(line) {
+  const course = field(line, 71, 74);
+  const distance = field(line, 75, 78);
+  const description = parseDescriptionCode(line.slice(39, 43));
+  return {
+    seq: Number(field(line, 27, 29)),
+    fix: field(line, 30, 34) || null,
+    fix_section: field(line, 37, 38) || null,
+    path_terminator: field(line, 48, 49),
+    turn_direction: field(line, 44, 44) || null,
+    rnp_nm: field(line, 45, 47) ? Number(field(line, 45, 46)) * 10 ** -Number(field(line, 47, 47)) : null,
+    recommended_navaid: field(line, 51, 54) || null,
+    arc_radius_nm: parseNumber(field(line, 57, 62), 0.001),
+    theta: parseNumber(field(line, 63, 66), 0.1),
+    rho_nm: parseNumber(field(line, 67, 70), 0.1),
+    course: course ? Number(course.replace('T', '')) / (course.endsWith('T') ? 1 : 10) : null,
+    course_is_true: course.endsWith('T'),
+    distance_nm: distance && !distance.startsWith('T') ? Number(distance) / 10 : null,
+    hold_time_min: distance.startsWith('T') ? Number(distance.slice(1)) / 10 : null,
+    altitude: parseAltitudeConstraint(field(line, 83, 83), field(line, 85, 89), field(line, 90, 94)),
+    speed_limit_kt: parseNumber(field(line, 100, 102)),
+    vertical_angle: parseNumber(field(line, 103, 106), 0.01),
+    center_fix: field(line, 107, 111) || null,
+    fly_over: description.flyOver,
+    roles: description.roles,
+    missed_approach_start: description.missedApproachStart,
+  };
+}
+
+function parsePointRecord(line, identCols) {
+  return {
+    ident: field(line, ...identCols),
+    lat: parseLatitude(field(line, 33, 41)),
+    lon: parseLongitude(field(line, 42, 51)),
+  };
+}
+
+// Parse the raw records of a file. Returns everything found for `airport`
+// (terminal records) plus all enroute waypoints and navaids, and a list of
+// lines that could not be understood.
+export function parseArinc424Records(text, airport) {
+  const result = {
+    airport: null,
+    runways: {},
+    waypoints: {},
+    navaids: {},
+    localizers: {},
+    procedureLegs: [],
+    warnings: [],
+  };
+
+  text.split(/\r?\n/).forEach((line, lineIdx) => {
+    if (line[0] !== 'S' || line.length < 50) return;
+    const section = line[4];
+    const subsection = section === 'P' ? line[12] : line[5];
+    const terminalAirport = field(line, 7, 10);
+
+    try {
+      if (section === 'P' && terminalAirport !== airport) return;
+
+      if (section === 'P' && ['D', 'E', 'F'].includes(subsection)) {
+        if (Number(line[38]) > 1) return; // continuation record
+        result.procedureLegs.push({
+          subsection,
+          ident: field(line, 14, 19),
+          routeType: line[19],
+          transition: field(line, 21, 25),
+          leg: parseLeg(line),
+        });
+      } else if (section === 'P' && subsection === 'A') {
+        if (Number(line[21]) > 1) return;
+        result.airport = {
+          icao: terminalAirport,
+          lat: parseLatitude(field(line, 33, 41)),
+          lon: parseLongitude(field(line, 42, 51)),
+          magnetic_variation: parseVariation(field(line, 52, 56)),
+          elevation_ft: parseNumber(field(line, 57, 61)),
+          name: field(line, 94, 123),
+        };
+      } else if (section === 'P' && subsection === 'G') {
+        if (Number(line[21]) > 1) return;
+        const ident = field(line, 14, 18);
+        result.runways[ident] = {
+          ident,
+          length_ft: parseNumber(field(line, 23, 27)),
+          magnetic_bearing: parseNumber(field(line, 28, 31), 0.1),
+          lat: parseLatitude(field(line, 33, 41)),
+          lon: parseLongitude(field(line, 42, 51)),
+          threshold_elevation_ft: parseNumber(field(line, 67, 71)),
+          displaced_threshold_ft: parseNumber(field(line, 72, 75)),
+          tch_ft: parseNumber(field(line, 76, 77)),
+          width_ft: parseNumber(field(line, 78, 80)),
+        };
+      } else if ((section === 'P' && subsection === 'C') || (section === 'E' && subsection === 'A')) {
+        if (Number(line[21]) > 1) return;
+        const wp = parsePointRecord(line, [14, 18]);
+        result.waypoints[wp.ident] = {
+          ...wp,
+          type: field(line, 27, 29),
+          name: field(line, 99, 123),
+          terminal: section === 'P',
+        };
+      } else if (section === 'D' || (section === 'P' && subsection === 'N')) {
+        if (Number(line[21]) > 1) return;
+        const isNdb = section === 'P' || subsection === 'B';
+        const navaid = parsePointRecord(line, [14, 17]);
+        const frequency = parseNumber(field(line, 23, 27));
+        const dmeLat = parseLatitude(field(line, 56, 64));
+        result.navaids[navaid.ident] = {
+          ...navaid,
+          // A DME-only station has no VOR position; fall back to the DME's
+          lat: navaid.lat ?? dmeLat,
+          lon: navaid.lon ?? parseLongitude(field(line, 65, 74)),
+          type: isNdb ? 'NDB' : 'VHF',
+          class: field(line, 28, 32),
+          frequency: frequency === null ? null : isNdb ? frequency / 10 : frequency / 100,
+          frequency_unit: isNdb ? 'kHz' : 'MHz',
+          dme_ident: isNdb ? null : field(line, 52, 55) || null,
+          elevation_ft: isNdb ? null : parseNumber(field(line, 80, 84)),
+          name: field(line, 94, 123),
+        };
+      } else if (section === 'P' && subsection === 'I') {
+        if (Number(line[21]) > 1) return;
+        const ident = field(line, 14, 17);
+        result.localizers[ident] = {
+          ident,
+          type: 'ILS',
+          category: field(line, 18, 18) || null,
+          frequency: parseNumber(field(line, 23, 27), 0.01),
+          frequency_unit: 'MHz',
+          runway: field(line, 28, 32).replace(/^RW/, '') || null,
+          lat: parseLatitude(field(line, 33, 41)),
+          lon: parseLongitude(field(line, 42, 51)),
+          magnetic_bearing: parseNumber(field(line, 52, 55), 0.1),
+          gs_lat: parseLatitude(field(line, 56, 64)),
+          gs_lon: parseLongitude(field(line, 65, 74)),
+          width_deg: parseNumber(field(line, 84, 87), 0.01),
+          gs_angle: parseNumber(field(line, 88, 90), 0.01),
+          magnetic_variation: parseVariation(field(line, 91, 95)),
+          tch_ft: parseNumber(field(line, 96, 97)),
+          gs_elevation_ft: parseNumber(field(line, 98, 102)),
+        };
+      }
+    } catch (err) {
+      result.warnings.push(`${lineIdx + 1}행: ${err.message}`);
+    }
+  });
+
+  return result;
+}
+
+const oppositeRunway = (ident) => {
+  const m = /^RW(\d{2})([LRC]?)$/.exec(ident);
+  if (!m) return null;
+  const number = ((Number(m[1]) + 17) % 36) + 1;
+  const side = { L: 'R', R: 'L', C: 'C' }[m[2]] || '';
+  return `RW${String(number).padStart(2, '0')}${side}`;
+};
+
+// Import an ARINC 424 file for one aerodrome into viewer structures
+export function importArinc424(text, { airport = 'RKPU', airportElevationFt } = {}) {
+  const records = parseArinc424Records(text, airport);
+  const warnings = [...records.warnings];
+  const magVar = records.airport?.magnetic_variation ?? 0;
+  const elevationFt = records.airport?.elevation_ft ?? airportElevationFt ?? 0;
+
+  const lookup = (ident) => {
+    if (!ident) return null;
+    return records.waypoints[ident] || records.navaids[ident] || records.runways[ident] || null;
+  };
+
+  // Group legs into procedures and their transitions
+  const grouped = {};
+  records.procedureLegs.forEach(({ subsection, ident, routeType, transition, leg }) => {
+    const procType = { D: 'SID', E: 'STAR', F: 'APPROACH' }[subsection];
+    const key = `${procType}:${ident}`;
+    if (!grouped[key]) grouped[key] = { procType, ident, transitions: {} };
+    const tKey = `${routeType}:${transition}`;
+    if (!grouped[key].transitions[tKey]) {
+      grouped[key].transitions[tKey] = {
+        ident: transition || null,
+        route_type: routeType,
+        phase: routePhase(procType, routeType),
+        legs: [],
+      };
+    }
+    grouped[key].transitions[tKey].legs.push(leg);
+  });
+
+  const procedures = { SID: [], STAR: [], APPROACH: [] };
+
+  Object.values(grouped).forEach(({ procType, ident, transitions }) => {
+    const described = procType === 'APPROACH' ? describeApproach(ident) : { name: ident, runway: null };
+    const ordered = Object.values(transitions).sort(
+      (a, b) => PHASE_ORDER[procType].indexOf(a.phase) - PHASE_ORDER[procType].indexOf(b.phase)
+    );
+
+    let runway = described.runway;
+    let verticalAngle = null;
+    const phaseEnds = {};
+
+    ordered.forEach((transition) => {
+      transition.legs.sort((a, b) => a.seq - b.seq);
+
+      let missed = false;
+      transition.legs.forEach((leg) => {
+        const fix = lookup(leg.fix);
+        const center = lookup(leg.center_fix);
+        const navaid = records.navaids[leg.recommended_navaid] || null;
+        if (leg.fix && !fix) warnings.push(`${ident} ${leg.seq}: 픽스 ${leg.fix} 좌표 없음`);
+        if (leg.center_fix && !center) warnings.push(`${ident} ${leg.seq}: 중심 픽스 ${leg.center_fix} 좌표 없음`);
+        leg.fix_lat = fix?.lat ?? null;
+        leg.fix_lon = fix?.lon ?? null;
+        leg.center_lat = center?.lat ?? null;
+        leg.center_lon = center?.lon ?? null;
+        leg.navaid_lat = navaid?.lat ?? null;
+        leg.navaid_lon = navaid?.lon ?? null;
+        if (leg.missed_approach_start) missed = true;
+        leg.missed = missed;
+        leg.transition = transition.ident;
+        if (leg.vertical_angle && !verticalAngle) verticalAngle = Math.abs(leg.vertical_angle);
+        if (!runway && leg.fix?.startsWith('RW')) runway = leg.fix.slice(2);
+      });
+
+      // Where this route starts: its own initial fix, the end of the phase
+      // flown before it, or (for departures) the departure end of the runway
+      const first = transition.legs[0];
+      let startPosition = null;
+      let startAltFt = elevationFt;
+      const previousPhase = PHASE_ORDER[procType][PHASE_ORDER[procType].indexOf(transition.phase) - 1];
+      if (first && first.path_terminator !== 'IF' && phaseEnds[previousPhase]) {
+        startPosition = phaseEnds[previousPhase].position;
+        startAltFt = phaseEnds[previousPhase].altFt;
+      } else if (procType === 'SID' && transition.phase === 'runway' && transition.ident) {
+        const der = records.runways[oppositeRunway(transition.ident)] || records.runways[transition.ident];
+        if (der) {
+          startPosition = [der.lon, der.lat];
+          startAltFt = (der.threshold_elevation_ft ?? elevationFt) + 35;
+        }
+      }
+
+      const threshold = runway ? records.runways[`RW${runway}`] : null;
+      const thresholdAltFt = threshold
+        ? (threshold.threshold_elevation_ft ?? elevationFt) + (threshold.tch_ft ?? 50)
+        : undefined;
+
+      // The missed approach climbs away from the MAP, so it is built as its own route
+      const approachLegs = transition.legs.filter((leg) => !leg.missed);
+      const missedLegs = transition.legs.filter((leg) => leg.missed);
+      const context = { magVar, startPosition, startAltFt, thresholdAltFt };
+      const built = buildRouteGeometry(approachLegs, context);
+      const lastBuilt = built[built.length - 1];
+      const endPosition = lastBuilt?.coordinates[lastBuilt.coordinates.length - 1] || startPosition;
+      const endAltFt = lastBuilt ? mToFt(lastBuilt.end_alt) : startAltFt;
+      const builtMissed = missedLegs.length
+        ? buildRouteGeometry(missedLegs, { magVar, startPosition: endPosition, startAltFt: endAltFt })
+        : [];
+
+      transition.legs = [...built, ...builtMissed];
+      const lastLeg = transition.legs[transition.legs.length - 1];
+      if (lastLeg && lastLeg.coordinates.length) {
+        phaseEnds[transition.phase] = {
+          position: lastLeg.coordinates[lastLeg.coordinates.length - 1],
+          altFt: mToFt(lastLeg.end_alt),
+        };
+      } else if (endPosition) {
+        phaseEnds[transition.phase] = { position: endPosition, altFt: endAltFt };
+      }
+    });
+
+    const threshold = runway ? records.runways[`RW${runway}`] : null;
+    procedures[procType].push({
+      name: described.name,
+      ident,
+      table: ARINC_SOURCE,
+      source: ARINC_SOURCE,
+      ...(runway ? { runway } : {}),
+      ...(procType === 'APPROACH' && verticalAngle ? { glidepath_angle: verticalAngle } : {}),
+      ...(procType === 'APPROACH' && threshold?.tch_ft ? { tch_ft: threshold.tch_ft } : {}),
+      transitions: ordered.map(({ phase, ...transition }) => ({ ...transition, phase })),
+      legs: ordered.flatMap((transition) => transition.legs),
+    });
+  });
+
+  // Waypoints and navaids become viewer waypoints tagged with their source
+  const waypoints = {};
+  const addPoint = (point, kind) => {
+    if (point.lat === null || point.lon === null) {
+      warnings.push(`${point.ident}: 좌표 형식 오류`);
+      return;
+    }
+    waypoints[point.ident] = {
+      lon: point.lon,
+      lat: point.lat,
+      altitude: null,
+      sources: [`${ARINC_SOURCE} ${kind}`],
+    };
+  };
+  Object.values(records.waypoints).forEach((wp) => addPoint(wp, wp.terminal ? 'PC' : 'EA'));
+  Object.values(records.navaids).forEach((navaid) => addPoint(navaid, navaid.type === 'NDB' ? 'NDB' : 'VHF'));
+
+  return {
+    airport: records.airport,
+    runways: records.runways,
+    navaids: [...Object.values(records.navaids), ...Object.values(records.localizers)],
+    waypoints,
+    procedures,
+    warnings,
+  };
+}
+
+// Merge an import into a (raw) dataset. Same-named waypoints keep every
+// source and the imported coordinates (see waypoints.js); same-named
+// procedures are replaced by the imported version.
+export function mergeImport(data, imported) {
+  const waypoints = { ...data.waypoints };
+  Object.entries(imported.waypoints).forEach(([name, wp]) => {
+    const existing = waypoints[name];
+    if (!existing) {
+      waypoints[name] = wp;
+      return;
+    }
+    const positions = { ...existing.source_positions };
+    wp.sources.forEach((source) => {
+      positions[source] = { lat: wp.lat, lon: wp.lon };
+    });
+    waypoints[name] = {
+      ...existing,
+      sources: [...new Set([...existing.sources, ...wp.sources])],
+      source_positions: positions,
+    };
+  });
+
+  const procedures = {};
+  Object.keys(data.procedures).forEach((procType) => {
+    const incoming = imported.procedures[procType] || [];
+    const names = new Set(incoming.map((proc) => proc.name));
+    procedures[procType] = [
+      ...data.procedures[procType].filter((proc) => !names.has(proc.name)),
+      ...incoming,
+    ];
+  });
+
+  // Navaids are replaced by type and ident, as procedures are by name
+  const navaidKey = (navaid) => `${navaid.type}:${navaid.ident}`;
+  const incomingNavaids = new Set(imported.navaids.map(navaidKey));
+  const navaids = [
+    ...(data.navaids || []).filter((navaid) => !incomingNavaids.has(navaidKey(navaid))),
+    ...imported.navaids,
+  ];
+
+  // Take the magnetic variation from the import when the dataset has none
+  const variation = imported.airport?.magnetic_variation;
+  const airport = data.airport.magnetic_variation === undefined && variation != null
+    ? { ...data.airport, magnetic_variation: variation }
+    : data.airport;
+
+  return {
+    ...data,
+    airport,
+    waypoints,
+    procedures,
+    navaids,
+  };
+}
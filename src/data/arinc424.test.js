@@ -0,0 +1,123 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, test } from 'vitest';
+import { distanceM } from '../geo/geodesy';
+import { nmToM } from '../geo/units';
+import {
+  importArinc424,
+  mergeImport,
+  parseAltitudeConstraint,
+  parseArinc424Records,
+  parseDescriptionCode,
+  parseLatitude,
+  parseLongitude,
+} from './arinc424';
+
+const readPublic = (path) => readFileSync(new URL(`../../public/${path}`, import.meta.url), 'utf8');
+const sample = readPublic('samples/rkpu_arinc424_sample.pc');
+
+describe('coordinates', () => {
+  test('latitude in degrees, minutes, seconds and hundredths', () => {
+    expect(parseLatitude('N35354000')).toBeCloseTo(35 + 35 / 60 + 40 / 3600, 9);
+    expect(parseLatitude('S33520150')).toBeCloseTo(-(33 + 52 / 60 + 1.5 / 3600), 9);
+  });
+
+  test('longitude in degrees, minutes, seconds and hundredths', () => {
+    expect(parseLongitude('E129210700')).toBeCloseTo(129 + 21 / 60 + 7 / 3600, 9);
+    expect(parseLongitude('W000273050')).toBeCloseTo(-(27 / 60 + 30.5 / 3600), 9);
+  });
+
+  test('malformed coordinates are rejected', () => {
+    expect(parseLatitude('')).toBeNull();
+    expect(parseLatitude('X35354000')).toBeNull();
+    expect(parseLongitude('E12921070')).toBeNull();
+  });
+});
+
+describe('altitude constraints', () => {
+  test('+ is at or above, - at or below', () => {
+    expect(parseAltitudeConstraint('+', '03000', '')).toEqual({ type: 'AT_OR_ABOVE', ft: 3000 });
+    expect(parseAltitudeConstraint('-', 'FL090', '')).toEqual({ type: 'AT_OR_BELOW', ft: 9000 });
+  });
+
+  test('B is a window between the two altitudes', () => {
+    expect(parseAltitudeConstraint('B', '05000', '03000')).toEqual({ type: 'WINDOW', lower_ft: 3000, upper_ft: 5000 });
+    expect(parseAltitudeConstraint('B', '04000', '')).toEqual({ type: 'AT', ft: 4000 });
+  });
+
+  test('blank description is at the altitude, blank altitude is no constraint', () => {
+    expect(parseAltitudeConstraint('', '02500', '')).toEqual({ type: 'AT', ft: 2500 });
+    expect(parseAltitudeConstraint('+', '', '')).toBeNull();
+    expect(parseAltitudeConstraint('', '', '')).toBeNull();
+  });
+});
+
+describe('leg decoding', () => {
+  const { procedureLegs } = parseArinc424Records(sample, 'RKPU');
+  const legAt = (ident, fix) => procedureLegs.find((item) => item.ident === ident && item.leg.fix === fix).leg;
+
+  test('path terminator, turn direction and arc centre of an RF leg', () => {
+    const leg = legAt('R36', 'RP362');
+    expect(leg.path_terminator).toBe('RF');
+    expect(leg.turn_direction).toBe('L');
+    expect(leg.center_fix).toBe('RP36C');
+    expect(leg.arc_radius_nm).toBeCloseTo(3, 6);
+  });
+
+  test('every leg has a two-letter path terminator and an L/R/E turn or none', () => {
+    procedureLegs.forEach(({ leg }) => {
+      expect(leg.path_terminator).toMatch(/^[A-Z]{2}$/);
+      expect([null, 'L', 'R', 'E']).toContain(leg.turn_direction);
+    });
+  });
+
+  test('waypoint description codes', () => {
+    expect(parseDescriptionCode('EY F')).toEqual({ flyOver: true, missedApproachStart: false, roles: ['FAF'] });
+    expect(parseDescriptionCode('GYMM')).toEqual({ flyOver: true, missedApproachStart: true, roles: ['MAP'] });
+    expect(parseDescriptionCode('E  C').roles).toEqual(['IAF', 'HOLD']);
+  });
+});
+
+describe('import and merge round trip', () => {
+  const imported = importArinc424(sample, { airport: 'RKPU' });
+  const dataset = JSON.parse(readPublic('aviation_data.json'));
+  const merged = mergeImport(dataset, imported);
+
+  test('imports without warnings', () => {
+    expect(imported.warnings).toEqual([]);
+  });
+
+  test('procedure counts after merging', () => {
+    expect(imported.procedures.SID.map((proc) => proc.name)).toEqual(['ULS1A']);
+    expect(imported.procedures.STAR.map((proc) => proc.name)).toEqual(['ULS1B']);
+    expect(imported.procedures.APPROACH.map((proc) => proc.name)).toEqual(['APCH RNP RWY 36']);
+    expect(merged.procedures.SID).toHaveLength(dataset.procedures.SID.length + 1);
+    expect(merged.procedures.STAR).toHaveLength(dataset.procedures.STAR.length + 1);
+    // The dataset's own RNP approach is replaced by the imported one
+    expect(merged.procedures.APPROACH).toHaveLength(dataset.procedures.APPROACH.length);
+    expect(merged.procedures.APPROACH.filter((proc) => proc.name === 'APCH RNP RWY 36')).toEqual(
+      imported.procedures.APPROACH
+    );
+  });
+
+  test('RF leg is built round its centre fix', () => {
+    const rf = merged.procedures.APPROACH.find((proc) => proc.name === 'APCH RNP RWY 36')
+      .legs.find((leg) => leg.path_terminator === 'RF');
+    expect(rf.center_lat).toBeCloseTo(parseLatitude('N35251049'), 6);
+    expect(rf.center_lon).toBeCloseTo(parseLongitude('E129251123'), 6);
+    rf.coordinates.slice(1, -1).forEach(([lon, lat]) => {
+      expect(distanceM(rf.center_lon, rf.center_lat, lon, lat)).toBeCloseTo(nmToM(3), -2);
+    });
+  });
+
+  test('imported waypoints keep their ARINC source', () => {
+    expect(merged.waypoints.RP362.sources).toContain('ARINC 424 PC');
+    expect(merged.navaids.map((navaid) => navaid.ident)).toEqual(expect.arrayContaining(['USN', 'IULS']));
+  });
+
+  test('importing again replaces navaids instead of adding them twice', () => {
+    const twice = mergeImport(merged, imported);
+    const keys = twice.navaids.map((navaid) => `${navaid.type}:${navaid.ident}`);
+    expect(keys).toEqual([...new Set(keys)]);
+    expect(twice.navaids).toHaveLength(merged.navaids.length);
+  });
+});
@@ -0,0 +1,37 @@
+// Airport catalogue
+//
+// public/airports/index.json lists the aerodromes the viewer can open, each
+// with its own dataset file in the aviation_data.json format:
+//   { "airports": [ { "icao": "RKPU", "name_kr": "울산공항", "file": "/aviation_data.json" } ] }
+// The selected airport is kept in the page URL as ?airport=RKPU.
+
+export const CATALOGUE_URL = '/airports/index.json';
+
+const ICAO_PATTERN = /^[A-Z]{4}$/;
+const URL_PARAM = 'airport';
+
+export async function loadCatalogue(url = CATALOGUE_URL) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`${url} 로드 실패 (HTTP ${res.status})`);
+  }
+  const manifest = await res.json();
+  const entries = (manifest.airports || []).filter(
+    (entry) => entry && ICAO_PATTERN.test(entry.icao) && typeof entry.file === 'string'
+  );
+  if (!entries.length) throw new Error('공항 목록이 비어 있습니다');
+  return entries;
+}
+
+export function airportFromUrl() {
+  const icao = new URLSearchParams(window.location.search).get(URL_PARAM);
+  return icao ? icao.toUpperCase() : null;
+}
+
+// Replace rather than push so switching airports does not pile up history
+export function writeAirportToUrl(icao) {
+  const url = new URL(window.location.href);
+  if (url.searchParams.get(URL_PARAM) === icao) return;
+  url.searchParams.set(URL_PARAM, icao);
+  window.history.replaceState(null, '', url);
+}
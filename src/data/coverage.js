@@ -0,0 +1,141 @@
+import { antennaHeightM, coverageRangeNm, inServiceVolume } from './navaids';
+import { procedureFixes } from './procedures';
+import { bearingDeg, destination, distanceM } from '../geo/geodesy';
+import { obstaclesOnLine, rayPoints, raySight, sightBlocker } from '../geo/lineOfSight';
+import { ftToM, nmToM } from '../geo/units';
+
+// Navaid coverage analysis
+//
+// The service volume of the chosen navaid is cut into rays every few degrees
+// and range cells along each ray, and every cell is checked for line of sight
+// at each level of an altitude grid. Procedure fixes are checked the same way
+// at their published altitude. Terrain comes from the viewer's terrain
+// provider, so the analysis runs in two steps: coveragePlan lists the points
+// whose terrain height is needed, analyseCoverage evaluates them.
+
+const BEARING_STEP_DEG = 5;
+const SECTOR_BEARING_STEP_DEG = 2;
+const RANGE_CELLS = 40;
+const FIX_LINE_SAMPLES = 40;
+const MAX_LEVELS = 30;
+
+// Obstacles this close to a sight line (m) can block it: their footprint
+// and survey accuracy
+const OBSTACLE_CORRIDOR_M = 30;
+
+export const DEFAULT_COVERAGE_GRID = { minFt: 1000, maxFt: 10000, stepFt: 1000 };
+
+export function altitudeLevels({ minFt, maxFt, stepFt }) {
+  const levels = [];
+  for (let ft = minFt; ft <= maxFt && levels.length < MAX_LEVELS; ft += Math.max(100, stepFt)) levels.push(ft);
+  return levels;
+}
+
+// Published altitude of a constraint: the lower limit where there is one
+export const publishedAltitudeFt = (constraint) => (constraint ? constraint.lowerFt ?? constraint.upperFt : null);
+
+// Fixes of every procedure with a published altitude, in procedure order
+// ([{ procedureKey, procedure, name, lon, lat, altFt }]). `procedures` are
+// [{ key, label, procType, proc }] as in the procedure selectors.
+export function procedureFixTargets(procedures, { waypoints, runways }) {
+  return procedures.flatMap(({ key, label, procType, proc }) => {
+    const fixes = procedureFixes(proc, procType, { waypoints, runways, includeMissed: true });
+    return fixes
+      .filter((fix, idx) => !idx || fixes[idx - 1].name !== fix.name)
+      .map((fix) => ({ procedureKey: key, procedure: label, ...fix, altFt: publishedAltitudeFt(fix.constraint) }));
+  });
+}
+
+// Rays through the service volume and sight lines to each fix, with the
+// points to sample terrain at (the navaid site first)
+export function coveragePlan(navaid, fixes) {
+  const sectors = navaid.coverage.sectors;
+  const step = sectors ? SECTOR_BEARING_STEP_DEG : BEARING_STEP_DEG;
+  const centre = sectors ? navaid.course + 180 : 0;
+  const span = sectors ? Math.max(...sectors.map((sector) => sector.halfAngle)) : 180 - step / 2;
+
+  const rays = [];
+  for (let offset = -span; offset <= span; offset += step) {
+    const bearing = (centre + offset + 360) % 360;
+    const rangeM = nmToM(coverageRangeNm(navaid, bearing));
+    if (!rangeM) continue;
+    const cellM = rangeM / RANGE_CELLS;
+    // Terrain every half cell, so each cell centre has a sample
+    rays.push({ bearing, step, rangeM, cellM, points: rayPoints(navaid.lon, navaid.lat, bearing, rangeM, cellM / 2) });
+  }
+
+  const lines = fixes
+    .filter((fix) => fix.altFt !== null)
+    .map((fix) => {
+      const d = distanceM(navaid.lon, navaid.lat, fix.lon, fix.lat);
+      const bearing = bearingDeg(navaid.lon, navaid.lat, fix.lon, fix.lat);
+      return { fix, d, points: d > 1 ? rayPoints(navaid.lon, navaid.lat, bearing, d, d / FIX_LINE_SAMPLES) : [] };
+    });
+
+  return {
+    rays,
+    lines,
+    points: [{ lon: navaid.lon, lat: navaid.lat }, ...rays.flatMap((ray) => ray.points), ...lines.flatMap((line) => line.points)],
+  };
+}
+
+// Evaluate a plan with the terrain `heights` sampled at plan.points.
+// Returns the antenna height, per altitude level the runs of cells along each
+// ray that are covered, shadowed or outside the service volume (cells below
+// the terrain are left out), and the coverage of each fix.
+export function analyseCoverage(navaid, plan, heights, obstacles, levelsFt) {
+  let next = 0;
+  const site = heights[next++];
+  const antennaM = (navaid.siteElevationM ?? site) + antennaHeightM(navaid);
+  const origin = [navaid.lon, navaid.lat];
+  const levelsM = levelsFt.map(ftToM);
+  const levels = levelsFt.map((altFt) => ({ altFt, runs: [], covered: 0, shadow: 0 }));
+
+  plan.rays.forEach((ray) => {
+    const terrain = ray.points.map((point) => ({ d: point.d, heightM: heights[next++] }));
+    const end = ray.points[ray.points.length - 1];
+    // Obstacles within the ray's share of the sector can block it
+    const halfStep = ((ray.step / 2) * Math.PI) / 180;
+    const corridor = (d) => Math.max(OBSTACLE_CORRIDOR_M, d * Math.tan(halfStep));
+    const profile = [...terrain, ...obstaclesOnLine(origin, [end.lon, end.lat], obstacles, corridor)]
+      .sort((a, b) => a.d - b.d);
+    const distances = Array.from({ length: RANGE_CELLS }, (_, j) => (j + 0.5) * ray.cellM);
+    const sight = raySight(antennaM, profile, distances, levelsM);
+    const cells = distances.map((d) => destination(navaid.lon, navaid.lat, ray.bearing, d));
+
+    levels.forEach((level, k) => {
+      let run = null;
+      distances.forEach((d, j) => {
+        const altM = levelsM[k];
+        let status = null;
+        if (altM > terrain[2 * j].heightM) {
+          const [lon, lat] = cells[j];
+          if (!inServiceVolume(navaid, antennaM, lon, lat, altM)) status = 'outside';
+          else status = sight[j][k] ? 'shadow' : 'covered';
+        }
+        if (status === 'covered') level.covered++;
+        if (status === 'shadow') level.shadow++;
+        if (run && run.status === status) {
+          run.toM = d + ray.cellM / 2;
+          return;
+        }
+        run = { bearing: ray.bearing, step: ray.step, fromM: d - ray.cellM / 2, toM: d + ray.cellM / 2, status, blocker: sight[j][k] };
+        if (status) level.runs.push(run);
+      });
+    });
+  });
+
+  const fixes = plan.lines.map(({ fix, d, points }) => {
+    const terrain = points.map((point) => ({ d: point.d, heightM: heights[next++] }));
+    const altM = ftToM(fix.altFt);
+    if (!inServiceVolume(navaid, antennaM, fix.lon, fix.lat, altM)) {
+      return { ...fix, distanceM: d, status: 'outside', blocker: null };
+    }
+    const profile = [...terrain, ...obstaclesOnLine(origin, [fix.lon, fix.lat], obstacles, () => OBSTACLE_CORRIDOR_M)]
+      .sort((a, b) => a.d - b.d);
+    const blocker = sightBlocker(antennaM, profile, d, altM);
+    return { ...fix, distanceM: d, status: blocker ? 'shadow' : 'covered', blocker };
+  });
+
+  return { antennaM, levels, fixes };
+}
@@ -0,0 +1,12 @@
+import { validateDataset } from './validate';
+
+// Fetch an aviation dataset and run it through schema validation. The raw
+// dataset is returned too so later imports can be merged and re-validated.
+export async function loadAviationData(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`${url} 로드 실패 (HTTP ${res.status})`);
+  }
+  const raw = await res.json();
+  return { raw, ...validateDataset(raw) };
+}
@@ -0,0 +1,166 @@
+import { bearingDeg, distanceM } from '../geo/geodesy';
+import { ftToM, mToFt, nmToM } from '../geo/units';
+
+// Navaid model
+//
+// Dataset navaids are records in the shape the ARINC 424 importer produces:
+//   { "ident": "USN", "type": "VHF", "class": "VDHW", "lat": 35.59,
+//     "lon": 129.36, "frequency": 113.8, "frequency_unit": "MHz",
+//     "elevation_ft": 50, "name": "ULSAN" }
+//   { "ident": "NUL", "type": "NDB", "class": "H  W", "frequency": 336, ... }
+//   { "ident": "IULS", "type": "ILS", "runway": "36", "frequency": 110.3,
+//     "lat": ..., "lon": ..., "elevation_ft": 43,  localizer antenna
+//     "magnetic_bearing": 6.2, "magnetic_variation": -8,
+//     "gs_lat": ..., "gs_lon": ..., "gs_angle": 3, "gs_elevation_ft": 46 }
+// A VHF record is a VOR, a DME or both (class position 1 'V', position 2
+// 'D'/'T'/'M'/'I'); an ILS record gives a localizer and a glide slope. A
+// localizer without its own site elevation takes the runway end's.
+//
+// Each navaid gets its designated coverage (service volume):
+//   VOR, DME   by figure of merit (class position 3): T 25 NM up to
+//              12,000 ft, L 40 NM / 18,000 ft, H 130 NM / 60,000 ft
+//   NDB        by power (class position 3): H 75 NM, M 25 NM, else 50 NM
+//   LOC        25 NM within ±10° and 17 NM within ±35° of the course, up to
+//              7° above the antenna (Annex 10)
+//   GP         10 NM within ±8° of the course, 0.45θ to 1.75θ above the
+//              horizontal (Annex 10)
+
+export const NAVAID_KINDS = {
+  VOR: { label: 'VOR', color: '#4FC3F7' },
+  'VOR/DME': { label: 'VOR/DME', color: '#4FC3F7' },
+  DME: { label: 'DME', color: '#81D4FA' },
+  NDB: { label: 'NDB', color: '#FFB74D' },
+  LOC: { label: 'LOC', color: '#CE93D8' },
+  GP: { label: 'GP', color: '#F48FB1' },
+};
+
+// Antenna height above the site elevation, m
+const ANTENNA_HEIGHT_M = { VOR: 5, 'VOR/DME': 5, DME: 5, NDB: 15, LOC: 3, GP: 10 };
+
+const VHF_VOLUMES = {
+  T: { rangeNm: 25, ceilingFt: 12000 },
+  L: { rangeNm: 40, ceilingFt: 18000 },
+  H: { rangeNm: 130, ceilingFt: 60000 },
+};
+const NDB_RANGES = { H: 75, M: 25 };
+const NDB_CEILING_FT = 18000;
+
+function vhfKind(cls) {
+  const vor = cls[0] === 'V';
+  const dme = ['D', 'T', 'M', 'I'].includes(cls[1]);
+  if (vor && dme) return 'VOR/DME';
+  return vor ? 'VOR' : 'DME';
+}
+
+const formatFrequency = (record) =>
+  record.frequency === null || record.frequency === undefined
+    ? null
+    : `${record.frequency.toFixed(record.frequency_unit === 'kHz' ? 1 : 2)} ${record.frequency_unit || 'MHz'}`;
+
+// Navaid models for the dataset's navaid records. `variation` is the
+// aerodrome magnetic variation, used for localizer courses without their own.
+export function buildNavaids(records = [], runways = [], variation = 0) {
+  const navaids = [];
+  records.forEach((record) => {
+    if (!Number.isFinite(record.lat) || !Number.isFinite(record.lon)) return;
+    const base = {
+      ident: record.ident,
+      name: record.name || null,
+      frequency: formatFrequency(record),
+    };
+
+    if (record.type === 'ILS') {
+      const magVar = record.magnetic_variation ?? variation;
+      // Front course flown inbound, true; the coverage faces the approach
+      const end = runways.flatMap((runway) => runway.ends).find((item) => item.designator === record.runway);
+      const courseTrue = Number.isFinite(record.magnetic_bearing)
+        ? (record.magnetic_bearing + magVar + 360) % 360
+        : end ? end.bearing : 0;
+      navaids.push({
+        ...base,
+        id: `LOC:${record.ident}`,
+        kind: 'LOC',
+        runway: record.runway,
+        lon: record.lon,
+        lat: record.lat,
+        siteElevationM: Number.isFinite(record.elevation_ft) ? ftToM(record.elevation_ft) : end ? end.elevation : null,
+        course: courseTrue,
+        coverage: { sectors: [{ halfAngle: 10, rangeNm: 25 }, { halfAngle: 35, rangeNm: 17 }], maxElevationDeg: 7 },
+      });
+      if (Number.isFinite(record.gs_lat) && Number.isFinite(record.gs_lon)) {
+        const angle = record.gs_angle || 3;
+        navaids.push({
+          ...base,
+          id: `GP:${record.ident}`,
+          kind: 'GP',
+          runway: record.runway,
+          lon: record.gs_lon,
+          lat: record.gs_lat,
+          siteElevationM: Number.isFinite(record.gs_elevation_ft) ? ftToM(record.gs_elevation_ft) : null,
+          course: courseTrue,
+          angle,
+          coverage: {
+            sectors: [{ halfAngle: 8, rangeNm: 10 }],
+            minElevationDeg: 0.45 * angle,
+            maxElevationDeg: 1.75 * angle,
+          },
+        });
+      }
+      return;
+    }
+
+    const cls = (record.class || '').padEnd(5, ' ');
+    const siteElevationM = Number.isFinite(record.elevation_ft) ? ftToM(record.elevation_ft) : null;
+    if (record.type === 'NDB') {
+      navaids.push({
+        ...base,
+        id: `NDB:${record.ident}`,
+        kind: 'NDB',
+        lon: record.lon,
+        lat: record.lat,
+        siteElevationM,
+        coverage: { rangeNm: NDB_RANGES[cls[2]] || 50, ceilingFt: NDB_CEILING_FT },
+      });
+      return;
+    }
+    const kind = vhfKind(cls);
+    navaids.push({
+      ...base,
+      id: `${kind}:${record.ident}`,
+      kind,
+      dmeIdent: record.dme_ident || null,
+      lon: record.lon,
+      lat: record.lat,
+      siteElevationM,
+      coverage: VHF_VOLUMES[cls[2]] || VHF_VOLUMES.L,
+    });
+  });
+  return navaids;
+}
+
+export const antennaHeightM = (navaid) => ANTENNA_HEIGHT_M[navaid.kind] || 5;
+
+// Range (NM) of the service volume on a true bearing from the navaid; 0
+// outside a localizer or glide slope sector
+export function coverageRangeNm(navaid, bearing) {
+  const { coverage } = navaid;
+  if (!coverage.sectors) return coverage.rangeNm;
+  // The approach comes from the reciprocal of the course as seen from the antenna
+  const offset = Math.abs(((bearing - (navaid.course + 180) + 540) % 360) - 180);
+  const sector = coverage.sectors.find((item) => offset <= item.halfAngle);
+  return sector ? sector.rangeNm : 0;
+}
+
+// Whether a point is inside the navaid's service volume; `antennaM` is the
+// antenna height AMSL
+export function inServiceVolume(navaid, antennaM, lon, lat, altM) {
+  const groundM = distanceM(navaid.lon, navaid.lat, lon, lat);
+  const rangeNm = coverageRangeNm(navaid, bearingDeg(navaid.lon, navaid.lat, lon, lat));
+  if (groundM > nmToM(rangeNm)) return false;
+  const { coverage } = navaid;
+  if (coverage.ceilingFt && mToFt(altM) > coverage.ceilingFt) return false;
+  const elevationDeg = (Math.atan2(altM - antennaM, Math.max(groundM, 1)) * 180) / Math.PI;
+  if (coverage.maxElevationDeg !== undefined && elevationDeg > coverage.maxElevationDeg) return false;
+  if (coverage.minElevationDeg !== undefined && elevationDeg < coverage.minElevationDeg) return false;
+  return true;
+}
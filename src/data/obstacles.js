@@ -0,0 +1,83 @@
+import { bearingDeg, distanceM } from '../geo/geodesy';
+
+// Obstacle model
+//
+// Dataset obstacles give their vertical extent with any two of
+//   elevation         top of the obstacle, m AMSL
+//   ground_elevation  terrain at its base, m AMSL
+//   height_agl        structure height above the ground, m
+// plus optional marking/lighting flags and survey accuracy:
+//   { "id": "1", "type": "Tower", "lat": 35.6, "lon": 129.35,
+//     "elevation": 62.5, "height_agl": 48, "marked": true, "lighted": true,
+//     "lateral_accuracy_m": 5, "vertical_accuracy_m": 3 }
+// Whatever is missing is derived from the others, using the terrain height
+// under the obstacle when only one value is published.
+
+// All three given must agree within this (or the vertical accuracy)
+export const HEIGHT_CONSISTENCY_M = 1;
+
+// Problems with the published heights (used by the validator)
+export function checkObstacleHeights(obs) {
+  const hasTop = obs.elevation !== undefined;
+  const hasGround = obs.ground_elevation !== undefined;
+  const hasHeight = obs.height_agl !== undefined;
+  if (!hasTop && !hasHeight) return { problem: 'elevation 또는 height_agl 누락' };
+  if (hasTop && hasGround && obs.ground_elevation > obs.elevation) {
+    return { problem: `지반 표고(${obs.ground_elevation})가 최고 표고(${obs.elevation})보다 높음` };
+  }
+  if (hasTop && hasGround && hasHeight) {
+    const mismatch = Math.abs(obs.ground_elevation + obs.height_agl - obs.elevation);
+    if (mismatch > Math.max(HEIGHT_CONSISTENCY_M, obs.vertical_accuracy_m || 0)) {
+      return { warning: `지반 표고 + 높이와 최고 표고가 ${mismatch.toFixed(1)}m 차이` };
+    }
+  }
+  return {};
+}
+
+// Resolve ground, height and top for a validated obstacle. `terrainHeight` is
+// the sampled terrain under it (m AMSL), used only for missing values.
+// Returns the record with `elevation` always set to the top (m AMSL) so the
+// surface analysis can keep reading it, and notes where each value came from.
+export function resolveObstacle(obs, terrainHeight = 0) {
+  const hasTop = obs.elevation !== undefined;
+  const hasGround = obs.ground_elevation !== undefined;
+  const hasHeight = obs.height_agl !== undefined;
+
+  let ground;
+  let groundSource = 'data';
+  if (hasGround) ground = obs.ground_elevation;
+  else if (hasTop && hasHeight) {
+    ground = obs.elevation - obs.height_agl;
+    groundSource = 'derived';
+  } else {
+    ground = terrainHeight;
+    groundSource = 'terrain';
+  }
+
+  const top = hasTop ? obs.elevation : ground + obs.height_agl;
+  const height = hasHeight ? obs.height_agl : Math.max(top - ground, 0);
+
+  return {
+    ...obs,
+    elevation: top,
+    groundElevation: ground,
+    heightAgl: height,
+    sources: {
+      top: hasTop ? 'data' : 'derived',
+      ground: groundSource,
+      height: hasHeight ? 'data' : 'derived',
+    },
+  };
+}
+
+// The `count` obstacles closest to a position, with distance and true bearing
+export function nearestObstacles(obstacles, lon, lat, count = 5) {
+  return obstacles
+    .map((obstacle) => ({
+      obstacle,
+      distanceM: distanceM(lon, lat, obstacle.lon, obstacle.lat),
+      bearing: bearingDeg(lon, lat, obstacle.lon, obstacle.lat),
+    }))
+    .sort((a, b) => a.distanceM - b.distanceM)
+    .slice(0, count);
+}
@@ -0,0 +1,50 @@
+// User overlay layers (data/overlays.js) persisted in IndexedDB, one record
+// per layer keyed by its id, so they survive reloads without the size limit
+// of localStorage
+
+const DB_NAME = 'rkpu-3d-viewer';
+const DB_VERSION = 1;
+const STORE = 'overlays';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE)) {
+          request.result.createObjectStore(STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry after a failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Layers in the order they were imported
+export async function loadOverlays() {
+  const layers = await withStore('readonly', (store) => store.getAll());
+  return layers.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+export const saveOverlay = (layer) => withStore('readwrite', (store) => store.put(layer));
+
+export const deleteOverlay = (id) => withStore('readwrite', (store) => store.delete(id));
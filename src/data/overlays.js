@@ -0,0 +1,230 @@
+import { ftToM } from '../geo/units';
+import { childText, parseXml, splitCsvLine } from './tracks';
+import { readZip } from './zip';
+
+// User overlay layers
+//
+// Imported files become layers of plain features:
+//   { id, name, format, color, opacity, extrusionM, visible, createdAt,
+//     features: [{ geometry, coordinates, name, properties }] }
+// geometry is Point, LineString or Polygon; a point is [lon, lat, altM] with
+// altM null when the file gives none (drawn on the ground). Lines are point
+// lists and polygons lists of rings, outer ring first. Multi-geometries are
+// split into one feature per part.
+//
+// Formats:
+//   GeoJSON  FeatureCollection, Feature or bare geometry (altitudes in metres)
+//   KML/KMZ  Placemarks with Point, LineString, LinearRing, Polygon and
+//            MultiGeometry; KMZ reads doc.kml or the first .kml in the archive
+//   CSV      point list with a header naming lat and lon, and optionally name
+//            and alt (metres, or feet for alt_ft / altitude_ft) columns
+
+export const OVERLAY_EXTENSIONS = ['.geojson', '.json', '.kml', '.kmz', '.csv', '.txt'];
+
+export const OVERLAY_COLORS = ['#FF9800', '#4DD0E1', '#F06292', '#AED581', '#BA68C8', '#FFF176'];
+
+const optionalNumber = (value) =>
+  value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+
+const point = ([lon, lat, alt]) => [Number(lon), Number(lat), optionalNumber(alt)];
+
+const validPoint = (p) =>
+  Number.isFinite(p[0]) && Number.isFinite(p[1]) && Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+
+const createFeature = (geometry, coordinates, name, properties) => ({ geometry, coordinates, name, properties });
+
+// Drops malformed coordinates, and whole features left without enough points
+function cleanFeature(feature) {
+  const { geometry, coordinates } = feature;
+  if (geometry === 'Point') return validPoint(coordinates) ? feature : null;
+  if (geometry === 'LineString') {
+    const line = coordinates.filter(validPoint);
+    return line.length >= 2 ? { ...feature, coordinates: line } : null;
+  }
+  // Without its outer ring a polygon is dropped, so that no hole is drawn
+  // filled in its place
+  const [outer, ...holes] = coordinates.map((ring) => ring.filter(validPoint));
+  if (!outer || outer.length < 3) return null;
+  return { ...feature, coordinates: [outer, ...holes.filter((ring) => ring.length >= 3)] };
+}
+
+function geoJsonFeatures(geometry, name, properties) {
+  if (!geometry) return [];
+  const { type, coordinates } = geometry;
+  if (type !== 'GeometryCollection' && !Array.isArray(coordinates)) return [];
+  switch (type) {
+    case 'Point':
+      return [createFeature('Point', point(coordinates), name, properties)];
+    case 'LineString':
+      return [createFeature('LineString', coordinates.map(point), name, properties)];
+    case 'Polygon':
+      return [createFeature('Polygon', coordinates.map((ring) => ring.map(point)), name, properties)];
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      return coordinates.flatMap((part) =>
+        geoJsonFeatures({ type: type.replace('Multi', ''), coordinates: part }, name, properties)
+      );
+    case 'GeometryCollection':
+      return (geometry.geometries || []).flatMap((part) => geoJsonFeatures(part, name, properties));
+    default:
+      return [];
+  }
+}
+
+export function parseGeoJsonOverlay(text) {
+  const json = JSON.parse(text);
+  const items = json.type === 'FeatureCollection'
+    ? json.features || []
+    : [json.type === 'Feature' ? json : { type: 'Feature', geometry: json, properties: {} }];
+  const features = items.flatMap((item) => {
+    const properties = item.properties || {};
+    const name = properties.name ?? properties.Name ?? properties.title ?? item.id ?? null;
+    return geoJsonFeatures(item.geometry, name === null ? null : String(name), properties);
+  });
+  return { features, warnings: [] };
+}
+
+const kmlCoordinates = (element) =>
+  (childText(element, 'coordinates') || '').split(/\s+/).filter(Boolean).map((tuple) => point(tuple.split(',')));
+
+function kmlGeometries(element) {
+  return Array.from(element.children).flatMap((child) => {
+    switch (child.localName) {
+      case 'Point':
+        return [['Point', kmlCoordinates(child)[0] || [NaN, NaN, null]]];
+      case 'LineString':
+        return [['LineString', kmlCoordinates(child)]];
+      case 'LinearRing':
+        return [['Polygon', [kmlCoordinates(child)]]];
+      case 'Polygon': {
+        const rings = ['outerBoundaryIs', 'innerBoundaryIs'].flatMap((tag) =>
+          Array.from(child.getElementsByTagNameNS('*', tag)).map(kmlCoordinates)
+        );
+        return [['Polygon', rings]];
+      }
+      case 'MultiGeometry':
+        return kmlGeometries(child);
+      default:
+        return [];
+    }
+  });
+}
+
+export function parseKmlOverlay(text) {
+  const doc = parseXml(text);
+  const features = Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).flatMap((placemark) => {
+    const properties = {};
+    Array.from(placemark.getElementsByTagNameNS('*', 'Data')).forEach((data) => {
+      properties[data.getAttribute('name')] = childText(data, 'value');
+    });
+    Array.from(placemark.getElementsByTagNameNS('*', 'SimpleData')).forEach((data) => {
+      properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+    const description = childText(placemark, 'description');
+    if (description) properties.description = description;
+    const name = childText(placemark, 'name');
+    return kmlGeometries(placemark).map(([geometry, coordinates]) =>
+      createFeature(geometry, coordinates, name, properties)
+    );
+  });
+  return { features, warnings: [] };
+}
+
+const CSV_COLUMNS = {
+  name: ['name', 'id', 'ident', 'label', 'title'],
+  lat: ['lat', 'latitude', 'y'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'x'],
+  altM: ['alt', 'altitude', 'alt_m', 'altitude_m', 'ele', 'elevation', 'height'],
+  altFt: ['alt_ft', 'altitude_ft', 'elevation_ft'],
+};
+
+export function parseCsvOverlay(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#'));
+  if (!lines.length) return { features: [], warnings: ['빈 파일'] };
+
+  const header = splitCsvLine(lines[0]);
+  const lower = header.map((cell) => cell.toLowerCase());
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+    const idx = lower.findIndex((cell) => aliases.includes(cell));
+    if (idx >= 0) columns[key] = idx;
+  });
+  const missing = ['lat', 'lon'].filter((key) => columns[key] === undefined);
+  if (missing.length) return { features: [], warnings: [`CSV 열 누락: ${missing.join(', ')}`] };
+
+  let skipped = 0;
+  const features = [];
+  lines.slice(1).forEach((line, idx) => {
+    const cells = splitCsvLine(line);
+    const altFt = optionalNumber(cells[columns.altFt]);
+    const altM = altFt !== null ? ftToM(altFt) : optionalNumber(cells[columns.altM]);
+    const coordinates = [optionalNumber(cells[columns.lon]), optionalNumber(cells[columns.lat]), altM];
+    if (!validPoint(coordinates)) {
+      skipped += 1;
+      return;
+    }
+    const properties = Object.fromEntries(header.map((key, i) => [key, cells[i] ?? '']));
+    const name = columns.name !== undefined ? cells[columns.name] : `${idx + 1}`;
+    features.push(createFeature('Point', coordinates, name, properties));
+  });
+
+  const warnings = skipped ? [`해석할 수 없는 행 ${skipped}개 건너뜀`] : [];
+  return { features, warnings };
+}
+
+export function detectOverlayFormat(fileName, text) {
+  const ext = fileName.toLowerCase().split('.').pop();
+  if (ext === 'geojson' || ext === 'json') return 'GeoJSON';
+  if (ext === 'kml') return 'KML';
+  if (ext === 'csv') return 'CSV';
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) return 'GeoJSON';
+  if (trimmed.startsWith('<')) return 'KML';
+  return 'CSV';
+}
+
+const PARSERS = { GeoJSON: parseGeoJsonOverlay, KML: parseKmlOverlay, CSV: parseCsvOverlay };
+
+async function kmzText(file) {
+  const entries = await readZip(await file.arrayBuffer());
+  const names = Object.keys(entries);
+  const kml = names.find((name) => name.toLowerCase() === 'doc.kml')
+    || names.find((name) => name.toLowerCase().endsWith('.kml'));
+  if (!kml) throw new Error('KMZ 안에 KML 파일이 없습니다');
+  return new TextDecoder().decode(entries[kml]);
+}
+
+// Parse one dropped or picked file into { format, features, warnings }
+export async function readOverlayFile(file) {
+  const isKmz = file.name.toLowerCase().endsWith('.kmz');
+  const text = isKmz ? await kmzText(file) : await file.text();
+  const format = isKmz ? 'KMZ' : detectOverlayFormat(file.name, text);
+  const result = PARSERS[isKmz ? 'KML' : format](text);
+  const features = result.features.map(cleanFeature).filter(Boolean);
+  const dropped = result.features.length - features.length;
+  const warnings = dropped ? [...result.warnings, `좌표가 잘못된 객체 ${dropped}개 건너뜀`] : result.warnings;
+  return { format, features, warnings };
+}
+
+export function createOverlayLayer(name, format, features, color) {
+  return {
+    id: `overlay-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    format,
+    features,
+    color,
+    opacity: 0.8,
+    extrusionM: 0,
+    visible: true,
+    createdAt: Date.now(),
+  };
+}
+
+export function overlayCounts(layer) {
+  const counts = { Point: 0, LineString: 0, Polygon: 0 };
+  layer.features.forEach((feature) => {
+    counts[feature.geometry] += 1;
+  });
+  return counts;
+}
@@ -0,0 +1,218 @@
+import {
+  buildProcedureModel,
+  formatConstraint,
+  HOLD_TERMINATORS,
+  normalizeConstraint,
+  procedureFixes,
+  procedurePath,
+} from './procedures';
+import { bearingDeg, distanceM } from '../geo/geodesy';
+import { legProfile } from '../geo/legs';
+import { magneticBearing } from '../geo/measure';
+import { mToNm } from '../geo/units';
+import { resolveFixAltitudes } from '../geo/verticalProfile';
+
+// Procedure browser: the type → runway → procedure → transition tree and
+// the leg table of one procedure
+//
+// Procedures are keyed `${procType}:${index}` as elsewhere in the viewer.
+// Transitions are keyed by their index in proc.transitions (ARINC 424
+// imports); procedures without transitions have none.
+
+export const PROCEDURE_TYPES = [
+  { procType: 'SID', label: '표준 출발 (SID)' },
+  { procType: 'STAR', label: '표준 도착 (STAR)' },
+  { procType: 'APPROACH', label: '접근 절차' },
+];
+
+const PHASE_LABELS = {
+  runway: '활주로',
+  common: '공통',
+  enroute: '항로',
+  transition: '전이',
+  final: '최종',
+};
+
+const transitionLabel = ({ ident, phase }) => {
+  if (ident && /^RW\d/.test(ident)) return `RWY ${ident.slice(2)}`;
+  return ident ? `${ident} ${PHASE_LABELS[phase] || ''}`.trim() : PHASE_LABELS[phase] || phase;
+};
+
+// Transition key of every leg of a leg-coded procedure. The legs are the
+// transitions' legs in order, so their counts give the ranges; an older
+// dataset whose counts do not add up falls back to the leg's transition ident.
+export function legTransitions(proc) {
+  const transitions = proc.transitions || [];
+  const legs = proc.legs || [];
+  const total = transitions.reduce((sum, transition) => sum + (transition.legs || []).length, 0);
+  if (total === legs.length) {
+    return transitions.flatMap((transition, idx) => (transition.legs || []).map(() => String(idx)));
+  }
+  return legs.map((leg) => {
+    const idx = transitions.findIndex((transition) => transition.ident && transition.ident === leg.transition);
+    return idx >= 0 ? String(idx) : null;
+  });
+}
+
+// Nominal path of a procedure split into its routes, in the order they are
+// flown: one per transition, keyed as in the tree, with its phase, path
+// pieces and named fixes ([{ key, label, phase, pieces: [{ points, hold }],
+// fixes }], fixes as procedureFixes gives them). Holding legs are flagged
+// so distances along the route can leave them out. Fix-based procedures are
+// a single route.
+export function procedureRoutes(proc, procType, context) {
+  if (!proc.legs || !proc.legs.length) {
+    const pieces = procedurePath(proc, procType, context).map((points) => ({ points, hold: false }));
+    if (!pieces.length) return [];
+    return [{ key: null, label: null, phase: null, pieces, fixes: procedureFixes(proc, procType, context) }];
+  }
+  const { airportElevation, includeMissed = false } = context;
+  const transitions = proc.transitions || [];
+  const transitionOf = legTransitions(proc);
+  const routes = new Map();
+  proc.legs.forEach((leg, idx) => {
+    if (leg.missed && !includeMissed) return;
+    const key = transitionOf[idx];
+    if (!routes.has(key)) {
+      const transition = key !== null ? transitions[Number(key)] : null;
+      routes.set(key, {
+        key,
+        label: transition ? transitionLabel(transition) : null,
+        phase: transition ? transition.phase : null,
+        pieces: [],
+        fixes: [],
+      });
+    }
+    const route = routes.get(key);
+    if (leg.fix && Number.isFinite(leg.fix_lon)) {
+      route.fixes.push({ name: leg.fix, lon: leg.fix_lon, lat: leg.fix_lat, constraint: normalizeConstraint(leg.altitude) });
+    }
+    if (!leg.coordinates || leg.coordinates.length < 2) return;
+    route.pieces.push({
+      points: legProfile(leg, airportElevation),
+      hold: HOLD_TERMINATORS.includes(leg.path_terminator),
+    });
+  });
+  return [...routes.values()];
+}
+
+// Phases of a procedure that offer more than one route to fly
+// ([{ phase, label, routes }])
+export function routeChoices(routes) {
+  const phases = [...new Set(routes.map((route) => route.phase))];
+  return phases
+    .map((phase) => ({
+      phase,
+      label: PHASE_LABELS[phase] || phase,
+      routes: routes.filter((route) => route.phase === phase),
+    }))
+    .filter((choice) => choice.routes.length > 1);
+}
+
+// The routes flown one after another: in each phase the one keyed in
+// `selected` ({ [phase]: key }), else the first
+export function selectRoutes(routes, selected = {}) {
+  const phases = [...new Set(routes.map((route) => route.phase))];
+  return phases.map((phase) => {
+    const options = routes.filter((route) => route.phase === phase);
+    return options.find((route) => route.key === selected[phase]) || options[0];
+  });
+}
+
+// Runway group of a procedure: its own runway, the runway transitions of a
+// departure, or none
+function runwayGroup(proc, model) {
+  if (model.runway) return `RWY ${model.runway}`;
+  const runwayTransitions = (proc.transitions || [])
+    .filter((transition) => transition.ident && /^RW\d/.test(transition.ident))
+    .map((transition) => transition.ident.slice(2));
+  return runwayTransitions.length ? `RWY ${runwayTransitions.join('/')}` : '활주로 미지정';
+}
+
+export function buildProcedureTree(procedures, waypoints, runways) {
+  return PROCEDURE_TYPES
+    .filter(({ procType }) => (procedures[procType] || []).length)
+    .map(({ procType, label }) => {
+      const groups = {};
+      procedures[procType].forEach((proc, idx) => {
+        const model = buildProcedureModel(proc, procType, waypoints, runways);
+        const runway = runwayGroup(proc, model);
+        if (!groups[runway]) groups[runway] = [];
+        groups[runway].push({
+          key: `${procType}:${idx}`,
+          name: proc.name,
+          transitions: (proc.transitions || []).map((transition, tIdx) => ({
+            key: String(tIdx),
+            label: transitionLabel(transition),
+          })),
+        });
+      });
+      const runwayGroups = Object.keys(groups)
+        .sort()
+        .map((runway) => ({ runway, procedures: groups[runway] }));
+      return { procType, label, runways: runwayGroups };
+    });
+}
+
+const pathLengthNm = (coords) => {
+  let length = 0;
+  for (let i = 1; i < coords.length; i++) {
+    length += distanceM(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]);
+  }
+  return mToNm(length);
+};
+
+// Course flown over a computed path: magnetic when the variation is known
+const pathCourse = (from, to, variation) => {
+  const trueCourse = bearingDeg(from[0], from[1], to[0], to[1]);
+  return variation === undefined
+    ? { deg: trueCourse, ref: 'T' }
+    : { deg: magneticBearing(trueCourse, variation), ref: 'M' };
+};
+
+// One row per leg (leg-coded procedures) or per fix-to-fix segment. Rows
+// carry the 3D profile of the leg so the table can highlight it; `legIndex`
+// points into proc.legs, `fixIndex` into the model's fixes.
+export function procedureLegRows(proc, procType, { waypoints, runways, airportElevation, variation }) {
+  if (proc.legs && proc.legs.length) {
+    const transitions = legTransitions(proc);
+    return proc.legs.map((leg, idx) => {
+      const coords = leg.coordinates || [];
+      let course = null;
+      if (Number.isFinite(leg.course)) course = { deg: leg.course, ref: leg.course_is_true ? 'T' : 'M' };
+      else if (coords.length >= 2) course = pathCourse(coords[coords.length - 2], coords[coords.length - 1], variation);
+      return {
+        legIndex: idx,
+        transition: transitions[idx],
+        fix: leg.fix || null,
+        pathTerminator: leg.path_terminator || null,
+        course,
+        distanceNm: Number.isFinite(leg.distance_nm) ? leg.distance_nm : coords.length >= 2 ? pathLengthNm(coords) : null,
+        altitude: formatConstraint(normalizeConstraint(leg.altitude)),
+        speedKt: leg.speed_limit_kt ?? null,
+        missed: !!leg.missed,
+        profile: coords.length >= 2 ? legProfile(leg, airportElevation) : [],
+      };
+    });
+  }
+
+  const model = buildProcedureModel(proc, procType, waypoints, runways);
+  const fixes = resolveFixAltitudes(model, { airportElevation });
+  return fixes.map((fix, idx) => {
+    const prev = fixes[idx - 1];
+    return {
+      fixIndex: idx,
+      transition: null,
+      fix: fix.name || `#${idx + 1}`,
+      pathTerminator: idx ? 'TF' : 'IF',
+      course: prev ? pathCourse([prev.lon, prev.lat], [fix.lon, fix.lat], variation) : null,
+      distanceNm: prev ? mToNm(distanceM(prev.lon, prev.lat, fix.lon, fix.lat)) : null,
+      altitude: formatConstraint(fix.constraint),
+      speedKt: null,
+      missed: false,
+      profile: prev
+        ? [prev, fix].map(({ lon, lat, altitudeM }) => ({ lon, lat, altM: altitudeM }))
+        : [{ lon: fix.lon, lat: fix.lat, altM: fix.altitudeM }],
+    };
+  });
+}
@@ -0,0 +1,175 @@
+import { findThreshold } from './aerodrome';
+import { legProfile } from '../geo/legs';
+import { buildVerticalPath } from '../geo/verticalProfile';
+
+// Procedure model
+//
+// A procedure is an ordered list of fixes, each with an optional altitude
+// constraint, plus (for approaches) the runway, glidepath angle and threshold
+// crossing height used to compute the final approach segment.
+//
+// Dataset format (all altitudes in ft AMSL):
+//   {
+//     "name": "APCH RNP RWY 36", "runway": "36",
+//     "glidepath_angle": 3.0, "tch_ft": 50,
+//     "fixes": [
+//       { "fix": "WP12", "altitude": { "type": "AT_OR_ABOVE", "ft": 3000 }, "role": "IAF" },
+//       { "fix": "WP20", "altitude": { "type": "WINDOW", "lower_ft": 2000, "upper_ft": 2500 } },
+//       { "fix": "WP24", "altitude": { "type": "AT", "ft": 1800 }, "role": "FAF" }
+//     ]
+//   }
+// A fix may give its own "lat"/"lon" instead of referencing a waypoint.
+
+export const CONSTRAINT_TYPES = ['AT', 'AT_OR_ABOVE', 'AT_OR_BELOW', 'WINDOW'];
+
+export const DEFAULT_GLIDEPATH_ANGLE = 3.0;
+export const DEFAULT_TCH_FT = 50;
+
+// Path terminators of holding legs
+export const HOLD_TERMINATORS = ['HA', 'HF', 'HM'];
+
+// Normalise a dataset constraint into { type, lowerFt, upperFt }
+export function normalizeConstraint(altitude) {
+  if (!altitude) return null;
+  switch (altitude.type) {
+    case 'AT':
+      return { type: 'AT', lowerFt: altitude.ft, upperFt: altitude.ft };
+    case 'AT_OR_ABOVE':
+      return { type: 'AT_OR_ABOVE', lowerFt: altitude.ft, upperFt: null };
+    case 'AT_OR_BELOW':
+      return { type: 'AT_OR_BELOW', lowerFt: null, upperFt: altitude.ft };
+    case 'WINDOW':
+      return { type: 'WINDOW', lowerFt: altitude.lower_ft, upperFt: altitude.upper_ft };
+    default:
+      return null;
+  }
+}
+
+// Short chart-style label for a constraint, e.g. "3000", "≥3000", "2000-2500"
+export function formatConstraint(constraint) {
+  if (!constraint) return '';
+  switch (constraint.type) {
+    case 'AT':
+      return `${constraint.lowerFt}`;
+    case 'AT_OR_ABOVE':
+      return `≥${constraint.lowerFt}`;
+    case 'AT_OR_BELOW':
+      return `≤${constraint.upperFt}`;
+    case 'WINDOW':
+      return `${constraint.lowerFt}-${constraint.upperFt}`;
+    default:
+      return '';
+  }
+}
+
+// Problems with a dataset fix entry (used by the validator)
+export function checkFix(fix, waypoints) {
+  if (!fix || typeof fix !== 'object') return '픽스가 객체가 아님';
+  if (typeof fix.fix !== 'string' || !fix.fix) return '픽스 이름 누락';
+  const hasOwnPosition = Number.isFinite(fix.lat) && Number.isFinite(fix.lon);
+  if (!hasOwnPosition && !waypoints[fix.fix]) return `알 수 없는 픽스 (${fix.fix})`;
+  if (fix.altitude) {
+    if (!CONSTRAINT_TYPES.includes(fix.altitude.type)) {
+      return `${fix.fix}: 알 수 없는 고도 제한 유형 (${fix.altitude.type})`;
+    }
+    const c = normalizeConstraint(fix.altitude);
+    const values = [c.lowerFt, c.upperFt].filter((v) => v !== null);
+    if (values.some((v) => !Number.isFinite(v))) return `${fix.fix}: 고도 제한 값 오류`;
+    if (c.type === 'WINDOW' && c.lowerFt > c.upperFt) return `${fix.fix}: 고도 창 하한이 상한보다 큼`;
+  }
+  return null;
+}
+
+const runwayFromName = (name) => {
+  const match = /RWY\s*(\d{2}[LRC]?)/.exec(name || '');
+  return match ? match[1] : null;
+};
+
+// Build the procedure model for a validated dataset procedure. Legacy
+// procedures that only carry a coordinate list become unconstrained fixes.
+// `runways` are the aerodrome's runway models (see aerodrome.js).
+export function buildProcedureModel(proc, procType, waypoints, runways) {
+  let fixes;
+  if (proc.fixes && proc.fixes.length) {
+    fixes = proc.fixes.map((fix) => {
+      const wp = waypoints[fix.fix];
+      return {
+        name: fix.fix,
+        lon: fix.lon ?? wp.lon,
+        lat: fix.lat ?? wp.lat,
+        constraint: normalizeConstraint(fix.altitude),
+        role: fix.role || null,
+      };
+    });
+  } else {
+    fixes = (proc.coordinates || []).map(([lon, lat], idx) => ({
+      name: null,
+      index: idx,
+      lon,
+      lat,
+      constraint: null,
+      role: null,
+    }));
+  }
+
+  const runway = proc.runway || runwayFromName(proc.name);
+  const isApproach = procType === 'APPROACH';
+
+  return {
+    name: proc.name,
+    type: procType,
+    table: proc.table,
+    runway,
+    threshold: findThreshold(runways, runway),
+    glidepathAngle: isApproach ? proc.glidepath_angle ?? DEFAULT_GLIDEPATH_ANGLE : null,
+    tchFt: isApproach ? proc.tch_ft ?? DEFAULT_TCH_FT : null,
+    fixes,
+  };
+}
+
+// Nominal 3D path of a procedure as separate pieces of [{ lon, lat, altM }]:
+// one per leg for leg-coded procedures (missed approach excluded unless
+// `includeMissed`), otherwise the fix-to-fix path followed by the computed
+// final approach segment
+export function procedurePath(proc, procType, { waypoints, runways, airportElevation, includeMissed = false }) {
+  if (proc.legs && proc.legs.length) {
+    return proc.legs
+      .filter((leg) => (includeMissed || !leg.missed) && leg.coordinates && leg.coordinates.length >= 2)
+      .map((leg) => legProfile(leg, airportElevation));
+  }
+  const model = buildProcedureModel(proc, procType, waypoints, runways);
+  if (model.fixes.length < 2) return [];
+  const { path, finalSegment } = buildVerticalPath(model, { airportElevation });
+  return [path, finalSegment]
+    .filter((piece) => piece.length >= 2)
+    .map((piece) => piece.map(({ lon, lat, altM }) => ({ lon, lat, altM })));
+}
+
+// Named fixes of a procedure in the order they are flown, with their
+// altitude constraints ([{ name, lon, lat, constraint }])
+export function procedureFixes(proc, procType, { waypoints, runways, includeMissed = false }) {
+  if (proc.legs && proc.legs.length) {
+    return proc.legs
+      .filter((leg) => (includeMissed || !leg.missed) && leg.fix && Number.isFinite(leg.fix_lon))
+      .map((leg) => ({
+        name: leg.fix,
+        lon: leg.fix_lon,
+        lat: leg.fix_lat,
+        constraint: normalizeConstraint(leg.altitude),
+      }));
+  }
+  return buildProcedureModel(proc, procType, waypoints, runways).fixes
+    .filter((fix) => fix.name)
+    .map(({ name, lon, lat, constraint }) => ({ name, lon, lat, constraint }));
+}
+
+// Procedures that route through a named fix, as [{ procType, proc }]
+export function proceduresUsingFix(procedures, name) {
+  return Object.entries(procedures).flatMap(([procType, list]) =>
+    list
+      .filter((proc) =>
+        (proc.fixes || []).some((fix) => fix.fix === name) ||
+        (proc.legs || []).some((leg) => leg.fix === name))
+      .map((proc) => ({ procType, proc }))
+  );
+}
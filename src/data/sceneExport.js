@@ -0,0 +1,309 @@
+import { createZip } from './zip';
+
+// Scene export
+//
+// App collects what is currently shown (after layer toggles, source/type
+// filters and search) into a plain scene description, and the writers below
+// turn it into GeoJSON, KML/KMZ or CZML:
+//   {
+//     name: 'RKPU',
+//     waypoints: [{ name, lon, lat, altM (null = on the ground), sources, color }],
+//     obstacles: [{ id, type, lon, lat, groundM, topM, marked, lighted, penetrationM, color }],
+//     airspace: [{ name, cls, outer, holes, lower, upper, lowerLabel, upperLabel, color, alpha }],
+//     procedures: [{ name, procType, pieces: [[{ lon, lat, altM }]], color }],
+//   }
+// lower/upper are { heightM, aboveGround } (see limitHeight in airspace.js);
+// colours are CSS hex strings; heights are metres AMSL.
+
+export const EXPORT_FORMATS = [
+  { key: 'geojson', label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json' },
+  { key: 'kml', label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+  { key: 'kmz', label: 'KMZ', extension: 'kmz', type: 'application/vnd.google-earth.kmz' },
+  { key: 'czml', label: 'CZML', extension: 'czml', type: 'application/json' },
+];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+const lonLat = (lon, lat) => [round(lon, 7), round(lat, 7)];
+
+// '#rrggbb' → [r, g, b]
+const rgb = (css) => [1, 3, 5].map((i) => parseInt(css.slice(i, i + 2), 16));
+
+export function toGeoJson(scene) {
+  const features = [];
+  const feature = (geometry, properties) => features.push({ type: 'Feature', geometry, properties });
+
+  scene.waypoints.forEach((wp) => feature(
+    { type: 'Point', coordinates: wp.altM === null ? lonLat(wp.lon, wp.lat) : [...lonLat(wp.lon, wp.lat), round(wp.altM, 1)] },
+    { layer: 'waypoint', name: wp.name, altitude_m: wp.altM, sources: wp.sources, 'marker-color': wp.color }
+  ));
+
+  scene.obstacles.forEach((obs) => feature(
+    { type: 'Point', coordinates: [...lonLat(obs.lon, obs.lat), round(obs.topM, 1)] },
+    {
+      layer: 'obstacle',
+      id: obs.id,
+      type: obs.type,
+      ground_elevation_m: round(obs.groundM, 1),
+      top_elevation_m: round(obs.topM, 1),
+      height_agl_m: round(obs.topM - obs.groundM, 1),
+      marked: obs.marked ?? null,
+      lighted: obs.lighted ?? null,
+      penetration_m: obs.penetrationM ? round(obs.penetrationM, 1) : null,
+      'marker-color': obs.color,
+    }
+  ));
+
+  // Rings sit at the lower limit; the limits are also given as properties
+  scene.airspace.forEach((as) => {
+    const ring = (points) => points.map(([lon, lat]) => [...lonLat(lon, lat), round(as.lower.heightM, 1)]);
+    feature(
+      { type: 'Polygon', coordinates: [ring(as.outer), ...as.holes.map(ring)] },
+      {
+        layer: 'airspace',
+        name: as.name,
+        class: as.cls,
+        lower: as.lowerLabel,
+        upper: as.upperLabel,
+        lower_m: round(as.lower.heightM, 1),
+        lower_reference: as.lower.aboveGround ? 'AGL' : 'AMSL',
+        upper_m: round(as.upper.heightM, 1),
+        upper_reference: as.upper.aboveGround ? 'AGL' : 'AMSL',
+        stroke: as.color,
+        fill: as.color,
+        'fill-opacity': as.alpha,
+      }
+    );
+  });
+
+  scene.procedures.forEach((proc) => feature(
+    {
+      type: 'MultiLineString',
+      coordinates: proc.pieces.map((piece) => piece.map((p) => [...lonLat(p.lon, p.lat), round(p.altM, 1)])),
+    },
+    { layer: 'procedure', name: proc.name, type: proc.procType, stroke: proc.color, 'stroke-width': 3 }
+  ));
+
+  return JSON.stringify({ type: 'FeatureCollection', name: scene.name, features }, null, 1);
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// KML colours are aabbggrr
+const kmlColor = (css, alpha = 1) => {
+  const hex = (n) => n.toString(16).padStart(2, '0');
+  const [r, g, b] = rgb(css);
+  return `${hex(Math.round(alpha * 255))}${hex(b)}${hex(g)}${hex(r)}`;
+};
+
+const kmlCoords = (points) => points.map(([lon, lat, alt]) => `${round(lon, 7)},${round(lat, 7)},${round(alt, 1)}`).join(' ');
+
+const altitudeMode = (aboveGround) => (aboveGround ? 'relativeToGround' : 'absolute');
+
+const placemark = (name, styleId, geometry, description = '') => `
+    <Placemark>
+      <name>${escapeXml(name)}</name>${description ? `
+      <description>${escapeXml(description)}</description>` : ''}
+      <styleUrl>#${styleId}</styleUrl>
+      ${geometry}
+    </Placemark>`;
+
+const kmlPolygon = (outer, holes, altM, aboveGround, extrude) => `<Polygon>
+        ${extrude ? '<extrude>1</extrude>' : ''}<altitudeMode>${altitudeMode(aboveGround)}</altitudeMode>
+        <outerBoundaryIs><LinearRing><coordinates>${kmlCoords(outer.map(([lon, lat]) => [lon, lat, altM]))}</coordinates></LinearRing></outerBoundaryIs>${
+  holes.map((hole) => `
+        <innerBoundaryIs><LinearRing><coordinates>${kmlCoords(hole.map(([lon, lat]) => [lon, lat, altM]))}</coordinates></LinearRing></innerBoundaryIs>`).join('')}
+      </Polygon>`;
+
+// Airspace from the surface is its ceiling extruded to the ground; raised
+// airspace is a floor, a ceiling and, when both limits share a reference,
+// the walls between them
+function kmlAirspaceGeometry(as) {
+  const { lower, upper } = as;
+  if (lower.aboveGround && lower.heightM === 0) {
+    return kmlPolygon(as.outer, as.holes, upper.heightM, upper.aboveGround, true);
+  }
+  const parts = [
+    kmlPolygon(as.outer, as.holes, lower.heightM, lower.aboveGround, false),
+    kmlPolygon(as.outer, as.holes, upper.heightM, upper.aboveGround, false),
+  ];
+  if (lower.aboveGround === upper.aboveGround) {
+    [as.outer, ...as.holes].forEach((ring) => {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [a, b] = [ring[i], ring[i + 1]];
+        const wall = [[...a, lower.heightM], [...b, lower.heightM], [...b, upper.heightM], [...a, upper.heightM], [...a, lower.heightM]];
+        parts.push(`<Polygon><altitudeMode>${altitudeMode(upper.aboveGround)}</altitudeMode><outerBoundaryIs><LinearRing><coordinates>${kmlCoords(wall)}</coordinates></LinearRing></outerBoundaryIs></Polygon>`);
+      }
+    });
+  }
+  return `<MultiGeometry>${parts.join('\n')}</MultiGeometry>`;
+}
+
+export function toKml(scene) {
+  const styles = new Map();
+  const style = (id, body) => {
+    if (!styles.has(id)) styles.set(id, `  <Style id="${id}">${body}</Style>`);
+    return id;
+  };
+  const pointStyle = (css, scale) => style(
+    `point-${css.slice(1)}`,
+    `<IconStyle><color>${kmlColor(css)}</color><scale>${scale}</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle><LabelStyle><scale>0.7</scale></LabelStyle><LineStyle><color>${kmlColor(css)}</color><width>2</width></LineStyle>`
+  );
+  const lineStyle = (css) => style(`line-${css.slice(1)}`, `<LineStyle><color>${kmlColor(css)}</color><width>3</width></LineStyle>`);
+  const areaStyle = (css, alpha) => style(
+    `area-${css.slice(1)}`,
+    `<LineStyle><color>${kmlColor(css)}</color><width>1.5</width></LineStyle><PolyStyle><color>${kmlColor(css, Math.max(alpha, 0.15))}</color></PolyStyle>`
+  );
+
+  const folder = (name, items) => (items.length ? `
+  <Folder>
+    <name>${escapeXml(name)}</name>${items.join('')}
+  </Folder>` : '');
+
+  const waypoints = scene.waypoints.map((wp) => placemark(
+    wp.name,
+    pointStyle(wp.color, 0.6),
+    wp.altM === null
+      ? `<Point><altitudeMode>clampToGround</altitudeMode><coordinates>${round(wp.lon, 7)},${round(wp.lat, 7)},0</coordinates></Point>`
+      : `<Point><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoords([[wp.lon, wp.lat, wp.altM]])}</coordinates></Point>`,
+    `출처: ${wp.sources.join(', ')}`
+  ));
+
+  // Obstacles are their top, extruded down to the ground
+  const obstacles = scene.obstacles.map((obs) => placemark(
+    `#${obs.id} ${obs.type}`,
+    pointStyle(obs.color, 0.5),
+    `<Point><extrude>1</extrude><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoords([[obs.lon, obs.lat, obs.topM]])}</coordinates></Point>`,
+    `최고 표고 ${round(obs.topM, 1)}m, 지반 표고 ${round(obs.groundM, 1)}m${obs.penetrationM ? `, 제한표면 침투 ${round(obs.penetrationM, 1)}m` : ''}`
+  ));
+
+  const airspace = scene.airspace.map((as) => placemark(
+    as.name,
+    areaStyle(as.color, as.alpha),
+    kmlAirspaceGeometry(as),
+    `${as.cls ? `${as.cls}등급, ` : ''}${as.lowerLabel} – ${as.upperLabel}`
+  ));
+
+  const procedureFolders = ['SID', 'STAR', 'APPROACH'].map((procType) => folder(
+    procType,
+    scene.procedures.filter((proc) => proc.procType === procType).map((proc) => placemark(
+      proc.name,
+      lineStyle(proc.color),
+      `<MultiGeometry>${proc.pieces.map((piece) => `<LineString><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoords(piece.map((p) => [p.lon, p.lat, p.altM]))}</coordinates></LineString>`).join('')}</MultiGeometry>`
+    ))
+  )).join('');
+
+  const body = [
+    folder('웨이포인트', waypoints),
+    folder('장애물', obstacles),
+    folder('공역', airspace),
+    procedureFolders ? `
+  <Folder>
+    <name>비행 절차</name>${procedureFolders}
+  </Folder>` : '',
+  ].join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+  <name>${escapeXml(scene.name)}</name>
+${[...styles.values()].join('\n')}${body}
+</Document>
+</kml>
+`;
+}
+
+export const toKmz = (scene) => createZip([{ name: 'doc.kml', data: toKml(scene) }]);
+
+const czmlColor = (css, alpha = 1) => ({ rgba: [...rgb(css), Math.round(alpha * 255)] });
+
+const heightReference = (aboveGround) => (aboveGround ? 'RELATIVE_TO_GROUND' : 'NONE');
+
+const flatDegrees = (ring) => ring.flatMap(([lon, lat]) => lonLat(lon, lat));
+
+export function toCzml(scene) {
+  const packets = [{ id: 'document', name: scene.name, version: '1.0' }];
+
+  scene.waypoints.forEach((wp) => packets.push({
+    id: `waypoint/${wp.name}`,
+    name: wp.name,
+    description: `출처: ${wp.sources.join(', ')}`,
+    position: { cartographicDegrees: [...lonLat(wp.lon, wp.lat), wp.altM ?? 0] },
+    point: {
+      pixelSize: 8,
+      color: czmlColor(wp.color),
+      heightReference: wp.altM === null ? 'CLAMP_TO_GROUND' : 'NONE',
+    },
+    label: {
+      text: wp.name,
+      font: '12px sans-serif',
+      pixelOffset: { cartesian2: [0, -14] },
+      heightReference: wp.altM === null ? 'CLAMP_TO_GROUND' : 'NONE',
+    },
+  }));
+
+  scene.obstacles.forEach((obs) => {
+    const heightM = Math.max(obs.topM - obs.groundM, 1);
+    packets.push({
+      id: `obstacle/${obs.id}`,
+      name: `#${obs.id} ${obs.type}`,
+      position: { cartographicDegrees: [...lonLat(obs.lon, obs.lat), round(obs.groundM + heightM / 2, 1)] },
+      cylinder: {
+        length: round(heightM, 1),
+        topRadius: 3,
+        bottomRadius: 6,
+        material: { solidColor: { color: czmlColor(obs.color, 0.8) } },
+        outline: true,
+        outlineColor: czmlColor(obs.penetrationM ? '#ffeb3b' : obs.color),
+      },
+    });
+  });
+
+  scene.airspace.forEach((as, idx) => packets.push({
+    id: `airspace/${idx}`,
+    name: as.name,
+    description: `${as.lowerLabel} – ${as.upperLabel}`,
+    polygon: {
+      positions: { cartographicDegrees: flatDegrees(as.outer).flatMap((v, i) => (i % 2 ? [v, 0] : [v])) },
+      holes: { cartographicDegrees: as.holes.map((hole) => flatDegrees(hole).flatMap((v, i) => (i % 2 ? [v, 0] : [v]))) },
+      height: round(as.lower.heightM, 1),
+      heightReference: heightReference(as.lower.aboveGround),
+      extrudedHeight: round(as.upper.heightM, 1),
+      extrudedHeightReference: heightReference(as.upper.aboveGround),
+      material: { solidColor: { color: czmlColor(as.color, as.alpha) } },
+      outline: true,
+      outlineColor: czmlColor(as.color),
+    },
+  }));
+
+  scene.procedures.forEach((proc) => proc.pieces.forEach((piece, idx) => packets.push({
+    id: `procedure/${proc.procType}/${proc.name}/${idx}`,
+    name: proc.name,
+    polyline: {
+      positions: { cartographicDegrees: piece.flatMap((p) => [...lonLat(p.lon, p.lat), round(p.altM, 1)]) },
+      width: 3,
+      material: { solidColor: { color: czmlColor(proc.color) } },
+    },
+  })));
+
+  return JSON.stringify(packets, null, 1);
+}
+
+// Content of an export in the given format (a string, or a Blob for KMZ)
+export function exportScene(scene, format) {
+  switch (format) {
+    case 'geojson':
+      return toGeoJson(scene);
+    case 'kml':
+      return toKml(scene);
+    case 'kmz':
+      return toKmz(scene);
+    case 'czml':
+      return toCzml(scene);
+    default:
+      throw new Error(`알 수 없는 형식: ${format}`);
+  }
+}
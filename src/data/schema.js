@@ -0,0 +1,136 @@
+// Declared schema for aviation_data.json
+//
+// Each section lists its fields with a type and optional range. The validator
+// (see validate.js) rejects records whose required fields are missing or out of
+// range, and applies the section-specific rules below on top.
+
+export const OBSTACLE_TYPES = ['Building', 'Tower', 'Natural', 'Tree', 'Navaid', 'ETC'];
+
+export const PROCEDURE_TYPES = ['SID', 'STAR', 'APPROACH'];
+
+// Annex 14 runway type, selects the obstacle limitation surface dimensions
+export const RUNWAY_CLASSIFICATIONS = ['NON_INSTRUMENT', 'NON_PRECISION', 'PRECISION'];
+
+// Navaid record types (see navaids.js) and the frequency band of each
+export const NAVAID_TYPES = ['VHF', 'NDB', 'ILS'];
+export const NAVAID_BANDS = {
+  VHF: { unit: 'MHz', min: 108, max: 117.95 },
+  ILS: { unit: 'MHz', min: 108, max: 111.95 },
+  NDB: { unit: 'kHz', min: 190, max: 1750 },
+};
+
+// ICAO airspace classes
+export const AIRSPACE_CLASSES = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+export const SECTION_LABELS = {
+  airport: '공항',
+  runways: '활주로',
+  waypoints: '웨이포인트',
+  obstacles: '장애물',
+  airspace: '공역',
+  procedures: '절차',
+  navaids: '항행안전시설',
+};
+
+// Records further than this from the aerodrome reference point are treated as
+// corrupt; it also catches "null island" values such as [-0.0, 0.0].
+export const MAX_DISTANCE_FROM_AIRPORT_KM = 300;
+
+export const SCHEMA = {
+  airport: {
+    icao: { type: 'string', required: true, pattern: /^[A-Z]{4}$/ },
+    name: { type: 'string' },
+    name_kr: { type: 'string' },
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lon: { type: 'number', required: true, min: -180, max: 180 },
+    elevation: { type: 'number', required: true, min: -500, max: 9000 },
+    // Degrees, east positive
+    magnetic_variation: { type: 'number', min: -180, max: 180 },
+    runways: { type: 'array' },
+  },
+  runway: {
+    designator: { type: 'string', required: true, pattern: /^\d{2}[LRC]?\/\d{2}[LRC]?$/ },
+    width_m: { type: 'number', required: true, min: 10, max: 100 },
+    surface: { type: 'string' },
+    classification: { type: 'string', oneOf: RUNWAY_CLASSIFICATIONS },
+    ends: { type: 'array', required: true },
+  },
+  runwayEnd: {
+    designator: { type: 'string', required: true, pattern: /^\d{2}[LRC]?$/ },
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lon: { type: 'number', required: true, min: -180, max: 180 },
+    elevation: { type: 'number', required: true, min: -500, max: 9000 },
+    true_bearing: { type: 'number', min: 0, max: 360 },
+    displaced_threshold_m: { type: 'number', min: 0, max: 3000 },
+    tora_m: { type: 'number', min: 0, max: 6000 },
+    toda_m: { type: 'number', min: 0, max: 6000 },
+    asda_m: { type: 'number', min: 0, max: 6000 },
+    lda_m: { type: 'number', min: 0, max: 6000 },
+  },
+  waypoint: {
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lon: { type: 'number', required: true, min: -180, max: 180 },
+    altitude: { type: 'number', min: -500, max: 20000 },
+    sources: { type: 'string[]', required: true },
+    source_positions: { type: 'object' },
+  },
+  obstacle: {
+    id: { type: 'string', required: true },
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lon: { type: 'number', required: true, min: -180, max: 180 },
+    type: { type: 'string', required: true, oneOf: OBSTACLE_TYPES },
+    // Vertical extent: any two of these, see obstacles.js
+    elevation: { type: 'number', min: 0, max: 9000 },
+    ground_elevation: { type: 'number', min: -500, max: 9000 },
+    height_agl: { type: 'number', min: 0, max: 1000 },
+    marked: { type: 'boolean' },
+    lighted: { type: 'boolean' },
+    lateral_accuracy_m: { type: 'number', min: 0, max: 1000 },
+    vertical_accuracy_m: { type: 'number', min: 0, max: 1000 },
+  },
+  // Boundary is one of circle, boundary or (legacy) coordinates; limits are
+  // read by parseLimit in airspace.js
+  airspace: {
+    name: { type: 'string', required: true },
+    class: { type: 'string', oneOf: AIRSPACE_CLASSES },
+    base_alt: { type: 'number', min: -500, max: 30000 },
+    top_alt: { type: 'number', min: -500, max: 30000 },
+    boundary: { type: 'array' },
+    holes: { type: 'array' },
+    coordinates: { type: 'array' },
+  },
+  navaid: {
+    ident: { type: 'string', required: true, pattern: /^[A-Z0-9]{1,4}$/ },
+    name: { type: 'string' },
+    type: { type: 'string', required: true, oneOf: NAVAID_TYPES },
+    // ARINC 424 class, see navaids.js
+    class: { type: 'string' },
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lon: { type: 'number', required: true, min: -180, max: 180 },
+    frequency: { type: 'number' },
+    frequency_unit: { type: 'string', oneOf: ['MHz', 'kHz'] },
+    dme_ident: { type: 'string' },
+    elevation_ft: { type: 'number', min: -1500, max: 30000 },
+    // ILS only
+    runway: { type: 'string', pattern: /^\d{2}[LRC]?$/ },
+    category: { type: 'string' },
+    magnetic_bearing: { type: 'number', min: 0, max: 360 },
+    magnetic_variation: { type: 'number', min: -180, max: 180 },
+    width_deg: { type: 'number', min: 0, max: 10 },
+    gs_lat: { type: 'number', min: -90, max: 90 },
+    gs_lon: { type: 'number', min: -180, max: 180 },
+    gs_angle: { type: 'number', min: 2, max: 7 },
+    gs_elevation_ft: { type: 'number', min: -1500, max: 30000 },
+    tch_ft: { type: 'number', min: 0, max: 200 },
+  },
+  procedure: {
+    name: { type: 'string', required: true },
+    table: { type: 'string' },
+    runway: { type: 'string', pattern: /^(RW)?\d{2}[LRC]?$/ },
+    glidepath_angle: { type: 'number', min: 2, max: 7 },
+    tch_ft: { type: 'number', min: 0, max: 200 },
+    fixes: { type: 'array' },
+    coordinates: { type: 'array' },
+    legs: { type: 'array' },
+  },
+};
@@ -0,0 +1,224 @@
+import { decodeAircraftJson, decodeSbsMessage } from './adsb';
+import { ftToM } from '../geo/units';
+
+// Recorded flight tracks
+//
+// Every supported file format is parsed into the same track model:
+//   { id, name, source, points: [{ t, lon, lat, altM }] }
+// with t in epoch milliseconds, points sorted by time and altitudes in metres.
+//
+// Formats:
+//   CSV   header row naming time, lat, lon and alt columns (alt in metres, or
+//         feet when the column is alt_ft / altitude_ft / alt_baro); an optional
+//         callsign / flight / id column splits the file into several tracks.
+//         Without a header the columns are time, lat, lon, alt (m).
+//   GPX   <trk>/<rte> points with <ele> (m) and <time>
+//   KML   <gx:Track> with <when> and <gx:coord>
+//   SBS   BaseStation (SBS-1) MSG lines as written by dump1090 on port 30003,
+//         grouped by ICAO address
+//   JSON  dump1090 / readsb aircraft.json snapshots, one per line or as an array
+// Both ADS-B formats are decoded by data/adsb.js and use the barometric
+// altitude; positions with only a geometric (ellipsoid) altitude are dropped.
+
+export const TRACK_FORMATS = ['CSV', 'GPX', 'KML', 'SBS', 'JSON'];
+
+let nextTrackId = 1;
+
+const createTrack = (name, source, points) => {
+  const sorted = points
+    .filter((p) => Number.isFinite(p.t) && Number.isFinite(p.lon) && Number.isFinite(p.lat) && Number.isFinite(p.altM))
+    .sort((a, b) => a.t - b.t)
+    .filter((p, idx, list) => idx === 0 || p.t > list[idx - 1].t);
+  return { id: `track-${nextTrackId++}`, name, source, points: sorted };
+};
+
+// Timestamps without a zone are taken as UTC
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+export function parseTime(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return NaN;
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    // Epoch seconds, or milliseconds for values that are clearly too large
+    return number > 1e11 ? number : number * 1000;
+  }
+  return Date.parse(LOCAL_DATE_TIME.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+}
+
+const COLUMN_ALIASES = {
+  time: ['time', 'timestamp', 'datetime', 'utc', 'when', 'date_time'],
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  altM: ['alt', 'altitude', 'alt_m', 'altitude_m', 'ele', 'elevation', 'alt_geom_m'],
+  altFt: ['alt_ft', 'altitude_ft', 'alt_baro', 'baro_alt', 'alt_geom'],
+  id: ['callsign', 'flight', 'id', 'icao', 'hex', 'icao24'],
+};
+
+export const splitCsvLine = (line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+export function parseCsvTrack(text, name) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#'));
+  if (!lines.length) return { tracks: [], warnings: ['빈 파일'] };
+
+  const firstRow = splitCsvLine(lines[0]);
+  const hasHeader = firstRow.some((cell) => !Number.isFinite(Number(cell)) && !Number.isFinite(parseTime(cell)));
+  const first = firstRow.map((cell) => cell.toLowerCase());
+  const columns = {};
+  if (hasHeader) {
+    Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+      const idx = first.findIndex((cell) => aliases.includes(cell));
+      if (idx >= 0) columns[key] = idx;
+    });
+  } else {
+    Object.assign(columns, { time: 0, lat: 1, lon: 2, altM: 3 });
+  }
+
+  const missing = ['time', 'lat', 'lon'].filter((key) => columns[key] === undefined);
+  if (columns.altM === undefined && columns.altFt === undefined) missing.push('alt');
+  if (missing.length) return { tracks: [], warnings: [`CSV 열 누락: ${missing.join(', ')}`] };
+
+  const groups = {};
+  let skipped = 0;
+  lines.slice(hasHeader ? 1 : 0).forEach((line) => {
+    const cells = splitCsvLine(line);
+    const altM = columns.altFt !== undefined
+      ? ftToM(Number(cells[columns.altFt]))
+      : Number(cells[columns.altM]);
+    const point = {
+      t: parseTime(cells[columns.time]),
+      lat: Number(cells[columns.lat]),
+      lon: Number(cells[columns.lon]),
+      altM,
+    };
+    if (![point.t, point.lat, point.lon, point.altM].every(Number.isFinite)) {
+      skipped += 1;
+      return;
+    }
+    const key = columns.id !== undefined ? cells[columns.id] || name : name;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(point);
+  });
+
+  const warnings = skipped ? [`해석할 수 없는 행 ${skipped}개 건너뜀`] : [];
+  const tracks = Object.entries(groups).map(([key, points]) => createTrack(key, 'CSV', points));
+  return { tracks, warnings };
+}
+
+export const parseXml = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('XML 형식 오류');
+  return doc;
+};
+
+export const childText = (element, tag) => {
+  const child = element.getElementsByTagNameNS('*', tag)[0] || element.getElementsByTagName(tag)[0];
+  return child ? child.textContent.trim() : null;
+};
+
+export function parseGpxTrack(text, name) {
+  const doc = parseXml(text);
+  const tracks = [];
+  ['trk', 'rte'].forEach((tag) => {
+    Array.from(doc.getElementsByTagName(tag)).forEach((element, idx) => {
+      const pointTag = tag === 'trk' ? 'trkpt' : 'rtept';
+      const points = Array.from(element.getElementsByTagName(pointTag)).map((pt) => ({
+        t: parseTime(childText(pt, 'time')),
+        lat: Number(pt.getAttribute('lat')),
+        lon: Number(pt.getAttribute('lon')),
+        altM: Number(childText(pt, 'ele')),
+      }));
+      tracks.push(createTrack(childText(element, 'name') || `${name} ${idx + 1}`, 'GPX', points));
+    });
+  });
+  return { tracks, warnings: [] };
+}
+
+export function parseKmlTrack(text, name) {
+  const doc = parseXml(text);
+  const tracks = Array.from(doc.getElementsByTagNameNS('*', 'Track')).map((element, idx) => {
+    const whens = Array.from(element.getElementsByTagNameNS('*', 'when')).map((w) => parseTime(w.textContent));
+    const coords = Array.from(element.getElementsByTagNameNS('*', 'coord')).map((c) =>
+      c.textContent.trim().split(/\s+/).map(Number)
+    );
+    const points = coords.map(([lon, lat, alt], i) => ({ t: whens[i], lon, lat, altM: alt ?? 0 }));
+    const placemark = element.closest ? element.closest('Placemark') : null;
+    const trackName = (placemark && childText(placemark, 'name')) || `${name} ${idx + 1}`;
+    return createTrack(trackName, 'KML', points);
+  });
+  const warnings = tracks.length ? [] : ['시간 정보가 있는 gx:Track이 없습니다'];
+  return { tracks, warnings };
+}
+
+// Tracks of the aircraft heard in ADS-B reports ({ hex, callsign, lon, lat,
+// altFt, altGeomFt, t }), keyed by ICAO address
+function adsbTracks(reports, source) {
+  const aircraft = {};
+  let geometricOnly = 0;
+  reports.forEach(({ hex, callsign, lon, lat, altFt, altGeomFt, t }) => {
+    if (!aircraft[hex]) aircraft[hex] = { callsign: null, points: [] };
+    if (callsign) aircraft[hex].callsign = callsign;
+    if (lon === undefined || t === undefined) return;
+    if (altFt === undefined) {
+      if (altGeomFt !== undefined) geometricOnly += 1;
+      return;
+    }
+    aircraft[hex].points.push({ t, lon, lat, altM: ftToM(altFt) });
+  });
+  const tracks = Object.entries(aircraft)
+    .filter(([, { points }]) => points.length)
+    .map(([hex, { callsign, points }]) => createTrack(callsign ? `${callsign} (${hex})` : hex, source, points));
+  const warnings = geometricOnly ? [`기압고도 없이 기하고도만 있는 위치 ${geometricOnly}개 제외`] : [];
+  return { tracks, warnings };
+}
+
+export function parseSbsTrack(text) {
+  const reports = text.split(/\r?\n/)
+    .map(decodeSbsMessage)
+    .filter(Boolean)
+    .map(({ time, ...report }) => ({ ...report, t: time }));
+  return adsbTracks(reports, 'SBS');
+}
+
+export function parseAircraftJsonTrack(text) {
+  const trimmed = text.trim();
+  const snapshots = trimmed.startsWith('[')
+    ? JSON.parse(trimmed)
+    : trimmed.split(/\r?\n/).filter(Boolean).map((line) => JSON.parse(line));
+  // A snapshot without its own clock cannot be placed in time
+  const reports = snapshots
+    .filter((snapshot) => snapshot && Array.isArray(snapshot.aircraft))
+    .flatMap((snapshot) => decodeAircraftJson(snapshot, Number.isFinite(snapshot.now) ? snapshot.now * 1000 : NaN))
+    .map(({ positionAt, ...report }) => ({ ...report, t: positionAt }));
+  return adsbTracks(reports, 'JSON');
+}
+
+export function detectTrackFormat(fileName, text) {
+  const ext = (fileName.split('.').pop() || '').toLowerCase();
+  const head = text.trimStart().slice(0, 200);
+  if (ext === 'gpx' || head.includes('<gpx')) return 'GPX';
+  if (ext === 'kml' || head.includes('<kml')) return 'KML';
+  if (head.startsWith('MSG,')) return 'SBS';
+  if (head.startsWith('{') || head.startsWith('[')) return 'JSON';
+  return 'CSV';
+}
+
+// Parse a track file of any supported format. Tracks with fewer than two
+// timed points cannot be replayed and are dropped with a warning.
+export function parseTrackFile(fileName, text) {
+  const name = fileName.replace(/\.[^.]+$/, '');
+  const format = detectTrackFormat(fileName, text);
+  const parsers = {
+    CSV: parseCsvTrack,
+    GPX: parseGpxTrack,
+    KML: parseKmlTrack,
+    SBS: parseSbsTrack,
+    JSON: parseAircraftJsonTrack,
+  };
+  const { tracks, warnings } = parsers[format](text, name);
+  const usable = tracks.filter((track) => track.points.length >= 2);
+  if (usable.length < tracks.length) {
+    warnings.push(`위치가 2개 미만인 궤적 ${tracks.length - usable.length}개 제외`);
+  }
+  return { format, tracks: usable, warnings };
+}
@@ -0,0 +1,96 @@
+import { destination } from '../geo/geodesy';
+import { nmToM } from '../geo/units';
+
+// Live traffic model
+//
+// Reports come from a dump1090 aircraft.json or SBS-1 feed (see
+// data/trafficFeed.js), decoded by data/adsb.js into partial updates
+// { hex, at, ...fields } that are merged into aircraft keyed by ICAO address:
+//   { hex, callsign, squawk, lon, lat, altFt, altGeomFt, onGround, gsKt,
+//     trackDeg, vrateFpm, positionAt, seenAt,
+//     trail: [{ lon, lat, altFt, altGeomFt, t }] }
+// altFt is the barometric altitude, taken as ft AMSL; altGeomFt, height
+// above the WGS-84 ellipsoid, only stands in for it where drawn.
+
+// History kept behind each aircraft, s
+export const TRAIL_SECONDS = 300;
+
+// Aircraft not heard from for this long are dropped, ms
+export const TRAFFIC_TIMEOUT_MS = 60000;
+
+// Update from a decoded SBS-1 message. The receiver's clock need not agree
+// with ours, so it is timed by when it arrived (ms).
+export function sbsUpdate({ time, ...fields }, receivedAt) {
+  const update = { ...fields, at: receivedAt };
+  if (fields.lat !== undefined) update.positionAt = receivedAt;
+  return update;
+}
+
+// Merge updates into the traffic (an object keyed by hex) and drop aircraft
+// timed out at `now`. Returns a new object; unchanged aircraft are kept as is.
+export function mergeTraffic(traffic, updates, now = Date.now()) {
+  const next = { ...traffic };
+  updates.forEach(({ hex, at, ...fields }) => {
+    const previous = next[hex] || { hex, callsign: null, trail: [] };
+    const aircraft = { ...previous, ...fields, seenAt: Math.max(previous.seenAt || 0, at) };
+    const moved = fields.positionAt !== undefined && fields.positionAt > (previous.positionAt || 0);
+    if (moved) {
+      aircraft.trail = [
+        ...previous.trail.filter((point) => point.t >= fields.positionAt - TRAIL_SECONDS * 1000),
+        {
+          lon: aircraft.lon,
+          lat: aircraft.lat,
+          altFt: aircraft.altFt ?? null,
+          altGeomFt: aircraft.altGeomFt ?? null,
+          t: fields.positionAt,
+        },
+      ];
+    } else if (fields.positionAt !== undefined) {
+      // Older than the position already held
+      aircraft.lon = previous.lon;
+      aircraft.lat = previous.lat;
+      aircraft.positionAt = previous.positionAt;
+    }
+    next[hex] = aircraft;
+  });
+  Object.keys(next).forEach((hex) => {
+    if (now - next[hex].seenAt > TRAFFIC_TIMEOUT_MS) delete next[hex];
+  });
+  return next;
+}
+
+// Aircraft with a known position, callsign first then by address
+export const positionedAircraft = (traffic) =>
+  Object.values(traffic)
+    .filter((aircraft) => aircraft.positionAt !== undefined)
+    .sort((a, b) => (a.callsign || `~${a.hex}`).localeCompare(b.callsign || `~${b.hex}`));
+
+// Dead-reckoned position `seconds` after the last position report, on the
+// reported track, ground speed and vertical rate
+export function predictedPosition(aircraft, seconds) {
+  const altFt = aircraft.altFt ?? null;
+  const altGeomFt = aircraft.altGeomFt ?? null;
+  if (aircraft.onGround || !aircraft.gsKt || aircraft.trackDeg === undefined) {
+    return { lon: aircraft.lon, lat: aircraft.lat, altFt, altGeomFt };
+  }
+  const [lon, lat] = destination(aircraft.lon, aircraft.lat, aircraft.trackDeg, nmToM((aircraft.gsKt * seconds) / 3600));
+  const climbFt = ((aircraft.vrateFpm || 0) * seconds) / 60;
+  return {
+    lon,
+    lat,
+    altFt: altFt === null ? null : altFt + climbFt,
+    altGeomFt: altGeomFt === null ? null : altGeomFt + climbFt,
+  };
+}
+
+// Altitude tag as on a radar label: hundreds of feet and the vertical trend.
+// A geometric altitude, shown only without a barometric one, is marked G.
+export function altitudeTag(aircraft) {
+  if (aircraft.onGround) return 'GND';
+  const geometric = aircraft.altFt === undefined;
+  const altFt = geometric ? aircraft.altGeomFt : aircraft.altFt;
+  if (altFt === undefined) return '---';
+  const level = String(Math.max(0, Math.round(altFt / 100))).padStart(3, '0');
+  const rate = aircraft.vrateFpm || 0;
+  return `${level}${geometric ? 'G' : ''}${rate > 300 ? '↑' : rate < -300 ? '↓' : ''}`;
+}
@@ -0,0 +1,122 @@
+import { decodeAircraftJson, decodeSbsMessage } from './adsb';
+import { sbsUpdate } from './traffic';
+
+// Live traffic feeds
+//
+// A feed is { type, url }: 'dump1090' polls an aircraft.json URL every
+// second, 'sbs' reads SBS-1 lines from a WebSocket and reconnects when it
+// drops. `npm run mock-traffic` serves both for testing
+// (scripts/mock-traffic.js). The last feed used is kept in localStorage.
+
+export const TRAFFIC_FEED_KEY = 'rkpu-3d-viewer.trafficFeed';
+
+export const TRAFFIC_FEED_TYPES = {
+  dump1090: { label: 'dump1090 aircraft.json (HTTP)', defaultUrl: 'http://localhost:8090/data/aircraft.json' },
+  sbs: { label: 'SBS-1 BaseStation (WebSocket)', defaultUrl: 'ws://localhost:8090/sbs' },
+};
+
+const POLL_INTERVAL_MS = 1000;
+const POLL_TIMEOUT_MS = 5000;
+const RECONNECT_MS = 5000;
+
+export function loadTrafficFeed() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TRAFFIC_FEED_KEY));
+    if (stored && TRAFFIC_FEED_TYPES[stored.type] && typeof stored.url === 'string') {
+      return { type: stored.type, url: stored.url };
+    }
+  } catch (err) {
+    console.warn('Failed to read traffic feed settings:', err);
+  }
+  return { type: 'dump1090', url: TRAFFIC_FEED_TYPES.dump1090.defaultUrl };
+}
+
+export function saveTrafficFeed(feed) {
+  try {
+    localStorage.setItem(TRAFFIC_FEED_KEY, JSON.stringify({ type: feed.type, url: feed.url }));
+  } catch (err) {
+    console.warn('Failed to save traffic feed settings:', err);
+  }
+}
+
+function pollAircraftJson(url, { onUpdates, onStatus }) {
+  let closed = false;
+  let timer = null;
+  let controller = null;
+
+  const poll = async () => {
+    controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), POLL_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const updates = decodeAircraftJson(await response.json(), Date.now());
+      if (closed) return;
+      onUpdates(updates);
+      onStatus({ connected: true, error: null });
+    } catch (err) {
+      if (closed) return;
+      onStatus({ connected: false, error: err.name === 'AbortError' ? '응답 시간 초과' : err.message });
+    } finally {
+      clearTimeout(timeout);
+    }
+    if (!closed) timer = setTimeout(poll, POLL_INTERVAL_MS);
+  };
+
+  poll();
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    if (controller) controller.abort();
+  };
+}
+
+function readSbsSocket(url, { onUpdates, onStatus }) {
+  let closed = false;
+  let socket = null;
+  let timer = null;
+  // A line can be split across messages
+  let partial = '';
+
+  const connect = () => {
+    try {
+      socket = new WebSocket(url);
+    } catch (err) {
+      onStatus({ connected: false, error: err.message });
+      return;
+    }
+    socket.onopen = () => onStatus({ connected: true, error: null });
+    socket.onmessage = (event) => {
+      if (typeof event.data !== 'string') return;
+      const lines = (partial + event.data).split(/\r?\n/);
+      partial = lines.pop();
+      const now = Date.now();
+      const updates = lines
+        .map(decodeSbsMessage)
+        .filter(Boolean)
+        .map((message) => sbsUpdate(message, now));
+      if (updates.length) onUpdates(updates);
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      partial = '';
+      onStatus({ connected: false, error: '연결 끊김, 재연결 대기 중' });
+      timer = setTimeout(connect, RECONNECT_MS);
+    };
+  };
+
+  connect();
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    if (socket) socket.close();
+  };
+}
+
+// Start reading a feed. `onUpdates` receives batches of aircraft updates,
+// `onStatus` { connected, error } as the connection changes. Returns a
+// function that stops the feed.
+export function connectTrafficFeed(feed, handlers) {
+  if (feed.type === 'sbs') return readSbsSocket(feed.url, handlers);
+  return pollAircraftJson(feed.url, handlers);
+}
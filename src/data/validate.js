@@ -0,0 +1,465 @@
+import {
+  SCHEMA,
+  PROCEDURE_TYPES,
+  MAX_DISTANCE_FROM_AIRPORT_KM,
+  NAVAID_BANDS,
+} from './schema';
+import { checkFix } from './procedures';
+import { checkObstacleHeights } from './obstacles';
+import { sourcePositions } from './waypoints';
+import { checkCircle, checkRing, formatLimit, limitsInOrder, recordLimits } from './airspace';
+import { bearingDeg, distanceM } from '../geo/geodesy';
+
+const formatValue = (value) => {
+  if (typeof value === 'number') {
+    if (Object.is(value, -0)) return '-0.0';
+    return Math.abs(value) >= 1e6 ? value.toExponential(2) : String(value);
+  }
+  return JSON.stringify(value);
+};
+
+// Check a record against a field spec; returns a list of problems
+export function checkFields(record, fields) {
+  const problems = [];
+  if (!record || typeof record !== 'object') return ['레코드가 객체가 아님'];
+
+  Object.entries(fields).forEach(([key, spec]) => {
+    const value = record[key];
+    if (value === undefined || value === null) {
+      if (spec.required) problems.push(`${key} 누락`);
+      return;
+    }
+
+    switch (spec.type) {
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          problems.push(`${key}: 유한한 숫자가 아님 (${formatValue(value)})`);
+          return;
+        }
+        if ((spec.min !== undefined && value < spec.min) ||
+            (spec.max !== undefined && value > spec.max)) {
+          problems.push(`${key}: 범위 초과 (${formatValue(value)}, 허용 ${spec.min}~${spec.max})`);
+        }
+        return;
+      case 'string':
+        if (typeof value !== 'string' || value === '') {
+          problems.push(`${key}: 문자열이 아님`);
+          return;
+        }
+        if (spec.pattern && !spec.pattern.test(value)) {
+          problems.push(`${key}: 형식 오류 (${value})`);
+        }
+        if (spec.oneOf && !spec.oneOf.includes(value)) {
+          problems.push(`${key}: 알 수 없는 값 (${value})`);
+        }
+        return;
+      case 'string[]':
+        if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+          problems.push(`${key}: 문자열 배열이 아님`);
+        }
+        return;
+      case 'array':
+        if (!Array.isArray(value)) problems.push(`${key}: 배열이 아님`);
+        return;
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) problems.push(`${key}: 객체가 아님`);
+        return;
+      case 'boolean':
+        if (typeof value !== 'boolean') problems.push(`${key}: 참/거짓 값이 아님`);
+        return;
+      default:
+        return;
+    }
+  });
+
+  return problems;
+}
+
+// Validate a [lon, lat] pair; returns a problem string or null
+export function checkPosition(coord, airport) {
+  if (!Array.isArray(coord) || coord.length < 2) return '좌표 형식 오류';
+  const [lon, lat] = coord;
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return '좌표가 유한한 숫자가 아님';
+  if (lon < -180 || lon > 180) return `경도 범위 초과 (${formatValue(lon)})`;
+  if (lat < -90 || lat > 90) return `위도 범위 초과 (${formatValue(lat)})`;
+  if (airport) {
+    const km = distanceM(airport.lon, airport.lat, lon, lat) / 1000;
+    if (km > MAX_DISTANCE_FROM_AIRPORT_KM) {
+      return `공항 기준점에서 ${Math.round(km)}km 떨어짐 (${formatValue(lon)}, ${formatValue(lat)})`;
+    }
+  }
+  return null;
+}
+
+const createSection = () => ({ total: 0, accepted: 0, rejected: [], warnings: [] });
+
+const reject = (section, id, reasons, record) => {
+  section.rejected.push({ id, reasons, record });
+};
+
+const warn = (section, id, reasons) => {
+  section.warnings.push({ id, reasons });
+};
+
+// Declared bearings further than this from the threshold-to-threshold
+// bearing are flagged
+const RUNWAY_BEARING_TOLERANCE_DEG = 2;
+
+function validateRunways(raw, airport, section) {
+  const runways = [];
+  (Array.isArray(raw) ? raw : []).forEach((runway, idx) => {
+    section.total += 1;
+    const id = runway?.designator || `#${idx}`;
+    const problems = checkFields(runway, SCHEMA.runway);
+    if (!problems.length && runway.ends.length !== 2) problems.push(`활주로 끝이 2개가 아님 (${runway.ends.length})`);
+    if (!problems.length) {
+      runway.ends.forEach((end) => {
+        const label = end?.designator || '?';
+        const endProblems = checkFields(end, SCHEMA.runwayEnd);
+        if (!endProblems.length) {
+          const posProblem = checkPosition([end.lon, end.lat], airport);
+          if (posProblem) endProblems.push(posProblem);
+          if (end.toda_m !== undefined && end.tora_m !== undefined && end.toda_m < end.tora_m) {
+            endProblems.push('TODA가 TORA보다 짧음');
+          }
+          if (end.asda_m !== undefined && end.tora_m !== undefined && end.asda_m < end.tora_m) {
+            endProblems.push('ASDA가 TORA보다 짧음');
+          }
+        }
+        endProblems.forEach((problem) => problems.push(`${label}: ${problem}`));
+      });
+    }
+    if (problems.length) {
+      reject(section, id, problems, runway);
+      return;
+    }
+
+    const warnings = [];
+    runway.ends.forEach((end, endIdx) => {
+      const other = runway.ends[1 - endIdx];
+      if (end.true_bearing === undefined) return;
+      const computed = bearingDeg(end.lon, end.lat, other.lon, other.lat);
+      const diff = Math.abs(((end.true_bearing - computed + 540) % 360) - 180);
+      if (diff > RUNWAY_BEARING_TOLERANCE_DEG) {
+        warnings.push(`${end.designator}: 방위 ${end.true_bearing}°가 시단 간 방위 ${computed.toFixed(1)}°와 다름`);
+      }
+    });
+    if (warnings.length) warn(section, id, warnings);
+
+    runways.push(runway);
+    section.accepted += 1;
+  });
+  return runways;
+}
+
+function validateWaypoints(raw, airport, section) {
+  const waypoints = {};
+  Object.entries(raw || {}).forEach(([name, wp]) => {
+    section.total += 1;
+    const problems = checkFields(wp, SCHEMA.waypoint);
+    if (!problems.length) {
+      const posProblem = checkPosition([wp.lon, wp.lat], airport);
+      if (posProblem) problems.push(posProblem);
+      Object.entries(wp.source_positions || {}).forEach(([source, pos]) => {
+        const sourceProblem = checkPosition([pos?.lon, pos?.lat], airport);
+        if (sourceProblem) problems.push(`${source}: ${sourceProblem}`);
+      });
+    }
+    if (problems.length) {
+      reject(section, name, problems, wp);
+      return;
+    }
+
+    const warnings = [];
+    // An altitude of exactly 0 is the extractor's placeholder, not a real value
+    const altitude = wp.altitude === 0 ? null : wp.altitude ?? null;
+    if (wp.altitude === 0) warnings.push('고도 0 — 고도 미상으로 처리');
+    sourcePositions(wp)
+      .filter((p) => p.conflict)
+      .forEach((p) => warnings.push(`출처 간 좌표 불일치 (${p.source}: ${Math.round(p.offsetM)}m)`));
+    if (warnings.length) warn(section, name, warnings);
+
+    waypoints[name] = { ...wp, altitude };
+    section.accepted += 1;
+  });
+  return waypoints;
+}
+
+function validateObstacles(raw, airport, section) {
+  const seen = new Set();
+  const obstacles = [];
+  (Array.isArray(raw) ? raw : []).forEach((obs, idx) => {
+    section.total += 1;
+    const id = obs && obs.id !== undefined ? String(obs.id) : `#${idx}`;
+    const problems = checkFields(obs, SCHEMA.obstacle);
+    let heightWarning;
+    if (!problems.length) {
+      const posProblem = checkPosition([obs.lon, obs.lat], airport);
+      if (posProblem) problems.push(posProblem);
+      const { problem, warning } = checkObstacleHeights(obs);
+      if (problem) problems.push(problem);
+      heightWarning = warning;
+    }
+    if (seen.has(id)) problems.push(`중복 ID (${id})`);
+    if (problems.length) {
+      reject(section, id, problems, obs);
+      return;
+    }
+    if (heightWarning) warn(section, id, [heightWarning]);
+    seen.add(id);
+    obstacles.push(obs);
+    section.accepted += 1;
+  });
+  return obstacles;
+}
+
+// A VHF class names a VOR (position 1 'V'), a DME (position 2) or both, and
+// the figure of merit (position 3) that sets its service volume
+const VHF_CLASS = /^(V[DTMI ]|[ V][DTMI])[TLH]/;
+
+function validateNavaids(raw, airport, section) {
+  const seen = new Set();
+  const navaids = [];
+  (Array.isArray(raw) ? raw : []).forEach((navaid, idx) => {
+    section.total += 1;
+    const id = navaid?.ident ? `${navaid.type} ${navaid.ident}` : `#${idx}`;
+    const problems = checkFields(navaid, SCHEMA.navaid);
+    if (!problems.length) {
+      const posProblem = checkPosition([navaid.lon, navaid.lat], airport);
+      if (posProblem) problems.push(posProblem);
+      const band = NAVAID_BANDS[navaid.type];
+      const unit = navaid.frequency_unit || 'MHz';
+      if (navaid.frequency !== undefined && navaid.frequency !== null) {
+        if (unit !== band.unit) problems.push(`주파수 단위 오류 (${unit}, ${band.unit}이어야 함)`);
+        else if (navaid.frequency < band.min || navaid.frequency > band.max) {
+          problems.push(`주파수 범위 초과 (${navaid.frequency}, 허용 ${band.min}~${band.max} ${band.unit})`);
+        }
+      }
+      if (navaid.type === 'VHF' && !VHF_CLASS.test(navaid.class || '')) {
+        problems.push(`VHF 등급 형식 오류 (${formatValue(navaid.class)})`);
+      }
+      if (navaid.type === 'ILS') {
+        if (!navaid.runway) problems.push('runway 누락');
+        const hasGlideSlope = navaid.gs_lat !== undefined || navaid.gs_lon !== undefined;
+        if (hasGlideSlope) {
+          const gsProblem = checkPosition([navaid.gs_lon, navaid.gs_lat], airport);
+          if (gsProblem) problems.push(`GP: ${gsProblem}`);
+        }
+      }
+    }
+    if (seen.has(id)) problems.push(`중복 (${id})`);
+    if (problems.length) {
+      reject(section, id, problems, navaid);
+      return;
+    }
+    seen.add(id);
+    navaids.push(navaid);
+    section.accepted += 1;
+  });
+  return navaids;
+}
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Legacy coordinate rings: every vertex valid, closed, at least a triangle
+function checkLegacyRings(coordinates, airport, problems, warnings) {
+  const rings = [];
+  coordinates.forEach((ring, ringIdx) => {
+    if (!Array.isArray(ring)) {
+      problems.push(`링 ${ringIdx}: 배열이 아님`);
+      return;
+    }
+    const badVertices = ring
+      .map((coord) => checkPosition(coord, airport))
+      .filter(Boolean);
+    if (badVertices.length) {
+      problems.push(`링 ${ringIdx}: 꼭짓점 ${ring.length}개 중 ${badVertices.length}개 무효 (예: ${badVertices[0]})`);
+      return;
+    }
+    const closed = ring.length > 0 && samePosition(ring[0], ring[ring.length - 1]);
+    const positions = closed ? ring : [...ring, ring[0]];
+    if (!closed) warnings.push(`링 ${ringIdx}: 닫혀 있지 않아 자동으로 닫음`);
+    if (positions.length < 4) {
+      problems.push(`링 ${ringIdx}: 꼭짓점 부족 (${ring.length}개)`);
+      return;
+    }
+    rings.push(positions);
+  });
+  return rings;
+}
+
+function validateAirspace(raw, airport, section) {
+  const airspace = [];
+  const position = (coord) => checkPosition(coord, airport);
+  (Array.isArray(raw) ? raw : []).forEach((as, idx) => {
+    section.total += 1;
+    const id = as?.name || `#${idx}`;
+    const problems = checkFields(as, SCHEMA.airspace);
+    if (problems.length) {
+      reject(section, id, problems, as);
+      return;
+    }
+
+    const warnings = [];
+    const record = { ...as };
+    if (as.circle !== undefined) {
+      const problem = checkCircle(as.circle, position);
+      if (problem) problems.push(`원: ${problem}`);
+    } else if (as.boundary !== undefined) {
+      const problem = checkRing(as.boundary, position);
+      if (problem) problems.push(`경계: ${problem}`);
+    } else if (as.coordinates !== undefined) {
+      record.coordinates = checkLegacyRings(as.coordinates, airport, problems, warnings);
+      if (!problems.length && !record.coordinates.length) problems.push('경계 링 없음');
+    } else {
+      problems.push('경계 누락 (circle, boundary 또는 coordinates)');
+    }
+    (as.holes || []).forEach((hole, holeIdx) => {
+      const problem = Array.isArray(hole) ? checkRing(hole, position) : checkCircle(hole?.circle, position);
+      if (problem) problems.push(`구멍 ${holeIdx}: ${problem}`);
+    });
+
+    const { lower, upper } = recordLimits(as);
+    if (!lower) problems.push(`하한 형식 오류 (${formatValue(as.lower ?? as.base_alt)})`);
+    if (!upper) {
+      const rawUpper = as.upper ?? as.top_alt;
+      problems.push(rawUpper === undefined ? '상한 누락' : `상한 형식 오류 (${formatValue(rawUpper)})`);
+    }
+    if (lower && upper && !limitsInOrder(lower, upper, airport.elevation)) {
+      problems.push(`하한(${formatLimit(lower)})이 상한(${formatLimit(upper)}) 이상`);
+    }
+    if (!as.class) warnings.push('공역 등급 없음');
+
+    if (problems.length) {
+      reject(section, id, problems, as);
+      return;
+    }
+    if (warnings.length) warn(section, id, warnings);
+    airspace.push(record);
+    section.accepted += 1;
+  });
+  return airspace;
+}
+
+function validateProcedures(raw, airport, waypoints, section) {
+  const procedures = {};
+  PROCEDURE_TYPES.forEach((procType) => {
+    procedures[procType] = [];
+    const list = raw?.[procType];
+    if (list === undefined) return;
+    if (!Array.isArray(list)) {
+      section.total += 1;
+      reject(section, procType, [`${procType}: 배열이 아님`], list);
+      return;
+    }
+
+    list.forEach((proc, idx) => {
+      section.total += 1;
+      const id = proc?.name || `${procType} #${idx}`;
+      const problems = checkFields(proc, SCHEMA.procedure);
+      if (problems.length) {
+        reject(section, id, problems, proc);
+        return;
+      }
+
+      if (proc.fixes) {
+        proc.fixes.forEach((fix) => {
+          const problem = checkFix(fix, waypoints);
+          if (problem) problems.push(problem);
+          else {
+            const wp = waypoints[fix.fix];
+            const posProblem = checkPosition([fix.lon ?? wp.lon, fix.lat ?? wp.lat], airport);
+            if (posProblem) problems.push(`${fix.fix}: ${posProblem}`);
+          }
+        });
+        if (problems.length) {
+          reject(section, id, problems, proc);
+          return;
+        }
+      }
+
+      const warnings = [];
+      const result = { ...proc };
+
+      if (proc.coordinates) {
+        const bad = proc.coordinates
+          .map((coord) => checkPosition(coord, airport))
+          .filter(Boolean);
+        result.coordinates = proc.coordinates.filter((coord) => !checkPosition(coord, airport));
+        if (bad.length) {
+          warnings.push(`좌표 ${proc.coordinates.length}개 중 ${bad.length}개 제거 (예: ${bad[0]})`);
+        }
+      }
+
+      if (proc.legs) {
+        result.legs = proc.legs.filter((leg, legIdx) => {
+          const bad = (leg.coordinates || []).map((coord) => checkPosition(coord, airport)).filter(Boolean);
+          if (bad.length) warnings.push(`구간 ${leg.seq || legIdx + 1}: ${bad[0]}`);
+          return !bad.length;
+        });
+      }
+
+      // A mostly-corrupt coordinate list cannot be trusted even where a few
+      // values happen to fall inside the valid range
+      const dropped = proc.coordinates ? proc.coordinates.length - result.coordinates.length : 0;
+      if (dropped > 0 && dropped * 2 > proc.coordinates.length) {
+        reject(section, id, [...warnings, '좌표 과반수가 무효 — 레코드 격리'], proc);
+        return;
+      }
+
+      const hasGeometry =
+        (result.fixes && result.fixes.length >= 2) ||
+        (result.coordinates && result.coordinates.length >= 2) ||
+        (result.legs && result.legs.length > 0);
+      if (!hasGeometry) {
+        reject(section, id, [...warnings, '유효한 경로 좌표 없음'], proc);
+        return;
+      }
+
+      if (warnings.length) warn(section, id, warnings);
+      procedures[procType].push(result);
+      section.accepted += 1;
+    });
+  });
+  return procedures;
+}
+
+// Validate a raw dataset. Returns the cleaned dataset and a per-section
+// data-quality report; rejected records are kept in the report (quarantine)
+// so they can be inspected instead of silently disappearing.
+export function validateDataset(raw) {
+  const report = {
+    airport: createSection(),
+    runways: createSection(),
+    waypoints: createSection(),
+    obstacles: createSection(),
+    airspace: createSection(),
+    procedures: createSection(),
+    navaids: createSection(),
+  };
+
+  report.airport.total = 1;
+  const airportProblems = checkFields(raw?.airport, SCHEMA.airport);
+  if (airportProblems.length) {
+    reject(report.airport, raw?.airport?.icao || 'airport', airportProblems, raw?.airport);
+    throw new Error(`공항 정보가 유효하지 않습니다: ${airportProblems.join(', ')}`);
+  }
+  report.airport.accepted = 1;
+  const airport = {
+    ...raw.airport,
+    runways: validateRunways(raw.airport.runways, raw.airport, report.runways),
+  };
+
+  const waypoints = validateWaypoints(raw.waypoints, airport, report.waypoints);
+  const data = {
+    ...raw,
+    airport,
+    waypoints,
+    obstacles: validateObstacles(raw.obstacles, airport, report.obstacles),
+    airspace: validateAirspace(raw.airspace, airport, report.airspace),
+    procedures: validateProcedures(raw.procedures, airport, waypoints, report.procedures),
+    navaids: validateNavaids(raw.navaids, airport, report.navaids),
+  };
+
+  return { data, report };
+}
@@ -0,0 +1,109 @@
+// Shareable view state
+//
+// The view (camera, layers, filters, search, open panel sections and the
+// selected feature) is kept in the URL hash so a link reopens it exactly:
+//   #cam=129.3518,35.5934,25000,0,-45,0&layers=waypoints,APPROACH
+//    &obs=Building,Tower&hide=2-5+Waypoints&q=KAL&sel=wp:KALOD&open=measure
+// cam is lon, lat, height (m), heading, pitch, roll (degrees). layers, obs
+// and open list what is on; hide lists waypoint sources switched off (each
+// its own param, as source names are free text). Absent params keep the
+// defaults. Named bookmarks keep the same state, plus the airport, in
+// localStorage:
+//   [ { "name": "RWY 36 접근", "airport": "RKPU", "view": { ... } } ]
+
+export const BOOKMARKS_KEY = 'rkpu-3d-viewer.bookmarks';
+
+const CAMERA_FIELDS = ['lon', 'lat', 'height', 'heading', 'pitch', 'roll'];
+const CAMERA_DIGITS = [6, 6, 0, 1, 1, 1];
+
+const splitList = (value) => (value ? value.split(',') : []);
+const stringList = (value) => (Array.isArray(value) ? value.filter((item) => typeof item === 'string') : null);
+
+// { key: bool } flags from the keys listed as on, over a set of known keys
+export const toFlags = (defaults, enabled) =>
+  Object.fromEntries(Object.keys(defaults).map((key) => [key, enabled.includes(key)]));
+
+export const enabledKeys = (flags) => Object.keys(flags).filter((key) => flags[key]);
+
+export function encodeViewState(view) {
+  const params = new URLSearchParams();
+  const { camera } = view;
+  if (camera && CAMERA_FIELDS.every((field) => Number.isFinite(camera[field]))) {
+    params.set('cam', CAMERA_FIELDS.map((field, i) => Number(camera[field].toFixed(CAMERA_DIGITS[i]))).join(','));
+  }
+  const layers = stringList(view.layers);
+  const obstacleTypes = stringList(view.obstacleTypes);
+  const expanded = stringList(view.expanded);
+  if (layers) params.set('layers', layers.join(','));
+  if (obstacleTypes) params.set('obs', obstacleTypes.join(','));
+  (stringList(view.hiddenSources) || []).forEach((source) => params.append('hide', source));
+  if (typeof view.search === 'string' && view.search) params.set('q', view.search);
+  if (typeof view.selected === 'string' && view.selected) params.set('sel', view.selected);
+  if (expanded) params.set('open', expanded.join(','));
+  // Commas and colons are safe in a fragment; leaving them keeps links readable
+  return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// Only well-formed fields are returned; anything else keeps its default
+export function decodeViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const view = {};
+  if (params.has('cam')) {
+    const values = params.get('cam').split(',').map(Number);
+    if (values.length === CAMERA_FIELDS.length && values.every(Number.isFinite)) {
+      view.camera = Object.fromEntries(CAMERA_FIELDS.map((field, i) => [field, values[i]]));
+    }
+  }
+  if (params.has('layers')) view.layers = splitList(params.get('layers'));
+  if (params.has('obs')) view.obstacleTypes = splitList(params.get('obs'));
+  if (params.has('hide')) view.hiddenSources = params.getAll('hide');
+  if (params.has('q')) view.search = params.get('q');
+  if (params.has('sel')) view.selected = params.get('sel');
+  if (params.has('open')) view.expanded = splitList(params.get('open'));
+  return view;
+}
+
+export const viewStateFromUrl = () => decodeViewState(window.location.hash);
+
+// Replace rather than push so every camera move does not add history
+export function writeViewStateToUrl(view) {
+  const url = new URL(window.location.href);
+  url.hash = encodeViewState(view);
+  if (url.href !== window.location.href) window.history.replaceState(null, '', url);
+}
+
+// Bookmarks from untrusted JSON (localStorage or an imported file); the view
+// goes through the hash encoding so it gets the same checks as a link
+export function parseBookmarks(text) {
+  const list = JSON.parse(text);
+  if (!Array.isArray(list)) throw new Error('북마크 목록이 배열이 아닙니다');
+  return list
+    .filter((item) => item && typeof item.name === 'string' && item.name && item.view && typeof item.view === 'object')
+    .map((item) => ({
+      name: item.name,
+      airport: typeof item.airport === 'string' ? item.airport : null,
+      view: decodeViewState(encodeViewState(item.view)),
+    }));
+}
+
+export function loadBookmarks() {
+  try {
+    const stored = localStorage.getItem(BOOKMARKS_KEY);
+    return stored ? parseBookmarks(stored) : [];
+  } catch (err) {
+    console.warn('Failed to read bookmarks:', err);
+    return [];
+  }
+}
+
+// Storage can be full or disabled (private browsing): returns the error
+// instead of throwing, null when saved
+export function saveBookmarks(bookmarks) {
+  try {
+    localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(bookmarks));
+    return null;
+  } catch (err) {
+    console.warn('Failed to save bookmarks:', err);
+    return err;
+  }
+}
@@ -0,0 +1,42 @@
+import { distanceM } from '../geo/geodesy';
+
+// Waypoint provenance
+//
+// A waypoint lists every table it was published in (`sources`). Its lat/lon
+// is the first source's position; sources that published their own
+// coordinates keep them in `source_positions`:
+//   "KALOD": { "lat": 35.7, "lon": 129.4, "sources": ["2-5 Waypoints", "ARINC 424"],
+//              "source_positions": { "ARINC 424": { "lat": 35.7003, "lon": 129.4 } } }
+
+// Sources disagreeing by more than this are flagged as conflicting
+export const WAYPOINT_CONFLICT_M = 30;
+
+// Natural order for AIP table names ("2-3" before "2-10")
+export const compareSources = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Position published by each source with its offset from the waypoint
+export function sourcePositions(wp) {
+  return wp.sources.map((source) => {
+    const own = wp.source_positions?.[source];
+    const lat = own ? own.lat : wp.lat;
+    const lon = own ? own.lon : wp.lon;
+    const offsetM = distanceM(wp.lon, wp.lat, lon, lat);
+    return { source, lat, lon, offsetM, conflict: offsetM > WAYPOINT_CONFLICT_M };
+  });
+}
+
+export const hasConflict = (wp) => sourcePositions(wp).some((p) => p.conflict);
+
+// Per-source waypoint and conflict counts, in table order
+export function summariseSources(waypoints) {
+  const summary = {};
+  Object.values(waypoints).forEach((wp) => {
+    const conflict = hasConflict(wp);
+    wp.sources.forEach((source) => {
+      if (!summary[source]) summary[source] = { source, count: 0, conflicts: 0 };
+      summary[source].count += 1;
+      if (conflict) summary[source].conflicts += 1;
+    });
+  });
+  return Object.values(summary).sort((a, b) => compareSources(a.source, b.source));
+}
@@ -0,0 +1,149 @@
+import { distanceM, toLocal } from './geodesy';
+import { mToFt, nmToM } from './units';
+
+// Conformance of a flown track to a nominal procedure path
+//
+// Each track point is matched to the nearest point on the nominal path, given
+// as the procedure's routes (procedureRoutes in data/procedureBrowser.js).
+// Cross-track error is positive right of the nominal track; vertical
+// deviation is positive above it. Distance remaining to the end of the
+// procedure is measured along the routes actually flown, one per phase,
+// leaving out holding patterns.
+
+export const DEFAULT_TOLERANCE = { lateralNm: 0.3, verticalFt: 75 };
+
+// Flatten path pieces into segments with their along-path offsets
+function pathSegments(pieces) {
+  const segments = [];
+  let along = 0;
+  pieces.forEach((piece) => {
+    for (let i = 1; i < piece.length; i++) {
+      const a = piece[i - 1];
+      const b = piece[i];
+      const length = distanceM(a.lon, a.lat, b.lon, b.lat);
+      if (length < 0.5) continue;
+      segments.push({ a, b, length, along });
+      along += length;
+    }
+  });
+  return { segments, total: along };
+}
+
+// Nearest point on a segment to (lon, lat)
+function projectOnSegment(segment, lon, lat) {
+  const { a, b, length } = segment;
+  const origin = [a.lon, a.lat];
+  const [bx, by] = toLocal(origin, b.lon, b.lat);
+  const [px, py] = toLocal(origin, lon, lat);
+  const ux = bx / length;
+  const uy = by / length;
+  const along = Math.min(length, Math.max(0, px * ux + py * uy));
+  // Cross product sign: positive when the point is right of a → b
+  const cross = px * uy - py * ux;
+  const dx = px - ux * along;
+  const dy = py - uy * along;
+  return {
+    distance: Math.hypot(dx, dy),
+    side: cross >= 0 ? 1 : -1,
+    fraction: along / length,
+    along,
+  };
+}
+
+function nearestOnPath(segments, point) {
+  let best = null;
+  segments.forEach((segment) => {
+    const hit = projectOnSegment(segment, point.lon, point.lat);
+    if (!best || hit.distance < best.hit.distance) best = { segment, hit };
+  });
+  return best;
+}
+
+// The route flown in each phase is the one most track points lie nearest to.
+// Its pieces, holds left out, make up the path distances are measured on.
+function flownPath(routes, matched) {
+  const counts = routes.map((_, routeIndex) => matched.filter((item) => item === routeIndex).length);
+  const chosen = [];
+  routes.forEach((route, routeIndex) => {
+    const same = chosen.find((item) => item.phase === route.phase);
+    if (!same) chosen.push({ phase: route.phase, routeIndex });
+    else if (counts[routeIndex] > counts[same.routeIndex]) same.routeIndex = routeIndex;
+  });
+  return pathSegments(chosen.flatMap(({ routeIndex }) =>
+    routes[routeIndex].pieces.filter((piece) => !piece.hold).map((piece) => piece.points)));
+}
+
+// routes: [{ phase, pieces: [{ points, hold }] }] in flying order
+export function analyseConformance(track, routes, tolerance = DEFAULT_TOLERANCE) {
+  const segments = routes.flatMap((route, routeIndex) =>
+    route.pieces.flatMap((piece) => pathSegments([piece.points]).segments.map((segment) => ({ ...segment, routeIndex }))));
+  if (!segments.length) return null;
+  const lateralLimitM = nmToM(tolerance.lateralNm);
+
+  const nearest = track.points.map((point) => nearestOnPath(segments, point));
+  const flown = flownPath(routes, nearest.map(({ segment }) => segment.routeIndex));
+  if (!flown.segments.length) return null;
+  const { total } = flown;
+
+  const samples = track.points.map((point, index) => {
+    const { segment, hit } = nearest[index];
+    const nominalAltM = segment.a.altM + (segment.b.altM - segment.a.altM) * hit.fraction;
+    const xtkM = hit.side * hit.distance;
+    const vdevFt = mToFt(point.altM - nominalAltM);
+    const along = nearestOnPath(flown.segments, point);
+    const alongM = along.segment.along + along.hit.along;
+    const lateralRatio = Math.abs(xtkM) / lateralLimitM;
+    const verticalRatio = Math.abs(vdevFt) / tolerance.verticalFt;
+    return {
+      index,
+      t: point.t,
+      lon: point.lon,
+      lat: point.lat,
+      altM: point.altM,
+      nominalAltM,
+      xtkM,
+      vdevFt,
+      alongM,
+      remainingM: total - alongM,
+      ratio: Math.max(lateralRatio, verticalRatio),
+      lateralOut: lateralRatio > 1,
+      verticalOut: verticalRatio > 1,
+    };
+  });
+
+  // Runs of consecutive out-of-tolerance samples
+  const excursions = [];
+  let current = null;
+  samples.forEach((sample) => {
+    const out = sample.lateralOut || sample.verticalOut;
+    if (!out) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { samples: [], lateral: false, vertical: false, maxXtkM: 0, maxVdevFt: 0 };
+      excursions.push(current);
+    }
+    current.samples.push(sample);
+    current.lateral = current.lateral || sample.lateralOut;
+    current.vertical = current.vertical || sample.verticalOut;
+    if (Math.abs(sample.xtkM) > Math.abs(current.maxXtkM)) current.maxXtkM = sample.xtkM;
+    if (Math.abs(sample.vdevFt) > Math.abs(current.maxVdevFt)) current.maxVdevFt = sample.vdevFt;
+  });
+
+  const within = samples.filter((s) => !s.lateralOut && !s.verticalOut).length;
+  return {
+    tolerance,
+    totalM: total,
+    samples,
+    excursions: excursions.map(({ samples: run, ...rest }) => ({
+      ...rest,
+      start: run[0],
+      end: run[run.length - 1],
+      count: run.length,
+    })),
+    withinRatio: within / samples.length,
+    maxXtkM: samples.reduce((max, s) => (Math.abs(s.xtkM) > Math.abs(max) ? s.xtkM : max), 0),
+    maxVdevFt: samples.reduce((max, s) => (Math.abs(s.vdevFt) > Math.abs(max) ? s.vdevFt : max), 0),
+  };
+}
@@ -0,0 +1,114 @@
+import { bearingDeg, distanceM, interpolate } from './geodesy';
+import { ftToM, mToFt } from './units';
+
+// Simulated flight along a nominal procedure path, for the flythrough camera
+//
+// The path pieces (procedurePath in data/procedures.js) are joined into one
+// polyline measured by distance flown; the aircraft state at any distance
+// gives the camera pose and the HUD readouts.
+
+// Heading and flight path angle are taken across this distance either side
+// of the aircraft so corners between short segments do not jerk the camera
+const LOOK_SPAN_M = 150;
+
+// Glidepath deviation: one dot is 0.35° as on an ILS glideslope, shown
+// within this distance of the threshold
+const DEGREES_PER_DOT = 0.35;
+const GLIDEPATH_RANGE_M = 20000;
+
+// `fixes` are the named fixes of the procedure ([{ name, lon, lat }], any
+// other fields kept) in the order they are flown, `threshold` the runway threshold it serves
+// ({ lon, lat, elevation }) and `glidepath` { angle, tchFt } for approaches
+export function buildFlightPath(pieces, { fixes = [], threshold = null, glidepath = null } = {}) {
+  const points = [];
+  pieces.forEach((piece) => {
+    piece.forEach(({ lon, lat, altM }) => {
+      const prev = points[points.length - 1];
+      const step = prev ? distanceM(prev.lon, prev.lat, lon, lat) : 0;
+      if (prev && step < 0.5) return;
+      points.push({ lon, lat, altM, s: prev ? prev.s + step : 0 });
+    });
+  });
+  if (points.length < 2) return null;
+
+  // Each fix is placed at the nearest path point after the previous fix;
+  // a fix repeated by consecutive legs (holds, transitions) counts once
+  let from = 0;
+  const placed = [];
+  fixes.forEach((fix) => {
+    if (placed.length && placed[placed.length - 1].name === fix.name) return;
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let i = from; i < points.length; i++) {
+      const d = distanceM(points[i].lon, points[i].lat, fix.lon, fix.lat);
+      if (d < bestDistance) {
+        best = i;
+        bestDistance = d;
+      }
+    }
+    if (best < 0) return;
+    placed.push({ ...fix, s: points[best].s });
+    from = best;
+  });
+
+  return {
+    points,
+    length: points[points.length - 1].s,
+    fixes: placed,
+    threshold,
+    glidepath: threshold ? glidepath : null,
+  };
+}
+
+// Position on the path at distance s (clamped to the path)
+function positionAt(path, s) {
+  const { points } = path;
+  const target = Math.min(path.length, Math.max(0, s));
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi - 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (points[mid].s <= target) lo = mid;
+    else hi = mid;
+  }
+  const a = points[lo];
+  const b = points[hi];
+  const f = b.s > a.s ? (target - a.s) / (b.s - a.s) : 0;
+  const [lon, lat] = interpolate(a.lon, a.lat, b.lon, b.lat, f);
+  return { lon, lat, altM: a.altM + (b.altM - a.altM) * f };
+}
+
+// Angle below (negative) or above the nominal glidepath as seen from the
+// threshold crossing point, in degrees and dots
+function glidepathDeviation({ threshold, glidepath }, position) {
+  const { angle, tchFt } = glidepath;
+  const distance = distanceM(position.lon, position.lat, threshold.lon, threshold.lat);
+  if (distance < 100 || distance > GLIDEPATH_RANGE_M) return null;
+  const height = position.altM - threshold.elevation - ftToM(tchFt);
+  const deviation = (Math.atan2(height, distance) * 180) / Math.PI - angle;
+  return { degrees: deviation, dots: deviation / DEGREES_PER_DOT };
+}
+
+// Aircraft state at distance s: position, true heading, flight path angle
+// (degrees, positive climbing), distance to the threshold, next fix and
+// glidepath deviation (null where they do not apply)
+export function flightStateAt(path, s) {
+  const along = Math.min(path.length, Math.max(0, s));
+  const position = positionAt(path, along);
+  const behind = positionAt(path, along - LOOK_SPAN_M);
+  const ahead = positionAt(path, along + LOOK_SPAN_M);
+  const span = distanceM(behind.lon, behind.lat, ahead.lon, ahead.lat);
+
+  const next = path.fixes.find((fix) => fix.s > along + 1);
+  const { threshold } = path;
+  return {
+    ...position,
+    s: along,
+    altFt: mToFt(position.altM),
+    heading: span > 1 ? bearingDeg(behind.lon, behind.lat, ahead.lon, ahead.lat) : 0,
+    flightPathAngle: span > 1 ? (Math.atan2(ahead.altM - behind.altM, span) * 180) / Math.PI : 0,
+    thresholdM: threshold ? distanceM(position.lon, position.lat, threshold.lon, threshold.lat) : null,
+    nextFix: next ? { name: next.name, distanceM: next.s - along } : null,
+    glidepathDeviation: path.glidepath ? glidepathDeviation(path, position) : null,
+  };
+}
@@ -0,0 +1,74 @@
+// Spherical geodesy helpers (WGS84 mean radius, degrees in / metres out)
+
+export const EARTH_RADIUS_M = 6371008.8;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in metres between two lon/lat points
+export function distanceM(lon1, lat1, lon2, lat2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Initial true bearing in degrees (0-360) from point 1 to point 2
+export function bearingDeg(lon1, lat1, lon2, lat2) {
+  const lat1r = toRad(lat1);
+  const lat2r = toRad(lat2);
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(lat2r);
+  const x = Math.cos(lat1r) * Math.sin(lat2r) - Math.sin(lat1r) * Math.cos(lat2r) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Point reached travelling `distance` metres from lon/lat on a true bearing
+export function destination(lon, lat, bearing, distance) {
+  const angDist = distance / EARTH_RADIUS_M;
+  const brg = toRad(bearing);
+  const lat1r = toRad(lat);
+  const lon1r = toRad(lon);
+  const lat2r = Math.asin(Math.sin(lat1r) * Math.cos(angDist) + Math.cos(lat1r) * Math.sin(angDist) * Math.cos(brg));
+  const lon2r = lon1r + Math.atan2(
+    Math.sin(brg) * Math.sin(angDist) * Math.cos(lat1r),
+    Math.cos(angDist) - Math.sin(lat1r) * Math.sin(lat2r)
+  );
+  return [((toDeg(lon2r) + 540) % 360) - 180, toDeg(lat2r)];
+}
+
+// Intermediate point at fraction f (0-1) along the great circle
+export function interpolate(lon1, lat1, lon2, lat2, f) {
+  const d = distanceM(lon1, lat1, lon2, lat2);
+  if (d === 0) return [lon1, lat1];
+  return destination(lon1, lat1, bearingDeg(lon1, lat1, lon2, lat2), d * f);
+}
+
+// Local tangent-plane projection around a reference point (metres east /
+// north). Accurate enough for procedure-scale geometry (tens of km).
+export function toLocal(ref, lon, lat) {
+  const x = toRad(lon - ref[0]) * EARTH_RADIUS_M * Math.cos(toRad(ref[1]));
+  const y = toRad(lat - ref[1]) * EARTH_RADIUS_M;
+  return [x, y];
+}
+
+export function fromLocal(ref, x, y) {
+  const lat = ref[1] + toDeg(y / EARTH_RADIUS_M);
+  const lon = ref[0] + toDeg(x / (EARTH_RADIUS_M * Math.cos(toRad(ref[1]))));
+  return [lon, lat];
+}
+
+// Whether lon/lat lies inside a closed [lon, lat] ring (even-odd rule, with
+// the ring's edges taken as straight in lon/lat)
+export function pointInRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,52 @@
+import { bearingDeg, distanceM, interpolate } from './geodesy';
+import { mToFt } from './units';
+
+const MS_TO_KT = 3600 / 1852;
+
+// Index of the last point at or before time t (points sorted by t)
+function segmentIndex(points, t) {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (points[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Aircraft state on a track at time t (epoch ms): position, altitude, track,
+// ground speed and vertical rate from the surrounding samples. Null outside
+// the recorded time range.
+export function stateAt(track, t) {
+  const { points } = track;
+  if (points.length < 2 || t < points[0].t || t > points[points.length - 1].t) return null;
+  const i = Math.min(segmentIndex(points, t), points.length - 2);
+  const a = points[i];
+  const b = points[i + 1];
+  const dt = (b.t - a.t) / 1000;
+  const f = dt > 0 ? (t - a.t) / (b.t - a.t) : 0;
+  const [lon, lat] = interpolate(a.lon, a.lat, b.lon, b.lat, f);
+  const altM = a.altM + (b.altM - a.altM) * f;
+  const distance = distanceM(a.lon, a.lat, b.lon, b.lat);
+  return {
+    lon,
+    lat,
+    altM,
+    altFt: mToFt(altM),
+    heading: distance > 1 ? bearingDeg(a.lon, a.lat, b.lon, b.lat) : null,
+    groundSpeedKt: dt > 0 ? (distance / dt) * MS_TO_KT : 0,
+    verticalRateFpm: dt > 0 ? (mToFt(b.altM - a.altM) / dt) * 60 : 0,
+  };
+}
+
+export function trackTimeRange(tracks) {
+  let start = Infinity;
+  let stop = -Infinity;
+  tracks.forEach(({ points }) => {
+    if (!points.length) return;
+    start = Math.min(start, points[0].t);
+    stop = Math.max(stop, points[points.length - 1].t);
+  });
+  return Number.isFinite(start) ? { start, stop } : null;
+}
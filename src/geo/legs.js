@@ -0,0 +1,531 @@
+import { bearingDeg, destination, distanceM, toLocal, fromLocal } from './geodesy';
+import { ftToM, nmToM } from './units';
+
+// Ground track construction for ARINC 424 path terminators
+//
+// Legs are processed in order; each leg starts where the previous one ended
+// and on the track the aircraft was flying. Every leg gets `coordinates`
+// ([lon, lat] ground track), `start_alt` / `end_alt` in metres and a list of
+// `turns` ({ position, direction }) so the renderer can mark them.
+//
+// Supported: IF, TF, CF, DF, RF, AF, CA/FA/VA, CI/VI, CD/FD/VD, CR/VR, FC,
+// FM/VM, HA/HF/HM and PI. Fly-by fixes between straight legs are rounded off
+// with a turn-anticipation arc; fly-over fixes are crossed before turning.
+
+// Nominal aircraft performance used where the coding leaves it open
+export const DEFAULT_SPEED_KT = 210;
+export const DEFAULT_CLIMB_GRADIENT_FT_PER_NM = 200;
+const RATE_ONE_TURN_DEG_PER_S = 3;
+const ARC_STEP_DEG = 5;
+const MANUAL_TERMINATION_NM = 5;
+const INTERCEPT_ANGLE_DEG = 45;
+
+export const turnRadiusM = (speedKt = DEFAULT_SPEED_KT) => {
+  const speedMs = (speedKt * 1852) / 3600;
+  return speedMs / ((RATE_ONE_TURN_DEG_PER_S * Math.PI) / 180);
+};
+
+const normalize = (deg) => ((deg % 360) + 360) % 360;
+
+// Signed smallest difference b - a in degrees (-180, 180]
+const angleDiff = (a, b) => {
+  const d = normalize(b - a);
+  return d > 180 ? d - 360 : d;
+};
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Points along an arc around `center`, sweeping from startBrg in the turn
+// direction ('L' counter-clockwise, 'R' clockwise) until endBrg
+export function arcPoints(center, radius, startBrg, endBrg, direction) {
+  const sign = direction === 'L' ? -1 : 1;
+  let sweep = normalize(sign * (endBrg - startBrg));
+  if (sweep === 0) sweep = 360;
+  const steps = Math.max(2, Math.ceil(sweep / ARC_STEP_DEG));
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const brg = startBrg + (sign * sweep * i) / steps;
+    points.push(destination(center[0], center[1], normalize(brg), radius));
+  }
+  return points;
+}
+
+// One circuit of a racetrack hold whose inbound leg ends at `fix`
+export function racetrack(fix, inboundCourse, direction, legLength, radius) {
+  const s = direction === 'L' ? -1 : 1;
+  const c1 = destination(fix[0], fix[1], normalize(inboundCourse + 90 * s), radius);
+  const turn1 = arcPoints(c1, radius, normalize(inboundCourse - 90 * s), normalize(inboundCourse + 90 * s), direction);
+  const e1 = turn1[turn1.length - 1];
+  const e2 = destination(e1[0], e1[1], normalize(inboundCourse + 180), legLength);
+  const c2 = destination(e2[0], e2[1], normalize(inboundCourse - 90 * s), radius);
+  const turn2 = arcPoints(c2, radius, normalize(inboundCourse + 90 * s), normalize(inboundCourse - 90 * s), direction);
+  return [...turn1, e2, ...turn2, fix];
+}
+
+// Turn from `heading` at `position` until the aircraft tracks `newHeading`.
+// Returns the arc points (first point is `position`).
+export function turnToHeading(position, heading, newHeading, direction, radius) {
+  const diff = angleDiff(heading, newHeading);
+  if (Math.abs(diff) < 1) return [position];
+  const dir = direction || (diff < 0 ? 'L' : 'R');
+  const s = dir === 'L' ? -1 : 1;
+  const center = destination(position[0], position[1], normalize(heading + 90 * s), radius);
+  return arcPoints(center, radius, normalize(heading - 90 * s), normalize(newHeading - 90 * s), dir);
+}
+
+// Turn from `heading` at `position` until pointing straight at `fix`
+// (the path of a DF leg or a turn after a fly-over fix)
+export function turnToFix(position, heading, fix, direction, radius) {
+  const initial = bearingDeg(position[0], position[1], fix[0], fix[1]);
+  const diff = angleDiff(heading, initial);
+  if (Math.abs(diff) < 1) return [position];
+  const dir = direction || (diff < 0 ? 'L' : 'R');
+  const s = dir === 'L' ? -1 : 1;
+  const center = destination(position[0], position[1], normalize(heading + 90 * s), radius);
+  // The fix lies inside the turn circle: no tangent exists, fly direct
+  if (distanceM(center[0], center[1], fix[0], fix[1]) <= radius) return [position];
+
+  const step = 1;
+  const points = [position];
+  const startBrg = normalize(heading - 90 * s);
+  for (let swept = step; swept < 360; swept += step) {
+    const point = destination(center[0], center[1], normalize(startBrg + s * swept), radius);
+    const track = normalize(heading + s * swept);
+    const toFix = bearingDeg(point[0], point[1], fix[0], fix[1]);
+    if (Math.abs(angleDiff(track, toFix)) <= step) {
+      points.push(point);
+      return points;
+    }
+    if (swept % ARC_STEP_DEG === 0) points.push(point);
+  }
+  return [position];
+}
+
+// Intersection of the line from `a` on bearing brgA with the line through
+// `b` on bearing brgB, ahead of `a`. Null when the lines do not meet ahead.
+export function intersectCourses(a, brgA, b, brgB) {
+  const [bx, by] = toLocal(a, b[0], b[1]);
+  const ua = [Math.sin(toRad(brgA)), Math.cos(toRad(brgA))];
+  const ub = [Math.sin(toRad(brgB)), Math.cos(toRad(brgB))];
+  const denom = ua[0] * ub[1] - ua[1] * ub[0];
+  if (Math.abs(denom) < 1e-9) return null;
+  const t = (bx * ub[1] - by * ub[0]) / denom;
+  if (t <= 0) return null;
+  return fromLocal(a, ua[0] * t, ua[1] * t);
+}
+
+// First point ahead of `start` on bearing `brg` at `dme` metres from `navaid`
+export function pointAtDme(start, brg, navaid, dme) {
+  const [nx, ny] = toLocal(start, navaid[0], navaid[1]);
+  const u = [Math.sin(toRad(brg)), Math.cos(toRad(brg))];
+  // |t*u - n| = dme  →  t² - 2t(u·n) + |n|² - dme² = 0
+  const b = u[0] * nx + u[1] * ny;
+  const c = nx * nx + ny * ny - dme * dme;
+  const disc = b * b - c;
+  if (disc < 0) return null;
+  const roots = [b - Math.sqrt(disc), b + Math.sqrt(disc)].filter((t) => t > 0);
+  if (!roots.length) return null;
+  return fromLocal(start, u[0] * roots[0], u[1] * roots[0]);
+}
+
+const pointOf = (lon, lat) => (Number.isFinite(lon) && Number.isFinite(lat) ? [lon, lat] : null);
+const fixOf = (leg) => pointOf(leg.fix_lon, leg.fix_lat);
+const navaidOf = (leg) => pointOf(leg.navaid_lon, leg.navaid_lat);
+const centerOf = (leg) => pointOf(leg.center_lon, leg.center_lat);
+
+const hasCourse = (leg) => leg.course !== null && leg.course !== undefined;
+
+const trueCourseOf = (leg, magVar) =>
+  leg.course_is_true ? leg.course : normalize(leg.course + magVar);
+
+// Altitude (ft) a leg's constraint asks for at its termination
+export function constraintTargetFt(altitude) {
+  if (!altitude) return null;
+  switch (altitude.type) {
+    case 'AT':
+    case 'AT_OR_ABOVE':
+    case 'AT_OR_BELOW':
+      return altitude.ft;
+    case 'WINDOW':
+      return altitude.lower_ft;
+    default:
+      return null;
+  }
+}
+
+const lineLength = (coords) => {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) {
+    total += distanceM(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]);
+  }
+  return total;
+};
+
+// Track flown over the last non-degenerate segment
+const trackAtEnd = (coords) => {
+  for (let i = coords.length - 1; i > 0; i--) {
+    const a = coords[i - 1];
+    const b = coords[i];
+    if (distanceM(a[0], a[1], b[0], b[1]) > 1) return bearingDeg(a[0], a[1], b[0], b[1]);
+  }
+  return null;
+};
+
+// Drop consecutive duplicate points
+const dedupe = (coords) =>
+  coords.filter((c, i) => i === 0 || distanceM(coords[i - 1][0], coords[i - 1][1], c[0], c[1]) > 0.5);
+
+const turnMarker = (points, direction) => ({
+  position: points[Math.floor(points.length / 2)],
+  direction,
+});
+
+// Build the ground track for a single leg from the current state
+function legTrack(leg, state, context, next) {
+  const fix = fixOf(leg);
+  const magVar = context.magVar || 0;
+  const speedKt = leg.speed_limit_kt || context.speedKt || DEFAULT_SPEED_KT;
+  const radius = turnRadiusM(speedKt);
+  const { position, heading } = state;
+  const course = hasCourse(leg) ? trueCourseOf(leg, magVar) : null;
+  const turns = [];
+
+  // Record a turn arc (more than a bare start point) for the renderer
+  const track = (points, direction) => {
+    if (points.length > 2) {
+      const diff = angleDiff(trackAtEnd(points.slice(0, 2)) ?? 0, trackAtEnd(points) ?? 0);
+      turns.push(turnMarker(points, direction || (diff < 0 ? 'L' : 'R')));
+    }
+    return points;
+  };
+
+  // Turn onto the leg's course from the current track
+  const onCourse = () => {
+    if (!position) return [];
+    if (heading === null || course === null) return [position];
+    return track(turnToHeading(position, heading, course, leg.turn_direction, radius), leg.turn_direction);
+  };
+
+  // Legs starting at their own fix (FA/FC/FD/FM): fly to the fix, then on
+  const fromFix = () => (position && fix ? [position, fix] : [fix || position]);
+
+  let coords;
+  switch (leg.path_terminator) {
+    case 'IF':
+      coords = fix ? [fix] : [];
+      break;
+
+    case 'TF':
+    case 'DF':
+      if (!fix) {
+        coords = [];
+      } else if (position && heading !== null && (leg.path_terminator === 'DF' || state.flyOver)) {
+        // Direct-to legs, and any leg after a fly-over fix, turn first
+        coords = [...track(turnToFix(position, heading, fix, leg.turn_direction, radius), leg.turn_direction), fix];
+      } else {
+        coords = position ? [position, fix] : [fix];
+      }
+      break;
+
+    case 'CF': {
+      if (!fix) { coords = []; break; }
+      if (!position || course === null) { coords = position ? [position, fix] : [fix]; break; }
+      // Fly the inbound course to the fix; off the course line, join it
+      // with a 45° intercept first
+      const [px, py] = toLocal(fix, position[0], position[1]);
+      const ux = Math.sin(toRad(course));
+      const uy = Math.cos(toRad(course));
+      const crossTrack = px * uy - py * ux;
+      const alongTrack = px * ux + py * uy;
+      if (Math.abs(crossTrack) < nmToM(0.3) || alongTrack > 0) {
+        coords = [position, fix];
+        break;
+      }
+      const interceptHeading = normalize(course + (crossTrack > 0 ? INTERCEPT_ANGLE_DEG : -INTERCEPT_ANGLE_DEG));
+      const turn = heading === null
+        ? [position]
+        : track(turnToHeading(position, heading, interceptHeading, leg.turn_direction, radius), leg.turn_direction);
+      const turnEnd = turn[turn.length - 1];
+      const intercept = intersectCourses(turnEnd, interceptHeading, fix, course);
+      coords = intercept ? [...turn, intercept, fix] : [...turn, fix];
+      break;
+    }
+
+    case 'RF': {
+      const center = centerOf(leg);
+      if (!fix || !center || !position) { coords = fix ? [fix] : []; break; }
+      const dir = leg.turn_direction || 'R';
+      const arcRadius = distanceM(center[0], center[1], fix[0], fix[1]);
+      const startBrg = bearingDeg(center[0], center[1], position[0], position[1]);
+      const endBrg = bearingDeg(center[0], center[1], fix[0], fix[1]);
+      coords = track(arcPoints(center, arcRadius, startBrg, endBrg, dir), dir);
+      break;
+    }
+
+    case 'AF': {
+      // DME arc around the recommended navaid, ending at the fix
+      const navaid = navaidOf(leg);
+      if (!fix || !navaid || !position) { coords = fix ? [fix] : []; break; }
+      const dir = leg.turn_direction || 'R';
+      const arcRadius = leg.rho_nm ? nmToM(leg.rho_nm) : distanceM(navaid[0], navaid[1], fix[0], fix[1]);
+      const startBrg = bearingDeg(navaid[0], navaid[1], position[0], position[1]);
+      const endBrg = bearingDeg(navaid[0], navaid[1], fix[0], fix[1]);
+      coords = track([position, ...arcPoints(navaid, arcRadius, startBrg, endBrg, dir)], dir);
+      break;
+    }
+
+    case 'HA':
+    case 'HF':
+    case 'HM': {
+      if (!fix || course === null) { coords = fix ? [fix] : []; break; }
+      const dir = leg.turn_direction || 'R';
+      const legLength = leg.distance_nm !== null && leg.distance_nm !== undefined
+        ? nmToM(leg.distance_nm)
+        : nmToM((speedKt * (leg.hold_time_min ?? 1)) / 60);
+      const circuit = racetrack(fix, course, dir, legLength, radius);
+      turns.push(turnMarker(circuit.slice(0, Math.floor(circuit.length / 2)), dir));
+      coords = position ? [position, fix, ...circuit] : [fix, ...circuit];
+      break;
+    }
+
+    case 'CA':
+    case 'VA':
+    case 'FA': {
+      if (course === null) { coords = position ? [position] : fix ? [fix] : []; break; }
+      const lead = leg.path_terminator === 'FA' ? fromFix() : onCourse();
+      if (!lead.length || !lead[0]) { coords = []; break; }
+      const from = lead[lead.length - 1];
+      const targetFt = constraintTargetFt(leg.altitude) ?? state.altitudeFt;
+      const climbFt = Math.max(0, targetFt - state.altitudeFt);
+      const lengthNm = Math.max(0.5, climbFt / DEFAULT_CLIMB_GRADIENT_FT_PER_NM);
+      coords = [...lead, destination(from[0], from[1], course, nmToM(lengthNm))];
+      break;
+    }
+
+    case 'CI':
+    case 'VI': {
+      // Fly the course until it meets the next leg's inbound course
+      if (!position || course === null) { coords = position ? [position] : []; break; }
+      const lead = onCourse();
+      const from = lead[lead.length - 1];
+      const nextFix = next && fixOf(next);
+      const nextCourse = next && hasCourse(next) ? trueCourseOf(next, magVar) : null;
+      const intercept = nextFix && nextCourse !== null ? intersectCourses(from, course, nextFix, nextCourse) : null;
+      coords = [...lead, intercept || destination(from[0], from[1], course, nmToM(2))];
+      break;
+    }
+
+    case 'CD':
+    case 'VD':
+    case 'FD': {
+      if (course === null) { coords = position ? [position] : []; break; }
+      const lead = leg.path_terminator === 'FD' ? fromFix() : onCourse();
+      if (!lead.length || !lead[0]) { coords = []; break; }
+      const from = lead[lead.length - 1];
+      const navaid = navaidOf(leg);
+      const end = navaid && leg.distance_nm ? pointAtDme(from, course, navaid, nmToM(leg.distance_nm)) : null;
+      coords = [...lead, end || destination(from[0], from[1], course, nmToM(leg.distance_nm || 2))];
+      break;
+    }
+
+    case 'CR':
+    case 'VR': {
+      if (!position || course === null) { coords = position ? [position] : []; break; }
+      const lead = onCourse();
+      const from = lead[lead.length - 1];
+      const navaid = navaidOf(leg);
+      const radial = leg.theta !== null && leg.theta !== undefined ? normalize(leg.theta + magVar) : null;
+      const end = navaid && radial !== null ? intersectCourses(from, course, navaid, radial) : null;
+      coords = [...lead, end || destination(from[0], from[1], course, nmToM(2))];
+      break;
+    }
+
+    case 'FC': {
+      if (course === null || !leg.distance_nm) { coords = fix ? [fix] : []; break; }
+      const lead = fromFix();
+      if (!lead[0]) { coords = []; break; }
+      const from = lead[lead.length - 1];
+      coords = [...lead, destination(from[0], from[1], course, nmToM(leg.distance_nm))];
+      break;
+    }
+
+    case 'FM':
+    case 'VM': {
+      // Manual termination: draw a fixed length along the course
+      if (course === null) { coords = position ? [position] : fix ? [fix] : []; break; }
+      const lead = leg.path_terminator === 'FM' ? fromFix() : onCourse();
+      if (!lead.length || !lead[0]) { coords = []; break; }
+      const from = lead[lead.length - 1];
+      coords = [...lead, destination(from[0], from[1], course, nmToM(MANUAL_TERMINATION_NM))];
+      break;
+    }
+
+    case 'PI': {
+      // 45°/180° procedure turn: outbound on the course, turn 45° away for
+      // one minute, turn 180° back and intercept the inbound course
+      if (!fix || course === null) { coords = fix ? [fix] : []; break; }
+      const dir = leg.turn_direction || 'L';
+      const backDir = dir === 'L' ? 'R' : 'L';
+      const s = dir === 'L' ? -1 : 1;
+      const outEnd = destination(fix[0], fix[1], course, nmToM(leg.distance_nm || 3));
+      const offHeading = normalize(course + 45 * s);
+      const turn1 = turnToHeading(outEnd, course, offHeading, dir, radius);
+      const t1End = turn1[turn1.length - 1];
+      const legEnd = destination(t1End[0], t1End[1], offHeading, nmToM(speedKt / 60));
+      const backHeading = normalize(offHeading + 180);
+      const turn2 = turnToHeading(legEnd, offHeading, backHeading, backDir, radius);
+      const t2End = turn2[turn2.length - 1];
+      const intercept = intersectCourses(t2End, backHeading, fix, course);
+      turns.push(turnMarker(turn1, dir), turnMarker(turn2, backDir));
+      coords = [
+        ...(position ? [position] : []),
+        fix, ...turn1, legEnd, ...turn2,
+        ...(intercept ? [intercept] : []),
+      ];
+      break;
+    }
+
+    default:
+      // Anything else is drawn as a direct line to its fix
+      coords = fix ? (position ? [position, fix] : [fix]) : [];
+  }
+
+  return { coordinates: dedupe(coords), turns };
+}
+
+const STRAIGHT_INTO_FIX = ['TF', 'CF', 'DF'];
+
+// Round off fly-by fixes joining two straight segments with a tangent arc
+function applyFlyByTurns(built, speedKt) {
+  for (let i = 0; i < built.length - 1; i++) {
+    const leg = built[i];
+    const nextLeg = built[i + 1];
+    if (leg.fly_over || !leg.fix || !STRAIGHT_INTO_FIX.includes(leg.path_terminator)) continue;
+    if (!['TF', 'CF'].includes(nextLeg.path_terminator) || nextLeg.coordinates.length !== 2) continue;
+    const a = leg.coordinates;
+    const b = nextLeg.coordinates;
+    if (a.length < 2) continue;
+
+    const fix = a[a.length - 1];
+    const prev = a[a.length - 2];
+    const after = b[1];
+    const inTrack = bearingDeg(prev[0], prev[1], fix[0], fix[1]);
+    const outTrack = bearingDeg(fix[0], fix[1], after[0], after[1]);
+    const theta = angleDiff(inTrack, outTrack);
+    if (Math.abs(theta) < 2 || Math.abs(theta) > 150) continue;
+
+    // Turn anticipation distance, shortened if the legs are too short for it
+    const segIn = distanceM(prev[0], prev[1], fix[0], fix[1]);
+    const segOut = distanceM(fix[0], fix[1], after[0], after[1]);
+    let radius = turnRadiusM(leg.speed_limit_kt || speedKt);
+    let lead = radius * Math.tan(toRad(Math.abs(theta)) / 2);
+    const maxLead = 0.5 * Math.min(segIn, segOut);
+    if (lead > maxLead) {
+      radius *= maxLead / lead;
+      lead = maxLead;
+    }
+
+    const dir = theta < 0 ? 'L' : 'R';
+    const s = dir === 'L' ? -1 : 1;
+    const t1 = destination(fix[0], fix[1], normalize(inTrack + 180), lead);
+    const center = destination(t1[0], t1[1], normalize(inTrack + 90 * s), radius);
+    const arc = arcPoints(center, radius, normalize(inTrack - 90 * s), normalize(outTrack - 90 * s), dir);
+    const mid = Math.floor(arc.length / 2);
+
+    leg.coordinates = [...a.slice(0, -1), ...arc.slice(0, mid + 1)];
+    nextLeg.coordinates = [...arc.slice(mid), after];
+    leg.turns = [...leg.turns, { position: arc[mid], direction: dir }];
+  }
+}
+
+// Build ground tracks and altitudes for an ordered list of legs.
+// context: { magVar, speedKt, startPosition, startHeading, startAltFt, thresholdAltFt }
+export function buildRouteGeometry(legs, context = {}) {
+  const state = {
+    position: context.startPosition || null,
+    heading: context.startHeading ?? null,
+    altitudeFt: context.startAltFt ?? 0,
+    flyOver: false,
+  };
+
+  const built = legs.map((leg, idx) => {
+    const { coordinates, turns } = legTrack(leg, state, context, legs[idx + 1]);
+    let endFt = constraintTargetFt(leg.altitude);
+    // A coded vertical angle into the runway ends at the threshold crossing height
+    if (endFt === null && leg.vertical_angle && leg.fix?.startsWith('RW') && context.thresholdAltFt !== undefined) {
+      endFt = context.thresholdAltFt;
+    }
+    const result = { ...leg, coordinates, turns, _startFt: state.altitudeFt, _endFt: endFt };
+
+    if (coordinates.length) {
+      state.position = coordinates[coordinates.length - 1];
+      const endTrack = trackAtEnd(coordinates);
+      if (endTrack !== null) state.heading = endTrack;
+      // Holds end established on their inbound course
+      if (['HA', 'HF', 'HM'].includes(leg.path_terminator) && hasCourse(leg)) {
+        state.heading = trueCourseOf(leg, context.magVar || 0);
+      }
+    }
+    state.flyOver = Boolean(leg.fly_over);
+    if (endFt !== null) state.altitudeFt = endFt;
+    return result;
+  });
+
+  applyFlyByTurns(built, context.speedKt || DEFAULT_SPEED_KT);
+
+  // Unconstrained legs take an altitude interpolated by track distance
+  // between the surrounding constrained terminations
+  const cumulative = [];
+  built.reduce((sum, leg, idx) => {
+    cumulative[idx] = sum + lineLength(leg.coordinates);
+    return cumulative[idx];
+  }, 0);
+  built.forEach((leg, idx) => {
+    if (leg._endFt !== null) return;
+    let before = idx - 1;
+    while (before >= 0 && built[before]._endFt === null) before--;
+    let after = idx + 1;
+    while (after < built.length && built[after]._endFt === null) after++;
+    const fromFt = before >= 0 ? built[before]._endFt : context.startAltFt ?? leg._startFt;
+    const fromDist = before >= 0 ? cumulative[before] : 0;
+    if (after >= built.length) {
+      leg._endFt = fromFt;
+      return;
+    }
+    const toFt = built[after]._endFt;
+    const span = cumulative[after] - fromDist || 1;
+    leg._endFt = fromFt + (toFt - fromFt) * ((cumulative[idx] - fromDist) / span);
+  });
+
+  return built.map((leg, idx) => {
+    // An initial fix is a point, so it starts at the altitude it ends at
+    let startFt;
+    if (leg.path_terminator === 'IF') startFt = leg._endFt;
+    else if (idx > 0) startFt = built[idx - 1]._endFt;
+    else startFt = context.startAltFt ?? leg._endFt;
+    const { _startFt, _endFt, ...rest } = leg;
+    return {
+      ...rest,
+      start_alt: ftToM(startFt),
+      end_alt: ftToM(_endFt),
+    };
+  });
+}
+
+// 3D points along a built leg, its altitude blended from start_alt to
+// end_alt by distance flown ([{ lon, lat, altM }])
+export function legProfile(leg, fallbackAltM = 0) {
+  const coords = leg.coordinates || [];
+  const startAlt = leg.start_alt ?? leg.end_alt ?? fallbackAltM;
+  const endAlt = leg.end_alt ?? startAlt;
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i++) {
+    cumulative.push(cumulative[i - 1] + distanceM(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]));
+  }
+  const length = cumulative[cumulative.length - 1] || 1;
+  return coords.map(([lon, lat], i) => ({
+    lon,
+    lat,
+    altM: startAlt + (endAlt - startAlt) * (cumulative[i] / length),
+  }));
+}
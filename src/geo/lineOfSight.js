@@ -0,0 +1,78 @@
+import { destination, EARTH_RADIUS_M, toLocal } from './geodesy';
+
+// Radio line of sight over terrain and obstacles
+//
+// A profile is a list of points along the ground track from an antenna,
+// [{ d, heightM, obstacle? }] sorted by ground distance d (m) with heights
+// in m AMSL. A target is in sight when no profile point before it rises above
+// the straight line from the antenna to it. Earth curvature is allowed for
+// with the usual 4/3 effective radius for VHF/UHF refraction.
+
+const EFFECTIVE_RADIUS_M = (4 / 3) * EARTH_RADIUS_M;
+
+// Apparent drop of a point at ground distance d below the antenna's horizon
+export const curvatureDropM = (d) => (d * d) / (2 * EFFECTIVE_RADIUS_M);
+
+// Gradient of the sight line from the antenna to a point
+const sightSlope = (antennaM, d, heightM) => (heightM - curvatureDropM(d) - antennaM) / d;
+
+// Points along a great circle from (lon, lat) on a true bearing, every
+// `stepM` out to `rangeM` ([{ lon, lat, d }], the origin excluded)
+export function rayPoints(lon, lat, bearing, rangeM, stepM) {
+  const points = [];
+  for (let d = stepM; d <= rangeM + 0.5; d += stepM) {
+    const [pLon, pLat] = destination(lon, lat, bearing, d);
+    points.push({ lon: pLon, lat: pLat, d });
+  }
+  return points;
+}
+
+// Obstacles within `corridor(d)` metres of the line from `from` to `to`
+// ([lon, lat]), as profile points at their distance along it
+export function obstaclesOnLine(from, to, obstacles, corridor) {
+  const [tx, ty] = toLocal(from, to[0], to[1]);
+  const length = Math.hypot(tx, ty);
+  if (!length) return [];
+  const points = [];
+  obstacles.forEach((obstacle) => {
+    const [x, y] = toLocal(from, obstacle.lon, obstacle.lat);
+    const d = (x * tx + y * ty) / length;
+    if (d <= 0 || d >= length) return;
+    const offset = Math.abs(x * ty - y * tx) / length;
+    if (offset <= corridor(d)) points.push({ d, heightM: obstacle.elevation, obstacle });
+  });
+  return points;
+}
+
+// First profile point blocking the sight line to a target at ground distance
+// `targetD` and `targetAltM`, or null when the target is in sight
+export function sightBlocker(antennaM, profile, targetD, targetAltM) {
+  const target = sightSlope(antennaM, targetD, targetAltM);
+  for (const point of profile) {
+    if (point.d >= targetD) break;
+    if (point.d > 0 && sightSlope(antennaM, point.d, point.heightM) > target) return point;
+  }
+  return null;
+}
+
+// Sight along a ray for targets at increasing distances and each altitude:
+// rows[i][k] is the blocking profile point (or null) for distances[i] and
+// altitudesM[k]. The steepest point so far is carried along the ray, so a
+// ray costs one pass over its profile.
+export function raySight(antennaM, profile, distances, altitudesM) {
+  let steepest = null;
+  let steepestSlope = -Infinity;
+  let next = 0;
+  return distances.map((targetD) => {
+    while (next < profile.length && profile[next].d < targetD) {
+      const point = profile[next];
+      const slope = sightSlope(antennaM, point.d, point.heightM);
+      if (point.d > 0 && slope > steepestSlope) {
+        steepest = point;
+        steepestSlope = slope;
+      }
+      next++;
+    }
+    return altitudesM.map((altM) => (steepestSlope > sightSlope(antennaM, targetD, altM) ? steepest : null));
+  });
+}
@@ -0,0 +1,36 @@
+import { bearingDeg, distanceM } from './geodesy';
+import { mToNm } from './units';
+
+// Measurements between picked points ({ lon, lat, altM })
+
+// Magnetic from true bearing; variation in degrees, east positive
+export const magneticBearing = (trueBearing, variation = 0) => (trueBearing - variation + 360) % 360;
+
+// Great-circle distance, true/magnetic bearing and height difference from a to b
+export function measureBetween(a, b, variation = 0) {
+  const groundM = distanceM(a.lon, a.lat, b.lon, b.lat);
+  const trueBearing = bearingDeg(a.lon, a.lat, b.lon, b.lat);
+  const heightDiffM = b.altM - a.altM;
+  return {
+    distanceM: groundM,
+    distanceNm: mToNm(groundM),
+    distanceKm: groundM / 1000,
+    slantM: Math.hypot(groundM, heightDiffM),
+    trueBearing,
+    magneticBearing: magneticBearing(trueBearing, variation),
+    heightDiffM,
+  };
+}
+
+// Vertical clearance from a point to the highest obstacle (top elevation,
+// m AMSL) within `bufferM` laterally. Null when no obstacle is in range.
+export function clearanceAt(point, obstacles, bufferM) {
+  let highest = null;
+  obstacles.forEach((obstacle) => {
+    const lateralM = distanceM(point.lon, point.lat, obstacle.lon, obstacle.lat);
+    if (lateralM > bufferM) return;
+    if (!highest || obstacle.elevation > highest.obstacle.elevation) highest = { obstacle, lateralM };
+  });
+  if (!highest) return null;
+  return { ...highest, clearanceM: point.altM - highest.obstacle.elevation };
+}
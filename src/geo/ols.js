@@ -0,0 +1,324 @@
+import { bearingDeg, distanceM, toLocal, fromLocal } from './geodesy';
+
+// ICAO Annex 14 obstacle limitation surfaces
+//
+// Surfaces are generated in a runway-aligned frame: origin at the threshold
+// of the first runway end, u metres along the centreline towards the other
+// end, v metres to the right of it. Heights are metres AMSL.
+
+export const OLS_SURFACES = {
+  approach: '진입표면',
+  transitional: '전이표면',
+  innerHorizontal: '내부수평표면',
+  conical: '원추표면',
+  takeoff: '이륙상승표면',
+};
+
+// Annex 14 Vol I Tables 4-1 (approach runways) and 4-2 (take-off runways),
+// code number 3 and 4. Approach sections are [length m, slope]; a slope of 0
+// is the horizontal section.
+export const OLS_DIMENSIONS = {
+  NON_INSTRUMENT: {
+    stripHalfWidth: 75,
+    conical: { slope: 0.05, height: 100 },
+    innerHorizontal: { height: 45, radius: 4000 },
+    approach: { innerEdge: 150, distance: 60, divergence: 0.1, sections: [[3000, 0.025]] },
+    transitional: { slope: 0.143 },
+  },
+  NON_PRECISION: {
+    stripHalfWidth: 140,
+    conical: { slope: 0.05, height: 100 },
+    innerHorizontal: { height: 45, radius: 4000 },
+    approach: { innerEdge: 280, distance: 60, divergence: 0.15, sections: [[3000, 0.02], [3600, 0.025], [8400, 0]] },
+    transitional: { slope: 0.143 },
+  },
+  PRECISION: {
+    stripHalfWidth: 140,
+    conical: { slope: 0.05, height: 100 },
+    innerHorizontal: { height: 45, radius: 4000 },
+    approach: { innerEdge: 280, distance: 60, divergence: 0.15, sections: [[3000, 0.02], [3600, 0.025], [8400, 0]] },
+    transitional: { slope: 0.143 },
+  },
+};
+
+export const TAKEOFF_CLIMB = { innerEdge: 180, distance: 60, divergence: 0.125, finalWidth: 1200, length: 15000, slope: 0.02 };
+
+// Runway-aligned frame between two thresholds
+function runwayFrame(from, to) {
+  const origin = [from.lon, from.lat];
+  const brg = bearingDeg(from.lon, from.lat, to.lon, to.lat);
+  const rad = (brg * Math.PI) / 180;
+  const along = [Math.sin(rad), Math.cos(rad)];
+  const right = [along[1], -along[0]];
+  return {
+    bearing: brg,
+    length: distanceM(from.lon, from.lat, to.lon, to.lat),
+    toFrame: (lon, lat) => {
+      const [x, y] = toLocal(origin, lon, lat);
+      return [x * along[0] + y * along[1], x * right[0] + y * right[1]];
+    },
+    fromFrame: (u, v) => fromLocal(origin, u * along[0] + v * right[0], u * along[1] + v * right[1]),
+  };
+}
+
+// Approach surface height above its threshold and half-width at distance s
+// from the inner edge; null beyond the outer edge
+function approachProfile(dims, s) {
+  const { innerEdge, divergence, sections } = dims.approach;
+  if (s < 0) return null;
+  let start = 0;
+  let height = 0;
+  for (const [length, slope] of sections) {
+    if (s <= start + length) {
+      return { height: height + (s - start) * slope, halfWidth: innerEdge / 2 + s * divergence };
+    }
+    start += length;
+    height += length * slope;
+  }
+  return null;
+}
+
+// Distance along the approach at which it reaches a height above threshold
+function approachDistanceAt(dims, targetHeight) {
+  let start = 0;
+  let height = 0;
+  for (const [length, slope] of dims.approach.sections) {
+    if (slope > 0 && height + length * slope >= targetHeight) return start + (targetHeight - height) / slope;
+    start += length;
+    height += length * slope;
+  }
+  return start;
+}
+
+const takeoffHalfWidth = (s) =>
+  Math.min(TAKEOFF_CLIMB.innerEdge / 2 + s * TAKEOFF_CLIMB.divergence, TAKEOFF_CLIMB.finalWidth / 2);
+
+// Build the surfaces for a runway model (see data/aerodrome.js): uses its
+// designator, classification and thresholds { '36': { lon, lat, elevation,
+// displaced, clearway }, '18': {...} }
+export function buildOls(runway) {
+  const dims = OLS_DIMENSIONS[runway.classification] || OLS_DIMENSIONS.PRECISION;
+  const [endA, endB] = Object.entries(runway.thresholds).map(([designator, thr]) => ({ designator, ...thr }));
+  const frame = runwayFrame(endA, endB);
+  const { length } = frame;
+  const stripEnd = dims.approach.distance;
+  const datum = Math.min(endA.elevation, endB.elevation);
+  const ihsElevation = datum + dims.innerHorizontal.height;
+
+  // Each runway end as seen in the common frame: which way it points (+1 for
+  // endA landing towards endB) and where its threshold sits
+  const directions = [
+    { threshold: endA, sign: 1, u0: 0, end: endB },
+    { threshold: endB, sign: -1, u0: length, end: endA },
+  ];
+
+  // The take-off climb surface starts 60 m beyond the runway end, or at the
+  // end of the clearway when that is longer
+  const takeoffOffset = (dir) =>
+    (dir.end.displaced || 0) + Math.max(TAKEOFF_CLIMB.distance, dir.threshold.clearway || 0);
+
+  const centrelineElevation = (u) => {
+    const f = Math.min(1, Math.max(0, u / (length || 1)));
+    return endA.elevation + (endB.elevation - endA.elevation) * f;
+  };
+
+  // Surface elevation at a point, or null when outside the surface
+  const heightAt = {
+    approach: (dir, u, v) => {
+      const s = dir.sign * (dir.u0 - u) - stripEnd;
+      const profile = approachProfile(dims, s);
+      if (!profile || Math.abs(v) > profile.halfWidth) return null;
+      return dir.threshold.elevation + profile.height;
+    },
+    takeoff: (dir, u, v) => {
+      // Take-off climb starts beyond the runway end the aircraft departs over
+      const s = dir.sign * (u - (length - dir.u0)) - takeoffOffset(dir);
+      if (s < 0 || s > TAKEOFF_CLIMB.length || Math.abs(v) > takeoffHalfWidth(s)) return null;
+      return dir.end.elevation + s * TAKEOFF_CLIMB.slope;
+    },
+    transitional: (u, v) => {
+      let base;
+      let edge;
+      if (u >= -stripEnd && u <= length + stripEnd) {
+        base = centrelineElevation(u);
+        edge = dims.stripHalfWidth;
+      } else {
+        const dir = u < 0 ? directions[0] : directions[1];
+        const s = dir.sign * (dir.u0 - u) - stripEnd;
+        const profile = approachProfile(dims, s);
+        if (!profile) return null;
+        base = dir.threshold.elevation + profile.height;
+        edge = profile.halfWidth;
+      }
+      if (Math.abs(v) <= edge || base >= ihsElevation) return null;
+      const h = base + (Math.abs(v) - edge) * dims.transitional.slope;
+      return h <= ihsElevation ? h : null;
+    },
+    // Distance outside the segment joining the strip ends
+    offset: (u, v) => {
+      const du = u < -stripEnd ? u + stripEnd : u > length + stripEnd ? u - length - stripEnd : 0;
+      return Math.hypot(du, v);
+    },
+  };
+
+  // Outline of a stadium of the given radius around the strip ends
+  const stadium = (radius, elevation) => {
+    const points = [];
+    for (let a = -90; a <= 90; a += 5) {
+      const r = (a * Math.PI) / 180;
+      points.push([length + stripEnd + radius * Math.cos(r), -radius * Math.sin(r)]);
+    }
+    for (let a = 90; a <= 270; a += 5) {
+      const r = (a * Math.PI) / 180;
+      points.push([-stripEnd + radius * Math.cos(r), -radius * Math.sin(r)]);
+    }
+    return points.map(([u, v]) => [...frame.fromFrame(u, v), elevation]);
+  };
+
+  const surfaces = [];
+  const point = (u, v, h) => [...frame.fromFrame(u, v), h];
+
+  directions.forEach((dir) => {
+    const designator = dir.threshold.designator;
+    // Frame position s metres outwards from this end's inner edge
+    const outward = (s) => dir.u0 - dir.sign * (stripEnd + s);
+
+    // Approach: one trapezoid per section
+    let start = 0;
+    const approach = dims.approach.sections.map(([sectionLength]) => {
+      const a = approachProfile(dims, start);
+      const b = approachProfile(dims, start + sectionLength - 1e-6);
+      const polygon = [
+        point(outward(start), -a.halfWidth, dir.threshold.elevation + a.height),
+        point(outward(start + sectionLength), -b.halfWidth, dir.threshold.elevation + b.height),
+        point(outward(start + sectionLength), b.halfWidth, dir.threshold.elevation + b.height),
+        point(outward(start), a.halfWidth, dir.threshold.elevation + a.height),
+      ];
+      start += sectionLength;
+      return { positions: polygon };
+    });
+    surfaces.push({ key: 'approach', runway: designator, polygons: approach });
+
+    // Take-off climb from beyond the opposite end, in the departure direction
+    const departUp = (s) => dir.u0 + dir.sign * (length + takeoffOffset(dir) + s);
+    const widen = (TAKEOFF_CLIMB.finalWidth / 2 - TAKEOFF_CLIMB.innerEdge / 2) / TAKEOFF_CLIMB.divergence;
+    const takeoffStations = [0, Math.min(widen, TAKEOFF_CLIMB.length), TAKEOFF_CLIMB.length];
+    const takeoff = [];
+    for (let i = 1; i < takeoffStations.length; i++) {
+      const s1 = takeoffStations[i - 1];
+      const s2 = takeoffStations[i];
+      if (s2 <= s1) continue;
+      const h1 = dir.end.elevation + s1 * TAKEOFF_CLIMB.slope;
+      const h2 = dir.end.elevation + s2 * TAKEOFF_CLIMB.slope;
+      takeoff.push({
+        positions: [
+          point(departUp(s1), -takeoffHalfWidth(s1), h1),
+          point(departUp(s2), -takeoffHalfWidth(s2), h2),
+          point(departUp(s2), takeoffHalfWidth(s2), h2),
+          point(departUp(s1), takeoffHalfWidth(s1), h1),
+        ],
+      });
+    }
+    // Take-off climb surfaces are named after the runway used for departure
+    surfaces.push({ key: 'takeoff', runway: designator, polygons: takeoff });
+  });
+
+  // Transitional: quads along each side of the strip and of the approach
+  // surfaces up to the inner horizontal surface
+  const rise = (h) => (ihsElevation - h) / dims.transitional.slope;
+  const reach = approachDistanceAt(dims, dims.innerHorizontal.height);
+  const transitional = [];
+  [-1, 1].forEach((side) => {
+    const lowerEdge = [];
+    [[directions[0], reach], [directions[0], 0]].forEach(([dir, s]) => {
+      const p = approachProfile(dims, s);
+      lowerEdge.push([dir.u0 - dir.sign * (stripEnd + s), side * p.halfWidth, dir.threshold.elevation + p.height]);
+    });
+    [[directions[1], 0], [directions[1], reach]].forEach(([dir, s]) => {
+      const p = approachProfile(dims, s);
+      lowerEdge.push([dir.u0 - dir.sign * (stripEnd + s), side * p.halfWidth, dir.threshold.elevation + p.height]);
+    });
+    for (let i = 1; i < lowerEdge.length; i++) {
+      const [u1, v1, h1] = lowerEdge[i - 1];
+      const [u2, v2, h2] = lowerEdge[i];
+      transitional.push({
+        positions: [
+          point(u1, v1, h1),
+          point(u2, v2, h2),
+          point(u2, v2 + side * rise(h2), ihsElevation),
+          point(u1, v1 + side * rise(h1), ihsElevation),
+        ],
+      });
+    }
+  });
+  surfaces.push({ key: 'transitional', runway: runway.designator, polygons: transitional });
+
+  const ihsOutline = stadium(dims.innerHorizontal.radius, ihsElevation);
+  surfaces.push({
+    key: 'innerHorizontal',
+    runway: runway.designator,
+    polygons: [{ positions: ihsOutline }],
+  });
+  surfaces.push({
+    key: 'conical',
+    runway: runway.designator,
+    polygons: [{
+      positions: stadium(
+        dims.innerHorizontal.radius + dims.conical.height / dims.conical.slope,
+        ihsElevation + dims.conical.height
+      ),
+      holes: [ihsOutline],
+    }],
+  });
+
+  // Surface elevations above a position, one entry per surface it lies under
+  const surfacesAt = (lon, lat) => {
+    const [u, v] = frame.toFrame(lon, lat);
+    const found = [];
+    directions.forEach((dir) => {
+      const approach = heightAt.approach(dir, u, v);
+      if (approach !== null) found.push({ key: 'approach', runway: dir.threshold.designator, elevation: approach });
+      const takeoff = heightAt.takeoff(dir, u, v);
+      if (takeoff !== null) found.push({ key: 'takeoff', runway: dir.threshold.designator, elevation: takeoff });
+    });
+    const transitional = heightAt.transitional(u, v);
+    if (transitional !== null) {
+      found.push({ key: 'transitional', runway: runway.designator, elevation: transitional });
+    }
+    const offset = heightAt.offset(u, v);
+    const { radius } = dims.innerHorizontal;
+    if (offset <= radius) {
+      found.push({ key: 'innerHorizontal', runway: runway.designator, elevation: ihsElevation });
+    } else if (offset <= radius + dims.conical.height / dims.conical.slope) {
+      found.push({
+        key: 'conical',
+        runway: runway.designator,
+        elevation: ihsElevation + (offset - radius) * dims.conical.slope,
+      });
+    }
+    return found;
+  };
+
+  return { surfaces, surfacesAt, datum, ihsElevation };
+}
+
+// Check obstacles against the surfaces. Returns one entry per obstacle and
+// penetrated surface: { obstacle, key, runway, surfaceElevation, depth }
+export function findPenetrations(ols, obstacles) {
+  const penetrations = [];
+  obstacles.forEach((obstacle) => {
+    ols.surfacesAt(obstacle.lon, obstacle.lat).forEach((surface) => {
+      const depth = obstacle.elevation - surface.elevation;
+      if (depth > 0) {
+        penetrations.push({
+          obstacle,
+          key: surface.key,
+          runway: surface.runway,
+          surfaceElevation: surface.elevation,
+          depth,
+        });
+      }
+    });
+  });
+  return penetrations;
+}
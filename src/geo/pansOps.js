@@ -0,0 +1,213 @@
+import { fromLocal, toLocal } from './geodesy';
+import { mToFt, nmToM } from './units';
+
+// Approach protection areas and obstacle assessment (PANS-OPS, Doc 8168
+// Vol II, RNP APCH)
+//
+// Each segment is protected by an area either side of its nominal track: a
+// primary area over the inner half of the area semi-width with the full
+// minimum obstacle clearance (MOC), and secondary areas over the outer half
+// where the MOC reduces linearly to zero at the edge. Semi-widths follow
+// ½AW = 1.5 × XTT + BV for the RNP of each segment:
+//   initial       2.5 NM                      MOC 300 m
+//   intermediate  2.5 NM, tapering to 0.95 NM over the last 2 NM   150 m
+//   final         0.95 NM                     MOC 75 m (LNAV)
+//   missed        0.95 NM splaying 15° each side to 2.5 NM   30 m
+// Missed approach obstacles are assessed against a 2.5 % climb from the
+// MAPt, so an obstacle further out needs less height at the MAPt.
+
+export const SEGMENT_SPECS = {
+  initial: { label: '초기 접근', mocM: 300, color: '#42A5F5' },
+  intermediate: { label: '중간 접근', mocM: 150, color: '#AB47BC' },
+  final: { label: '최종 접근', mocM: 75, color: '#EF5350' },
+  missed: { label: '실패 접근', mocM: 30, color: '#66BB6A' },
+};
+
+export const SEGMENT_ORDER = ['initial', 'intermediate', 'final', 'missed'];
+
+const INITIAL_HALF_WIDTH = nmToM(2.5);
+const FINAL_HALF_WIDTH = nmToM(0.95);
+const INTERMEDIATE_TAPER = nmToM(2);
+const MISSED_SPLAY = Math.tan((15 * Math.PI) / 180);
+export const MISSED_GRADIENT = 0.025;
+
+// Minimum altitudes are rounded up: to 50 ft for initial and intermediate
+// segments, 10 ft for the final (OCA) and missed approach
+const ROUNDING_FT = { initial: 50, intermediate: 50, final: 10, missed: 10 };
+
+// Area semi-width (m) at distance s along a segment of the given length
+export function halfWidthAt(kind, s, length) {
+  switch (kind) {
+    case 'intermediate': {
+      const taperStart = Math.max(0, length - INTERMEDIATE_TAPER);
+      if (s <= taperStart) return INITIAL_HALF_WIDTH;
+      const f = (s - taperStart) / Math.max(1, length - taperStart);
+      return INITIAL_HALF_WIDTH + (FINAL_HALF_WIDTH - INITIAL_HALF_WIDTH) * f;
+    }
+    case 'final':
+      return FINAL_HALF_WIDTH;
+    case 'missed':
+      return Math.min(INITIAL_HALF_WIDTH, FINAL_HALF_WIDTH + s * MISSED_SPLAY);
+    default:
+      return INITIAL_HALF_WIDTH;
+  }
+}
+
+// Track vertices are at most this far apart so the area edges follow the
+// changes in semi-width
+const SAMPLE_M = 500;
+
+// Nominal track of a segment in local metres with along-track distances
+function localTrack(points) {
+  const origin = [points[0].lon, points[0].lat];
+  const track = [];
+  points.forEach((p) => {
+    const [x, y] = toLocal(origin, p.lon, p.lat);
+    const prev = track[track.length - 1];
+    if (!prev) {
+      track.push({ x, y, altM: p.altM, s: 0 });
+      return;
+    }
+    const step = Math.hypot(x - prev.x, y - prev.y);
+    if (step < 1) return;
+    const count = Math.ceil(step / SAMPLE_M);
+    for (let i = 1; i <= count; i++) {
+      const f = i / count;
+      track.push({
+        x: prev.x + (x - prev.x) * f,
+        y: prev.y + (y - prev.y) * f,
+        altM: prev.altM + (p.altM - prev.altM) * f,
+        s: prev.s + step * f,
+      });
+    }
+  });
+  return { origin, track };
+}
+
+// Left-hand unit normal at each vertex, averaged across the adjoining legs
+function normals(track) {
+  return track.map((p, i) => {
+    const a = track[Math.max(0, i - 1)];
+    const b = track[Math.min(track.length - 1, i + 1)];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return [-dy / length, dx / length];
+  });
+}
+
+// Protection area of one segment: the nominal track and its area edges as
+// rings of [lon, lat, heightM] with the height of the MOC surface (nominal
+// altitude less the MOC that applies at that distance from the track)
+export function buildProtectionArea(segment) {
+  const spec = SEGMENT_SPECS[segment.kind];
+  const { origin, track } = localTrack(segment.points);
+  if (track.length < 2) return null;
+  const length = track[track.length - 1].s;
+  const n = normals(track);
+
+  // Offset of every vertex at a fraction of the semi-width (+ left, − right)
+  const edge = (fraction) => track.map((p, i) => {
+    const offset = halfWidthAt(segment.kind, p.s, length) * fraction;
+    const [lon, lat] = fromLocal(origin, p.x + n[i][0] * offset, p.y + n[i][1] * offset);
+    const mocFactor = Math.abs(fraction) <= 0.5 ? 1 : 2 * (1 - Math.abs(fraction));
+    return [lon, lat, p.altM - spec.mocM * mocFactor];
+  });
+  const ring = (outer, inner) => [...edge(outer), ...edge(inner).reverse()];
+
+  return {
+    ...segment,
+    ...spec,
+    length,
+    origin,
+    track,
+    primary: ring(0.5, -0.5),
+    secondary: [ring(1, 0.5), ring(-0.5, -1)],
+  };
+}
+
+// Along-track distance, lateral distance and nominal altitude of the point
+// nearest to (x, y) on the track; null when it projects beyond either end
+function projectOnTrack(track, x, y) {
+  let best = null;
+  for (let i = 1; i < track.length; i++) {
+    const a = track[i - 1];
+    const b = track[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+    const t = ((x - a.x) * dx + (y - a.y) * dy) / (length * length);
+    const outside = (i === 1 && t < 0) || (i === track.length - 1 && t > 1);
+    const f = Math.min(1, Math.max(0, t));
+    const lateral = Math.hypot(x - (a.x + dx * f), y - (a.y + dy * f));
+    if (!best || lateral < best.lateral) {
+      best = { lateral, s: a.s + length * f, altM: a.altM + (b.altM - a.altM) * f, outside };
+    }
+  }
+  return best && !best.outside ? best : null;
+}
+
+const roundUpFt = (ft, step) => Math.ceil(ft / step) * step;
+
+// Obstacles inside a protection area with the MOC each requires and the
+// altitude it sets, and the segment's controlling obstacle and minimum
+// altitude. `obstacles` have lon, lat and elevation (top, m AMSL).
+export function assessSegment(area, obstacles) {
+  const assessed = [];
+  obstacles.forEach((obstacle) => {
+    const [x, y] = toLocal(area.origin, obstacle.lon, obstacle.lat);
+    const hit = projectOnTrack(area.track, x, y);
+    if (!hit) return;
+    const halfWidth = halfWidthAt(area.kind, hit.s, area.length);
+    if (hit.lateral > halfWidth) return;
+    const primary = hit.lateral <= halfWidth / 2;
+    const requiredMocM = primary ? area.mocM : area.mocM * 2 * (1 - hit.lateral / halfWidth);
+    // Missed approach: height needed at the MAPt given the climb to the obstacle
+    const climbM = area.kind === 'missed' ? hit.s * MISSED_GRADIENT : 0;
+    const minimumAltM = obstacle.elevation + requiredMocM - climbM;
+    assessed.push({
+      obstacle,
+      primary,
+      alongM: hit.s,
+      lateralM: hit.lateral,
+      requiredMocM,
+      minimumAltM,
+      // Clearance over the obstacle at the nominal altitude, less the MOC
+      marginM: hit.altM - obstacle.elevation - requiredMocM,
+    });
+  });
+  assessed.sort((a, b) => b.minimumAltM - a.minimumAltM);
+  const controlling = assessed[0] || null;
+  const minimumAltFt = controlling ? roundUpFt(mToFt(controlling.minimumAltM), ROUNDING_FT[area.kind]) : null;
+  // Initial and intermediate segments are flown at a published altitude, so
+  // the lowest nominal altitude is checked against the minimum; the final and
+  // missed approach minima set the OCA instead
+  const levelled = area.kind === 'initial' || area.kind === 'intermediate';
+  const nominalAltFt = levelled ? mToFt(Math.min(...area.track.map((p) => p.altM))) : null;
+  return {
+    kind: area.kind,
+    name: area.name,
+    label: area.label,
+    color: area.color,
+    assumed: area.assumed,
+    mocM: area.mocM,
+    lengthM: area.length,
+    obstacles: assessed,
+    controlling,
+    minimumAltFt,
+    nominalAltFt,
+    marginFt: levelled && minimumAltFt !== null ? nominalAltFt - minimumAltFt : null,
+  };
+}
+
+// Obstacle clearance altitude of the approach: the higher of the final
+// segment minimum and the MAPt altitude the missed approach needs
+export function approachOca(reports) {
+  let oca = null;
+  reports
+    .filter((report) => (report.kind === 'final' || report.kind === 'missed') && report.minimumAltFt !== null)
+    .forEach((report) => {
+      if (!oca || report.minimumAltFt > oca.altFt) oca = { altFt: report.minimumAltFt, kind: report.kind };
+    });
+  return oca;
+}
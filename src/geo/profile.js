@@ -0,0 +1,49 @@
+import { toLocal } from './geodesy';
+
+// Vertical profile (side view) along a path built by buildFlightPath in
+// geo/flythrough.js: distance flown on one axis, altitude on the other.
+// Obstacles and picked positions are placed on the profile at the distance
+// of their nearest point on the path.
+
+// Evenly spaced positions along the path for terrain sampling, at most
+// `count` of them ([{ lon, lat, s }])
+export function profileSamples(path, count = 200) {
+  const step = Math.max(50, path.length / count);
+  const samples = [];
+  let i = 1;
+  for (let s = 0; s <= path.length + 0.5; s += step) {
+    while (i < path.points.length - 1 && path.points[i].s < s) i++;
+    const a = path.points[i - 1];
+    const b = path.points[i];
+    const f = b.s > a.s ? Math.min(1, Math.max(0, (s - a.s) / (b.s - a.s))) : 0;
+    samples.push({ lon: a.lon + (b.lon - a.lon) * f, lat: a.lat + (b.lat - a.lat) * f, s });
+  }
+  return samples;
+}
+
+// Distance along the path of the point nearest to (lon, lat), with the
+// lateral distance to it
+export function alongPath(path, lon, lat) {
+  let best = null;
+  for (let i = 1; i < path.points.length; i++) {
+    const a = path.points[i - 1];
+    const b = path.points[i];
+    const origin = [a.lon, a.lat];
+    const [bx, by] = toLocal(origin, b.lon, b.lat);
+    const [x, y] = toLocal(origin, lon, lat);
+    const lengthSq = bx * bx + by * by;
+    const f = lengthSq ? Math.min(1, Math.max(0, (x * bx + y * by) / lengthSq)) : 0;
+    const lateralM = Math.hypot(x - bx * f, y - by * f);
+    if (!best || lateralM < best.lateralM) best = { s: a.s + (b.s - a.s) * f, lateralM };
+  }
+  return best;
+}
+
+// Obstacles (top elevation, m AMSL) within `bufferM` either side of the path,
+// projected onto it ([{ obstacle, s, lateralM }] in path order)
+export function obstaclesAlong(path, obstacles, bufferM) {
+  return obstacles
+    .map((obstacle) => ({ obstacle, ...alongPath(path, obstacle.lon, obstacle.lat) }))
+    .filter((item) => item.lateralM <= bufferM)
+    .sort((a, b) => a.s - b.s);
+}
@@ -0,0 +1,29 @@
+// Unit conversions used across the viewer (aviation data mixes ft, NM and m)
+
+export const FT_TO_M = 0.3048;
+export const NM_TO_M = 1852;
+
+export const ftToM = (ft) => ft * FT_TO_M;
+export const mToFt = (m) => m / FT_TO_M;
+export const nmToM = (nm) => nm * NM_TO_M;
+export const mToNm = (m) => m / NM_TO_M;
+
+// Decimal degrees as degrees, minutes and seconds, e.g. 35°35'36.24"N
+export function toDms(value, positive, negative) {
+  const hemisphere = value < 0 ? negative : positive;
+  const totalSeconds = Math.round(Math.abs(value) * 360000) / 100;
+  const deg = Math.floor(totalSeconds / 3600);
+  const min = Math.floor((totalSeconds - deg * 3600) / 60);
+  const sec = totalSeconds - deg * 3600 - min * 60;
+  return `${deg}°${String(min).padStart(2, '0')}'${sec.toFixed(2).padStart(5, '0')}"${hemisphere}`;
+}
+
+// Coordinates in decimal degrees ('DD') or degrees-minutes-seconds ('DMS')
+export const formatLatLon = (lat, lon, mode) =>
+  mode === 'DMS'
+    ? `${toDms(lat, 'N', 'S')} ${toDms(lon, 'E', 'W')}`
+    : `${lat.toFixed(6)}, ${lon.toFixed(6)}`;
+
+// Height in metres shown in 'm' or 'ft'
+export const formatHeight = (m, unit) =>
+  unit === 'ft' ? `${Math.round(mToFt(m))}ft` : `${m.toFixed(1)}m`;
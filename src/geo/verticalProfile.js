@@ -0,0 +1,199 @@
+import { distanceM, interpolate } from './geodesy';
+import { ftToM, mToFt } from './units';
+
+// Departures climb from 35 ft above the runway at the PANS-OPS minimum
+// procedure design gradient unless constraints say otherwise
+const DEPARTURE_SCREEN_HEIGHT_FT = 35;
+const DEPARTURE_GRADIENT = 0.033;
+
+// Spacing of interpolated points along the 3D path
+const PATH_STEP_M = 250;
+
+const clampToConstraint = (altM, constraint) => {
+  if (!constraint) return altM;
+  let value = altM;
+  if (constraint.lowerFt !== null) value = Math.max(value, ftToM(constraint.lowerFt));
+  if (constraint.upperFt !== null) value = Math.min(value, ftToM(constraint.upperFt));
+  return value;
+};
+
+// Altitude on the glidepath at a given distance before the threshold
+export function glidepathAltitudeM(model, distToThresholdM) {
+  const { threshold, glidepathAngle, tchFt } = model;
+  return (
+    threshold.elevation +
+    ftToM(tchFt) +
+    distToThresholdM * Math.tan((glidepathAngle * Math.PI) / 180)
+  );
+}
+
+// Resolve an altitude for every fix of a procedure model. Constrained fixes
+// take the constraint (clamped against the nominal glidepath or departure
+// gradient); unconstrained fixes are interpolated by distance between their
+// constrained neighbours.
+export function resolveFixAltitudes(model, { airportElevation = 0 } = {}) {
+  const { fixes, type, threshold } = model;
+  if (!fixes.length) return [];
+
+  const cumulative = [0];
+  for (let i = 1; i < fixes.length; i++) {
+    const prev = fixes[i - 1];
+    const fix = fixes[i];
+    cumulative.push(cumulative[i - 1] + distanceM(prev.lon, prev.lat, fix.lon, fix.lat));
+  }
+  const total = cumulative[cumulative.length - 1];
+  const last = fixes[fixes.length - 1];
+  const toThresholdFromLast = threshold
+    ? distanceM(last.lon, last.lat, threshold.lon, threshold.lat)
+    : 0;
+
+  const hasGlidepath = type === 'APPROACH' && threshold;
+  let fafIndex = -1;
+  fixes.forEach((fix, idx) => {
+    if (fix.role === 'FAF') fafIndex = idx;
+  });
+
+  const anyConstraint = fixes.some((fix) => fix.constraint);
+
+  const resolved = fixes.map((fix, idx) => {
+    const distToThrM = threshold ? total - cumulative[idx] + toThresholdFromLast : null;
+    const final = hasGlidepath && fafIndex >= 0 && idx >= fafIndex;
+    let candidate = null;
+    let source = 'interpolated';
+
+    // The glidepath drives the final segment; earlier fixes follow their
+    // constraints unless the procedure publishes none at all
+    if (hasGlidepath && (final || !anyConstraint)) {
+      candidate = glidepathAltitudeM(model, distToThrM);
+      source = 'glidepath';
+    } else if (type === 'SID') {
+      const base = (threshold ? threshold.elevation : airportElevation) + ftToM(DEPARTURE_SCREEN_HEIGHT_FT);
+      candidate = base + cumulative[idx] * DEPARTURE_GRADIENT;
+      source = 'gradient';
+    }
+
+    if (fix.constraint) {
+      const fallback = candidate ?? ftToM(fix.constraint.lowerFt ?? fix.constraint.upperFt);
+      candidate = clampToConstraint(fallback, fix.constraint);
+      source = 'constraint';
+    }
+
+    return {
+      ...fix,
+      alongTrackM: cumulative[idx],
+      distToThrM,
+      altitudeM: candidate,
+      altitudeSource: source,
+      final,
+    };
+  });
+
+  // Fill unconstrained gaps by linear interpolation along track
+  const known = resolved
+    .map((fix, idx) => (fix.altitudeM !== null ? idx : -1))
+    .filter((idx) => idx >= 0);
+  if (!known.length) {
+    const fallback = airportElevation;
+    resolved.forEach((fix) => {
+      fix.altitudeM = fallback;
+      fix.altitudeSource = 'unknown';
+    });
+  } else {
+    resolved.forEach((fix, idx) => {
+      if (fix.altitudeM !== null) return;
+      const before = known.filter((k) => k < idx).pop();
+      const after = known.find((k) => k > idx);
+      if (before === undefined) {
+        fix.altitudeM = resolved[after].altitudeM;
+      } else if (after === undefined) {
+        fix.altitudeM = resolved[before].altitudeM;
+      } else {
+        const a = resolved[before];
+        const b = resolved[after];
+        const f = (fix.alongTrackM - a.alongTrackM) / (b.alongTrackM - a.alongTrackM || 1);
+        fix.altitudeM = a.altitudeM + (b.altitudeM - a.altitudeM) * f;
+      }
+    });
+  }
+
+  // Keep unconstrained fixes from introducing a climb on an arrival
+  // (or a descent on a departure) between constrained neighbours
+  if (type !== 'SID') {
+    for (let i = resolved.length - 2; i >= 0; i--) {
+      if (!resolved[i].constraint) {
+        resolved[i].altitudeM = Math.max(resolved[i].altitudeM, resolved[i + 1].altitudeM);
+      }
+    }
+    for (let i = 1; i < resolved.length; i++) {
+      if (!resolved[i].constraint) {
+        resolved[i].altitudeM = Math.min(resolved[i].altitudeM, resolved[i - 1].altitudeM);
+      }
+    }
+  } else {
+    for (let i = 1; i < resolved.length; i++) {
+      if (!resolved[i].constraint) {
+        resolved[i].altitudeM = Math.max(resolved[i].altitudeM, resolved[i - 1].altitudeM);
+      }
+    }
+  }
+
+  resolved.forEach((fix) => {
+    fix.altitudeFt = Math.round(mToFt(fix.altitudeM));
+  });
+  return resolved;
+}
+
+// Interpolate a dense 3D path (lon, lat, altM) through the resolved fixes.
+// For approaches the final approach segment is extended from the last fix
+// down the glidepath to the threshold crossing height.
+export function buildVerticalPath(model, options) {
+  const fixes = resolveFixAltitudes(model, options);
+  const path = [];
+
+  const pushSegment = (a, b, altAt, final) => {
+    const length = distanceM(a.lon, a.lat, b.lon, b.lat);
+    const steps = Math.max(1, Math.ceil(length / PATH_STEP_M));
+    for (let s = path.length ? 1 : 0; s <= steps; s++) {
+      const f = s / steps;
+      const [lon, lat] = interpolate(a.lon, a.lat, b.lon, b.lat, f);
+      path.push({ lon, lat, altM: altAt(f), final });
+    }
+  };
+
+  for (let i = 1; i < fixes.length; i++) {
+    const a = fixes[i - 1];
+    const b = fixes[i];
+    // Fixes on the final segment already sit on the glidepath, so a linear
+    // blend between them is the constant-angle descent
+    pushSegment(a, b, (f) => a.altitudeM + (b.altitudeM - a.altitudeM) * f, a.final && b.final);
+  }
+  if (fixes.length === 1) {
+    path.push({ lon: fixes[0].lon, lat: fixes[0].lat, altM: fixes[0].altitudeM, final: fixes[0].final });
+  }
+
+  const finalSegment = [];
+  const last = fixes[fixes.length - 1];
+  if (model.type === 'APPROACH' && model.threshold && last && last.distToThrM > 1) {
+    // Computed final approach segment: from the last fix down to the threshold
+    const thr = model.threshold;
+    const startAlt = last.altitudeM;
+    const startGlide = glidepathAltitudeM(model, last.distToThrM);
+    const endAlt = thr.elevation + ftToM(model.tchFt);
+    const level = startAlt < startGlide;
+    const length = last.distToThrM;
+    const steps = Math.max(1, Math.ceil(length / PATH_STEP_M));
+    for (let s = 0; s <= steps; s++) {
+      const f = s / steps;
+      const [lon, lat] = interpolate(last.lon, last.lat, thr.lon, thr.lat, f);
+      const distToThr = length * (1 - f);
+      // Below the glidepath the aircraft holds altitude until it intercepts
+      // it; on or above it, it descends straight to the crossing height
+      const altM = level
+        ? Math.min(startAlt, glidepathAltitudeM(model, distToThr))
+        : startAlt + (endAlt - startAlt) * f;
+      finalSegment.push({ lon, lat, altM: Math.max(altM, endAlt) });
+    }
+  }
+
+  return { fixes, path, finalSegment };
+}
@@ -0,0 +1,78 @@
+import * as Cesium from 'cesium';
+import { limitHeight } from '../data/airspace';
+import { nmToM } from '../geo/units';
+import { tagFeature } from './features';
+
+// Per-class airspace styling, roughly following chart conventions
+export const AIRSPACE_STYLES = {
+  A: { css: '#D32F2F', alpha: 0.15, label: 'A등급' },
+  B: { css: '#1565C0', alpha: 0.15, label: 'B등급' },
+  C: { css: '#8E24AA', alpha: 0.15, label: 'C등급' },
+  D: { css: '#1E88E5', alpha: 0.12, label: 'D등급' },
+  E: { css: '#AB47BC', alpha: 0.08, label: 'E등급' },
+  F: { css: '#78909C', alpha: 0.08, label: 'F등급' },
+  G: { css: '#9E9E9E', alpha: 0.05, label: 'G등급' },
+};
+
+const UNCLASSIFIED = { css: '#E91E63', alpha: 0.2, label: '등급 미지정' };
+
+export const airspaceStyle = (cls) => AIRSPACE_STYLES[cls] || UNCLASSIFIED;
+
+// Airspace with live traffic inside it
+const OCCUPIED = { css: '#FF8A65', alpha: 0.25 };
+
+const heightReference = (aboveGround) =>
+  aboveGround ? Cesium.HeightReference.RELATIVE_TO_GROUND : Cesium.HeightReference.NONE;
+
+const hierarchy = (ring) => ring.map(([lon, lat]) => Cesium.Cartesian3.fromDegrees(lon, lat));
+
+// Extruded volume between the lower and upper limits. Ground-relative limits
+// (SFC, AGL) follow the terrain; AMSL and flight levels are absolute.
+export function addAirspaceEntity(entities, model) {
+  const style = airspaceStyle(model.cls);
+  const color = Cesium.Color.fromCssColorString(style.css);
+  const lower = limitHeight(model.lower);
+  const upper = limitHeight(model.upper);
+  const volume = {
+    material: color.withAlpha(style.alpha),
+    outline: true,
+    outlineColor: color,
+    height: lower.heightM,
+    heightReference: heightReference(lower.aboveGround),
+    extrudedHeight: upper.heightM,
+    extrudedHeightReference: heightReference(upper.aboveGround),
+  };
+
+  const shape = model.circle
+    ? {
+      position: Cesium.Cartesian3.fromDegrees(model.circle.center[0], model.circle.center[1]),
+      ellipse: {
+        ...volume,
+        semiMajorAxis: nmToM(model.circle.radius_nm),
+        semiMinorAxis: nmToM(model.circle.radius_nm),
+      },
+    }
+    : {
+      polygon: {
+        ...volume,
+        hierarchy: new Cesium.PolygonHierarchy(
+          hierarchy(model.outer),
+          model.holes.map((hole) => new Cesium.PolygonHierarchy(hierarchy(hole)))
+        ),
+      },
+    };
+
+  return tagFeature(entities.add({
+    name: model.name,
+    ...shape,
+  }), { kind: 'airspace', model, points: model.outer });
+}
+
+// Highlight an airspace entity while aircraft are inside it
+export function setAirspaceOccupied(entity, model, occupied) {
+  const style = occupied ? OCCUPIED : airspaceStyle(model.cls);
+  const color = Cesium.Color.fromCssColorString(style.css);
+  const volume = entity.ellipse || entity.polygon;
+  volume.material = color.withAlpha(style.alpha);
+  volume.outlineColor = color;
+}
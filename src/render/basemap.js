@@ -0,0 +1,169 @@
+import * as Cesium from 'cesium';
+import { createHgtTerrainProvider } from './hgtTerrain';
+
+// Base layers (terrain and imagery)
+//
+// public/basemap.json lists terrain and imagery sources in order of
+// preference; the first one that answers is used, so an air-gapped machine
+// falls through to its local tiles or, failing that, to a plain globe:
+//   {
+//     "terrain": [
+//       { "type": "quantized-mesh", "url": "/tiles/terrain" },
+//       { "type": "hgt", "url": "/tiles/srtm", "tiles": ["N35E129"] },
+//       { "type": "ellipsoid" }
+//     ],
+//     "imagery": [
+//       { "type": "mbtiles", "url": "/tiles/rkpu.mbtiles" },
+//       { "type": "xyz", "url": "/tiles/imagery/{z}/{x}/{y}.png", "maximumLevel": 16 },
+//       { "type": "osm", "url": "https://tile.openstreetmap.org/" }
+//     ]
+//   }
+// Terrain types: quantized-mesh and heightmap (Cesium terrain tile folders
+// with a layer.json), hgt (SRTM files) and ellipsoid. Imagery types:
+// mbtiles, xyz (URL template, {reverseY} for TMS folders), osm and none.
+
+export const BASEMAP_CONFIG_URL = '/basemap.json';
+
+export const DEFAULT_BASEMAP = {
+  terrain: [{ type: 'ellipsoid' }],
+  imagery: [{ type: 'osm', url: 'https://tile.openstreetmap.org/' }],
+};
+
+const SOURCE_LABELS = {
+  'quantized-mesh': 'Quantized-mesh 지형',
+  heightmap: 'Heightmap 지형',
+  hgt: 'SRTM 지형',
+  ellipsoid: '평면 타원체',
+  mbtiles: 'MBTiles 영상',
+  xyz: 'XYZ 타일 영상',
+  osm: 'OpenStreetMap',
+  none: '영상 없음',
+};
+
+// Remote sources are given up on quickly when there is no network
+const PROBE_TIMEOUT_MS = 5000;
+const PROBE_LEVEL = 12;
+
+export const sourceLabel = (source) => source.name || SOURCE_LABELS[source.type] || source.type;
+
+export async function loadBasemapConfig() {
+  try {
+    const response = await fetch(BASEMAP_CONFIG_URL);
+    if (!response.ok) return DEFAULT_BASEMAP;
+    const config = await response.json();
+    return {
+      terrain: config.terrain?.length ? config.terrain : DEFAULT_BASEMAP.terrain,
+      imagery: config.imagery?.length ? config.imagery : DEFAULT_BASEMAP.imagery,
+    };
+  } catch (err) {
+    return DEFAULT_BASEMAP;
+  }
+}
+
+// Fetch a URL and check it returned the expected kind of content. Dev
+// servers answer unknown paths with index.html, so HTML counts as missing.
+async function probe(url, contentPrefix) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  const type = response.headers.get('content-type') || '';
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  if (type.startsWith('text/html') || (contentPrefix && type && !type.startsWith(contentPrefix))) {
+    throw new Error(`예상하지 않은 응답 (${type})`);
+  }
+}
+
+// Web Mercator tile containing a position, for probing template sources
+function tileUrl(template, lon, lat, level) {
+  const n = 1 << level;
+  const x = Math.floor(((lon + 180) / 360) * n);
+  const rad = Cesium.Math.toRadians(lat);
+  const y = Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n);
+  return template
+    .replace('{z}', level)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{reverseY}', n - 1 - y)
+    .replace('{s}', 'a');
+}
+
+async function createTerrainProvider(source) {
+  switch (source.type) {
+    case 'quantized-mesh':
+    case 'heightmap':
+      return Cesium.CesiumTerrainProvider.fromUrl(source.url, {
+        requestVertexNormals: source.type === 'quantized-mesh',
+      });
+    case 'hgt':
+      if (!source.tiles?.length) throw new Error('tiles 목록 없음');
+      await probe(`${source.url}/${source.tiles[0]}.hgt`);
+      return createHgtTerrainProvider(source);
+    case 'ellipsoid':
+      return new Cesium.EllipsoidTerrainProvider();
+    default:
+      throw new Error(`알 수 없는 지형 유형 (${source.type})`);
+  }
+}
+
+async function createImageryProvider(source, at) {
+  switch (source.type) {
+    case 'mbtiles': {
+      // sql.js is only fetched when an MBTiles source is configured
+      const { loadMbtilesImagery } = await import('./mbtiles');
+      return loadMbtilesImagery(source.url);
+    }
+    case 'xyz': {
+      const level = Math.min(source.maximumLevel ?? PROBE_LEVEL, PROBE_LEVEL);
+      await probe(tileUrl(source.url, at.lon, at.lat, level), 'image/');
+      return new Cesium.UrlTemplateImageryProvider({
+        url: source.url,
+        minimumLevel: source.minimumLevel ?? 0,
+        maximumLevel: source.maximumLevel,
+        credit: source.credit,
+      });
+    }
+    case 'osm': {
+      const url = source.url || 'https://tile.openstreetmap.org/';
+      await probe(tileUrl(`${url.replace(/\/$/, '')}/{z}/{x}/{y}.png`, at.lon, at.lat, PROBE_LEVEL), 'image/');
+      return new Cesium.OpenStreetMapImageryProvider({ url });
+    }
+    case 'none':
+      return null;
+    default:
+      throw new Error(`알 수 없는 영상 유형 (${source.type})`);
+  }
+}
+
+// Try each source in turn. Returns the first provider that loads, the
+// source it came from and the reasons earlier sources were skipped.
+async function firstAvailable(sources, create) {
+  const skipped = [];
+  for (const source of sources) {
+    try {
+      const provider = await create(source);
+      return { provider, source, skipped };
+    } catch (err) {
+      skipped.push({ source, reason: err.message });
+    }
+  }
+  return { provider: null, source: null, skipped };
+}
+
+export function resolveTerrain(sources) {
+  return firstAvailable([...sources, { type: 'ellipsoid' }], createTerrainProvider);
+}
+
+// `at` is the position used to probe tile templates (the aerodrome)
+export function resolveImagery(sources, at) {
+  return firstAvailable(sources, (source) => createImageryProvider(source, at));
+}
+
+// Terrain height in metres under each { lon, lat }; zero on the ellipsoid
+export async function sampleHeights(terrainProvider, points) {
+  if (!points.length || terrainProvider instanceof Cesium.EllipsoidTerrainProvider) {
+    return points.map(() => 0);
+  }
+  const cartographics = points.map(({ lon, lat }) => Cesium.Cartographic.fromDegrees(lon, lat));
+  const sampled = terrainProvider.availability
+    ? await Cesium.sampleTerrainMostDetailed(terrainProvider, cartographics)
+    : await Cesium.sampleTerrain(terrainProvider, 13, cartographics);
+  return sampled.map((c) => c.height || 0);
+}
@@ -0,0 +1,45 @@
+import * as Cesium from 'cesium';
+
+// Colour grade by deviation relative to tolerance (1 = at the limit)
+export const CONFORMANCE_GRADES = [
+  { below: 0.5, color: '#00E676' },
+  { below: 0.8, color: '#C6FF00' },
+  { below: 1, color: '#FFEA00' },
+  { below: 1.5, color: '#FF9100' },
+  { below: Infinity, color: '#FF1744' },
+];
+
+export const gradeColor = (ratio) => CONFORMANCE_GRADES.find((grade) => ratio < grade.below).color;
+
+// Draw an analysed track as polylines coloured by conformance grade. Runs of
+// samples with the same grade share one polyline; each run also takes the
+// first point of the next so the line stays continuous.
+export function addConformanceEntities(entities, analysis, name) {
+  const runs = [];
+  analysis.samples.forEach((sample) => {
+    const color = gradeColor(sample.ratio);
+    const last = runs[runs.length - 1];
+    if (last && last.color === color) {
+      last.samples.push(sample);
+    } else {
+      if (last) last.samples.push(sample);
+      runs.push({ color, samples: [sample] });
+    }
+  });
+
+  return runs
+    .filter((run) => run.samples.length >= 2)
+    .map((run) => entities.add({
+      name: `${name} 적합성`,
+      polyline: {
+        positions: run.samples.map((s) => Cesium.Cartesian3.fromDegrees(s.lon, s.lat, s.altM)),
+        width: 5,
+        material: Cesium.Color.fromCssColorString(run.color),
+      },
+      description: `
+        <h3>${name}</h3>
+        <p><strong>횡방향 편차:</strong> ${Math.round(Math.max(...run.samples.map((s) => Math.abs(s.xtkM))))}m (최대)</p>
+        <p><strong>수직 편차:</strong> ${Math.round(Math.max(...run.samples.map((s) => Math.abs(s.vdevFt))))}ft (최대)</p>
+      `,
+    }));
+}
@@ -0,0 +1,59 @@
+import * as Cesium from 'cesium';
+import { destination } from '../geo/geodesy';
+import { ftToM } from '../geo/units';
+
+export const COVERAGE_COLORS = {
+  covered: '#69F0AE',
+  shadow: '#FF5252',
+  outside: '#9AA0A6',
+};
+
+// Coverage analysis in 3D: the runs of cells with the shown status
+// ('covered' or 'shadow') as slabs one grid step thick at each level, and
+// every analysed fix coloured by whether it receives the navaid
+export function addCoverageEntities(entities, navaid, analysis, show, stepFt) {
+  const color = Cesium.Color.fromCssColorString(COVERAGE_COLORS[show]);
+  const material = color.withAlpha(show === 'shadow' ? 0.35 : 0.15);
+  const halfStepM = ftToM(stepFt) / 2;
+
+  analysis.levels.forEach((level) => {
+    const altM = ftToM(level.altFt);
+    level.runs
+      .filter((run) => run.status === show)
+      .forEach((run) => {
+        const corner = (offset, d) => destination(navaid.lon, navaid.lat, (run.bearing + offset + 360) % 360, d);
+        const half = run.step / 2;
+        const ring = [corner(-half, run.fromM), corner(-half, run.toM), corner(half, run.toM), corner(half, run.fromM)];
+        entities.add({
+          name: `${navaid.ident} ${show === 'shadow' ? '음영' : '수신'} ${level.altFt}ft`,
+          polygon: {
+            hierarchy: Cesium.Cartesian3.fromDegreesArray(ring.flat()),
+            height: altM - halfStepM,
+            extrudedHeight: altM + halfStepM,
+            material,
+          },
+          description: `
+            <h3>${navaid.kind} ${navaid.ident}</h3>
+            <p><strong>고도:</strong> ${level.altFt}ft</p>
+            <p><strong>방위:</strong> ${Math.round(run.bearing)}°T</p>
+            ${run.blocker ? `<p><strong>차폐:</strong> ${run.blocker.obstacle ? `장애물 #${run.blocker.obstacle.id}` : '지형'}</p>` : ''}
+          `,
+        });
+      });
+  });
+
+  analysis.fixes.forEach((fix) => {
+    const fixColor = Cesium.Color.fromCssColorString(COVERAGE_COLORS[fix.status]);
+    entities.add({
+      name: `${fix.name} ${fix.altFt}ft`,
+      position: Cesium.Cartesian3.fromDegrees(fix.lon, fix.lat, ftToM(fix.altFt)),
+      point: {
+        pixelSize: 8,
+        color: fixColor,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 1,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+  });
+}
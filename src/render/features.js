@@ -0,0 +1,62 @@
+import * as Cesium from 'cesium';
+
+// Typed records behind selectable entities
+//
+// Render code tags each entity with what it shows ({ kind: 'waypoint', ... })
+// and the inspector panel reads the record back for the selected entity,
+// instead of parsing HTML descriptions. Line and area features also carry
+// their outline as `points` ([lon, lat] pairs) so they can be flown to.
+
+const features = new WeakMap();
+
+export function tagFeature(entity, feature) {
+  features.set(entity, feature);
+  return entity;
+}
+
+export const featureOf = (entity) => (entity ? features.get(entity) : undefined);
+
+// Stable id of a feature across reloads, used in links and bookmarks
+export function featureKey(feature) {
+  switch (feature.kind) {
+    case 'waypoint':
+      return `wp:${feature.name}`;
+    case 'obstacle':
+      return `obs:${feature.obstacle.id}`;
+    case 'airspace':
+      return `as:${feature.model.name}`;
+    case 'procedure':
+      return `proc:${feature.procType}:${feature.proc.name}`;
+    case 'fix':
+      return `fix:${feature.procName}:${feature.name}`;
+    case 'leg':
+      return `leg:${feature.procType}:${feature.legName}`;
+    default:
+      return null;
+  }
+}
+
+// Bounding sphere to frame a feature with the camera
+export function featureSphere(feature) {
+  if (feature.points && feature.points.length) {
+    return Cesium.BoundingSphere.fromPoints(
+      feature.points.map(([lon, lat]) => Cesium.Cartesian3.fromDegrees(lon, lat))
+    );
+  }
+  switch (feature.kind) {
+    case 'waypoint':
+      return new Cesium.BoundingSphere(
+        Cesium.Cartesian3.fromDegrees(feature.wp.lon, feature.wp.lat, feature.wp.altitude ?? 0), 300
+      );
+    case 'obstacle': {
+      const obs = feature.obstacle;
+      return new Cesium.BoundingSphere(
+        Cesium.Cartesian3.fromDegrees(obs.lon, obs.lat, (obs.groundElevation + obs.elevation) / 2), 400
+      );
+    }
+    default:
+      return new Cesium.BoundingSphere(
+        Cesium.Cartesian3.fromDegrees(feature.lon, feature.lat, feature.altM ?? 0), 300
+      );
+  }
+}
@@ -0,0 +1,53 @@
+import * as Cesium from 'cesium';
+import { aircraftIcon } from './symbols';
+
+// Camera and aircraft marker for the procedure flythrough (geo/flythrough.js)
+
+// Eye height above the path in the cockpit view
+const EYE_HEIGHT_M = 3;
+// Chase camera: behind and above the aircraft
+const CHASE_RANGE_M = 600;
+const CHASE_PITCH_DEG = -12;
+
+export const FLYTHROUGH_COLOR = '#FFFFFF';
+
+export function setFlythroughCamera(camera, state, view) {
+  const heading = Cesium.Math.toRadians(state.heading);
+  if (view === 'cockpit') {
+    camera.lookAtTransform(Cesium.Matrix4.IDENTITY);
+    camera.setView({
+      destination: Cesium.Cartesian3.fromDegrees(state.lon, state.lat, state.altM + EYE_HEIGHT_M),
+      orientation: { heading, pitch: Cesium.Math.toRadians(state.flightPathAngle), roll: 0 },
+    });
+  } else {
+    camera.lookAt(
+      Cesium.Cartesian3.fromDegrees(state.lon, state.lat, state.altM),
+      new Cesium.HeadingPitchRange(heading, Cesium.Math.toRadians(CHASE_PITCH_DEG), CHASE_RANGE_M)
+    );
+  }
+}
+
+// Hand the camera back to the mouse after a chase view
+export function releaseFlythroughCamera(camera) {
+  camera.lookAtTransform(Cesium.Matrix4.IDENTITY);
+}
+
+// Aircraft billboard following the state returned by `getState`
+export function addFlythroughAircraft(entities, getState) {
+  return entities.add({
+    name: '절차 비행',
+    position: new Cesium.CallbackProperty(() => {
+      const state = getState();
+      return state ? Cesium.Cartesian3.fromDegrees(state.lon, state.lat, state.altM) : undefined;
+    }, false),
+    billboard: {
+      image: aircraftIcon(FLYTHROUGH_COLOR),
+      alignedAxis: Cesium.Cartesian3.UNIT_Z,
+      rotation: new Cesium.CallbackProperty(() => {
+        const state = getState();
+        return state ? -Cesium.Math.toRadians(state.heading) : 0;
+      }, false),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+}
@@ -0,0 +1,140 @@
+import * as Cesium from 'cesium';
+
+// Terrain provider backed by SRTM .hgt files
+//
+// Each file covers one degree cell named after its south-west corner
+// (N35E129.hgt) and holds big-endian int16 heights in metres, 1201 x 1201
+// samples for 3" data or 3601 x 3601 for 1" data, north row first. Files are
+// fetched on demand from `${url}/<name>.hgt`; cells not listed in `tiles` are
+// treated as sea level so missing files are never requested.
+
+const GRID_SIZE = 65;
+const VOID = -32768;
+
+export function hgtName(lon, lat) {
+  const latCell = Math.floor(lat);
+  const lonCell = Math.floor(lon);
+  const ns = latCell >= 0 ? 'N' : 'S';
+  const ew = lonCell >= 0 ? 'E' : 'W';
+  return `${ns}${String(Math.abs(latCell)).padStart(2, '0')}${ew}${String(Math.abs(lonCell)).padStart(3, '0')}`;
+}
+
+// Decode an .hgt file into a row-major Int16Array
+export function parseHgt(buffer) {
+  const count = buffer.byteLength / 2;
+  const size = Math.round(Math.sqrt(count));
+  if (size * size !== count) throw new Error(`HGT 크기 오류 (${buffer.byteLength} bytes)`);
+  const view = new DataView(buffer);
+  const heights = new Int16Array(count);
+  for (let i = 0; i < count; i++) heights[i] = view.getInt16(i * 2, false);
+  return { size, heights };
+}
+
+// Bilinear height inside a cell; voids count as sea level
+function cellHeight(cell, lon, lat) {
+  const { size, heights, west, south } = cell;
+  const col = Math.min(size - 1, Math.max(0, (lon - west) * (size - 1)));
+  const row = Math.min(size - 1, Math.max(0, (south + 1 - lat) * (size - 1)));
+  const c0 = Math.floor(col);
+  const r0 = Math.floor(row);
+  const c1 = Math.min(size - 1, c0 + 1);
+  const r1 = Math.min(size - 1, r0 + 1);
+  const sample = (r, c) => {
+    const h = heights[r * size + c];
+    return h === VOID ? 0 : h;
+  };
+  const fc = col - c0;
+  const fr = row - r0;
+  const top = sample(r0, c0) * (1 - fc) + sample(r0, c1) * fc;
+  const bottom = sample(r1, c0) * (1 - fc) + sample(r1, c1) * fc;
+  return top * (1 - fr) + bottom * fr;
+}
+
+export function createHgtTerrainProvider({ url, tiles = [], maximumLevel = 14 }) {
+  const available = new Set(tiles);
+  const cells = new Map();
+  const tilingScheme = new Cesium.GeographicTilingScheme();
+  const levelZeroError = Cesium.TerrainProvider.getEstimatedLevelZeroGeometricErrorForAHeightmap(
+    tilingScheme.ellipsoid,
+    GRID_SIZE,
+    tilingScheme.getNumberOfXTilesAtLevel(0)
+  );
+
+  const loadCell = (name) => {
+    if (!cells.has(name)) {
+      const [, ns, lat, ew, lon] = /^([NS])(\d+)([EW])(\d+)$/.exec(name);
+      const promise = fetch(`${url}/${name}.hgt`)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then((buffer) => ({
+          ...parseHgt(buffer),
+          south: ns === 'N' ? Number(lat) : -Number(lat),
+          west: ew === 'E' ? Number(lon) : -Number(lon),
+        }))
+        .catch((err) => {
+          console.warn(`${name}.hgt 로드 실패: ${err.message}`);
+          return null;
+        });
+      cells.set(name, promise);
+    }
+    return cells.get(name);
+  };
+
+  return {
+    tilingScheme,
+    errorEvent: new Cesium.Event(),
+    credit: new Cesium.Credit('SRTM'),
+    hasWaterMask: false,
+    hasVertexNormals: false,
+    availability: undefined,
+
+    requestTileGeometry(x, y, level) {
+      const rect = tilingScheme.tileXYToRectangle(x, y, level);
+      const west = Cesium.Math.toDegrees(rect.west);
+      const east = Cesium.Math.toDegrees(rect.east);
+      const north = Cesium.Math.toDegrees(rect.north);
+      const south = Cesium.Math.toDegrees(rect.south);
+
+      const samples = [];
+      for (let r = 0; r < GRID_SIZE; r++) {
+        for (let c = 0; c < GRID_SIZE; c++) {
+          const lon = west + ((east - west) * c) / (GRID_SIZE - 1);
+          const lat = north - ((north - south) * r) / (GRID_SIZE - 1);
+          // Cell edges are shared, so the east and north borders use the
+          // cell on the inside of the tile
+          samples.push({ lon, lat, name: hgtName(Math.min(lon, east - 1e-9), Math.max(lat, south + 1e-9)) });
+        }
+      }
+      const names = [...new Set(samples.map((s) => s.name))].filter((name) => available.has(name));
+
+      return Promise.all(names.map(loadCell)).then((loaded) => {
+        const byName = new Map(names.map((name, idx) => [name, loaded[idx]]));
+        const buffer = new Float32Array(GRID_SIZE * GRID_SIZE);
+        samples.forEach((s, idx) => {
+          const cell = byName.get(s.name);
+          buffer[idx] = cell ? cellHeight(cell, s.lon, s.lat) : 0;
+        });
+        return new Cesium.HeightmapTerrainData({
+          buffer,
+          width: GRID_SIZE,
+          height: GRID_SIZE,
+          childTileMask: level < maximumLevel ? 15 : 0,
+        });
+      });
+    },
+
+    getLevelMaximumGeometricError(level) {
+      return levelZeroError / (1 << level);
+    },
+
+    getTileDataAvailable(x, y, level) {
+      return level <= maximumLevel;
+    },
+
+    loadTileDataAvailability() {
+      return undefined;
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import * as Cesium from 'cesium';
+import initSqlJs from 'sql.js';
+import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm?url';
+
+// Imagery provider reading tiles from an MBTiles file
+//
+// The whole file is fetched and opened in memory with sql.js, so it suits
+// the aerodrome-sized extracts carried on briefing laptops rather than
+// country-wide tile sets. MBTiles rows use TMS numbering (row 0 at the south).
+
+const SQLITE_HEADER = 'SQLite format 3';
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+let emptyTile = null;
+const blankTile = () => {
+  if (!emptyTile) {
+    emptyTile = document.createElement('canvas');
+    emptyTile.width = 256;
+    emptyTile.height = 256;
+  }
+  return emptyTile;
+};
+
+export async function loadMbtilesImagery(url) {
+  const [SQL, buffer] = await Promise.all([
+    initSqlJs({ locateFile: () => sqlWasmUrl }),
+    fetch(url).then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.arrayBuffer();
+    }),
+  ]);
+  const header = new TextDecoder().decode(new Uint8Array(buffer, 0, SQLITE_HEADER.length));
+  if (header !== SQLITE_HEADER) throw new Error('MBTiles(SQLite) 파일이 아님');
+
+  const db = new SQL.Database(new Uint8Array(buffer));
+  const metadata = Object.fromEntries(db.exec('SELECT name, value FROM metadata')[0]?.values || []);
+  const statement = db.prepare(
+    'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+  );
+  const mime = MIME_TYPES[(metadata.format || 'png').toLowerCase()] || 'image/png';
+  const tilingScheme = new Cesium.WebMercatorTilingScheme();
+  const bounds = metadata.bounds ? metadata.bounds.split(',').map(Number) : null;
+
+  return {
+    name: metadata.name || url,
+    tilingScheme,
+    rectangle: bounds && bounds.every(Number.isFinite)
+      ? Cesium.Rectangle.fromDegrees(...bounds)
+      : tilingScheme.rectangle,
+    tileWidth: 256,
+    tileHeight: 256,
+    minimumLevel: Number(metadata.minzoom) || 0,
+    maximumLevel: Number.isFinite(Number(metadata.maxzoom)) ? Number(metadata.maxzoom) : 18,
+    tileDiscardPolicy: undefined,
+    errorEvent: new Cesium.Event(),
+    credit: metadata.attribution ? new Cesium.Credit(metadata.attribution) : undefined,
+    proxy: undefined,
+    hasAlphaChannel: mime === 'image/png',
+
+    getTileCredits() {
+      return undefined;
+    },
+
+    requestImage(x, y, level) {
+      const row = (1 << level) - 1 - y;
+      statement.bind([level, x, row]);
+      const data = statement.step() ? statement.get()[0] : null;
+      statement.reset();
+      if (!data) return Promise.resolve(blankTile());
+      return createImageBitmap(new Blob([data], { type: mime }));
+    },
+
+    pickFeatures() {
+      return undefined;
+    },
+  };
+}
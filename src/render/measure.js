@@ -0,0 +1,138 @@
+import * as Cesium from 'cesium';
+import { featureOf } from './features';
+
+const MEASURE_COLOR = Cesium.Color.fromCssColorString('#00E5FF');
+const CLEARANCE_COLOR = Cesium.Color.fromCssColorString('#FFEA00');
+
+// Clicks further than this from a procedure line on screen miss it
+const PROFILE_PICK_PIXELS = 20;
+
+export const formatBearing = (deg) => String(Math.round(deg) % 360).padStart(3, '0');
+
+const toPoint = (cartesian) => {
+  const carto = Cesium.Cartographic.fromCartesian(cartesian);
+  return {
+    lon: Cesium.Math.toDegrees(carto.longitude),
+    lat: Cesium.Math.toDegrees(carto.latitude),
+    altM: carto.height,
+  };
+};
+
+// Point on a 3D profile ({ lon, lat, altM }[]) under a window position,
+// matched in screen space so it is the part of the line the user clicked
+// rather than the ground behind it
+function pickProfilePoint(scene, profile, windowPosition) {
+  const onScreen = profile.map((p) => Cesium.SceneTransforms.worldToWindowCoordinates(
+    scene,
+    Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.altM)
+  ));
+  let best = null;
+  for (let i = 0; i < profile.length - 1; i++) {
+    const a = onScreen[i];
+    const b = onScreen[i + 1];
+    if (!a || !b) continue;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq
+      ? Math.min(1, Math.max(0, ((windowPosition.x - a.x) * dx + (windowPosition.y - a.y) * dy) / lengthSq))
+      : 0;
+    const pixels = Math.hypot(windowPosition.x - (a.x + t * dx), windowPosition.y - (a.y + t * dy));
+    if (!best || pixels < best.pixels) best = { pixels, i, t };
+  }
+  if (!best || best.pixels > PROFILE_PICK_PIXELS) return null;
+  const a = profile[best.i];
+  const b = profile[best.i + 1];
+  return {
+    lon: a.lon + best.t * (b.lon - a.lon),
+    lat: a.lat + best.t * (b.lat - a.lat),
+    altM: a.altM + best.t * (b.altM - a.altM),
+  };
+}
+
+// Position under a click for measuring: the top of a picked obstacle, a
+// point on a picked procedure line, a picked marker, or the terrain.
+// Returns { lon, lat, altM, label, kind } or null, with `kind` one of
+// 'obstacle', 'procedure', 'marker' or 'terrain'.
+export function pickMeasurePoint(viewer, windowPosition) {
+  const { scene } = viewer;
+  const picked = scene.pick(windowPosition);
+  const entity = picked && picked.id instanceof Cesium.Entity ? picked.id : null;
+  const feature = featureOf(entity);
+
+  if (feature && feature.kind === 'obstacle') {
+    const obs = feature.obstacle;
+    return { lon: obs.lon, lat: obs.lat, altM: obs.elevation, label: `장애물 #${obs.id}`, kind: 'obstacle' };
+  }
+  if (feature && feature.profile) {
+    const point = pickProfilePoint(scene, feature.profile, windowPosition);
+    if (point) return { ...point, label: feature.proc.name, kind: 'procedure' };
+  }
+  const position = entity && entity.position && entity.position.getValue(viewer.clock.currentTime);
+  if (position) return { ...toPoint(position), label: entity.name, kind: 'marker' };
+
+  const ground = scene.globe.pick(scene.camera.getPickRay(windowPosition), scene);
+  return ground ? { ...toPoint(ground), label: '지표', kind: 'terrain' } : null;
+}
+
+const label = (point, text) => ({
+  position: Cesium.Cartesian3.fromDegrees(point.lon, point.lat, point.altM),
+  label: {
+    text,
+    font: '12px sans-serif',
+    fillColor: Cesium.Color.WHITE,
+    outlineColor: Cesium.Color.BLACK,
+    outlineWidth: 2,
+    style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+    verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+    pixelOffset: new Cesium.Cartesian2(0, -10),
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  },
+});
+
+const marker = (point, text, color) => ({
+  ...label(point, text),
+  point: {
+    pixelSize: 8,
+    color,
+    outlineColor: Cesium.Color.BLACK,
+    outlineWidth: 1,
+    disableDepthTestDistance: Number.POSITIVE_INFINITY,
+  },
+});
+
+const line = (a, b, color, dashed) => ({
+  polyline: {
+    positions: [
+      Cesium.Cartesian3.fromDegrees(a.lon, a.lat, a.altM),
+      Cesium.Cartesian3.fromDegrees(b.lon, b.lat, b.altM),
+    ],
+    width: 2,
+    material: dashed ? new Cesium.PolylineDashMaterialProperty({ color, dashLength: 12 }) : color,
+    depthFailMaterial: color.withAlpha(0.4),
+  },
+});
+
+// Picked points joined by a line labelled with the measurement at its midpoint
+export function addMeasureEntities(entities, points, result) {
+  points.forEach((point, idx) => entities.add(marker(point, idx ? 'B' : 'A', MEASURE_COLOR)));
+  if (!result) return;
+  const [a, b] = points;
+  entities.add(line(a, b, MEASURE_COLOR));
+  entities.add(label(
+    { lon: (a.lon + b.lon) / 2, lat: (a.lat + b.lat) / 2, altM: (a.altM + b.altM) / 2 },
+    `${result.distanceNm.toFixed(2)}NM ${formatBearing(result.trueBearing)}°T`
+  ));
+}
+
+// Probe point on a procedure, a dashed level line out to the controlling
+// obstacle and the vertical clearance down to its top
+export function addClearanceEntities(entities, probe, clearance) {
+  entities.add(marker(probe, clearance ? `${Math.round(clearance.clearanceM)}m` : '장애물 없음', CLEARANCE_COLOR));
+  if (!clearance) return;
+  const { obstacle } = clearance;
+  const top = { lon: obstacle.lon, lat: obstacle.lat, altM: obstacle.elevation };
+  const above = { ...top, altM: probe.altM };
+  entities.add(line(probe, above, CLEARANCE_COLOR, true));
+  entities.add(line(above, top, CLEARANCE_COLOR));
+}
@@ -0,0 +1,95 @@
+import * as Cesium from 'cesium';
+import { destination } from '../geo/geodesy';
+import { ftToM, nmToM } from '../geo/units';
+import { antennaHeightM, NAVAID_KINDS } from '../data/navaids';
+
+const ARC_STEP_DEG = 2;
+
+// Sector outline from the antenna: out along one edge, round the arc and back
+function sectorRing(navaid, halfAngle, rangeM) {
+  const centre = navaid.course + 180;
+  const ring = [[navaid.lon, navaid.lat]];
+  for (let offset = -halfAngle; offset <= halfAngle + 1e-6; offset += Math.min(ARC_STEP_DEG, halfAngle)) {
+    ring.push(destination(navaid.lon, navaid.lat, (centre + offset + 360) % 360, rangeM));
+  }
+  return ring;
+}
+
+// Navaid symbol with its identifier and frequency, and its service volume:
+// a cylinder to the ceiling for VOR, DME and NDB, the course sectors up to
+// the upper coverage angle for a localizer or glide slope
+export function addNavaidEntities(entities, navaid, groundM = 0) {
+  const color = Cesium.Color.fromCssColorString(NAVAID_KINDS[navaid.kind].color);
+  const siteM = navaid.siteElevationM ?? groundM;
+  const description = `
+    <h3>${navaid.kind} ${navaid.ident}</h3>
+    ${navaid.name ? `<p><strong>명칭:</strong> ${navaid.name}</p>` : ''}
+    ${navaid.frequency ? `<p><strong>주파수:</strong> ${navaid.frequency}</p>` : ''}
+    ${navaid.runway ? `<p><strong>활주로:</strong> ${navaid.runway}</p>` : ''}
+    ${navaid.angle ? `<p><strong>활공각:</strong> ${navaid.angle.toFixed(2)}°</p>` : ''}
+    <p><strong>표고:</strong> ${Math.round(siteM)}m</p>
+  `;
+
+  entities.add({
+    name: `${navaid.kind} ${navaid.ident}`,
+    position: Cesium.Cartesian3.fromDegrees(navaid.lon, navaid.lat, siteM + antennaHeightM(navaid)),
+    point: {
+      pixelSize: 9,
+      color,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 1,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+    label: {
+      text: `${navaid.ident} ${navaid.kind}\n${navaid.frequency || ''}`,
+      font: '11px sans-serif',
+      fillColor: color,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 2,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      pixelOffset: new Cesium.Cartesian2(0, -12),
+      distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 150000),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+    description,
+  });
+
+  const { coverage } = navaid;
+  if (!coverage.sectors) {
+    const radius = nmToM(coverage.rangeNm);
+    entities.add({
+      name: `${navaid.kind} ${navaid.ident} 서비스 범위`,
+      position: Cesium.Cartesian3.fromDegrees(navaid.lon, navaid.lat),
+      ellipse: {
+        semiMajorAxis: radius,
+        semiMinorAxis: radius,
+        height: siteM,
+        extrudedHeight: ftToM(coverage.ceilingFt),
+        fill: false,
+        outline: true,
+        outlineColor: color.withAlpha(0.5),
+        numberOfVerticalLines: 8,
+      },
+      description,
+    });
+    return;
+  }
+
+  coverage.sectors.forEach(({ halfAngle, rangeNm }) => {
+    const rangeM = nmToM(rangeNm);
+    const topM = siteM + rangeM * Math.tan((coverage.maxElevationDeg * Math.PI) / 180);
+    entities.add({
+      name: `${navaid.kind} ${navaid.ident} 서비스 범위 ±${halfAngle}°`,
+      polygon: {
+        hierarchy: Cesium.Cartesian3.fromDegreesArray(sectorRing(navaid, halfAngle, rangeM).flat()),
+        height: siteM,
+        extrudedHeight: topM,
+        material: color.withAlpha(0.06),
+        outline: true,
+        outlineColor: color.withAlpha(0.5),
+      },
+      description,
+    });
+  });
+}
@@ -0,0 +1,92 @@
+import * as Cesium from 'cesium';
+import { tagFeature } from './features';
+
+// 3D symbol per obstacle type, sized in metres. Each stands on the ground
+// elevation and reaches the top elevation of the obstacle.
+export const OBSTACLE_SYMBOLS = {
+  Building: { shape: 'box', width: 24 },
+  Tower: { shape: 'cylinder', topRadius: 1.5, bottomRadius: 5 },
+  Natural: { shape: 'cylinder', topRadius: 0, bottomRadius: 60 },
+  Tree: { shape: 'cylinder', topRadius: 0, bottomRadius: 6 },
+  Navaid: { shape: 'cylinder', topRadius: 4, bottomRadius: 8 },
+  ETC: { shape: 'cylinder', topRadius: 8, bottomRadius: 8 },
+};
+
+// Red and white bands, as painted on marked obstacles
+const markingMaterial = () => new Cesium.StripeMaterialProperty({
+  evenColor: Cesium.Color.fromCssColorString('#FF3D00'),
+  oddColor: Cesium.Color.WHITE,
+  orientation: Cesium.StripeOrientation.HORIZONTAL,
+  repeat: 6,
+});
+
+// Symbol and (for lit obstacles) a top light for a resolved obstacle
+// (see data/obstacles.js). `depth` is the worst surface penetration, if any;
+// penetrating obstacles are drawn in `color` with a yellow outline. Both
+// entities carry the obstacle and its surface `hits` for the inspector.
+export function addObstacleEntities(entities, obs, { color, depth, hits }) {
+  const symbol = OBSTACLE_SYMBOLS[obs.type] || OBSTACLE_SYMBOLS.ETC;
+  const height = Math.max(obs.heightAgl, 1);
+  let material = color.withAlpha(depth ? 0.9 : 0.8);
+  if (obs.marked && !depth) material = markingMaterial();
+  const outlineColor = depth ? Cesium.Color.YELLOW : color;
+
+  const shape = symbol.shape === 'box'
+    ? {
+      box: {
+        dimensions: new Cesium.Cartesian3(symbol.width, symbol.width, height),
+        material,
+        outline: true,
+        outlineColor,
+      },
+    }
+    : {
+      cylinder: {
+        length: height,
+        topRadius: symbol.topRadius,
+        bottomRadius: symbol.bottomRadius,
+        material,
+        outline: true,
+        outlineColor,
+      },
+    };
+
+  const added = [
+    entities.add({
+      name: `장애물 #${obs.id}`,
+      position: Cesium.Cartesian3.fromDegrees(obs.lon, obs.lat, obs.groundElevation + height / 2),
+      ...shape,
+    }),
+  ];
+
+  // Obstacle light on the top
+  if (obs.lighted) {
+    added.push(entities.add({
+      name: `장애물 #${obs.id} 조명`,
+      position: Cesium.Cartesian3.fromDegrees(obs.lon, obs.lat, obs.groundElevation + height),
+      point: {
+        pixelSize: 6,
+        color: Cesium.Color.RED,
+        outlineColor: Cesium.Color.WHITE,
+        outlineWidth: 1,
+        distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 20000),
+      },
+    }));
+  }
+  return added.map((entity) => tagFeature(entity, { kind: 'obstacle', obstacle: obs, hits }));
+}
+
+// Marker and ID label on top of the obstacle for the batched point layer
+// (see pointLayer.js); `entity` is its symbol, selected when picked
+export function obstaclePoint(obs, entity, { color, depth }) {
+  return {
+    id: entity,
+    position: Cesium.Cartesian3.fromDegrees(obs.lon, obs.lat, obs.elevation),
+    color,
+    pixelSize: 5,
+    text: depth ? `#${obs.id} ▲${depth.toFixed(1)}m` : `#${obs.id}`,
+    font: '10px sans-serif',
+    labelOffset: new Cesium.Cartesian2(0, -10),
+    labelDistance: new Cesium.DistanceDisplayCondition(0, 20000),
+  };
+}
@@ -0,0 +1,178 @@
+import * as Cesium from 'cesium';
+
+// Entities for user overlay layers (data/overlays.js). Features without
+// altitudes follow the terrain; with altitudes they are drawn where the file
+// puts them. A non-zero extrusion turns points into columns, lines into
+// walls or fences and polygons into volumes of that height.
+
+const COLUMN_RADIUS = 25;
+const FENCE_WIDTH = 15;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+const hasAltitude = (coordinates) => coordinates.every((p) => p[2] !== null);
+
+const heightReference = (aboveGround) =>
+  aboveGround ? Cesium.HeightReference.RELATIVE_TO_GROUND : Cesium.HeightReference.NONE;
+
+function description(layer, feature) {
+  const rows = Object.entries(feature.properties || {})
+    .filter(([, value]) => value !== null && value !== '' && typeof value !== 'object')
+    .map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  return `
+    <p><strong>레이어:</strong> ${escapeHtml(layer.name)} (${layer.format})</p>
+    ${rows ? `<table class="cesium-infoBox-defaultTable">${rows}</table>` : ''}
+  `;
+}
+
+function pointGraphics(feature, color, fill, extrusionM) {
+  const [lon, lat, alt] = feature.coordinates;
+  const onGround = alt === null;
+  const base = onGround ? 0 : alt;
+  const graphics = {
+    position: Cesium.Cartesian3.fromDegrees(lon, lat, base + extrusionM),
+    point: {
+      pixelSize: 8,
+      color,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 1,
+      heightReference: heightReference(onGround),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  };
+  if (feature.name) {
+    graphics.label = {
+      text: feature.name,
+      font: '11px sans-serif',
+      fillColor: color.withAlpha(1),
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 2,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      pixelOffset: new Cesium.Cartesian2(0, -10),
+      heightReference: graphics.point.heightReference,
+      distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 50000),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    };
+  }
+  if (extrusionM > 0) {
+    return [
+      graphics,
+      {
+        position: Cesium.Cartesian3.fromDegrees(lon, lat, base + extrusionM / 2),
+        cylinder: {
+          length: extrusionM,
+          topRadius: COLUMN_RADIUS,
+          bottomRadius: COLUMN_RADIUS,
+          material: fill,
+          heightReference: graphics.point.heightReference,
+        },
+      },
+    ];
+  }
+  return [graphics];
+}
+
+function lineGraphics(feature, color, fill, extrusionM) {
+  const { coordinates } = feature;
+  const absolute = hasAltitude(coordinates);
+  if (extrusionM > 0 && absolute) {
+    return [{
+      wall: {
+        positions: coordinates.map(([lon, lat, alt]) => Cesium.Cartesian3.fromDegrees(lon, lat, alt + extrusionM)),
+        minimumHeights: coordinates.map((p) => p[2]),
+        material: fill,
+        outline: true,
+        outlineColor: color,
+      },
+    }];
+  }
+  if (extrusionM > 0) {
+    return [{
+      corridor: {
+        positions: coordinates.map(([lon, lat]) => Cesium.Cartesian3.fromDegrees(lon, lat)),
+        width: FENCE_WIDTH,
+        height: 0,
+        heightReference: heightReference(true),
+        extrudedHeight: extrusionM,
+        extrudedHeightReference: heightReference(true),
+        material: fill,
+      },
+    }];
+  }
+  return [{
+    polyline: {
+      positions: coordinates.map(([lon, lat, alt]) => Cesium.Cartesian3.fromDegrees(lon, lat, absolute ? alt : 0)),
+      width: 3,
+      material: color,
+      clampToGround: !absolute,
+    },
+  }];
+}
+
+function polygonGraphics(feature, color, fill, extrusionM) {
+  const [outer, ...holes] = feature.coordinates;
+  const absolute = feature.coordinates.every(hasAltitude);
+  const positions = (ring) =>
+    ring.map(([lon, lat, alt]) => Cesium.Cartesian3.fromDegrees(lon, lat, absolute ? alt : 0));
+  const polygon = {
+    hierarchy: new Cesium.PolygonHierarchy(
+      positions(outer),
+      holes.map((hole) => new Cesium.PolygonHierarchy(positions(hole)))
+    ),
+    material: fill,
+  };
+
+  if (absolute) {
+    const heights = outer.map((p) => p[2]);
+    if (extrusionM > 0) {
+      Object.assign(polygon, {
+        height: Math.min(...heights),
+        extrudedHeight: Math.max(...heights) + extrusionM,
+      });
+    } else {
+      polygon.perPositionHeight = true;
+    }
+    Object.assign(polygon, { outline: true, outlineColor: color });
+  } else if (extrusionM > 0) {
+    Object.assign(polygon, {
+      height: 0,
+      heightReference: heightReference(true),
+      extrudedHeight: extrusionM,
+      extrudedHeightReference: heightReference(true),
+      outline: true,
+      outlineColor: color,
+    });
+  }
+  // Flat ground polygons drape over the terrain, which does not take an
+  // outline, so the boundary is drawn as a clamped line instead
+  const graphics = [{ polygon }];
+  if (!absolute && extrusionM <= 0) {
+    graphics.push({
+      polyline: {
+        positions: positions([...outer, outer[0]]),
+        width: 2,
+        material: color,
+        clampToGround: true,
+      },
+    });
+  }
+  return graphics;
+}
+
+const GRAPHICS = { Point: pointGraphics, LineString: lineGraphics, Polygon: polygonGraphics };
+
+// Add every feature of a layer to an entity collection in the layer's
+// colour, opacity and extrusion
+export function addOverlayEntities(entities, layer) {
+  const color = Cesium.Color.fromCssColorString(layer.color).withAlpha(layer.opacity);
+  const fill = color.withAlpha(layer.opacity * 0.5);
+  layer.features.forEach((feature) => {
+    const html = description(layer, feature);
+    GRAPHICS[feature.geometry](feature, color, fill, layer.extrusionM).forEach((graphics) => {
+      entities.add({ name: feature.name || layer.name, description: html, ...graphics });
+    });
+  });
+}
@@ -0,0 +1,106 @@
+import * as Cesium from 'cesium';
+
+// Batched points and labels for large point sets (waypoints, obstacles)
+//
+// Every item gets one point and one label in shared primitive collections,
+// built once per dataset. Filters and layer toggles only flip `show` flags.
+// After each camera move the visible items are bucketed into screen cells of
+// `clusterPixels`; a crowded cell shows a single larger point labelled with
+// its count. Items carry an `id` (a Cesium Entity) so picking one selects it
+// in the viewer like any other entity.
+
+const CLUSTER_PIXELS = 36;
+const CLUSTER_POINT_SIZE = 16;
+
+export function createPointLayer(scene, { clusterPixels = CLUSTER_PIXELS } = {}) {
+  const points = scene.primitives.add(new Cesium.PointPrimitiveCollection());
+  const labels = scene.primitives.add(new Cesium.LabelCollection({ scene }));
+  let entries = [];
+  let visible = true;
+  let filter = () => true;
+  const scratch = new Cesium.Cartesian2();
+
+  const recluster = () => {
+    const cells = new Map();
+    entries.forEach((entry) => {
+      entry.point.show = false;
+      entry.label.show = false;
+      if (!visible || !filter(entry.item)) return;
+      const win = Cesium.SceneTransforms.worldToWindowCoordinates(scene, entry.item.position, scratch);
+      if (!win) return;
+      const key = `${Math.floor(win.x / clusterPixels)}:${Math.floor(win.y / clusterPixels)}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(entry);
+    });
+
+    cells.forEach((members) => {
+      const [head] = members;
+      const { item } = head;
+      const clustered = members.length > 1;
+      head.point.show = true;
+      head.point.pixelSize = clustered ? CLUSTER_POINT_SIZE : item.pixelSize;
+      head.label.show = true;
+      head.label.text = clustered ? String(members.length) : item.text;
+      head.label.verticalOrigin = clustered ? Cesium.VerticalOrigin.CENTER : Cesium.VerticalOrigin.BOTTOM;
+      head.label.pixelOffset = clustered ? Cesium.Cartesian2.ZERO : item.labelOffset;
+      head.label.distanceDisplayCondition = clustered ? undefined : item.labelDistance;
+    });
+  };
+
+  const removeListener = scene.camera.moveEnd.addEventListener(recluster);
+
+  return {
+    // items: [{ id, position, color, pixelSize, text, font, labelOffset, labelDistance }]
+    setItems(items) {
+      points.removeAll();
+      labels.removeAll();
+      entries = items.map((item) => ({
+        item,
+        point: points.add({
+          id: item.id,
+          position: item.position,
+          color: item.color,
+          pixelSize: item.pixelSize,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 1,
+          show: false,
+        }),
+        label: labels.add({
+          id: item.id,
+          position: item.position,
+          text: item.text,
+          font: item.font,
+          fillColor: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+          horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
+          show: false,
+        }),
+      }));
+      recluster();
+    },
+
+    setFilter(predicate) {
+      filter = predicate;
+      recluster();
+    },
+
+    // First item matching `predicate`, e.g. to select one by name
+    find(predicate) {
+      const entry = entries.find(({ item }) => predicate(item));
+      return entry && entry.item;
+    },
+
+    setVisible(show) {
+      visible = show;
+      recluster();
+    },
+
+    destroy() {
+      removeListener();
+      scene.primitives.remove(points);
+      scene.primitives.remove(labels);
+    },
+  };
+}
@@ -0,0 +1,65 @@
+import * as Cesium from 'cesium';
+
+export const PROFILE_COLOR = Cesium.Color.fromCssColorString('#FF80AB');
+const ROUTE_COLOR = Cesium.Color.fromCssColorString('#FFFFFF');
+
+const pointLabel = (text, color) => ({
+  text,
+  font: '12px sans-serif',
+  fillColor: color,
+  outlineColor: Cesium.Color.BLACK,
+  outlineWidth: 2,
+  style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+  verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+  pixelOffset: new Cesium.Cartesian2(0, -10),
+  disableDepthTestDistance: Number.POSITIVE_INFINITY,
+});
+
+// Points of a route drawn for the vertical profile, joined at their altitudes
+export function addRouteEntities(entities, points) {
+  points.forEach((point, idx) => entities.add({
+    position: Cesium.Cartesian3.fromDegrees(point.lon, point.lat, point.altM),
+    point: {
+      pixelSize: 7,
+      color: ROUTE_COLOR,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 1,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+    label: pointLabel(`P${idx + 1}`, ROUTE_COLOR),
+  }));
+  if (points.length < 2) return;
+  entities.add({
+    polyline: {
+      positions: points.map((p) => Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.altM)),
+      width: 2,
+      material: new Cesium.PolylineDashMaterialProperty({ color: ROUTE_COLOR, dashLength: 16 }),
+    },
+  });
+}
+
+// Position under the profile cursor: a marker on the path with a drop line
+// to the ground below it
+export function addProfileCursor(entities, state, groundM) {
+  entities.add({
+    position: Cesium.Cartesian3.fromDegrees(state.lon, state.lat, state.altM),
+    point: {
+      pixelSize: 10,
+      color: PROFILE_COLOR,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 1,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+    label: pointLabel(`${Math.round(state.altFt)}ft`, PROFILE_COLOR),
+  });
+  entities.add({
+    polyline: {
+      positions: [
+        Cesium.Cartesian3.fromDegrees(state.lon, state.lat, state.altM),
+        Cesium.Cartesian3.fromDegrees(state.lon, state.lat, groundM),
+      ],
+      width: 1,
+      material: new Cesium.PolylineDashMaterialProperty({ color: PROFILE_COLOR, dashLength: 8 }),
+    },
+  });
+}
@@ -0,0 +1,73 @@
+import * as Cesium from 'cesium';
+import { mToFt } from '../geo/units';
+
+const toPositions = (ring) => ring.map(([lon, lat, height]) => Cesium.Cartesian3.fromDegrees(lon, lat, height));
+
+// Draw a segment's protection area as its MOC surface: the primary area flat
+// at the nominal altitude less the full MOC, the secondary areas rising to
+// the nominal altitude at their outer edge. The controlling obstacle gets a
+// label at its top.
+export function addProtectionEntities(entities, area, report) {
+  const color = Cesium.Color.fromCssColorString(area.color);
+  const title = area.name ? `${area.label} (${area.name})` : area.label;
+  const controlling = report.controlling;
+  const description = `
+    <h3>${title}</h3>
+    <p><strong>MOC:</strong> ${area.mocM}m (${Math.round(mToFt(area.mocM))}ft)</p>
+    <p><strong>구역 내 장애물:</strong> ${report.obstacles.length}개</p>
+    ${controlling ? `<p><strong>지배 장애물:</strong> #${controlling.obstacle.id} (${controlling.obstacle.type}, ${controlling.obstacle.elevation.toFixed(1)}m)</p>` : ''}
+    ${report.minimumAltFt !== null ? `<p><strong>최저 고도:</strong> ${report.minimumAltFt}ft</p>` : ''}
+  `;
+
+  const added = [
+    entities.add({
+      name: `${title} 1차 보호구역`,
+      polygon: {
+        hierarchy: new Cesium.PolygonHierarchy(toPositions(area.primary)),
+        perPositionHeight: true,
+        material: color.withAlpha(0.3),
+        outline: true,
+        outlineColor: color,
+      },
+      description,
+    }),
+    ...area.secondary.map((ring) => entities.add({
+      name: `${title} 2차 보호구역`,
+      polygon: {
+        hierarchy: new Cesium.PolygonHierarchy(toPositions(ring)),
+        perPositionHeight: true,
+        material: color.withAlpha(0.12),
+        outline: true,
+        outlineColor: color.withAlpha(0.6),
+      },
+      description,
+    })),
+  ];
+
+  if (controlling) {
+    const { obstacle } = controlling;
+    added.push(entities.add({
+      name: `${title} 지배 장애물`,
+      position: Cesium.Cartesian3.fromDegrees(obstacle.lon, obstacle.lat, obstacle.elevation),
+      point: {
+        pixelSize: 10,
+        color: Cesium.Color.TRANSPARENT,
+        outlineColor: color,
+        outlineWidth: 3,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+      label: {
+        text: `#${obstacle.id} ${report.minimumAltFt}ft`,
+        font: '12px sans-serif',
+        fillColor: color,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        pixelOffset: new Cesium.Cartesian2(0, -16),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+      description,
+    }));
+  }
+  return added;
+}
@@ -0,0 +1,172 @@
+import * as Cesium from 'cesium';
+import { destination } from '../geo/geodesy';
+
+// Runway pavement and Annex 14 markings for a runway model (data/aerodrome.js)
+
+const PAVEMENT = Cesium.Color.fromCssColorString('#4a4a4a');
+const MARKING = Cesium.Color.WHITE;
+
+// Threshold stripes by runway width (Annex 14, 5.2.4)
+const THRESHOLD_STRIPES = [[18, 4], [23, 6], [30, 8], [45, 12], [60, 16]];
+const STRIPE_OFFSET_M = 6;
+const STRIPE_LENGTH_M = 30;
+const THRESHOLD_BAR_M = 1.8;
+
+const stripeCount = (width) => {
+  let count = 4;
+  THRESHOLD_STRIPES.forEach(([minWidth, stripes]) => {
+    if (width >= minWidth) count = stripes;
+  });
+  return count;
+};
+
+// Point `along` metres down the runway from the threshold and `lateral`
+// metres to the right of the centreline
+const offsetPoint = (end, along, lateral) => {
+  const [lon, lat] = destination(end.lon, end.lat, end.bearing, along);
+  if (!lateral) return [lon, lat];
+  return destination(lon, lat, (end.bearing + (lateral > 0 ? 90 : 270)) % 360, Math.abs(lateral));
+};
+
+const rectangle = (end, alongFrom, alongTo, lateralFrom, lateralTo) =>
+  Cesium.Cartesian3.fromDegreesArray([
+    ...offsetPoint(end, alongFrom, lateralFrom),
+    ...offsetPoint(end, alongTo, lateralFrom),
+    ...offsetPoint(end, alongTo, lateralTo),
+    ...offsetPoint(end, alongFrom, lateralTo),
+  ]);
+
+const formatDistance = (value) => (value === null ? '—' : `${Math.round(value)}m`);
+
+function declaredDistancesText(end) {
+  return [
+    `TORA ${formatDistance(end.tora)}`,
+    `TODA ${formatDistance(end.toda)}`,
+    `ASDA ${formatDistance(end.asda)}`,
+    `LDA ${formatDistance(end.lda)}`,
+  ].join('\n');
+}
+
+// Add the runway to an entity collection; returns the added entities
+export function addRunwayEntities(entities, runway) {
+  const added = [];
+  const add = (entity) => {
+    added.push(entities.add(entity));
+  };
+
+  const endRows = runway.ends
+    .map((end) => `
+      <tr>
+        <td>${end.designator}</td>
+        <td>${end.bearing.toFixed(1)}°</td>
+        <td>${end.elevation}m</td>
+        <td>${end.displaced ? `${end.displaced}m` : '-'}</td>
+        <td>${formatDistance(end.tora)}</td>
+        <td>${formatDistance(end.toda)}</td>
+        <td>${formatDistance(end.asda)}</td>
+        <td>${formatDistance(end.lda)}</td>
+      </tr>`)
+    .join('');
+
+  add({
+    name: `Runway ${runway.designator}`,
+    polygon: {
+      hierarchy: Cesium.Cartesian3.fromDegreesArray(runway.outline.flat()),
+      material: PAVEMENT,
+      zIndex: 0,
+    },
+    description: `
+      <h3>Runway ${runway.designator}</h3>
+      <p><strong>규격:</strong> ${Math.round(runway.length)}m × ${runway.width}m${runway.surface ? ` (${runway.surface})` : ''}</p>
+      <table>
+        <tr><th>RWY</th><th>방위(T)</th><th>표고</th><th>이설</th><th>TORA</th><th>TODA</th><th>ASDA</th><th>LDA</th></tr>
+        ${endRows}
+      </table>
+    `,
+  });
+
+  // Centreline between the thresholds
+  const [endA, endB] = runway.ends;
+  add({
+    name: `Runway ${runway.designator} 중심선`,
+    polyline: {
+      positions: Cesium.Cartesian3.fromDegreesArray([endA.lon, endA.lat, endB.lon, endB.lat]),
+      width: 2,
+      material: new Cesium.PolylineDashMaterialProperty({ color: MARKING, dashLength: 24 }),
+      clampToGround: true,
+      zIndex: 1,
+    },
+  });
+
+  const halfWidth = runway.width / 2;
+  const stripes = stripeCount(runway.width);
+  // Stripes fill the width less 3 m at each edge, with a double gap on the centreline
+  const stripeWidth = (halfWidth - 3) / stripes;
+
+  runway.ends.forEach((end) => {
+    const marking = (hierarchy) => add({
+      name: `RWY ${end.designator} 시단 표지`,
+      polygon: { hierarchy, material: MARKING, zIndex: 1 },
+    });
+
+    for (let i = 0; i < stripes / 2; i++) {
+      const inner = stripeWidth + i * 2 * stripeWidth;
+      [-1, 1].forEach((side) => {
+        marking(rectangle(end, STRIPE_OFFSET_M, STRIPE_OFFSET_M + STRIPE_LENGTH_M, side * inner, side * (inner + stripeWidth)));
+      });
+    }
+
+    // Displaced thresholds get a transverse bar and arrows leading up to it
+    if (end.displaced) {
+      marking(rectangle(end, 0, THRESHOLD_BAR_M, -halfWidth, halfWidth));
+      add({
+        name: `RWY ${end.designator} 이설 시단`,
+        polyline: {
+          positions: Cesium.Cartesian3.fromDegreesArray([...end.start, end.lon, end.lat]),
+          width: 10,
+          material: new Cesium.PolylineArrowMaterialProperty(MARKING),
+          clampToGround: true,
+          zIndex: 1,
+        },
+        description: `<p>RWY ${end.designator} 이설 시단: ${end.displaced}m</p>`,
+      });
+    }
+
+    // Designator just beyond the stripes
+    const [lon, lat] = offsetPoint(end, STRIPE_OFFSET_M + STRIPE_LENGTH_M + 20, 0);
+    add({
+      name: `RWY ${end.designator}`,
+      position: Cesium.Cartesian3.fromDegrees(lon, lat),
+      label: {
+        text: end.designator,
+        font: 'bold 14px sans-serif',
+        fillColor: MARKING,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+        distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 20000),
+      },
+    });
+
+    // Declared distances beside the threshold, to the right of the landing direction
+    const [annLon, annLat] = offsetPoint(end, 0, halfWidth + 80);
+    add({
+      name: `RWY ${end.designator} 공시거리`,
+      position: Cesium.Cartesian3.fromDegrees(annLon, annLat),
+      label: {
+        text: `RWY ${end.designator}\n${declaredDistancesText(end)}`,
+        font: '11px monospace',
+        fillColor: Cesium.Color.fromCssColorString('#8ab4f8'),
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        horizontalOrigin: Cesium.HorizontalOrigin.LEFT,
+        heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+        distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 12000),
+      },
+    });
+  });
+
+  return added;
+}
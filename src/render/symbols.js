@@ -0,0 +1,92 @@
+// Chart symbols drawn on a canvas for use as Cesium billboard images.
+// Canvases are cached per symbol and colour so each is drawn only once.
+
+const cache = new Map();
+
+const cached = (key, size, draw) => {
+  if (!cache.has(key)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    draw(canvas.getContext('2d'), size);
+    cache.set(key, canvas);
+  }
+  return cache.get(key);
+};
+
+// Four-pointed star used on charts for waypoints
+const drawStar = (ctx, cx, cy, outer, inner) => {
+  ctx.beginPath();
+  for (let i = 0; i < 8; i++) {
+    const r = i % 2 === 0 ? outer : inner;
+    const angle = (i * Math.PI) / 4 - Math.PI / 2;
+    const x = cx + r * Math.cos(angle);
+    const y = cy + r * Math.sin(angle);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.closePath();
+};
+
+// Fly-by waypoint: a plain four-pointed star
+export function flyByIcon(cssColor) {
+  return cached(`flyby:${cssColor}`, 24, (ctx, size) => {
+    const c = size / 2;
+    drawStar(ctx, c, c, c - 2, c / 4);
+    ctx.fillStyle = cssColor;
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.fill();
+    ctx.stroke();
+  });
+}
+
+// Fly-over waypoint: the star enclosed in a circle
+export function flyOverIcon(cssColor) {
+  return cached(`flyover:${cssColor}`, 28, (ctx, size) => {
+    const c = size / 2;
+    ctx.beginPath();
+    ctx.arc(c, c, c - 2, 0, Math.PI * 2);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.strokeStyle = cssColor;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    drawStar(ctx, c, c, c - 5, c / 5);
+    ctx.fillStyle = cssColor;
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.fill();
+    ctx.stroke();
+  });
+}
+
+// Aircraft silhouette pointing up (north before rotation)
+export function aircraftIcon(cssColor) {
+  return cached(`aircraft:${cssColor}`, 32, (ctx) => {
+    ctx.beginPath();
+    ctx.moveTo(16, 2);
+    ctx.lineTo(18.5, 12);
+    ctx.lineTo(30, 18);
+    ctx.lineTo(30, 20.5);
+    ctx.lineTo(18.5, 17.5);
+    ctx.lineTo(18, 25);
+    ctx.lineTo(22, 28);
+    ctx.lineTo(22, 30);
+    ctx.lineTo(16, 28.5);
+    ctx.lineTo(10, 30);
+    ctx.lineTo(10, 28);
+    ctx.lineTo(14, 25);
+    ctx.lineTo(13.5, 17.5);
+    ctx.lineTo(2, 20.5);
+    ctx.lineTo(2, 18);
+    ctx.lineTo(13.5, 12);
+    ctx.closePath();
+    ctx.fillStyle = cssColor;
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.fill();
+    ctx.stroke();
+  });
+}
@@ -0,0 +1,74 @@
+import * as Cesium from 'cesium';
+import { stateAt } from '../geo/kinematics';
+import { aircraftIcon } from './symbols';
+
+// Replay entities for recorded flight tracks (data/tracks.js)
+
+const TRAIL_SECONDS = 600;
+
+export const TRACK_COLORS = ['#00E5FF', '#FF4081', '#FFD740', '#69F0AE', '#E040FB', '#FF6E40'];
+
+export const formatReadout = (state) =>
+  `${Math.round(state.altFt)}ft  GS ${Math.round(state.groundSpeedKt)}kt  VS ${Math.round(state.verticalRateFpm)}fpm`;
+
+// Add one track to an entity collection: an aircraft billboard moving along
+// the sampled positions on the viewer clock, with a trailing path and a
+// label showing the live readouts
+export function addTrackEntity(entities, track, cssColor) {
+  const color = Cesium.Color.fromCssColorString(cssColor);
+  const position = new Cesium.SampledPositionProperty();
+  track.points.forEach((p) => {
+    position.addSample(
+      Cesium.JulianDate.fromDate(new Date(p.t)),
+      Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.altM)
+    );
+  });
+
+  const start = Cesium.JulianDate.fromDate(new Date(track.points[0].t));
+  const stop = Cesium.JulianDate.fromDate(new Date(track.points[track.points.length - 1].t));
+  const stateOf = (time) => stateAt(track, Cesium.JulianDate.toDate(time).getTime());
+
+  return entities.add({
+    id: track.id,
+    name: track.name,
+    availability: new Cesium.TimeIntervalCollection([new Cesium.TimeInterval({ start, stop })]),
+    position,
+    billboard: {
+      image: aircraftIcon(cssColor),
+      alignedAxis: Cesium.Cartesian3.UNIT_Z,
+      rotation: new Cesium.CallbackProperty((time) => {
+        const state = stateOf(time);
+        return state && state.heading !== null ? -Cesium.Math.toRadians(state.heading) : 0;
+      }, false),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+    path: {
+      leadTime: 0,
+      trailTime: TRAIL_SECONDS,
+      width: 2,
+      resolution: 5,
+      material: color,
+    },
+    label: {
+      text: new Cesium.CallbackProperty((time) => {
+        const state = stateOf(time);
+        return state ? `${track.name}\n${formatReadout(state)}` : track.name;
+      }, false),
+      font: '11px sans-serif',
+      fillColor: color,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 2,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      pixelOffset: new Cesium.Cartesian2(0, -20),
+      distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 80000),
+    },
+    description: `
+      <h3>${track.name}</h3>
+      <p><strong>형식:</strong> ${track.source}</p>
+      <p><strong>위치 수:</strong> ${track.points.length}</p>
+      <p><strong>시작:</strong> ${new Date(track.points[0].t).toISOString()}</p>
+      <p><strong>종료:</strong> ${new Date(track.points[track.points.length - 1].t).toISOString()}</p>
+    `,
+  });
+}
@@ -0,0 +1,139 @@
+import * as Cesium from 'cesium';
+import { altitudeTag, predictedPosition } from '../data/traffic';
+import { ftToM } from '../geo/units';
+import { aircraftIcon } from './symbols';
+
+// Live traffic entities
+//
+// One entity per aircraft, kept across feed updates: an aircraft symbol
+// dead-reckoned from its last report so it moves smoothly between updates,
+// a callsign and altitude tag label, the predicted vector ahead and the
+// history trail. Updates only swap the aircraft record behind the callbacks.
+
+export const TRAFFIC_COLORS = {
+  airborne: '#FFD54F',
+  ground: '#B0BEC5',
+  // Inside a highlighted airspace
+  inside: '#FF8A65',
+};
+
+// Length of the predicted vector, s
+export const PREDICT_SECONDS = 60;
+
+// Dead reckoning stops this long after the last position, s
+const MAX_EXTRAPOLATE_SECONDS = 15;
+
+export function createTrafficLayer(entities) {
+  const items = new Map();
+  let groundM = 0;
+
+  // Barometric altitude as drawn everywhere else; a geometric altitude is
+  // already a height above the ellipsoid and only used without one
+  const heightOf = (altFt, altGeomFt) => {
+    const altitude = altFt ?? altGeomFt ?? null;
+    return altitude === null ? groundM : Math.max(groundM, ftToM(altitude));
+  };
+  const cartesian = ({ lon, lat, altFt, altGeomFt }) => Cesium.Cartesian3.fromDegrees(lon, lat, heightOf(altFt, altGeomFt));
+  const current = (aircraft) => {
+    const age = Math.min(MAX_EXTRAPOLATE_SECONDS, Math.max(0, (Date.now() - aircraft.positionAt) / 1000));
+    return predictedPosition(aircraft, age);
+  };
+
+  const add = (item) => {
+    item.entity = entities.add({
+      position: new Cesium.CallbackProperty(() => cartesian(current(item.aircraft)), false),
+      billboard: {
+        alignedAxis: Cesium.Cartesian3.UNIT_Z,
+        rotation: new Cesium.CallbackProperty(() => -Cesium.Math.toRadians(item.aircraft.trackDeg || 0), false),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+      label: {
+        font: '11px sans-serif',
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+        pixelOffset: new Cesium.Cartesian2(0, -20),
+        distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 120000),
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+    item.vector = entities.add({
+      polyline: {
+        positions: new Cesium.CallbackProperty(() => {
+          const now = current(item.aircraft);
+          const ahead = predictedPosition({ ...item.aircraft, ...now }, PREDICT_SECONDS);
+          return [cartesian(now), cartesian(ahead)];
+        }, false),
+        width: 1.5,
+      },
+    });
+    // The trail runs up to the dead-reckoned position
+    item.trail = entities.add({
+      polyline: {
+        positions: new Cesium.CallbackProperty(() => [...item.history, cartesian(current(item.aircraft))], false),
+        width: 2,
+      },
+    });
+  };
+
+  const refresh = (item) => {
+    const { aircraft } = item;
+    const color = Cesium.Color.fromCssColorString(item.color);
+    const title = aircraft.callsign || aircraft.hex;
+    item.history = aircraft.trail.map(cartesian);
+    item.entity.name = title;
+    item.entity.billboard.image = aircraftIcon(item.color);
+    item.entity.label.text = `${title}\n${altitudeTag(aircraft)}${aircraft.gsKt ? ` ${Math.round(aircraft.gsKt)}` : ''}`;
+    item.entity.label.fillColor = color;
+    item.vector.polyline.material = new Cesium.PolylineDashMaterialProperty({ color });
+    item.trail.polyline.material = color.withAlpha(0.6);
+    item.entity.description = `
+      <h3>${title}</h3>
+      <p><strong>ICAO 주소:</strong> ${aircraft.hex}</p>
+      ${aircraft.squawk ? `<p><strong>스쿽:</strong> ${aircraft.squawk}</p>` : ''}
+      <p><strong>기압고도:</strong> ${aircraft.onGround ? '지상' : aircraft.altFt !== undefined ? `${Math.round(aircraft.altFt)}ft` : '-'}</p>
+      ${aircraft.altGeomFt !== undefined ? `<p><strong>기하고도 (WGS-84 타원체):</strong> ${Math.round(aircraft.altGeomFt)}ft</p>` : ''}
+      <p><strong>대지속도:</strong> ${aircraft.gsKt !== undefined ? `${Math.round(aircraft.gsKt)}kt` : '-'}</p>
+      <p><strong>항적:</strong> ${aircraft.trackDeg !== undefined ? `${Math.round(aircraft.trackDeg)}°T` : '-'}</p>
+      <p><strong>승강률:</strong> ${aircraft.vrateFpm !== undefined ? `${Math.round(aircraft.vrateFpm)}fpm` : '-'}</p>
+      ${item.airspaces.length ? `<p><strong>공역:</strong> ${item.airspaces.join(', ')}</p>` : ''}
+    `;
+  };
+
+  return {
+    // aircraft: positioned aircraft (data/traffic.js); airspaces: names of
+    // the airspaces each is inside, by hex
+    update(aircraftList, airspaces = {}) {
+      const seen = new Set();
+      aircraftList.forEach((aircraft) => {
+        seen.add(aircraft.hex);
+        let item = items.get(aircraft.hex);
+        const inside = airspaces[aircraft.hex] || [];
+        const color = inside.length
+          ? TRAFFIC_COLORS.inside
+          : aircraft.onGround ? TRAFFIC_COLORS.ground : TRAFFIC_COLORS.airborne;
+        if (!item) {
+          item = { aircraft, history: [] };
+          items.set(aircraft.hex, item);
+          add(item);
+        }
+        Object.assign(item, { aircraft, color, airspaces: inside });
+        refresh(item);
+      });
+      items.forEach((item, hex) => {
+        if (seen.has(hex)) return;
+        [item.entity, item.vector, item.trail].forEach((entity) => entities.remove(entity));
+        items.delete(hex);
+      });
+    },
+    setGround(heightM) {
+      groundM = heightM;
+    },
+    entityOf: (hex) => items.get(hex)?.entity,
+    clear() {
+      items.forEach((item) => [item.entity, item.vector, item.trail].forEach((entity) => entities.remove(entity)));
+      items.clear();
+    },
+  };
+}